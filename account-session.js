@@ -0,0 +1,52 @@
+// Signed-in account and pending claim tokens, kept in chrome.storage.local.
+// Shared by the background worker (attaching the token to submissions) and
+// account.html (signing in and out, claiming anonymous ratings).
+
+const AccountSession = {
+  SESSION_STORAGE_KEY: 'accountSession',
+  CLAIM_TOKENS_STORAGE_KEY: 'claimTokens',
+  MAX_CLAIM_TOKENS: 200,
+
+  // { token, expiresAt, user: { id, email } } or null when signed out
+  async get() {
+    const stored = await chrome.storage.local.get(this.SESSION_STORAGE_KEY);
+    const session = stored[this.SESSION_STORAGE_KEY] || null;
+    if (session && new Date(session.expiresAt) <= new Date()) {
+      await this.clear();
+      return null;
+    }
+    return session;
+  },
+
+  async save(session) {
+    await chrome.storage.local.set({ [this.SESSION_STORAGE_KEY]: session });
+  },
+
+  async clear() {
+    await chrome.storage.local.remove(this.SESSION_STORAGE_KEY);
+  },
+
+  // Authorization header for the signed-in account, empty when signed out
+  async authHeaders() {
+    const session = await this.get();
+    return session ? { 'Authorization': `Bearer ${session.token}` } : {};
+  },
+
+  // Claim token returned with an anonymous rating, kept until it is claimed
+  async rememberClaimToken(claimToken) {
+    const stored = await chrome.storage.local.get(this.CLAIM_TOKENS_STORAGE_KEY);
+    const tokens = stored[this.CLAIM_TOKENS_STORAGE_KEY] || [];
+    tokens.push(claimToken);
+    await chrome.storage.local.set({ [this.CLAIM_TOKENS_STORAGE_KEY]: tokens.slice(-this.MAX_CLAIM_TOKENS) });
+  },
+
+  async claimTokens() {
+    const stored = await chrome.storage.local.get(this.CLAIM_TOKENS_STORAGE_KEY);
+    return stored[this.CLAIM_TOKENS_STORAGE_KEY] || [];
+  },
+
+  async forgetClaimTokens(claimTokens) {
+    const remaining = (await this.claimTokens()).filter(token => !claimTokens.includes(token));
+    await chrome.storage.local.set({ [this.CLAIM_TOKENS_STORAGE_KEY]: remaining });
+  }
+};
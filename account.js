@@ -0,0 +1,333 @@
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log('Hotel Bedding Ratings Account: Initializing...');
+
+  const API_BASE = 'https://hotel-ratings-backend.onrender.com/api/v1';
+  const POLL_INTERVAL_MS = 3000;
+
+  const statusMessage = document.getElementById('statusMessage');
+  const signedOutView = document.getElementById('signedOutView');
+  const signedInView = document.getElementById('signedInView');
+  const signInForm = document.getElementById('signInForm');
+  const signInBtn = document.getElementById('signInBtn');
+  const emailInput = document.getElementById('emailInput');
+  const userEmail = document.getElementById('userEmail');
+  const signOutBtn = document.getElementById('signOutBtn');
+  const ratingsList = document.getElementById('ratingsList');
+
+  let vocabulary = null;
+  let ratings = [];
+  let pollTimer = null;
+
+  function showStatus(message, type) {
+    statusMessage.innerHTML = message;
+    statusMessage.className = type;
+    statusMessage.style.display = 'block';
+  }
+
+  function hideStatus() {
+    statusMessage.style.display = 'none';
+  }
+
+  // fetch against the API as the signed-in account; a rejected token signs out
+  async function apiFetch(path, options = {}) {
+    const response = await fetch(`${API_BASE}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        ...await AccountSession.authHeaders(),
+        ...options.headers
+      }
+    });
+
+    if (response.status === 401) {
+      await AccountSession.clear();
+      render();
+      throw new Error('Your session has expired. Please sign in again.');
+    }
+    if (!response.ok) {
+      let message = `Server error (${response.status})`;
+      try {
+        message = (await response.json()).error || message;
+      } catch (e) {
+        // Keep the status message
+      }
+      throw new Error(message);
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  // Signing in
+
+  async function requestSignInLink(email) {
+    const response = await fetch(`${API_BASE}/auth/magic-link`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify({ email })
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.error || `Server error (${response.status})`);
+    }
+    return body;
+  }
+
+  // Poll until the emailed link is confirmed with the code, then store the session
+  function pollForToken(request) {
+    clearTimeout(pollTimer);
+
+    pollTimer = setTimeout(async () => {
+      try {
+        const response = await fetch(`${API_BASE}/auth/magic-link/${encodeURIComponent(request.requestId)}/token`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+          body: JSON.stringify({ pollSecret: request.pollSecret })
+        });
+
+        if (response.status === 202) {
+          pollForToken(request);
+          return;
+        }
+
+        const body = await response.json();
+        if (!response.ok) {
+          throw new Error(body.error || `Server error (${response.status})`);
+        }
+
+        await AccountSession.save({ token: body.token, expiresAt: body.expiresAt, user: body.user });
+        console.log('Hotel Bedding Ratings Account: Signed in as', body.user.email);
+        signInBtn.disabled = false;
+        showStatus(`✅ Signed in as <strong>${escapeHTML(body.user.email)}</strong>`, 'success');
+        await render();
+      } catch (error) {
+        console.error('Hotel Bedding Ratings Account: Sign-in failed:', error);
+        signInBtn.disabled = false;
+        showStatus(`❌ ${escapeHTML(error.message)}`, 'error');
+      }
+    }, POLL_INTERVAL_MS);
+  }
+
+  signInForm.addEventListener('submit', async event => {
+    event.preventDefault();
+    hideStatus();
+    signInBtn.disabled = true;
+
+    try {
+      const request = await requestSignInLink(emailInput.value.trim());
+      showStatus(`📧 We sent a sign-in link to <strong>${escapeHTML(emailInput.value.trim())}</strong>. Open it in any browser and enter this code:
+        <span class="confirmation-code">${escapeHTML(request.confirmationCode)}</span>
+        This page signs you in once you have. Never enter a code someone else sends you.`, 'info');
+      pollForToken(request);
+    } catch (error) {
+      signInBtn.disabled = false;
+      showStatus(`❌ ${escapeHTML(error.message)}`, 'error');
+    }
+  });
+
+  signOutBtn.addEventListener('click', async () => {
+    try {
+      await apiFetch('/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.warn('Hotel Bedding Ratings Account: Error signing out:', error);
+    }
+    await AccountSession.clear();
+    hideStatus();
+    await render();
+  });
+
+  // Ratings
+
+  // Move ratings submitted anonymously from this browser into the account
+  async function claimAnonymousRatings() {
+    const claimTokens = await AccountSession.claimTokens();
+    if (claimTokens.length === 0) {
+      return;
+    }
+
+    try {
+      const { claimed } = await apiFetch('/me/ratings/claim', {
+        method: 'POST',
+        body: JSON.stringify({ claimTokens })
+      });
+      await AccountSession.forgetClaimTokens(claimTokens);
+      if (claimed > 0) {
+        showStatus(`✅ ${claimed} earlier rating${claimed === 1 ? '' : 's'} from this browser moved into your account.`, 'success');
+      }
+    } catch (error) {
+      console.warn('Hotel Bedding Ratings Account: Could not claim anonymous ratings:', error);
+    }
+  }
+
+  function formatRatingValues(rating) {
+    const parts = [];
+    vocabulary.categories.forEach(category => {
+      const submitted = category.multiple ? rating[category.key] || [] : [rating[category.key]].filter(Boolean);
+      if (submitted.length === 0) {
+        if ((rating.noneReported || []).includes(category.key)) {
+          parts.push(`<strong>${escapeHTML(category.label)}:</strong> ${escapeHTML(category.noneLabel || 'None')}`);
+        }
+        return;
+      }
+      const labels = submitted.map(value => {
+        const option = category.values.find(candidate => candidate.value === value);
+        return option ? option.label : value;
+      });
+      parts.push(`<strong>${escapeHTML(category.label)}:</strong> ${escapeHTML(labels.join(', '))}`);
+    });
+
+    const stay = RatingForm.formatStayDetails(rating);
+    if (stay) {
+      parts.push(`<strong>📝 Stay:</strong> ${escapeHTML(stay)}`);
+    }
+    if (rating.comment) {
+      parts.push(`<strong>💬</strong> ${escapeHTML(rating.comment)}`);
+    }
+    return parts.join(' · ');
+  }
+
+  function renderRatings() {
+    if (ratings.length === 0) {
+      ratingsList.innerHTML = '<p class="no-data">You have no ratings yet.</p>';
+      return;
+    }
+
+    ratingsList.innerHTML = ratings.map(rating => `
+      <div class="rating-entry" data-rating-id="${escapeHTML(rating._id)}">
+        <strong>${escapeHTML(rating.hotelName || 'Unknown hotel')}</strong>
+        <div class="meta">
+          Rated ${new Date(rating.submissionTime).toLocaleDateString()}${rating.editedAt ? ` · edited ${new Date(rating.editedAt).toLocaleDateString()}` : ''}
+        </div>
+        <div class="rating-values">${formatRatingValues(rating)}</div>
+        <div class="rating-actions">
+          <button type="button" class="secondary-btn edit-btn">Edit</button>
+          <button type="button" class="danger-btn delete-btn">Delete</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  // Replace an entry with the rating form, pre-filled with its current values.
+  // Only one editor is open at a time since the form sections use fixed ids.
+  function openEditor(entry, rating) {
+    renderRatings();
+    entry = ratingsList.querySelector(`[data-rating-id="${CSS.escape(rating._id)}"]`);
+
+    // The rating's own room type is the only one to offer away from the hotel page
+    const roomTypes = rating.roomTypeId ? [{ roomTypeId: rating.roomTypeId, name: rating.roomType || rating.roomTypeId }] : [];
+    entry.querySelector('.rating-values').innerHTML = `<form class="edit-form">${RatingForm.buildSectionsHTML(vocabulary, roomTypes)}</form>`;
+    entry.querySelector('.rating-actions').innerHTML = `
+      <button type="button" class="save-btn">Save</button>
+      <button type="button" class="secondary-btn cancel-btn">Cancel</button>
+    `;
+
+    const form = entry.querySelector('.edit-form');
+    vocabulary.categories.forEach(category => {
+      if (category.multiple) {
+        (rating[category.key] || []).forEach(value => {
+          const checkbox = form.querySelector(`input[name="${category.key}"][value="${CSS.escape(value)}"]`);
+          if (checkbox) {
+            checkbox.checked = true;
+          }
+        });
+      } else {
+        form.querySelector(`select[name="${category.key}"]`).value = rating[category.key] || '';
+      }
+    });
+    (rating.noneReported || []).forEach(key => {
+      const checkbox = form.querySelector(`input[name="noneReported"][value="${CSS.escape(key)}"]`);
+      if (checkbox) {
+        checkbox.checked = true;
+      }
+    });
+    RatingForm.linkNoneChoices(form);
+    RatingForm.fillStayDetails(form, rating);
+  }
+
+  async function saveRating(entry, rating) {
+    const form = entry.querySelector('.edit-form');
+    const ratingData = RatingForm.collectRatingData(form, vocabulary, {}, undefined);
+    if (!RatingForm.hasAnyRating(vocabulary, ratingData)) {
+      showStatus('❌ Please keep at least one rating. To remove the rating entirely, delete it.', 'error');
+      return;
+    }
+
+    const updates = {};
+    vocabulary.categories.forEach(category => {
+      updates[category.key] = ratingData[category.key];
+    });
+    updates.noneReported = ratingData.noneReported;
+    RatingForm.STAY_DETAIL_FIELDS.forEach(field => {
+      updates[field] = ratingData[field];
+    });
+    // A room type name without an id has no field in the form; keep it
+    if (!rating.roomTypeId && rating.roomType) {
+      updates.roomType = rating.roomType;
+    }
+
+    const { rating: updated } = await apiFetch(`/ratings/${encodeURIComponent(rating._id)}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+    ratings = ratings.map(existing => (existing._id === updated._id ? updated : existing));
+    renderRatings();
+    showStatus('✅ Rating updated.', 'success');
+  }
+
+  async function deleteRating(rating) {
+    if (!confirm(`Delete your rating for ${rating.hotelName || 'this hotel'}?`)) {
+      return;
+    }
+
+    await apiFetch(`/ratings/${encodeURIComponent(rating._id)}`, { method: 'DELETE' });
+    ratings = ratings.filter(existing => existing._id !== rating._id);
+    renderRatings();
+    showStatus('✅ Rating deleted.', 'success');
+  }
+
+  ratingsList.addEventListener('click', async event => {
+    const entry = event.target.closest('.rating-entry');
+    if (!entry || event.target.tagName !== 'BUTTON') {
+      return;
+    }
+    const rating = ratings.find(candidate => candidate._id === entry.dataset.ratingId);
+
+    try {
+      if (event.target.classList.contains('edit-btn')) {
+        openEditor(entry, rating);
+      } else if (event.target.classList.contains('cancel-btn')) {
+        renderRatings();
+      } else if (event.target.classList.contains('save-btn')) {
+        await saveRating(entry, rating);
+      } else if (event.target.classList.contains('delete-btn')) {
+        await deleteRating(rating);
+      }
+    } catch (error) {
+      console.error('Hotel Bedding Ratings Account: Error changing rating:', error);
+      showStatus(`❌ ${escapeHTML(error.message)}`, 'error');
+    }
+  });
+
+  async function render() {
+    const session = await AccountSession.get();
+    signedOutView.style.display = session ? 'none' : 'block';
+    signedInView.style.display = session ? 'block' : 'none';
+    if (!session) {
+      return;
+    }
+
+    userEmail.textContent = session.user.email;
+    ratingsList.innerHTML = '<p class="no-data">Loading your ratings...</p>';
+
+    try {
+      vocabulary = vocabulary || await RatingForm.loadVocabulary(API_BASE);
+      await claimAnonymousRatings();
+      ratings = (await apiFetch('/me/ratings')).ratings;
+      renderRatings();
+    } catch (error) {
+      console.error('Hotel Bedding Ratings Account: Error loading ratings:', error);
+      ratingsList.innerHTML = `<p class="no-data">⚠️ ${escapeHTML(error.message)}</p>`;
+    }
+  }
+
+  await render();
+});
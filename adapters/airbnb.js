@@ -0,0 +1,60 @@
+// Airbnb adapter: listing pages (/rooms/<id>). Airbnb only shows the area of
+// a listing, so the address is the location line ('Berlin, Germany').
+
+SiteAdapters.register({
+  id: 'airbnb',
+  name: 'Airbnb',
+
+  // '/rooms/12345678?adults=2' -> '12345678'
+  parseListingId(url) {
+    const match = String(url).match(/\/rooms\/(\d+)/);
+    return match ? match[1] : null;
+  },
+
+  isHotelPage(url) {
+    return /^https:\/\/www\.airbnb\.[a-z.]+\//i.test(url) && !!this.parseListingId(url);
+  },
+
+  extractHotelInfo() {
+    const identifiers = {};
+    const airbnbId = this.parseListingId(window.location.href);
+    if (airbnbId) {
+      identifiers.airbnbId = airbnbId;
+      console.log(`🏨 Found Airbnb listing ID: ${airbnbId}`);
+    }
+
+    const name = SiteAdapters.firstText([
+      '[data-section-id="TITLE_DEFAULT"] h1',
+      'h1'
+    ]);
+
+    let address = '';
+    const listing = SiteAdapters.findJsonLd(item => !!item.address);
+    if (listing) {
+      address = SiteAdapters.formatPostalAddress(listing.address);
+    }
+    if (!address) {
+      address = SiteAdapters.firstText([
+        '[data-section-id="LOCATION_DEFAULT"] h3',
+        '[data-section-id="OVERVIEW_DEFAULT"] h2',
+        '[data-section-id="OVERVIEW_DEFAULT_V2"] h2'
+      ]);
+    }
+    console.log(`🏨 Found listing "${name}" at "${address}"`);
+
+    return { name, address, identifiers, locality: SiteAdapters.findLocality() };
+  },
+
+  hotelKeyFor(identifiers) {
+    return identifiers.airbnbId ? `airbnb:${identifiers.airbnbId}` : null;
+  },
+
+  pageUrlFor(hotelKey) {
+    const match = String(hotelKey).match(/^airbnb:(\d+)$/);
+    return match ? `https://www.airbnb.com/rooms/${match[1]}` : null;
+  },
+
+  mountPoint() {
+    return document.body;
+  }
+});
@@ -0,0 +1,352 @@
+// Booking.com adapter: hotel pages (/hotel/<cc>/<slug>, Share links) and search results
+
+SiteAdapters.register({
+  id: 'booking',
+  name: 'Booking.com',
+
+  isHotelPage(url) {
+    return url.includes('booking.com/hotel/') ||
+           url.includes('booking.com/Share-') ||
+           (url.includes('booking.com') && url.includes('.html') && !this.isSearchPage(url));
+  },
+
+  isSearchPage(url) {
+    return url.includes('booking.com/searchresults');
+  },
+
+  extractHotelInfo() {
+    return {
+      name: this.extractName(),
+      address: this.extractAddress(),
+      identifiers: this.extractIdentifiers(),
+      location: this.extractLocation(),
+      locality: SiteAdapters.findLocality()
+    };
+  },
+
+  extractName() {
+    let name = '';
+
+    // 1. Get hotel name from h2 element
+    console.log('🏨 Looking for hotel name...');
+    
+    const h2Elements = document.querySelectorAll('h2');
+    for (const h2 of h2Elements) {
+      const text = h2.textContent?.trim();
+      console.log(`🏨 Checking h2: "${text}"`);
+      
+      if (text && text.length > 5 && text.length < 200) {
+        // Skip navigation and UI elements
+        if (!text.toLowerCase().includes('booking') && 
+            !text.toLowerCase().includes('search') &&
+            !text.toLowerCase().includes('filter') &&
+            !text.toLowerCase().includes('sort') &&
+            !text.toLowerCase().includes('menu') &&
+            !text.toLowerCase().includes('sign in') &&
+            !text.toLowerCase().includes('register')) {
+          name = text;
+          console.log(`🏨 Found hotel name: "${name}"`);
+          break;
+        }
+      }
+    }
+
+    // Fallback for name from page title
+    if (!name) {
+      const pageTitle = document.title;
+      if (pageTitle && !pageTitle.includes('Booking.com')) {
+        const parts = pageTitle.split(',')[0].split(' - ')[0].split('(')[0];
+        name = parts.trim();
+        console.log(`🏨 Got name from page title: "${name}"`);
+      }
+    }
+
+    return name;
+  },
+
+  extractAddress() {
+    let address = '';
+
+    // 2. Get address using Booking.com's consistent structure
+    console.log('🏨 Looking for address using structure-based approach...');
+    
+    // Method 1: Look for address near location pin icon
+    const locationSelectors = [
+      '[data-testid="address"]',
+      '[data-testid="property-address"]', 
+      '.hp_address_subtitle',
+      '.hp_address',
+      '[aria-label*="address"]',
+      '[class*="address"]',
+      'span[data-testid*="address"]'
+    ];
+    
+    for (const selector of locationSelectors) {
+      const addressElement = document.querySelector(selector);
+      if (addressElement) {
+        const addressText = addressElement.textContent?.trim();
+        if (addressText && addressText.length > 10) {
+          address = addressText;
+          console.log(`🏨 Found address via selector "${selector}": "${address}"`);
+          break;
+        }
+      }
+    }
+
+    // Method 2: Look for elements containing location pin SVG and get nearby text
+    if (!address) {
+      console.log('🏨 Looking for address near location pin...');
+      
+      const svgElements = document.querySelectorAll('svg');
+      for (const svg of svgElements) {
+        // Check if this SVG looks like a location pin
+        const svgContent = svg.innerHTML.toLowerCase();
+        if (svgContent.includes('path') && (svgContent.includes('location') || svg.getAttribute('aria-label')?.includes('location'))) {
+          console.log('🏨 Found location pin SVG');
+          
+          // Look for address text in nearby elements
+          let parent = svg.parentElement;
+          for (let i = 0; i < 5 && parent; i++) {
+            const addressCandidates = parent.querySelectorAll('span, div, p');
+            for (const candidate of addressCandidates) {
+              const text = candidate.textContent?.trim();
+              if (text && text.length > 10 && text.length < 200) {
+                // Check if it looks like an address (has numbers, street indicators, etc.)
+                const hasNumbers = /\d/.test(text);
+                const hasComma = text.includes(',');
+                const excludeWords = ['guest', 'review', 'rating', 'book', 'price', 'night', 'room', 'available'];
+                const hasExcludeWord = excludeWords.some(word => text.toLowerCase().includes(word));
+                
+                if (hasNumbers && hasComma && !hasExcludeWord) {
+                  address = text;
+                  console.log(`🏨 Found address near location pin: "${address}"`);
+                  break;
+                }
+              }
+            }
+            if (address) break;
+            parent = parent.parentElement;
+          }
+          if (address) break;
+        }
+      }
+    }
+
+    // Method 3: Look for structured data (JSON-LD)
+    if (!address) {
+      console.log('🏨 Looking for address in structured data...');
+      
+      const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+      for (const script of scripts) {
+        try {
+          const data = JSON.parse(script.textContent);
+          if (data.address) {
+            if (typeof data.address === 'string') {
+              address = data.address;
+            } else if (data.address.streetAddress) {
+              const addr = data.address;
+              address = `${addr.streetAddress || ''}, ${addr.addressLocality || ''}, ${addr.postalCode || ''} ${addr.addressCountry || ''}`.replace(/,\s*,/g, ',').trim();
+            }
+            if (address) {
+              console.log(`🏨 Found address in structured data: "${address}"`);
+              break;
+            }
+          }
+        } catch (e) {
+          // Skip invalid JSON
+        }
+      }
+    }
+
+    // Method 4: Look for address patterns in text content
+    if (!address) {
+      console.log('🏨 Looking for address patterns in page content...');
+      
+      const allElements = document.querySelectorAll('span, div, p');
+      for (const el of allElements) {
+        const text = el.textContent?.trim();
+        
+        if (text && text.length > 15 && text.length < 300) {
+          // Look for address patterns (street number + street name, postal codes, etc.)
+          const hasStreetPattern = /\d+\s+[\w\s]+(straße|str\.|street|avenue|road|way|lane)/i.test(text);
+          const hasPostalCode = /\b\d{4,5}\b/.test(text);
+          const hasCommas = (text.match(/,/g) || []).length >= 1;
+          
+          // Exclude obvious non-address content
+          const excludePatterns = [
+            /review|guest|rating|book|price|night|room|available|excellent|good|bad|stay/i,
+            /\d+\s*(euro|eur|€|\$|usd)/i,
+            /\d+\s*(star|rating)/i
+          ];
+          
+          const isExcluded = excludePatterns.some(pattern => pattern.test(text));
+          
+          if ((hasStreetPattern || hasPostalCode) && hasCommas && !isExcluded) {
+            address = text.replace(/\s*[–-]\s*$/, '').trim();
+            console.log(`🏨 Found address via pattern matching: "${address}"`);
+            break;
+          }
+        }
+      }
+    }
+
+    return address;
+  },
+
+  // Extract Booking.com's canonical identifiers for the property:
+  // the b_hotel_id page variable and the /hotel/<cc>/<slug> path (from the URL or JSON-LD @id)
+  extractIdentifiers() {
+    const identifiers = {};
+
+    try {
+      // Page variables live in the page's JS context, so read them from the inline scripts
+      const inlineScripts = document.querySelectorAll('script:not([src])');
+      for (const script of inlineScripts) {
+        const match = script.textContent.match(/b_hotel_id\s*[:=]\s*['"]?(\d+)/);
+        if (match) {
+          identifiers.bookingId = match[1];
+          console.log(`🏨 Found b_hotel_id: ${identifiers.bookingId}`);
+          break;
+        }
+      }
+
+      identifiers.slug = this.parseHotelSlug(window.location.href);
+
+      if (!identifiers.slug) {
+        const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+        for (const script of scripts) {
+          try {
+            const data = JSON.parse(script.textContent);
+            const slug = data['@id'] ? this.parseHotelSlug(data['@id']) : null;
+            if (slug) {
+              identifiers.slug = slug;
+              console.log(`🏨 Found hotel slug in JSON-LD @id: ${slug}`);
+              break;
+            }
+          } catch (e) {
+            // Skip invalid JSON
+          }
+        }
+      }
+    } catch (error) {
+      console.warn('🏨 Hotel Bedding Ratings: Error extracting hotel identifiers:', error);
+    }
+
+    if (!identifiers.slug) {
+      delete identifiers.slug;
+    }
+
+    return identifiers;
+  },
+
+  // The property's coordinates for the nearby search: the map's data-atlas-latlng
+  // attribute or map-centre page variables, else the JSON-LD `geo`
+  extractLocation() {
+    const toLocation = (lat, lng) => {
+      const location = { lat: parseFloat(lat), lng: parseFloat(lng) };
+      const valid = Number.isFinite(location.lat) && Number.isFinite(location.lng) &&
+        Math.abs(location.lat) <= 90 && Math.abs(location.lng) <= 180 &&
+        !(location.lat === 0 && location.lng === 0);
+      return valid ? location : null;
+    };
+
+    try {
+      // 1. Map data: the address and map links carry "lat,lng", the page variables the map centre
+      const mapElement = document.querySelector('[data-atlas-latlng]');
+      if (mapElement) {
+        const [lat, lng] = mapElement.getAttribute('data-atlas-latlng').split(',');
+        const location = toLocation(lat, lng);
+        if (location) {
+          console.log(`🏨 Found coordinates in map data: ${location.lat}, ${location.lng}`);
+          return location;
+        }
+      }
+
+      const inlineScripts = document.querySelectorAll('script:not([src])');
+      for (const script of inlineScripts) {
+        const lat = script.textContent.match(/b_map_center_latitude\s*[:=]\s*['"]?(-?[\d.]+)/);
+        const lng = script.textContent.match(/b_map_center_longitude\s*[:=]\s*['"]?(-?[\d.]+)/);
+        const location = lat && lng ? toLocation(lat[1], lng[1]) : null;
+        if (location) {
+          console.log(`🏨 Found coordinates in page variables: ${location.lat}, ${location.lng}`);
+          return location;
+        }
+      }
+
+      // 2. Structured data (JSON-LD)
+      const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+      for (const script of scripts) {
+        try {
+          const data = JSON.parse(script.textContent);
+          const location = data.geo ? toLocation(data.geo.latitude, data.geo.longitude) : null;
+          if (location) {
+            console.log(`🏨 Found coordinates in JSON-LD geo: ${location.lat}, ${location.lng}`);
+            return location;
+          }
+        } catch (e) {
+          // Skip invalid JSON
+        }
+      }
+    } catch (error) {
+      console.warn('🏨 Hotel Bedding Ratings: Error extracting hotel location:', error);
+    }
+
+    return null;
+  },
+
+  // '/hotel/de/adlon-kempinski.en-gb.html' -> 'de:adlon-kempinski'
+  parseHotelSlug(url) {
+    const match = String(url).match(/\/hotel\/([a-z]{2})\/([a-z0-9-]+)/i);
+    return match ? `${match[1].toLowerCase()}:${match[2].toLowerCase()}` : null;
+  },
+
+  // Property ID key when known, else the slug key
+  hotelKeyFor(identifiers) {
+    if (identifiers.bookingId) {
+      return `booking:${identifiers.bookingId}`;
+    }
+    if (identifiers.slug) {
+      return `booking:${identifiers.slug}`;
+    }
+    return null;
+  },
+
+  // Only slug keys ('booking:de:adlon-kempinski') map to a page URL
+  pageUrlFor(hotelKey) {
+    const match = String(hotelKey).match(/^booking:([a-z]{2}):([a-z0-9-]+)$/);
+    return match ? `https://www.booking.com/hotel/${match[1]}/${match[2]}.html` : null;
+  },
+
+  mountPoint() {
+    return document.body;
+  },
+
+  // Room types from the availability table (#hprt-table), one per Booking room id.
+  // The room name link carries the id; warnings go below it.
+  findRoomTypes() {
+    const roomTypes = new Map();
+    const links = document.querySelectorAll('#hprt-table .hprt-roomtype-link[data-room-id], #hprt-table a[data-room-id], .roomstable a[data-room-id]');
+    links.forEach(link => {
+      const roomTypeId = link.getAttribute('data-room-id');
+      const name = (link.querySelector('.hprt-roomtype-icon-link') || link).textContent.trim().replace(/\s+/g, ' ');
+      if (roomTypeId && name && !roomTypes.has(roomTypeId)) {
+        roomTypes.set(roomTypeId, { roomTypeId, name, element: link.closest('.hprt-roomtype-block') || link.parentElement });
+      }
+    });
+    console.log(`🏨 Found ${roomTypes.size} room types in the room table`);
+    return [...roomTypes.values()];
+  },
+
+  // Property cards with the hotel key derived from their /hotel/<cc>/<slug> link
+  findSearchResults() {
+    const results = [];
+    document.querySelectorAll('[data-testid="property-card"]').forEach(card => {
+      const link = card.querySelector('a[data-testid="title-link"]') || card.querySelector('a[href*="/hotel/"]');
+      const slug = link ? this.parseHotelSlug(link.href) : null;
+      if (slug) {
+        results.push({ card, link, hotelKey: `booking:${slug}` });
+      }
+    });
+    return results;
+  }
+});
@@ -0,0 +1,77 @@
+// Expedia adapter: property pages (/<City>-Hotels-<Name>.h<id>.Hotel-Information).
+// Hotels.com runs on the same platform, so its adapter reuses ExpediaPlatform.
+
+const ExpediaPlatform = {
+  // Expedia property ID from '...h12345.Hotel-Information'
+  parsePropertyId(url) {
+    const match = String(url).match(/[./]h(\d+)\.Hotel-Information/i);
+    return match ? match[1] : null;
+  },
+
+  extractName() {
+    const name = SiteAdapters.firstText([
+      '[data-stid="content-hotel-title"] h1',
+      'h1.uitk-heading',
+      'h1'
+    ]);
+    if (name) {
+      console.log(`🏨 Found hotel name: "${name}"`);
+      return name;
+    }
+
+    const hotel = SiteAdapters.findJsonLd(item => item['@type'] === 'Hotel' || item['@type'] === 'LodgingBusiness');
+    return hotel && hotel.name ? hotel.name : '';
+  },
+
+  extractAddress() {
+    const address = SiteAdapters.firstText([
+      '[data-stid="content-hotel-address"]',
+      '[itemprop="address"]'
+    ]);
+    if (address) {
+      console.log(`🏨 Found address: "${address}"`);
+      return address;
+    }
+
+    const hotel = SiteAdapters.findJsonLd(item => !!item.address);
+    return hotel ? SiteAdapters.formatPostalAddress(hotel.address) : '';
+  }
+};
+
+SiteAdapters.register({
+  id: 'expedia',
+  name: 'Expedia',
+
+  isHotelPage(url) {
+    return /^https:\/\/www\.expedia\.[a-z.]+\//i.test(url) && !!ExpediaPlatform.parsePropertyId(url);
+  },
+
+  extractHotelInfo() {
+    const identifiers = {};
+    const expediaId = ExpediaPlatform.parsePropertyId(window.location.href);
+    if (expediaId) {
+      identifiers.expediaId = expediaId;
+      console.log(`🏨 Found Expedia property ID: ${expediaId}`);
+    }
+
+    return {
+      name: ExpediaPlatform.extractName(),
+      address: ExpediaPlatform.extractAddress(),
+      identifiers,
+      locality: SiteAdapters.findLocality()
+    };
+  },
+
+  hotelKeyFor(identifiers) {
+    return identifiers.expediaId ? `expedia:${identifiers.expediaId}` : null;
+  },
+
+  pageUrlFor(hotelKey) {
+    const match = String(hotelKey).match(/^expedia:(\d+)$/);
+    return match ? `https://www.expedia.com/h${match[1]}.Hotel-Information` : null;
+  },
+
+  mountPoint() {
+    return document.body;
+  }
+});
@@ -0,0 +1,62 @@
+// Hotels.com adapter. Current property pages use Expedia's property ID
+// (/h<id>.Hotel-Information), older ones the Hotels.com ID (/ho<id>/...).
+
+SiteAdapters.register({
+  id: 'hotelscom',
+  name: 'Hotels.com',
+
+  // '/ho123456/hotel-adlon-berlin-germany/' -> '123456'
+  parseHotelsComId(url) {
+    const match = String(url).match(/hotels\.com\/ho(\d+)/i);
+    return match ? match[1] : null;
+  },
+
+  isHotelPage(url) {
+    return /^https:\/\/([a-z-]+\.)?hotels\.com\//i.test(url) &&
+           (!!ExpediaPlatform.parsePropertyId(url) || !!this.parseHotelsComId(url));
+  },
+
+  extractHotelInfo() {
+    const identifiers = {};
+    const url = window.location.href;
+
+    const expediaId = ExpediaPlatform.parsePropertyId(url);
+    if (expediaId) {
+      identifiers.expediaId = expediaId;
+      console.log(`🏨 Found Expedia property ID: ${expediaId}`);
+    }
+    const hotelsComId = this.parseHotelsComId(url);
+    if (hotelsComId) {
+      identifiers.hotelsComId = hotelsComId;
+      console.log(`🏨 Found Hotels.com ID: ${hotelsComId}`);
+    }
+
+    return {
+      name: ExpediaPlatform.extractName(),
+      address: ExpediaPlatform.extractAddress(),
+      identifiers,
+      locality: SiteAdapters.findLocality()
+    };
+  },
+
+  // Same property ID as Expedia, so both sites share one key
+  hotelKeyFor(identifiers) {
+    if (identifiers.expediaId) {
+      return `expedia:${identifiers.expediaId}`;
+    }
+    if (identifiers.hotelsComId) {
+      return `hotelscom:${identifiers.hotelsComId}`;
+    }
+    return null;
+  },
+
+  // Expedia keys are opened on Expedia (see adapters/expedia.js)
+  pageUrlFor(hotelKey) {
+    const match = String(hotelKey).match(/^hotelscom:(\d+)$/);
+    return match ? `https://www.hotels.com/ho${match[1]}` : null;
+  },
+
+  mountPoint() {
+    return document.body;
+  }
+});
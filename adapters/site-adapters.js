@@ -0,0 +1,108 @@
+// Site adapter registry. Each supported booking site registers an adapter in
+// its own file (adapters/<site>.js) describing how to recognise its pages and
+// extract a hotel from them:
+//
+//   id                   short site id, also the prefix of its hotel keys
+//   name                 display name ('Booking.com')
+//   isHotelPage(url)     true on a single property's page
+//   isSearchPage(url)    optional, true on search results (badges)
+//   extractHotelInfo()   { name, address, identifiers, location?, locality? } from
+//                        the current page; location is { lat, lng }, locality
+//                        { city, country } from the page's structured data
+//   hotelKeyFor(ids)     site hotel key for the extracted identifiers, or null
+//   mountPoint()         element the in-page panel is attached to
+//   findSearchResults()  optional, [{ card, link, hotelKey }] on search pages
+//   pageUrlFor(key)      optional, property page URL for one of its hotel keys
+//   findRoomTypes()      optional, [{ roomTypeId, name, element }] from the page's
+//                        room list; element is where room warnings are shown
+
+const SiteAdapters = {
+  adapters: [],
+
+  register(adapter) {
+    this.adapters.push(adapter);
+  },
+
+  // Adapter for a page URL (hotel or search page), or null on unsupported sites
+  forUrl(url) {
+    return this.adapters.find(adapter => (
+      adapter.isHotelPage(url) || (adapter.isSearchPage && adapter.isSearchPage(url))
+    )) || null;
+  },
+
+  // Property page for a hotel key ('expedia:123' -> Expedia's page), or null
+  pageUrlFor(hotelKey) {
+    const siteId = String(hotelKey).split(':')[0];
+    const adapter = this.adapters.find(candidate => candidate.id === siteId);
+    return adapter && adapter.pageUrlFor ? adapter.pageUrlFor(hotelKey) : null;
+  },
+
+  siteNames() {
+    return this.adapters.map(adapter => adapter.name);
+  },
+
+  // First JSON-LD object (including @graph entries) the predicate accepts
+  findJsonLd(predicate) {
+    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+    for (const script of scripts) {
+      try {
+        const data = JSON.parse(script.textContent);
+        const items = (Array.isArray(data) ? data : [data])
+          .flatMap(item => (item && Array.isArray(item['@graph']) ? item['@graph'] : [item]));
+        const match = items.find(item => item && predicate(item));
+        if (match) {
+          return match;
+        }
+      } catch (e) {
+        // Skip invalid JSON
+      }
+    }
+    return null;
+  },
+
+  // Address string from a JSON-LD address (plain string or PostalAddress)
+  formatPostalAddress(address) {
+    if (!address) {
+      return '';
+    }
+    if (typeof address === 'string') {
+      return address.trim();
+    }
+    if (address.streetAddress) {
+      const country = address.addressCountry && typeof address.addressCountry === 'object'
+        ? address.addressCountry.name
+        : address.addressCountry;
+      return `${address.streetAddress || ''}, ${address.addressLocality || ''}, ${address.postalCode || ''} ${country || ''}`.replace(/,\s*,/g, ',').trim();
+    }
+    return '';
+  },
+
+  // { city, country } from the JSON-LD PostalAddress, or null. Leaderboards list
+  // hotels by city; the server falls back to parsing the address without it.
+  findLocality() {
+    const item = this.findJsonLd(candidate => !!candidate.address && typeof candidate.address === 'object');
+    const address = item ? item.address : null;
+    if (!address || !address.addressLocality) {
+      return null;
+    }
+    const country = address.addressCountry && typeof address.addressCountry === 'object'
+      ? address.addressCountry.name
+      : address.addressCountry;
+    return {
+      city: String(address.addressLocality).trim(),
+      country: country ? String(country).trim() : null
+    };
+  },
+
+  // Text of the first selector that matches an element with text
+  firstText(selectors) {
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      const text = element && element.textContent ? element.textContent.trim() : '';
+      if (text) {
+        return text;
+      }
+    }
+    return '';
+  }
+};
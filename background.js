@@ -0,0 +1,184 @@
+// Background service worker - sends ratings for the popup and the in-page panel.
+// When the rating server can't be reached (e.g. while Render cold-starts) the
+// rating is queued in chrome.storage and retried with backoff until delivered.
+// Every submission carries its idempotency key, so retries are stored once.
+// Ratings are sent signed in when the user has an account (account.html), and
+// every accepted or queued rating is recorded for the history page.
+
+importScripts('rating-form.js', 'account-session.js', 'rating-history.js');
+
+const API_BASE = 'https://hotel-ratings-backend.onrender.com/api/v1';
+const QUEUE_STORAGE_KEY = 'ratingQueue';
+const RETRY_ALARM = 'ratingQueueRetry';
+const BASE_RETRY_DELAY_MS = 30 * 1000; // Chrome alarms fire at most every 30 seconds
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 30; // About a day at the maximum delay
+
+let processing = false;
+
+// POST with the account's token; an anonymous rating's claim token is kept so
+// the rating can be moved into an account later. A token the server no longer
+// accepts signs the extension out and the rating is sent anonymously instead.
+async function postSignedIn(ratingData, idempotencyKey) {
+  let outcome;
+  try {
+    outcome = await RatingForm.postRating(API_BASE, ratingData, idempotencyKey, await AccountSession.authHeaders());
+  } catch (error) {
+    if (error.status !== 401) {
+      throw error;
+    }
+    console.warn('Hotel Bedding Ratings Background: Access token rejected, signing out');
+    await AccountSession.clear();
+    outcome = await RatingForm.postRating(API_BASE, ratingData, idempotencyKey);
+  }
+
+  if (outcome.result && outcome.result.claimToken) {
+    await AccountSession.rememberClaimToken(outcome.result.claimToken);
+  }
+  return outcome;
+}
+
+async function loadQueue() {
+  const stored = await chrome.storage.local.get(QUEUE_STORAGE_KEY);
+  return stored[QUEUE_STORAGE_KEY] || [];
+}
+
+async function saveQueue(queue) {
+  await chrome.storage.local.set({ [QUEUE_STORAGE_KEY]: queue });
+  await chrome.action.setBadgeText({ text: queue.length > 0 ? String(queue.length) : '' });
+}
+
+// 30s, 1m, 2m, 4m ... capped at an hour
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// One alarm for the earliest queued retry
+async function scheduleRetry(queue) {
+  if (queue.length === 0) {
+    await chrome.alarms.clear(RETRY_ALARM);
+    return;
+  }
+  const nextAttemptAt = Math.min(...queue.map(item => item.nextAttemptAt));
+  await chrome.alarms.create(RETRY_ALARM, { when: Math.max(nextAttemptAt, Date.now() + BASE_RETRY_DELAY_MS) });
+}
+
+function notify(title, message) {
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icon128.png',
+    title,
+    message
+  });
+}
+
+async function enqueue(ratingData, idempotencyKey, error) {
+  const queue = await loadQueue();
+  queue.push({
+    idempotencyKey,
+    ratingData,
+    attempts: 1,
+    queuedAt: Date.now(),
+    nextAttemptAt: Date.now() + retryDelay(1),
+    lastError: error.message
+  });
+  await saveQueue(queue);
+  await scheduleRetry(queue);
+  console.log(`Hotel Bedding Ratings Background: Queued rating ${idempotencyKey} (${queue.length} waiting)`);
+}
+
+// Retry every queued rating that is due
+async function processQueue() {
+  if (processing) {
+    return;
+  }
+  processing = true;
+
+  try {
+    const queue = await loadQueue();
+    const remaining = [];
+
+    for (const item of queue) {
+      if (item.nextAttemptAt > Date.now()) {
+        remaining.push(item);
+        continue;
+      }
+
+      const hotelName = item.ratingData.hotelName || 'this hotel';
+      try {
+        const { result, rateLimited } = await postSignedIn(item.ratingData, item.idempotencyKey);
+        if (rateLimited) {
+          await RatingHistory.updateStatus(item.idempotencyKey, 'failed');
+          notify('Rating not submitted', `Your rating for ${hotelName} was not accepted: ${rateLimited}`);
+        } else {
+          await RatingHistory.updateStatus(item.idempotencyKey, 'submitted', result.rating);
+          notify('Rating delivered', `Your queued rating for ${hotelName} has been submitted. Thank you!`);
+        }
+        console.log(`Hotel Bedding Ratings Background: Delivered queued rating ${item.idempotencyKey}`);
+      } catch (error) {
+        if (error.retryable && item.attempts < MAX_ATTEMPTS) {
+          item.attempts++;
+          item.nextAttemptAt = Date.now() + retryDelay(item.attempts);
+          item.lastError = error.message;
+          remaining.push(item);
+        } else {
+          await RatingHistory.updateStatus(item.idempotencyKey, 'failed');
+          notify('Rating not submitted', `Your rating for ${hotelName} could not be submitted: ${error.message}`);
+          console.warn(`Hotel Bedding Ratings Background: Dropped queued rating ${item.idempotencyKey}:`, error);
+        }
+      }
+    }
+
+    // Ratings queued while this run was in flight are kept
+    const current = await loadQueue();
+    const handled = new Set(queue.map(item => item.idempotencyKey));
+    const updated = [...remaining, ...current.filter(item => !handled.has(item.idempotencyKey))];
+
+    await saveQueue(updated);
+    await scheduleRetry(updated);
+  } finally {
+    processing = false;
+  }
+}
+
+// Send a rating now; queue it when the server is unreachable
+async function submitRating(ratingData, idempotencyKey, pageUrl) {
+  try {
+    const outcome = await postSignedIn(ratingData, idempotencyKey);
+    if (outcome.result) {
+      await RatingHistory.record(idempotencyKey, ratingData, { status: 'submitted', pageUrl, rating: outcome.result.rating });
+    }
+    return outcome;
+  } catch (error) {
+    if (error.retryable) {
+      await enqueue(ratingData, idempotencyKey, error);
+      await RatingHistory.record(idempotencyKey, ratingData, { status: 'queued', pageUrl });
+      return { queued: true };
+    }
+    return { error: error.message };
+  }
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'submitRating') {
+    submitRating(request.ratingData, request.idempotencyKey, request.pageUrl).then(sendResponse);
+    return true; // Keep message channel open for async response
+  }
+  return false;
+});
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === RETRY_ALARM) {
+    processQueue();
+  }
+});
+
+// Pick up ratings left in the queue when the browser was closed
+chrome.runtime.onStartup.addListener(() => {
+  loadQueue().then(queue => {
+    queue.forEach(item => {
+      item.nextAttemptAt = Date.now();
+    });
+    return saveQueue(queue).then(() => processQueue());
+  });
+});
@@ -0,0 +1,125 @@
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log('Hotel Bedding Ratings Compare: Initializing...');
+
+  const API_BASE = 'https://hotel-ratings-backend.onrender.com/api/v1';
+  const statusMessage = document.getElementById('statusMessage');
+  const comparisonTable = document.getElementById('comparisonTable');
+
+  let display = null;
+
+  function showStatus(message, type) {
+    statusMessage.innerHTML = message;
+    statusMessage.className = type || '';
+    statusMessage.style.display = 'block';
+    comparisonTable.style.display = 'none';
+  }
+
+  async function loadVocabulary() {
+    const response = await fetch(`${API_BASE}/vocabulary`);
+    if (!response.ok) {
+      throw new Error(`Could not load rating vocabulary (${response.status})`);
+    }
+    return response.json();
+  }
+
+  async function loadComparison(pinned) {
+    const response = await fetch(`${API_BASE}/ratings/compare?include=distribution`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({ hotelKeys: pinned.map(hotel => hotel.hotelKey) })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Could not load comparison (${response.status})`);
+    }
+    return response.json();
+  }
+
+  // One table cell: distribution bar plus every value that was chosen
+  function formatCategoryCell(category, data) {
+    if (!data || data.total === 0) {
+      return '<td class="no-data">No ratings</td>';
+    }
+
+    const breakdown = data.distribution ? data.distribution.filter(rating => rating.count > 0) : data.top2;
+    let cellHTML = `<td class="${data.insufficientData ? 'low-confidence' : ''}">`;
+    cellHTML += display.formatTrend(data.trend);
+    cellHTML += display.formatDistributionBar(category, breakdown);
+    breakdown.forEach(rating => {
+      cellHTML += `${display.formatRatingItem(category.key, rating)}<br>`;
+    });
+    if (data.insufficientData) {
+      cellHTML += `<span class="sample-note">based on ${data.total} rating${data.total === 1 ? '' : 's'}</span>`;
+    }
+    return cellHTML + '</td>';
+  }
+
+  function renderComparison(vocabulary, pinned, comparison) {
+    let tableHTML = '<thead><tr><th>Category</th>';
+    comparison.hotels.forEach((hotel, index) => {
+      const pin = pinned[index];
+      const name = escapeHTML(hotel.name || pin.name || 'Unknown hotel');
+      const title = pin.url ? `<a href="${escapeHTML(pin.url)}" target="_blank" rel="noopener">${name}</a>` : name;
+      tableHTML += `<th class="hotel-heading">
+        ${title}
+        <small>${hotel.totalRatings} rating${hotel.totalRatings === 1 ? '' : 's'}</small>
+        <button type="button" class="unpin-btn" data-hotel-key="${escapeHTML(pin.hotelKey)}">Unpin</button>
+      </th>`;
+    });
+    tableHTML += '</tr></thead><tbody>';
+
+    comparison.categories.forEach(row => {
+      const category = vocabulary.categories.find(c => c.key === row.key);
+      if (!category) {
+        return;
+      }
+      tableHTML += `<tr><th>${category.label}</th>`;
+      row.hotels.forEach(data => {
+        tableHTML += formatCategoryCell(category, data);
+      });
+      tableHTML += '</tr>';
+    });
+
+    tableHTML += '</tbody>';
+    comparisonTable.innerHTML = tableHTML;
+    comparisonTable.style.display = 'table';
+    statusMessage.style.display = 'none';
+
+    comparisonTable.querySelectorAll('.unpin-btn').forEach(button => {
+      button.addEventListener('click', async () => {
+        await PinnedHotels.unpin(button.dataset.hotelKey);
+        await refresh();
+      });
+    });
+  }
+
+  async function refresh() {
+    const pinned = await PinnedHotels.list();
+
+    if (pinned.length < 2) {
+      showStatus(`
+        <p><strong>Pin at least two hotels to compare them.</strong></p>
+        <p>Open a hotel page, click the extension icon and use "📌 Pin for comparison".</p>
+      `);
+      return;
+    }
+
+    try {
+      const vocabulary = await loadVocabulary();
+      display = RatingDisplay.create(vocabulary);
+      const comparison = await loadComparison(pinned);
+      console.log('Hotel Bedding Ratings Compare: Comparison:', comparison);
+      renderComparison(vocabulary, pinned, comparison);
+    } catch (error) {
+      console.error('Hotel Bedding Ratings Compare: Error loading comparison:', error);
+      showStatus(`❌ ${escapeHTML(error.message)}. Please check your internet connection and reload this page.`, 'error');
+    }
+  }
+
+  await refresh();
+
+  console.log('Hotel Bedding Ratings Compare: Initialization complete');
+});
@@ -1,5 +1,5 @@
 // Chrome Extension Content Script for Hotel Bedding Ratings
-// Extracts hotel information from Booking.com pages
+// Extracts hotel information through the site adapters in adapters/
 
 console.log('🏨 Hotel Bedding Ratings: Content script loaded');
 console.log('🏨 Current URL:', window.location.href);
@@ -8,7 +8,7 @@ console.log('🏨 Page title:', document.title);
 class HotelBeddingRatings {
   constructor() {
     this.hotelInfo = null;
-    this.backendUrl = 'https://hotel-ratings-backend.onrender.com';
+    this.backendUrl = 'https://hotel-ratings-backend.onrender.com/api/v1';
     this.init();
   }
 
@@ -26,10 +26,17 @@ class HotelBeddingRatings {
 
   start() {
     console.log('🏨 Hotel Bedding Ratings: Starting extraction...');
-    
-    // Verify we're on a Booking.com hotel page
-    if (!this.isBookingHotelPage()) {
-      console.warn('🏨 Not on a Booking.com hotel page');
+
+    this.adapter = SiteAdapters.forUrl(window.location.href);
+    if (!this.adapter) {
+      console.warn('🏨 Not on a supported hotel page');
+      return;
+    }
+    console.log(`🏨 Using the ${this.adapter.name} adapter`);
+
+    // Search results get badges on each property card instead of the hotel UI
+    if (this.isSearchPage()) {
+      this.searchBadges = new SearchResultBadges(this.backendUrl, this.adapter);
       return;
     }
 
@@ -39,176 +46,22 @@ class HotelBeddingRatings {
     }, 2000);
   }
 
-  isBookingHotelPage() {
-    const url = window.location.href;
-    return url.includes('booking.com/hotel/') || 
-           url.includes('booking.com/Share-') ||
-           (url.includes('booking.com') && url.includes('.html'));
+  isSearchPage() {
+    return !!this.adapter && !!this.adapter.isSearchPage && this.adapter.isSearchPage(window.location.href);
   }
 
   extractHotelInfo() {
     console.log('🏨 Hotel Bedding Ratings: Starting hotel info extraction...');
-    
-    let name = '';
-    let address = '';
 
     try {
-      // 1. Get hotel name from h2 element
-      console.log('🏨 Looking for hotel name...');
-      
-      const h2Elements = document.querySelectorAll('h2');
-      for (const h2 of h2Elements) {
-        const text = h2.textContent?.trim();
-        console.log(`🏨 Checking h2: "${text}"`);
-        
-        if (text && text.length > 5 && text.length < 200) {
-          // Skip navigation and UI elements
-          if (!text.toLowerCase().includes('booking') && 
-              !text.toLowerCase().includes('search') &&
-              !text.toLowerCase().includes('filter') &&
-              !text.toLowerCase().includes('sort') &&
-              !text.toLowerCase().includes('menu') &&
-              !text.toLowerCase().includes('sign in') &&
-              !text.toLowerCase().includes('register')) {
-            name = text;
-            console.log(`🏨 Found hotel name: "${name}"`);
-            break;
-          }
-        }
-      }
-
-      // 2. Get address using Booking.com's consistent structure
-      console.log('🏨 Looking for address using structure-based approach...');
-      
-      // Method 1: Look for address near location pin icon
-      const locationSelectors = [
-        '[data-testid="address"]',
-        '[data-testid="property-address"]', 
-        '.hp_address_subtitle',
-        '.hp_address',
-        '[aria-label*="address"]',
-        '[class*="address"]',
-        'span[data-testid*="address"]'
-      ];
-      
-      for (const selector of locationSelectors) {
-        const addressElement = document.querySelector(selector);
-        if (addressElement) {
-          const addressText = addressElement.textContent?.trim();
-          if (addressText && addressText.length > 10) {
-            address = addressText;
-            console.log(`🏨 Found address via selector "${selector}": "${address}"`);
-            break;
-          }
-        }
-      }
-
-      // Method 2: Look for elements containing location pin SVG and get nearby text
-      if (!address) {
-        console.log('🏨 Looking for address near location pin...');
-        
-        const svgElements = document.querySelectorAll('svg');
-        for (const svg of svgElements) {
-          // Check if this SVG looks like a location pin
-          const svgContent = svg.innerHTML.toLowerCase();
-          if (svgContent.includes('path') && (svgContent.includes('location') || svg.getAttribute('aria-label')?.includes('location'))) {
-            console.log('🏨 Found location pin SVG');
-            
-            // Look for address text in nearby elements
-            let parent = svg.parentElement;
-            for (let i = 0; i < 5 && parent; i++) {
-              const addressCandidates = parent.querySelectorAll('span, div, p');
-              for (const candidate of addressCandidates) {
-                const text = candidate.textContent?.trim();
-                if (text && text.length > 10 && text.length < 200) {
-                  // Check if it looks like an address (has numbers, street indicators, etc.)
-                  const hasNumbers = /\d/.test(text);
-                  const hasComma = text.includes(',');
-                  const excludeWords = ['guest', 'review', 'rating', 'book', 'price', 'night', 'room', 'available'];
-                  const hasExcludeWord = excludeWords.some(word => text.toLowerCase().includes(word));
-                  
-                  if (hasNumbers && hasComma && !hasExcludeWord) {
-                    address = text;
-                    console.log(`🏨 Found address near location pin: "${address}"`);
-                    break;
-                  }
-                }
-              }
-              if (address) break;
-              parent = parent.parentElement;
-            }
-            if (address) break;
-          }
-        }
-      }
-
-      // Method 3: Look for structured data (JSON-LD)
-      if (!address) {
-        console.log('🏨 Looking for address in structured data...');
-        
-        const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-        for (const script of scripts) {
-          try {
-            const data = JSON.parse(script.textContent);
-            if (data.address) {
-              if (typeof data.address === 'string') {
-                address = data.address;
-              } else if (data.address.streetAddress) {
-                const addr = data.address;
-                address = `${addr.streetAddress || ''}, ${addr.addressLocality || ''}, ${addr.postalCode || ''} ${addr.addressCountry || ''}`.replace(/,\s*,/g, ',').trim();
-              }
-              if (address) {
-                console.log(`🏨 Found address in structured data: "${address}"`);
-                break;
-              }
-            }
-          } catch (e) {
-            // Skip invalid JSON
-          }
-        }
+      // Single-page sites (Airbnb, Expedia) change the URL without reloading the script
+      this.adapter = SiteAdapters.forUrl(window.location.href);
+      if (!this.adapter || !this.adapter.isHotelPage(window.location.href)) {
+        this.hotelInfo = null;
+        return;
       }
 
-      // Method 4: Look for address patterns in text content
-      if (!address) {
-        console.log('🏨 Looking for address patterns in page content...');
-        
-        const allElements = document.querySelectorAll('span, div, p');
-        for (const el of allElements) {
-          const text = el.textContent?.trim();
-          
-          if (text && text.length > 15 && text.length < 300) {
-            // Look for address patterns (street number + street name, postal codes, etc.)
-            const hasStreetPattern = /\d+\s+[\w\s]+(straße|str\.|street|avenue|road|way|lane)/i.test(text);
-            const hasPostalCode = /\b\d{4,5}\b/.test(text);
-            const hasCommas = (text.match(/,/g) || []).length >= 1;
-            
-            // Exclude obvious non-address content
-            const excludePatterns = [
-              /review|guest|rating|book|price|night|room|available|excellent|good|bad|stay/i,
-              /\d+\s*(euro|eur|€|\$|usd)/i,
-              /\d+\s*(star|rating)/i
-            ];
-            
-            const isExcluded = excludePatterns.some(pattern => pattern.test(text));
-            
-            if ((hasStreetPattern || hasPostalCode) && hasCommas && !isExcluded) {
-              address = text.replace(/\s*[–-]\s*$/, '').trim();
-              console.log(`🏨 Found address via pattern matching: "${address}"`);
-              break;
-            }
-          }
-        }
-      }
-
-      // Fallback for name from page title
-      if (!name) {
-        const pageTitle = document.title;
-        if (pageTitle && !pageTitle.includes('Booking.com')) {
-          const parts = pageTitle.split(',')[0].split(' - ')[0].split('(')[0];
-          name = parts.trim();
-          console.log(`🏨 Got name from page title: "${name}"`);
-        }
-      }
+      let { name, address, identifiers, location, locality } = this.adapter.extractHotelInfo();
 
       // Set defaults if not found
       if (!name) {
@@ -218,15 +71,27 @@ class HotelBeddingRatings {
         address = 'Address not available';
       }
 
-      // Generate hotelKey
+      // Legacy hotelKey from name+address, still sent so the server can map old ratings
       const normalizedName = name.toLowerCase().replace(/[^\w\s]/g, '').trim();
       const normalizedAddress = address.toLowerCase().replace(/[^\w\s]/g, '').trim();
-      const hotelKey = btoa(normalizedName + '|' + normalizedAddress).replace(/[/+=]/g, '');
+      const legacyHotelKey = btoa(normalizedName + '|' + normalizedAddress).replace(/[/+=]/g, '');
+
+      // Stable hotelKey from the site's own identifiers, legacy key as last resort
+      const hotelKey = this.adapter.hotelKeyFor(identifiers) || legacyHotelKey;
 
       this.hotelInfo = {
         name,
         address,
         hotelKey,
+        legacyHotelKey,
+        identifiers,
+        location: location || null, // { lat, lng } when the adapter finds map data
+        locality: locality || null, // { city, country } from the page's structured data
+        // Room types for the rating form; the elements stay here for the room warnings
+        roomTypes: this.adapter.findRoomTypes
+          ? this.adapter.findRoomTypes().map(({ roomTypeId, name: roomTypeName }) => ({ roomTypeId, name: roomTypeName }))
+          : [],
+        site: this.adapter.id,
         url: window.location.href
       };
 
@@ -248,46 +113,13 @@ class HotelBeddingRatings {
     }
   }
 
+  // Collapsible in-page panel with the summary and rating form (rating-panel.js)
   createRatingsUI() {
     try {
-      // Remove existing container if present
-      const existing = document.getElementById('hotel-bedding-ratings-container');
-      if (existing) {
-        existing.remove();
-      }
-
-      const ratingsContainer = document.createElement('div');
-      ratingsContainer.id = 'hotel-bedding-ratings-container';
-      ratingsContainer.className = 'hotel-bedding-ratings-container';
-      
-      // Simple UI
-      ratingsContainer.innerHTML = `
-        <div class="bedding-header">
-          <h3>🛏️ Hotel Bedding Ratings</h3>
-          <p><strong>Hotel:</strong> ${this.hotelInfo.name}</p>
-          <p><strong>Address:</strong> ${this.hotelInfo.address}</p>
-          
-          <button class="submit-rating-btn" id="open-rating-popup">
-            Submit Rating
-          </button>
-          <div class="copyright-notice">
-            <small>© All rights reserved Alex Christophe 2025</small>
-          </div>
-        </div>
-      `;
-
-      // Add click handler
-      const button = ratingsContainer.querySelector('#open-rating-popup');
-      if (button) {
-        button.addEventListener('click', () => {
-          alert('Please click the extension icon in your browser toolbar to submit a rating.');
-        });
-      }
-
-      // Append to body
-      document.body.appendChild(ratingsContainer);
-      console.log('🏨 Hotel Bedding Ratings: UI container created successfully');
-
+      this.ratingPanel = new RatingPanel(this.hotelInfo, this.backendUrl, this.adapter);
+      this.ratingPanel.mount(this.adapter.mountPoint()).catch(error => {
+        console.error('🏨 Hotel Bedding Ratings: Error creating rating panel:', error);
+      });
     } catch (error) {
       console.error('🏨 Hotel Bedding Ratings: Error creating UI:', error);
     }
@@ -299,8 +131,10 @@ class HotelBeddingRatings {
         console.log('🏨 Hotel Bedding Ratings: Received message:', request);
         
         if (request.action === 'getHotelInfo') {
-          // If hotel info isn't extracted yet, try to extract it now
-          if (!this.hotelInfo) {
+          // Extract now if hotel info isn't ready yet or the page has moved on
+          const currentPage = window.location.origin + window.location.pathname;
+          const stale = !this.hotelInfo || !this.hotelInfo.url || !this.hotelInfo.url.startsWith(currentPage);
+          if (stale && !this.isSearchPage()) {
             console.log('🏨 Hotel info not ready, extracting now...');
             this.extractHotelInfo();
           }
@@ -329,6 +163,135 @@ class HotelBeddingRatings {
   }
 }
 
+// Rating badges on search result cards ('quiet', 'street noise', 'firm bed'),
+// for sites whose adapter can find them (adapter.findSearchResults).
+// Cards are added and replaced as the list scrolls or filters change, so scans
+// are debounced and summaries are cached per hotel key.
+class SearchResultBadges {
+  constructor(backendUrl, adapter) {
+    this.backendUrl = backendUrl;
+    this.adapter = adapter;
+    this.cache = new Map(); // hotelKey -> { summary, fetchedAt }
+    this.pending = new Set();
+    this.scanTimer = null;
+    this.retryAfter = 0;
+
+    this.SCAN_DELAY_MS = 500;
+    this.CACHE_TTL_MS = 10 * 60 * 1000;
+    this.RETRY_DELAY_MS = 60 * 1000;
+    this.BATCH_SIZE = 50; // Server limit per request
+
+    this.start();
+  }
+
+  start() {
+    console.log('🏨 Hotel Bedding Ratings: Watching search results for property cards...');
+
+    const observer = new MutationObserver(() => this.scheduleScan());
+    observer.observe(document.body, { childList: true, subtree: true });
+    window.addEventListener('scroll', () => this.scheduleScan(), { passive: true });
+
+    this.scheduleScan();
+  }
+
+  scheduleScan() {
+    clearTimeout(this.scanTimer);
+    this.scanTimer = setTimeout(() => this.scan(), this.SCAN_DELAY_MS);
+  }
+
+  async scan() {
+    const cards = this.adapter.findSearchResults();
+    if (cards.length === 0) {
+      return;
+    }
+
+    const now = Date.now();
+    const missing = [...new Set(cards.map(card => card.hotelKey))].filter(hotelKey => {
+      const cached = this.cache.get(hotelKey);
+      return !this.pending.has(hotelKey) && (!cached || now - cached.fetchedAt > this.CACHE_TTL_MS);
+    });
+
+    // Cached badges go on straight away, the rest once fetched
+    cards.forEach(card => this.renderBadges(card));
+
+    if (missing.length > 0 && now >= this.retryAfter) {
+      await this.fetchSummaries(missing);
+      this.adapter.findSearchResults().forEach(card => this.renderBadges(card));
+    }
+  }
+
+  async fetchSummaries(hotelKeys) {
+    console.log(`🏨 Hotel Bedding Ratings: Fetching badges for ${hotelKeys.length} hotels`);
+    hotelKeys.forEach(hotelKey => this.pending.add(hotelKey));
+
+    try {
+      for (let i = 0; i < hotelKeys.length; i += this.BATCH_SIZE) {
+        const response = await fetch(`${this.backendUrl}/ratings/summaries`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          body: JSON.stringify({ hotelKeys: hotelKeys.slice(i, i + this.BATCH_SIZE) })
+        });
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        const fetchedAt = Date.now();
+        data.summaries.forEach(summary => {
+          this.cache.set(summary.requestedKey, { summary, fetchedAt });
+        });
+      }
+    } catch (error) {
+      // Back off so page mutations don't turn into a stream of failing requests
+      this.retryAfter = Date.now() + this.RETRY_DELAY_MS;
+      console.warn('🏨 Hotel Bedding Ratings: Could not load search result badges:', error);
+    } finally {
+      hotelKeys.forEach(hotelKey => this.pending.delete(hotelKey));
+    }
+  }
+
+  renderBadges({ card, link, hotelKey }) {
+    const cached = this.cache.get(hotelKey);
+    if (!cached || cached.summary.totalRatings === 0) {
+      return;
+    }
+
+    const existing = card.querySelector('.bedding-badges');
+    if (existing && existing.dataset.fetchedAt === String(cached.fetchedAt)) {
+      return;
+    }
+    if (existing) {
+      existing.remove();
+    }
+
+    const { summary } = cached;
+    const container = document.createElement('div');
+    container.className = 'bedding-badges';
+    container.dataset.fetchedAt = String(cached.fetchedAt);
+    container.title = `Hotel Bedding Ratings: ${summary.totalRatings} rating${summary.totalRatings === 1 ? '' : 's'}`;
+
+    const icon = document.createElement('span');
+    icon.className = 'bedding-badges-icon';
+    icon.textContent = summary.badges.length > 0 ? '🛏️' : `🛏️ ${summary.totalRatings} rating${summary.totalRatings === 1 ? '' : 's'}`;
+    container.appendChild(icon);
+
+    summary.badges.forEach(badge => {
+      const element = document.createElement('span');
+      element.className = `bedding-badge ${badge.polarity}-rating`;
+      element.textContent = badge.label;
+      element.title = `${badge.percentage}% of ${summary.totalRatings} ratings`;
+      container.appendChild(element);
+    });
+
+    const heading = link.closest('h3') || link;
+    heading.insertAdjacentElement('afterend', container);
+  }
+}
+
 // Initialize
 console.log('🏨 Hotel Bedding Ratings: Initializing...');
 new HotelBeddingRatings();
@@ -0,0 +1,227 @@
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log('Hotel Bedding Ratings History: Initializing...');
+
+  const API_BASE = 'https://hotel-ratings-backend.onrender.com/api/v1';
+  const SUMMARY_BATCH_SIZE = 50; // Server limit for POST /ratings/summaries
+
+  const statusMessage = document.getElementById('statusMessage');
+  const historyList = document.getElementById('historyList');
+  const syncStatus = document.getElementById('syncStatus');
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+
+  let vocabulary = null;
+  let entries = [];
+
+  function showStatus(message) {
+    statusMessage.innerHTML = message;
+    statusMessage.style.display = 'block';
+  }
+
+  // The page the rating was submitted from, else the hotel's page on its site,
+  // else a Booking.com search for the hotel name
+  function hotelPageUrl(entry) {
+    return entry.url ||
+      SiteAdapters.pageUrlFor(entry.hotelKey) ||
+      `https://www.booking.com/searchresults.html?ss=${encodeURIComponent(entry.hotelName || '')}`;
+  }
+
+  // Pull the account's ratings into the local history when signed in
+  async function syncWithAccount() {
+    const session = await AccountSession.get();
+    if (!session) {
+      syncStatus.innerHTML = 'Ratings submitted from this browser. <a href="account.html">Sign in</a> to include your ratings from other browsers.';
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/me/ratings`, {
+        headers: { 'Accept': 'application/json', ...await AccountSession.authHeaders() }
+      });
+      if (response.status === 401) {
+        await AccountSession.clear();
+        syncStatus.innerHTML = 'Your session has expired. <a href="account.html">Sign in again</a> to sync your ratings.';
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`Server error (${response.status})`);
+      }
+
+      const { ratings, truncated } = await response.json();
+      const categoryKeys = vocabulary ? vocabulary.categories.map(category => category.key) : undefined;
+      entries = await RatingHistory.mergeServerRatings(ratings, categoryKeys, !truncated);
+      syncStatus.innerHTML = `Synced with your account <strong>${escapeHTML(session.user.email)}</strong> · <a href="account.html">Edit or delete ratings</a>`;
+    } catch (error) {
+      console.warn('Hotel Bedding Ratings History: Could not sync with account:', error);
+      syncStatus.textContent = `Signed in as ${session.user.email}, but your account's ratings could not be loaded.`;
+    }
+  }
+
+  // Current summary (total and badges) for every rated hotel, by hotel key
+  async function loadSummaries(hotelKeys) {
+    const summaries = new Map();
+    for (let i = 0; i < hotelKeys.length; i += SUMMARY_BATCH_SIZE) {
+      const response = await fetch(`${API_BASE}/ratings/summaries`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({ hotelKeys: hotelKeys.slice(i, i + SUMMARY_BATCH_SIZE) })
+      });
+      if (!response.ok) {
+        throw new Error(`Could not load summaries (${response.status})`);
+      }
+      (await response.json()).summaries.forEach(summary => summaries.set(summary.requestedKey, summary));
+    }
+    return summaries;
+  }
+
+  function valueLabels(categoryKey, values) {
+    const category = vocabulary && vocabulary.categories.find(candidate => candidate.key === categoryKey);
+    return values.map(value => {
+      const option = category && category.values.find(candidate => candidate.value === value);
+      return option ? option.label : value;
+    });
+  }
+
+  // "Bed Comfort: Too soft · Noise: Street noise" for the entry's own rating
+  function formatOwnRating(entry) {
+    const keys = vocabulary ? vocabulary.categories.map(category => category.key) : Object.keys(entry.ratings || {});
+    const parts = [];
+    keys.forEach(key => {
+      const value = (entry.ratings || {})[key];
+      const values = Array.isArray(value) ? value : [value].filter(Boolean);
+      if (values.length === 0) {
+        return;
+      }
+      const category = vocabulary && vocabulary.categories.find(candidate => candidate.key === key);
+      parts.push(`${escapeHTML(category ? category.label : key)}: ${escapeHTML(valueLabels(key, values).join(', '))}`);
+    });
+    return parts.join(' · ') || 'No categories rated';
+  }
+
+  // Room, floor, month of stay and comment, when given
+  function formatStay(stay) {
+    const details = RatingForm.formatStayDetails(stay);
+    if (!details && !stay.comment) {
+      return '';
+    }
+    return `<div class="your-stay">${details ? `<span class="label">${escapeHTML(details)}</span>` : ''}${stay.comment ? ` "${escapeHTML(stay.comment)}"` : ''}</div>`;
+  }
+
+  function formatSummary(summary) {
+    if (!summary) {
+      return '<span class="label">Now:</span> summary unavailable';
+    }
+    if (summary.totalRatings === 0) {
+      return '<span class="label">Now:</span> no ratings';
+    }
+
+    const badgesHTML = summary.badges
+      .map(badge => `<span class="bedding-badge ${badge.polarity}-rating" title="${badge.percentage}% of ${summary.totalRatings} ratings">${escapeHTML(badge.label)}</span>`)
+      .join('');
+    return `<span class="label">Now:</span> ${summary.totalRatings} rating${summary.totalRatings === 1 ? '' : 's'} ${badgesHTML}`;
+  }
+
+  function renderHistory(summaries) {
+    if (entries.length === 0) {
+      showStatus("You haven't rated any hotels yet. Ratings you submit from the extension will appear here.");
+      historyList.innerHTML = '';
+      return;
+    }
+
+    statusMessage.style.display = 'none';
+    historyList.innerHTML = entries.map(entry => {
+      const statusTag = entry.status === 'queued'
+        ? '<span class="status-tag queued">waiting to be sent</span>'
+        : entry.status === 'failed' ? '<span class="status-tag failed">not submitted</span>' : '';
+      const dates = `Rated ${new Date(entry.submittedAt).toLocaleDateString()}` +
+        (entry.editedAt ? ` · edited ${new Date(entry.editedAt).toLocaleDateString()}` : '');
+
+      return `<div class="history-entry">
+        <a class="hotel-name" href="${escapeHTML(hotelPageUrl(entry))}" target="_blank" rel="noopener">${escapeHTML(entry.hotelName || 'Unknown hotel')}</a>
+        <div class="meta">${escapeHTML(entry.hotelAddress || '')}${entry.hotelAddress ? ' · ' : ''}${dates}${statusTag}</div>
+        <div class="your-rating"><span class="label">You said:</span> ${formatOwnRating(entry)}</div>
+        ${formatStay(entry.stay || {})}
+        <div class="current-summary">${summaries ? formatSummary(summaries.get(entry.hotelKey)) : ''}</div>
+      </div>`;
+    }).join('');
+  }
+
+  // Exports
+
+  function download(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportFilename(extension) {
+    return `hotel-bedding-ratings-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  }
+
+  function csvField(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCSV() {
+    const categoryKeys = vocabulary
+      ? vocabulary.categories.map(category => category.key)
+      : [...new Set(entries.flatMap(entry => Object.keys(entry.ratings || {})))];
+    const stayFields = RatingHistory.STAY_FIELDS;
+    const header = ['submittedAt', 'editedAt', 'status', 'hotelName', 'hotelAddress', 'hotelKey', 'url', ...categoryKeys, ...stayFields];
+
+    const rows = entries.map(entry => [
+      entry.submittedAt,
+      entry.editedAt,
+      entry.status,
+      entry.hotelName,
+      entry.hotelAddress,
+      entry.hotelKey,
+      hotelPageUrl(entry),
+      ...categoryKeys.map(key => {
+        const value = (entry.ratings || {})[key];
+        return Array.isArray(value) ? value.join('; ') : value;
+      }),
+      ...stayFields.map(field => (entry.stay || {})[field])
+    ]);
+
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+  }
+
+  exportJsonBtn.addEventListener('click', () => {
+    const exported = entries.map(entry => ({ ...entry, url: hotelPageUrl(entry) }));
+    download(exportFilename('json'), 'application/json', JSON.stringify(exported, null, 2));
+  });
+
+  exportCsvBtn.addEventListener('click', () => {
+    download(exportFilename('csv'), 'text/csv', toCSV());
+  });
+
+  // Local history first, so the page works offline
+  entries = await RatingHistory.list();
+  renderHistory(null);
+
+  try {
+    vocabulary = await RatingForm.loadVocabulary(API_BASE);
+  } catch (error) {
+    console.warn('Hotel Bedding Ratings History: Could not load vocabulary:', error);
+  }
+
+  await syncWithAccount();
+  exportJsonBtn.disabled = entries.length === 0;
+  exportCsvBtn.disabled = entries.length === 0;
+
+  try {
+    const hotelKeys = [...new Set(entries.map(entry => entry.hotelKey).filter(Boolean))];
+    renderHistory(hotelKeys.length > 0 ? await loadSummaries(hotelKeys) : new Map());
+  } catch (error) {
+    console.warn('Hotel Bedding Ratings History: Could not load current summaries:', error);
+    renderHistory(new Map());
+  }
+});
@@ -0,0 +1,12 @@
+// HTML escaping for the extension pages and the in-page panel, which build
+// their markup as strings. Quotes are escaped too, so the result is also safe
+// inside attribute values (href="...", data-name="...").
+
+function escapeHTML(text) {
+  return (text == null ? '' : String(text))
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
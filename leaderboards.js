@@ -0,0 +1,137 @@
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log('Hotel Bedding Ratings Leaderboards: Initializing...');
+
+  const API_BASE = 'https://hotel-ratings-backend.onrender.com/api/v1';
+  const countrySelect = document.getElementById('countrySelect');
+  const citySelect = document.getElementById('citySelect');
+  const boardSelect = document.getElementById('boardSelect');
+  const sampleRule = document.getElementById('sampleRule');
+  const statusMessage = document.getElementById('statusMessage');
+  const leaderboardTable = document.getElementById('leaderboardTable');
+
+  const countryNames = typeof Intl.DisplayNames === 'function' ? new Intl.DisplayNames(['en'], { type: 'region' }) : null;
+
+  let places = [];
+
+  function showStatus(message, type) {
+    statusMessage.innerHTML = message;
+    statusMessage.className = type || '';
+    statusMessage.style.display = 'block';
+    leaderboardTable.style.display = 'none';
+  }
+
+  function countryName(code) {
+    try {
+      return (countryNames && countryNames.of(code.toUpperCase())) || code.toUpperCase();
+    } catch (e) {
+      return code.toUpperCase();
+    }
+  }
+
+  async function fetchJSON(path, what) {
+    const response = await fetch(`${API_BASE}${path}`, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`Could not load ${what} (${response.status})`);
+    }
+    return response.json();
+  }
+
+  function fillSelect(select, options, selected) {
+    select.innerHTML = options
+      .map(option => `<option value="${escapeHTML(option.value)}"${option.value === selected ? ' selected' : ''}>${escapeHTML(option.label)}</option>`)
+      .join('');
+    select.disabled = options.length === 0;
+  }
+
+  function fillCities() {
+    const country = places.find(place => place.country === countrySelect.value);
+    const cities = country ? country.cities : [];
+    fillSelect(citySelect, [
+      { value: '', label: 'Whole country' },
+      ...cities.map(city => ({ value: city.cityKey, label: `${city.city} (${city.rankableHotels} ranked)` }))
+    ], '');
+  }
+
+  function renderBoard(board, minSampleSize) {
+    if (board.hotels.length === 0) {
+      showStatus(`
+        <p><strong>No hotel here has ${minSampleSize} ratings for this leaderboard yet.</strong></p>
+        <p>Rate the hotels you stay in to get them ranked.</p>
+      `);
+      return;
+    }
+
+    let tableHTML = '<thead><tr><th class="rank">#</th><th>Hotel</th><th>Share</th><th>Ratings</th></tr></thead><tbody>';
+    board.hotels.forEach(hotel => {
+      const name = escapeHTML(hotel.name || hotel.hotelKey);
+      const url = SiteAdapters.pageUrlFor(hotel.hotelKey);
+      const title = url ? `<a href="${escapeHTML(url)}" target="_blank" rel="noopener">${name}</a>` : name;
+      tableHTML += `<tr>
+        <td class="rank">${hotel.rank}</td>
+        <td>${title}<small>${escapeHTML(hotel.address || hotel.city || '')}</small></td>
+        <td><span class="share">${hotel.percentage}%</span>
+          <small>${hotel.confidenceInterval.lower}–${hotel.confidenceInterval.upper}% likely</small></td>
+        <td>${hotel.sampleSize}</td>
+      </tr>`;
+    });
+    tableHTML += '</tbody>';
+
+    leaderboardTable.innerHTML = tableHTML;
+    leaderboardTable.style.display = 'table';
+    statusMessage.style.display = 'none';
+  }
+
+  async function refresh() {
+    if (!countrySelect.value) {
+      return;
+    }
+
+    const path = citySelect.value
+      ? `/leaderboards/${encodeURIComponent(countrySelect.value)}/${encodeURIComponent(citySelect.value)}`
+      : `/leaderboards/${encodeURIComponent(countrySelect.value)}`;
+    showStatus('Loading leaderboard...');
+
+    try {
+      const result = await fetchJSON(`${path}?board=${encodeURIComponent(boardSelect.value)}`, 'leaderboard');
+      console.log('Hotel Bedding Ratings Leaderboards: Leaderboard:', result);
+      renderBoard(result.boards[0], result.minSampleSize);
+    } catch (error) {
+      console.error('Hotel Bedding Ratings Leaderboards: Error loading leaderboard:', error);
+      showStatus(`❌ ${escapeHTML(error.message)}. Please check your internet connection and reload this page.`, 'error');
+    }
+  }
+
+  try {
+    const overview = await fetchJSON('/leaderboards', 'leaderboards');
+    places = overview.countries;
+    sampleRule.textContent = `Hotels are ranked once they have at least ${overview.minSampleSize} ratings for a leaderboard, ` +
+      'by how sure we can be of their share rather than the share alone.';
+
+    if (places.length === 0) {
+      showStatus('<p><strong>No rated hotels yet.</strong></p><p>Leaderboards appear once hotels have ratings.</p>');
+      return;
+    }
+
+    fillSelect(boardSelect, overview.boards.map(board => ({ value: board.id, label: board.label })), overview.boards[0].id);
+    fillSelect(countrySelect, places.map(place => ({
+      value: place.country,
+      label: `${countryName(place.country)} (${place.rankableHotels} ranked)`
+    })), places[0].country);
+    fillCities();
+  } catch (error) {
+    console.error('Hotel Bedding Ratings Leaderboards: Error loading leaderboards:', error);
+    showStatus(`❌ ${escapeHTML(error.message)}. Please check your internet connection and reload this page.`, 'error');
+    return;
+  }
+
+  countrySelect.addEventListener('change', async () => {
+    fillCities();
+    await refresh();
+  });
+  citySelect.addEventListener('change', refresh);
+  boardSelect.addEventListener('change', refresh);
+
+  await refresh();
+
+  console.log('Hotel Bedding Ratings Leaderboards: Initialization complete');
+});
@@ -0,0 +1,145 @@
+// Helpers for the free-text addresses scraped from hotel pages
+
+// Country names as they appear at the end of Booking.com addresses (English and
+// local spellings) mapped to ISO 3166-1 alpha-2 codes
+const COUNTRY_CODES = {
+  'austria': 'at', 'österreich': 'at',
+  'belgium': 'be', 'belgië': 'be', 'belgique': 'be',
+  'croatia': 'hr', 'hrvatska': 'hr',
+  'czech republic': 'cz', 'czechia': 'cz', 'česká republika': 'cz',
+  'denmark': 'dk', 'danmark': 'dk',
+  'finland': 'fi', 'suomi': 'fi',
+  'france': 'fr',
+  'germany': 'de', 'deutschland': 'de',
+  'greece': 'gr', 'ελλάδα': 'gr',
+  'hungary': 'hu', 'magyarország': 'hu',
+  'ireland': 'ie',
+  'italy': 'it', 'italia': 'it',
+  'luxembourg': 'lu',
+  'netherlands': 'nl', 'nederland': 'nl', 'the netherlands': 'nl',
+  'norway': 'no', 'norge': 'no',
+  'poland': 'pl', 'polska': 'pl',
+  'portugal': 'pt',
+  'spain': 'es', 'españa': 'es',
+  'sweden': 'se', 'sverige': 'se',
+  'switzerland': 'ch', 'schweiz': 'ch', 'suisse': 'ch', 'svizzera': 'ch',
+  'turkey': 'tr', 'türkiye': 'tr',
+  'united kingdom': 'gb', 'uk': 'gb', 'england': 'gb', 'scotland': 'gb', 'wales': 'gb',
+  'united states': 'us', 'united states of america': 'us', 'usa': 'us',
+  'canada': 'ca',
+  'mexico': 'mx', 'méxico': 'mx',
+  'brazil': 'br', 'brasil': 'br',
+  'argentina': 'ar',
+  'australia': 'au',
+  'new zealand': 'nz',
+  'japan': 'jp',
+  'china': 'cn',
+  'singapore': 'sg',
+  'thailand': 'th',
+  'united arab emirates': 'ae',
+  'south africa': 'za',
+  'morocco': 'ma', 'maroc': 'ma'
+};
+
+const MISSING_ADDRESSES = ['address not available', 'error extracting address'];
+
+function isMissingAddress(address) {
+  return !address || MISSING_ADDRESSES.includes(address.trim().toLowerCase());
+}
+
+// Split an address into its comma-separated parts
+function addressParts(address) {
+  if (isMissingAddress(address)) {
+    return [];
+  }
+  return address.split(',').map(part => part.trim()).filter(Boolean);
+}
+
+// ISO country code from the last part of an address, or null when unknown
+function parseCountry(address) {
+  const parts = addressParts(address);
+  if (parts.length === 0) {
+    return null;
+  }
+
+  // The country may share the last part with a postal code ('10117 Germany')
+  const last = parts[parts.length - 1].toLowerCase().replace(/[\d-]+/g, ' ').replace(/\s+/g, ' ').trim();
+  return COUNTRY_CODES[last] || null;
+}
+
+// ISO country code from structured data, which gives a code ('DE') or a name ('Germany')
+function normalizeCountry(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const text = value.trim().toLowerCase();
+  if (/^[a-z]{2}$/.test(text)) {
+    return text === 'uk' ? 'gb' : text;
+  }
+  return COUNTRY_CODES[text] || null;
+}
+
+// Postal codes: digit groups of 4 or more ('10117', '1010', '75004'), 3+2 ('113 47'),
+// Portuguese 4+3 ('1100-053') or UK-style outward and inward codes ('W1J 9BR')
+const POSTAL_TOKEN = /^(\d{4,}|\d{3}-?\d{2,4}|\d{4}-\d{3}|[a-z]{1,2}\d[a-z\d]?|\d[a-z]{2})$/i;
+
+// An address part without its postal code ('10117 Berlin' -> 'Berlin'), or null
+// when something else numeric is left, like a house number
+function withoutPostalCode(part) {
+  const words = part.split(/\s+/);
+  const kept = words.filter((word, index) => {
+    if (POSTAL_TOKEN.test(word)) {
+      return false;
+    }
+    // Two capitals after the digits of a Dutch postal code ('1012 AB Amsterdam'),
+    // or after the city as a province code ('00184 Roma RM')
+    const capitals = /^[A-Z]{2}$/.test(word);
+    return !(capitals && index > 0 && (/^\d{4}$/.test(words[index - 1]) || index === words.length - 1));
+  });
+  const text = kept.join(' ').trim();
+  return /\d/.test(text) ? null : text;
+}
+
+// City from a scraped address: the last part before the country once postal
+// codes are removed ('Unter den Linden 77, Mitte, 10117 Berlin, Germany' -> 'Berlin'),
+// or null. Parts that are only a state code ('NY 10001') are skipped.
+function parseCity(address) {
+  const parts = addressParts(address);
+  if (parts.length > 0 && parseCountry(parts[parts.length - 1])) {
+    parts.pop();
+  }
+
+  for (let index = parts.length - 1; index >= 0; index--) {
+    const text = withoutPostalCode(parts[index]);
+    if (text === null) {
+      return null; // A street: the parts before it won't name the city
+    }
+    if (text && !/^[A-Z]{2}$/.test(text)) {
+      return text;
+    }
+  }
+  return null;
+}
+
+// Key a city is listed under: its name without accents, case or punctuation
+// ('Frankfurt am Main' -> 'frankfurt-am-main'). Names are as the site shows
+// them, so a city written in two languages gets two keys.
+function cityKey(city) {
+  const key = (city || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+  return key || null;
+}
+
+module.exports = {
+  COUNTRY_CODES,
+  isMissingAddress,
+  addressParts,
+  parseCountry,
+  normalizeCountry,
+  parseCity,
+  cityKey
+};
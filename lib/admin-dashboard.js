@@ -0,0 +1,330 @@
+// Moderation dashboard served at GET /admin/dashboard. The page itself is
+// public; it asks for the admin token, keeps it in sessionStorage for the tab,
+// and drives the /api/v1/admin JSON routes with it.
+
+const vocabulary = require('./vocabulary');
+const { RATING_STATUSES, BAN_TYPES } = require('./moderation');
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 16px 24px; color: #222; }
+  h1 { font-size: 20px; margin: 0 0 12px; }
+  h2 { font-size: 16px; margin: 24px 0 8px; }
+  form.filters, form.ban { display: flex; flex-wrap: wrap; gap: 8px; align-items: end; margin-bottom: 8px; }
+  label { display: flex; flex-direction: column; font-size: 12px; color: #555; }
+  input, select, button { font-size: 13px; padding: 4px 6px; }
+  button { cursor: pointer; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border-bottom: 1px solid #ddd; padding: 6px; text-align: left; vertical-align: top; white-space: pre-line; }
+  th { background: #f5f5f5; }
+  td.answers { font-size: 12px; color: #444; }
+  td.actions button { margin: 0 4px 4px 0; }
+  .status-quarantined { color: #b35c00; font-weight: 600; }
+  .status-rejected { color: #b00020; font-weight: 600; }
+  .mono { font-family: monospace; font-size: 12px; word-break: break-all; }
+  #message { min-height: 20px; margin: 8px 0; }
+  #message.error { color: #b00020; }
+  .hidden { display: none; }
+`;
+
+// Runs in the browser; CONFIG is rendered into the page by renderDashboard
+function dashboardScript(CONFIG) {
+  const TOKEN_KEY = 'adminToken';
+  const $ = id => document.getElementById(id);
+
+  function showMessage(text, isError) {
+    $('message').textContent = text;
+    $('message').className = isError ? 'error' : '';
+  }
+
+  async function api(method, path, body) {
+    const response = await fetch(`${CONFIG.apiBase}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${sessionStorage.getItem(TOKEN_KEY) || ''}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (response.status === 401) {
+      sessionStorage.removeItem(TOKEN_KEY);
+      showSignIn();
+      throw new Error('Admin token rejected');
+    }
+    const data = response.status === 204 ? {} : await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return data;
+  }
+
+  function cell(row, content, className) {
+    const td = document.createElement('td');
+    if (className) {
+      td.className = className;
+    }
+    if (content instanceof Node) {
+      td.appendChild(content);
+    } else {
+      td.textContent = content === undefined || content === null ? '' : String(content);
+    }
+    row.appendChild(td);
+    return td;
+  }
+
+  function button(label, onClick) {
+    const element = document.createElement('button');
+    element.textContent = label;
+    element.addEventListener('click', onClick);
+    return element;
+  }
+
+  function answers(rating) {
+    const stay = [
+      rating.roomType,
+      rating.roomNumber && `Room ${rating.roomNumber}`,
+      rating.floor !== undefined && rating.floor !== null && `Floor ${rating.floor}`,
+      rating.stayMonth && `Stayed ${rating.stayMonth}`
+    ].filter(Boolean);
+
+    return CONFIG.categories
+      .filter(category => Array.isArray(rating[category.key]) ? rating[category.key].length > 0 : rating[category.key])
+      .map(category => {
+        const value = rating[category.key];
+        return `${category.label}: ${Array.isArray(value) ? value.join(', ') : value}`;
+      })
+      .concat(stay.length > 0 ? [stay.join(' · ')] : [])
+      .concat(rating.comment ? [`"${rating.comment}"`] : [])
+      .join('\n');
+  }
+
+  // Ask for a reason, null when the prompt is cancelled
+  function askReason(question) {
+    const reason = prompt(question, '');
+    return reason === null ? null : reason.trim() || undefined;
+  }
+
+  async function act(method, path, question, body = {}) {
+    const reason = askReason(question);
+    if (reason === null) {
+      return;
+    }
+    try {
+      await api(method, path, { ...body, reason });
+      showMessage('Done');
+      await Promise.all([loadRatings(), loadBans(), loadAuditLog()]);
+    } catch (err) {
+      showMessage(err.message, true);
+    }
+  }
+
+  function banButton(type, value) {
+    return button(`Ban ${type}`, () => {
+      const rejectRatings = confirm(`Also reject every rating from this ${type}?`);
+      act('POST', '/admin/bans', `Reason for banning this ${type}:`, { type, value, rejectRatings });
+    });
+  }
+
+  async function loadRatings() {
+    const params = new URLSearchParams();
+    new FormData($('filters')).forEach((value, key) => {
+      if (value) {
+        params.set(key, value);
+      }
+    });
+
+    const { ratings } = await api('GET', `/admin/ratings?${params}`);
+    const body = $('ratings');
+    body.textContent = '';
+    ratings.forEach(rating => {
+      const row = document.createElement('tr');
+      cell(row, new Date(rating.submissionTime).toLocaleString());
+      cell(row, rating.hotelName ? `${rating.hotelName}\n${rating.hotelKey}` : rating.hotelKey, 'mono');
+      cell(row, rating.status || 'active', `status-${rating.status || 'active'}`);
+      cell(row, rating.spamScore);
+      cell(row, (rating.spamReasons || []).map(reason => reason.detail).join('\n'));
+      cell(row, answers(rating), 'answers');
+      cell(row, rating.fingerprint, 'mono');
+
+      const actions = cell(row, '', 'actions');
+      if (rating.status && rating.status !== 'active') {
+        actions.appendChild(button('Approve', () => act('POST', `/admin/ratings/${rating._id}/approve`, 'Reason for approving (optional):')));
+      }
+      if (rating.status !== 'rejected') {
+        actions.appendChild(button('Reject', () => act('POST', `/admin/ratings/${rating._id}/reject`, 'Reason for rejecting:')));
+      }
+      actions.appendChild(button('Delete', () => act('DELETE', `/admin/ratings/${rating._id}`, 'Reason for deleting:')));
+      actions.appendChild(banButton('fingerprint', rating.fingerprint));
+      if (rating.ipHash) {
+        actions.appendChild(banButton('ipHash', rating.ipHash));
+      }
+      body.appendChild(row);
+    });
+    $('ratingCount').textContent = `${ratings.length} rating(s)`;
+  }
+
+  async function loadBans() {
+    const { bans } = await api('GET', '/admin/bans');
+    const body = $('bans');
+    body.textContent = '';
+    bans.forEach(ban => {
+      const row = document.createElement('tr');
+      cell(row, ban.type);
+      cell(row, ban.value, 'mono');
+      cell(row, ban.reason);
+      cell(row, ban.expiresAt ? new Date(ban.expiresAt).toLocaleString() : 'Never');
+      cell(row, new Date(ban.createdAt).toLocaleString());
+      cell(row, button('Lift', () => act('DELETE', `/admin/bans/${ban._id}`, 'Reason for lifting the ban:')), 'actions');
+      body.appendChild(row);
+    });
+  }
+
+  async function loadAuditLog() {
+    const { actions } = await api('GET', '/admin/audit-log?limit=50');
+    const body = $('auditLog');
+    body.textContent = '';
+    actions.forEach(action => {
+      const row = document.createElement('tr');
+      cell(row, new Date(action.createdAt).toLocaleString());
+      cell(row, action.action);
+      cell(row, `${action.targetType} ${action.targetId}`, 'mono');
+      cell(row, action.reason);
+      cell(row, action.claimedBy && action.claimedBy !== action.performedBy
+        ? `${action.performedBy} (says ${action.claimedBy})`
+        : action.performedBy);
+      cell(row, JSON.stringify(action.details), 'mono');
+      body.appendChild(row);
+    });
+  }
+
+  async function loadAll() {
+    try {
+      await Promise.all([loadRatings(), loadBans(), loadAuditLog()]);
+      showMessage('');
+    } catch (err) {
+      showMessage(err.message, true);
+    }
+  }
+
+  function showSignIn() {
+    $('signIn').classList.remove('hidden');
+    $('dashboard').classList.add('hidden');
+  }
+
+  $('signIn').addEventListener('submit', event => {
+    event.preventDefault();
+    sessionStorage.setItem(TOKEN_KEY, $('token').value.trim());
+    $('token').value = '';
+    $('signIn').classList.add('hidden');
+    $('dashboard').classList.remove('hidden');
+    loadAll();
+  });
+
+  $('filters').addEventListener('submit', event => {
+    event.preventDefault();
+    loadRatings().catch(err => showMessage(err.message, true));
+  });
+
+  $('banForm').addEventListener('submit', event => {
+    event.preventDefault();
+    const form = new FormData($('banForm'));
+    const expiresInDays = Number(form.get('expiresInDays')) || undefined;
+    api('POST', '/admin/bans', {
+      type: form.get('type'),
+      value: form.get('value'),
+      reason: form.get('reason') || undefined,
+      expiresInDays,
+      rejectRatings: form.get('rejectRatings') === 'on'
+    })
+      .then(({ rejectedRatings }) => {
+        $('banForm').reset();
+        showMessage(`Ban created, ${rejectedRatings} rating(s) rejected`);
+        return Promise.all([loadRatings(), loadBans(), loadAuditLog()]);
+      })
+      .catch(err => showMessage(err.message, true));
+  });
+
+  $('signOut').addEventListener('click', () => {
+    sessionStorage.removeItem(TOKEN_KEY);
+    showSignIn();
+  });
+
+  if (sessionStorage.getItem(TOKEN_KEY)) {
+    $('signIn').classList.add('hidden');
+    $('dashboard').classList.remove('hidden');
+    loadAll();
+  }
+}
+
+const options = values => values.map(value => `<option value="${value}">${value}</option>`).join('');
+
+function renderDashboard(apiBase) {
+  const config = {
+    apiBase,
+    categories: vocabulary.CATEGORIES.map(category => ({ key: category.key, label: category.label }))
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Hotel Bedding Ratings - Moderation</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <h1>🛏️ Hotel Bedding Ratings - Moderation</h1>
+  <div id="message"></div>
+
+  <form id="signIn">
+    <label>Admin token <input id="token" type="password" autocomplete="off" required></label>
+    <button type="submit">Sign in</button>
+  </form>
+
+  <div id="dashboard" class="hidden">
+    <button id="signOut" type="button">Sign out</button>
+
+    <h2>Ratings <span id="ratingCount"></span></h2>
+    <form id="filters" class="filters">
+      <label>Status <select name="status">${options(['quarantined', ...RATING_STATUSES.filter(status => status !== 'quarantined'), 'all'])}</select></label>
+      <label>Hotel key <input name="hotelKey"></label>
+      <label>Fingerprint <input name="fingerprint"></label>
+      <label>IP hash <input name="ipHash"></label>
+      <label>Since <input name="since" type="date"></label>
+      <label>Until <input name="until" type="date"></label>
+      <label>Min. spam score <input name="minScore" type="number" step="0.1" min="0"></label>
+      <label>Limit <input name="limit" type="number" min="1" max="200" value="50"></label>
+      <button type="submit">Filter</button>
+    </form>
+    <table>
+      <thead><tr><th>Submitted</th><th>Hotel</th><th>Status</th><th>Score</th><th>Reasons</th><th>Answers</th><th>Fingerprint</th><th>Actions</th></tr></thead>
+      <tbody id="ratings"></tbody>
+    </table>
+
+    <h2>Bans</h2>
+    <form id="banForm" class="ban">
+      <label>Type <select name="type">${options(BAN_TYPES)}</select></label>
+      <label>Value <input name="value" required></label>
+      <label>Reason <input name="reason"></label>
+      <label>Expires in days <input name="expiresInDays" type="number" min="1"></label>
+      <label><span><input name="rejectRatings" type="checkbox"> Reject their ratings</span></label>
+      <button type="submit">Ban</button>
+    </form>
+    <table>
+      <thead><tr><th>Type</th><th>Value</th><th>Reason</th><th>Expires</th><th>Created</th><th></th></tr></thead>
+      <tbody id="bans"></tbody>
+    </table>
+
+    <h2>Audit log</h2>
+    <table>
+      <thead><tr><th>When</th><th>Action</th><th>Target</th><th>Reason</th><th>By</th><th>Details</th></tr></thead>
+      <tbody id="auditLog"></tbody>
+    </table>
+  </div>
+
+  <script>(${dashboardScript.toString()})(${JSON.stringify(config).replace(/</g, '\\u003c')});</script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  renderDashboard
+};
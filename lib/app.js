@@ -0,0 +1,123 @@
+// The Express app, built by createApp({ db, config }) so it can be started by
+// server.js or driven in-process by tests. Nothing here connects, listens or
+// reads the environment: `db` is an open (or opening) mongoose connection and
+// `config` comes from lib/config.js. `mailer` defaults to one for config.mail;
+// tests pass their own to read the emails sent.
+
+const express = require('express');
+const cors = require('cors');
+const { createRequestAuth } = require('./request-auth');
+const { createRateLimitService } = require('./rate-limit-service');
+const { createRatingService } = require('./rating-service');
+const { createSpamScorer } = require('./spam');
+const { createIPHasher } = require('./client-ip');
+const { createMailer } = require('./mailer');
+const { loadConfig } = require('./config');
+const { badRequest } = require('./validation');
+const { API_PREFIX, createApiRouter } = require('./openapi');
+const { renderDashboard } = require('./admin-dashboard');
+const { registerHotelRoutes } = require('./routes/hotels');
+const { registerRatingRoutes } = require('./routes/ratings');
+const { registerSummaryRoutes } = require('./routes/summaries');
+const { registerLeaderboardRoutes } = require('./routes/leaderboards');
+const { registerAccountRoutes } = require('./routes/account');
+const { registerAdminRoutes } = require('./routes/admin');
+
+// Configure CORS for Chrome extensions
+const CORS_OPTIONS = {
+  origin: [
+    'http://localhost:3000',
+    'https://www.booking.com',
+    /^https:\/\/www\.expedia\.[a-z.]+$/,
+    /^https:\/\/([a-z-]+\.)?hotels\.com$/,
+    /^https:\/\/www\.airbnb\.[a-z.]+$/,
+    /^chrome-extension:\/\//,
+    /^moz-extension:\/\//,
+    /^extension:\/\//  // Microsoft Edge extensions
+  ],
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Retry-After']
+};
+
+// mongoose connection readyState names
+const DB_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+function createApp({ db, config = loadConfig(), mailer = createMailer(config.mail) } = {}) {
+  if (!db) {
+    throw new Error('createApp needs a database connection');
+  }
+
+  const app = express();
+  app.set('trust proxy', config.trustProxy);
+  app.locals.db = db;
+  app.locals.config = config;
+
+  app.use(cors(CORS_OPTIONS));
+  app.use(express.json());
+
+  // The retention job hashes legacy IPs with the same hasher (see server.js)
+  const ipHasher = createIPHasher({ secret: config.ipHashSecret, saltRotationDays: config.ipSaltRotationDays });
+  app.locals.ipHasher = ipHasher;
+
+  const requestAuth = createRequestAuth(config);
+  const ratings = createRatingService({
+    rateLimits: createRateLimitService({ store: config.rateLimitStore, quotas: config.rateLimits }),
+    spamScorer: createSpamScorer({ rules: config.spamRules, threshold: config.spamThreshold }),
+    ipHasher
+  });
+
+  // Every API route is served under /api/v1, and at its old unversioned path for
+  // extension versions that predate it
+  const api = createApiRouter();
+
+  // GET /health - Whether the server can reach the database
+  api.get('/health', {
+    summary: 'Whether the server can reach the database',
+    tags: ['Health'],
+    responses: { 200: 'Connected', 503: 'The database is not connected' }
+  }, (req, res) => {
+    const database = DB_STATES[db.readyState] || 'unknown';
+    res.status(database === 'connected' ? 200 : 503).json({ status: database === 'connected' ? 'ok' : 'unavailable', database });
+  });
+
+  registerHotelRoutes(api, { config });
+  registerRatingRoutes(api, { ratings, requestAuth });
+  registerSummaryRoutes(api, { config });
+  registerLeaderboardRoutes(api, { config });
+  registerAccountRoutes(api, { ratings, requestAuth, mailer, config });
+  registerAdminRoutes(api, { requestAuth, config });
+
+  // Basic route to test server
+  app.get('/', (req, res) => {
+    res.send('Hotel Bedding Rating Backend - Supports Bedding, Light Annoyances, and Noise Categories!');
+  });
+
+  // GET /admin/dashboard - Moderation dashboard; it asks for the admin token itself
+  app.get('/admin/dashboard', (req, res) => {
+    res.type('html').send(renderDashboard(API_PREFIX));
+  });
+
+  // GET /api/v1/openapi.json - OpenAPI description of the API, generated from the route schemas
+  app.get(`${API_PREFIX}/openapi.json`, (req, res) => {
+    res.json(api.openApiDocument());
+  });
+
+  app.use(API_PREFIX, api.router);
+  app.use(api.router);
+
+  // Bodies that aren't valid JSON get the same 400 as any other invalid request
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return badRequest(res, 'body', 'Request body is not valid JSON');
+    }
+    next(err);
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApp
+};
@@ -0,0 +1,228 @@
+// User accounts - email magic-link sign-in and bearer access tokens.
+//
+// Sign-in works like a device flow, since the extension can't receive the link:
+// the extension requests a link for an email address and gets back a request id,
+// a poll secret and a confirmation code it shows the user. The user opens the
+// emailed link in any browser and enters that code, and the extension's next
+// poll exchanges the verified request for an access token.
+//
+// Opening the link alone verifies nothing, so mail scanners that follow links
+// can't sign anyone in, and someone who requests a link for another person's
+// address never learns a code that person would type.
+
+const crypto = require('crypto');
+const { User, LoginRequest, AccessToken, Rating } = require('./models');
+
+const LOGIN_REQUEST_TTL_MS = 15 * 60 * 1000;
+const ACCESS_TOKEN_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+const MAX_PENDING_REQUESTS = 5; // Per email address within LOGIN_REQUEST_TTL_MS
+const MAX_CODE_ATTEMPTS = 5; // Wrong confirmation codes before the link stops working
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to mix up
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Error carrying the HTTP status the auth routes should answer with
+function authError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Confirmation code the requesting device shows, e.g. 'K7QM-3XPD'
+function generateConfirmationCode() {
+  const chars = Array.from(crypto.randomBytes(8), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+const normalizeCode = code => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Start a sign-in: email a link for `email` pointing at `${baseUrl}/auth/verify`
+// through `mailer` (lib/mailer.js). baseUrl is the server's configured public URL;
+// without one sign-in is disabled rather than building links from a Host header
+// the client controls.
+async function requestMagicLink(email, { baseUrl, mailer }) {
+  if (!baseUrl) {
+    throw authError('Sign-in is not available on this server', 503);
+  }
+
+  const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    throw authError('A valid email address is required', 400);
+  }
+
+  const pending = await LoginRequest.countDocuments({
+    email: normalizedEmail,
+    createdAt: { $gte: new Date(Date.now() - LOGIN_REQUEST_TTL_MS) }
+  });
+  if (pending >= MAX_PENDING_REQUESTS) {
+    throw authError('Too many sign-in requests for this email. Please try again later.', 429);
+  }
+
+  const token = generateToken();
+  const pollSecret = generateToken();
+  const confirmationCode = generateConfirmationCode();
+  const request = await LoginRequest.create({
+    email: normalizedEmail,
+    tokenHash: hashToken(token),
+    pollSecretHash: hashToken(pollSecret),
+    codeHash: hashToken(normalizeCode(confirmationCode)),
+    expiresAt: new Date(Date.now() + LOGIN_REQUEST_TTL_MS)
+  });
+
+  await mailer.sendMail({
+    to: normalizedEmail,
+    subject: 'Sign in to Hotel Bedding Ratings',
+    text: `Open this link to sign in to Hotel Bedding Ratings, then enter the code the extension shows you:\n\n${baseUrl}/auth/verify?token=${token}\n\nThe link expires in 15 minutes. If you didn't ask to sign in, ignore this email, and never enter a code someone else gives you.`
+  });
+
+  return { requestId: request._id, pollSecret, confirmationCode, expiresAt: request.expiresAt };
+}
+
+// The sign-in request of an emailed link that can still be confirmed
+async function findPendingLink(token) {
+  const request = await LoginRequest.findOne({ tokenHash: hashToken(token) }).exec();
+  if (!request) {
+    throw authError('This sign-in link is invalid', 404);
+  }
+  if (request.verifiedAt || request.consumedAt || request.expiresAt < new Date() || request.failedAttempts >= MAX_CODE_ATTEMPTS) {
+    throw authError('This sign-in link has already been used or has expired', 410);
+  }
+  return request;
+}
+
+// The emailed link was confirmed with the code the requesting device shows.
+// Verifying is one atomic update of a still-pending request, so a link is
+// only ever confirmed once.
+async function verifyMagicLink(token, code) {
+  const now = new Date();
+  const pending = {
+    tokenHash: hashToken(token),
+    verifiedAt: null,
+    consumedAt: null,
+    expiresAt: { $gt: now },
+    failedAttempts: { $lt: MAX_CODE_ATTEMPTS }
+  };
+
+  const request = await LoginRequest.findOneAndUpdate(
+    { ...pending, codeHash: hashToken(normalizeCode(code)) },
+    { $set: { verifiedAt: now } },
+    { new: true }
+  ).exec();
+  if (request) {
+    return request;
+  }
+
+  // Unknown, used or expired links get their own error; a wrong code counts
+  // towards the attempts the link allows
+  await findPendingLink(token);
+  const failed = await LoginRequest.findOneAndUpdate(pending, { $inc: { failedAttempts: 1 } }, { new: true }).exec();
+  if (!failed || failed.failedAttempts >= MAX_CODE_ATTEMPTS) {
+    throw authError('Too many wrong codes for this sign-in link', 410);
+  }
+  throw authError('That code does not match the one the extension shows', 400);
+}
+
+async function issueAccessToken(userId) {
+  const token = generateToken();
+  const accessToken = await AccessToken.create({
+    tokenHash: hashToken(token),
+    userId,
+    expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL_MS)
+  });
+  return { token, expiresAt: accessToken.expiresAt };
+}
+
+// Poll a sign-in request. Resolves to { status: 'pending' } until the link is
+// opened, then once to { status: 'verified', token, expiresAt, user }.
+async function pollMagicLink(requestId, pollSecret) {
+  const request = await LoginRequest.findById(requestId).exec().catch(() => null);
+  if (!request || !pollSecret || request.pollSecretHash !== hashToken(pollSecret)) {
+    throw authError('Sign-in request not found', 404);
+  }
+  if (request.consumedAt) {
+    throw authError('Sign-in request has already been used', 410);
+  }
+  if (request.expiresAt < new Date()) {
+    throw authError('Sign-in request has expired', 410);
+  }
+  if (!request.verifiedAt) {
+    return { status: 'pending' };
+  }
+
+  // Of two polls racing for the same verified request, only one gets a token
+  const consumed = await LoginRequest.findOneAndUpdate(
+    { _id: request._id, verifiedAt: { $ne: null }, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  ).exec();
+  if (!consumed) {
+    throw authError('Sign-in request has already been used', 410);
+  }
+
+  const user = await User.findOneAndUpdate(
+    { email: request.email },
+    { $set: { lastLoginAt: new Date() } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).exec();
+
+  const { token, expiresAt } = await issueAccessToken(user._id);
+  return { status: 'verified', token, expiresAt, user: { id: user._id, email: user.email } };
+}
+
+// User for a bearer token, or null when the token is unknown or expired
+async function authenticateToken(token) {
+  if (!token) {
+    return null;
+  }
+
+  const accessToken = await AccessToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), expiresAt: { $gt: new Date() } },
+    { $set: { lastUsedAt: new Date() } }
+  ).exec();
+  if (!accessToken) {
+    return null;
+  }
+
+  return User.findById(accessToken.userId).exec();
+}
+
+async function revokeToken(token) {
+  await AccessToken.deleteOne({ tokenHash: hashToken(token) });
+}
+
+// Claim token handed out with an anonymous rating, stored hashed on the rating
+function createClaimToken() {
+  const token = generateToken();
+  return { token, hash: hashToken(token) };
+}
+
+// Move anonymous ratings into the user's account by the claim tokens they came with
+async function claimRatings(userId, claimTokens) {
+  if (!Array.isArray(claimTokens) || claimTokens.length === 0) {
+    throw authError('claimTokens must be a non-empty array', 400);
+  }
+
+  const result = await Rating.updateMany(
+    { claimTokenHash: { $in: claimTokens.map(hashToken) }, userId: { $exists: false } },
+    { $set: { userId }, $unset: { claimTokenHash: '' } }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  hashToken,
+  requestMagicLink,
+  findPendingLink,
+  verifyMagicLink,
+  pollMagicLink,
+  authenticateToken,
+  revokeToken,
+  createClaimToken,
+  claimRatings
+};
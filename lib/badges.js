@@ -0,0 +1,102 @@
+// Search-result badges - a few short tags per hotel ('quiet', 'street noise',
+// 'firm bed') derived from its rating summary, so a list of properties can be
+// scanned without opening each one.
+
+const vocabulary = require('./vocabulary');
+const { computeSummary } = require('./summary');
+
+const DOMINANT_SHARE = 50; // Single-value answer given in at least this % of the category's ratings
+const ISSUE_SHARE = 30; // Multi-value issue reported in at least this % of the category's answers
+const CLEAR_SHARE = 10; // Multi-value category with any issue in at most this % of its answers
+const MAX_BADGES = 4;
+const POLARITY_ORDER = ['negative', 'positive', 'neutral'];
+
+const round1 = value => Math.round(value * 10) / 10;
+
+// Badges for a summary as returned by computeSummary, warnings first
+function badgesFromSummary(summary) {
+  if (!summary.totalRatings || summary.totalRatings < summary.minSampleSize) {
+    return [];
+  }
+
+  const badges = [];
+
+  vocabulary.CATEGORIES.forEach(category => {
+    const data = summary[category.key];
+    if (!data) {
+      return;
+    }
+
+    const addBadge = (item, percentage) => {
+      const value = category.values.find(v => v.value === item.rating);
+      if (value && value.badge) {
+        badges.push({
+          category: category.key,
+          value: value.value,
+          label: value.badge,
+          polarity: value.polarity,
+          percentage: round1(percentage)
+        });
+      }
+    };
+
+    // Multi-value categories are measured against the ratings that answered
+    // them, issues or none (see multiValueAnswer in lib/summary.js)
+    if (category.multiple) {
+      if (data.insufficientData) {
+        return;
+      }
+      const reportedShare = (data.total / data.answered) * 100;
+      if (reportedShare <= CLEAR_SHARE) {
+        if (category.clearBadge) {
+          badges.push({
+            category: category.key,
+            value: null,
+            label: category.clearBadge,
+            polarity: 'positive',
+            percentage: round1(100 - reportedShare)
+          });
+        }
+        return;
+      }
+      data.top2.forEach(item => {
+        const share = (item.count / data.answered) * 100;
+        if (share >= ISSUE_SHARE) {
+          addBadge(item, share);
+        }
+      });
+      return;
+    }
+
+    const [top] = data.top2;
+    if (!data.insufficientData && top && top.percentage >= DOMINANT_SHARE) {
+      addBadge(top, top.percentage);
+    }
+  });
+
+  return badges
+    .sort((a, b) => POLARITY_ORDER.indexOf(a.polarity) - POLARITY_ORDER.indexOf(b.polarity) || b.percentage - a.percentage)
+    .slice(0, MAX_BADGES);
+}
+
+// Compact summaries for a batch of (canonical) hotel keys, in the given order;
+// options as for computeSummary
+async function summarizeBatch(hotelKeys, options = {}) {
+  const uniqueKeys = [...new Set(hotelKeys)];
+  const summaries = await Promise.all(uniqueKeys.map(hotelKey => computeSummary(hotelKey, options)));
+  const byKey = new Map(summaries.map(summary => [summary.hotelKey, summary]));
+
+  return hotelKeys.map(hotelKey => {
+    const summary = byKey.get(hotelKey);
+    return {
+      hotelKey,
+      totalRatings: summary.totalRatings,
+      badges: badgesFromSummary(summary)
+    };
+  });
+}
+
+module.exports = {
+  badgesFromSummary,
+  summarizeBatch
+};
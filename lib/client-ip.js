@@ -0,0 +1,125 @@
+// Client IP handling - which proxies to believe, and how IPs are stored.
+//
+// X-Forwarded-For is only honoured for hops through trusted proxies
+// (TRUST_PROXY, passed to Express's 'trust proxy' setting), so a client can't
+// pick its own IP by sending the header itself. On Render the default is one
+// hop, the platform's load balancer.
+//
+// IPs are never stored in plain text. They are hashed with HMAC-SHA256 keyed by
+// IP_HASH_SECRET over a random salt that rotates every IP_SALT_ROTATION_DAYS
+// (both passed in from lib/config.js). Within a period the same IP always gives
+// the same hash (for rate limits and abuse checks); salts are deleted a period
+// after they rotate out, after which their hashes can't be linked to an IP at all.
+
+const crypto = require('crypto');
+const { IpHashSalt } = require('./models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SALT_ROTATION_DAYS = 30;
+
+// Express 'trust proxy' value from TRUST_PROXY: a hop count ('1'), 'true' /
+// 'false', or a comma-separated list of addresses, subnets or presets
+// ('loopback, 10.0.0.0/8'). Unset, it trusts Render's load balancer when
+// running on Render and nothing otherwise.
+function trustProxySetting(value, onRender = false) {
+  if (value === undefined || value === '') {
+    return onRender ? 1 : false;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  return value.split(',').map(part => part.trim()).filter(Boolean);
+}
+
+// Client IP per the trust proxy setting, with IPv4-mapped IPv6 addresses
+// ('::ffff:203.0.113.7') reduced to plain IPv4
+function getClientIP(req) {
+  const ip = req.ip || (req.socket && req.socket.remoteAddress) || '127.0.0.1';
+  return ip.startsWith('::ffff:') && ip.includes('.') ? ip.slice(7) : ip;
+}
+
+// Network an IP belongs to: its /24 for IPv4, its /48 for IPv6
+function subnetOf(ip) {
+  const address = ip.split('%')[0]; // Drop any IPv6 zone id
+  if (address.includes('.')) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+
+  // Expand '::' so the first three groups are always the routing prefix
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = Array(Math.max(0, 8 - headGroups.length - tailGroups.length)).fill('0');
+  const groups = [...headGroups, ...missing, ...tailGroups];
+  return `${groups.slice(0, 3).map(group => parseInt(group || '0', 16).toString(16)).join(':')}::/48`;
+}
+
+// Hashing of IPs and networks with a secret and rotating salts. Without a
+// secret a random one is used, so hashes don't match across restarts.
+function createIPHasher({ secret, saltRotationDays = DEFAULT_SALT_ROTATION_DAYS } = {}) {
+  const rotationMs = saltRotationDays * DAY_MS;
+  const salts = new Map(); // period -> salt, for salts loaded by this hasher
+
+  let hashSecret = secret;
+  if (!hashSecret) {
+    // Per-IP limits reset with each deploy
+    console.warn('Warning: IP_HASH_SECRET not set, using a random secret for this process');
+    hashSecret = crypto.randomBytes(32).toString('hex');
+  }
+
+  const periodFor = time => Math.floor(time / rotationMs);
+
+  // Salt of a rotation period, created by whichever instance needs it first
+  async function saltFor(period) {
+    if (salts.has(period)) {
+      return salts.get(period);
+    }
+
+    const doc = await IpHashSalt.findOneAndUpdate(
+      { period },
+      {
+        $setOnInsert: {
+          salt: crypto.randomBytes(32).toString('hex'),
+          // Kept for one more period so hashes from the end of this one stay comparable
+          expiresAt: new Date((period + 2) * rotationMs)
+        }
+      },
+      { upsert: true, new: true }
+    ).exec();
+
+    salts.set(period, doc.salt);
+    salts.forEach((salt, cachedPeriod) => {
+      if (cachedPeriod < period - 1) {
+        salts.delete(cachedPeriod);
+      }
+    });
+    return doc.salt;
+  }
+
+  // Hash of an IP for the current salt period
+  async function hashIP(ip, now = Date.now()) {
+    const salt = await saltFor(periodFor(now));
+    return crypto.createHmac('sha256', hashSecret).update(`${salt}|${ip}`).digest('hex');
+  }
+
+  // Hash of the IP's network, for spotting coordinated submissions from nearby addresses
+  async function hashSubnet(ip, now = Date.now()) {
+    return hashIP(subnetOf(ip), now);
+  }
+
+  return {
+    hashIP,
+    hashSubnet
+  };
+}
+
+module.exports = {
+  DEFAULT_SALT_ROTATION_DAYS,
+  trustProxySetting,
+  getClientIP,
+  subnetOf,
+  createIPHasher
+};
@@ -0,0 +1,44 @@
+// Server configuration, read from the environment once at startup. createApp
+// takes the resulting object, so tests can build an app with their own
+// settings without touching process.env.
+
+const clientIP = require('./client-ip');
+const { parseAdminTokens } = require('./request-auth');
+const { MIN_SAMPLE_SIZE } = require('./summary');
+const { RETENTION_DAYS } = require('./retention');
+const { DEFAULT_QUOTAS } = require('./rate-limiter');
+const { DEFAULT_FROM } = require('./mailer');
+const spam = require('./spam');
+
+const envInt = (value, fallback) => parseInt(value, 10) || fallback;
+
+function loadConfig(env = process.env) {
+  return {
+    port: envInt(env.PORT, 3000),
+    mongoUri: env.MONGODB_URI,
+    adminTokens: parseAdminTokens(env.ADMIN_TOKENS, env.ADMIN_TOKEN), // Admin API is disabled without any
+    publicUrl: env.PUBLIC_URL || null, // Base of emailed sign-in links; sign-in is disabled without one
+    mail: {
+      apiUrl: env.MAIL_API_URL || null, // Emails are not sent without one
+      apiKey: env.MAIL_API_KEY || null,
+      from: env.MAIL_FROM || DEFAULT_FROM
+    },
+    trustProxy: clientIP.trustProxySetting(env.TRUST_PROXY, !!env.RENDER),
+    ipHashSecret: env.IP_HASH_SECRET || null, // A random one per process without it
+    ipSaltRotationDays: envInt(env.IP_SALT_ROTATION_DAYS, clientIP.DEFAULT_SALT_ROTATION_DAYS),
+    retentionDays: envInt(env.RATING_IP_RETENTION_DAYS, RETENTION_DAYS),
+    minSampleSize: envInt(env.SUMMARY_MIN_SAMPLE_SIZE, MIN_SAMPLE_SIZE),
+    rateLimitStore: env.RATE_LIMIT_STORE || 'mongo',
+    rateLimits: {
+      hotelCooldownDays: envInt(env.RATE_LIMIT_HOTEL_COOLDOWN_DAYS, DEFAULT_QUOTAS.hotelCooldownDays),
+      burstPerHour: envInt(env.RATE_LIMIT_BURST_PER_HOUR, DEFAULT_QUOTAS.burstPerHour),
+      daily: envInt(env.RATE_LIMIT_DAILY, DEFAULT_QUOTAS.daily)
+    },
+    spamRules: spam.parseSpamRules(env.SPAM_RULES), // Throws on unknown rules
+    spamThreshold: Number(env.SPAM_QUARANTINE_THRESHOLD) || spam.DEFAULT_THRESHOLD
+  };
+}
+
+module.exports = {
+  loadConfig
+};
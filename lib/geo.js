@@ -0,0 +1,86 @@
+// Hotel locations. Coordinates come from the hotel page (Booking's map data or
+// its JSON-LD `geo`), sent along when the extension registers the hotel, or for
+// hotels nobody has opened since, from an offline geocoder dataset
+// (scripts/geocode-hotels.js). They are stored on the Hotel record as a GeoJSON
+// point with a 2dsphere index, which the nearby search (lib/nearby.js) queries.
+
+const { Hotel } = require('./models');
+const { isMissingAddress } = require('./address');
+const { normalizeText } = require('./hotel-duplicates');
+
+const inRange = (value, limit) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+
+// A coordinate sent as a number or a numeric string ('48.85'); NaN for anything
+// else, since Number() would read null, '' and false as 0
+function toCoordinate(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+}
+
+// { lat, lng } when both are valid coordinates, else null
+function parseCoordinates(value) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  const lat = toCoordinate(value.lat);
+  const lng = toCoordinate(value.lng);
+  if (!inRange(lat, 90) || !inRange(lng, 180) || (lat === 0 && lng === 0)) {
+    return null; // 0,0 is what broken map widgets report
+  }
+  return { lat, lng };
+}
+
+const toPoint = ({ lat, lng }) => ({ type: 'Point', coordinates: [lng, lat] });
+
+const fromPoint = point => (point && Array.isArray(point.coordinates) && point.coordinates.length === 2
+  ? { lat: point.coordinates[1], lng: point.coordinates[0] }
+  : null);
+
+// Fill in the location of hotels that have none from a geocoder dataset:
+// entries of { address, lat, lng }, matched on the normalised address.
+// Page coordinates are never overwritten. Returns how many hotels were located.
+async function geocodeHotels(entries) {
+  const byAddress = new Map();
+  for (const entry of entries) {
+    const coordinates = parseCoordinates(entry);
+    const address = normalizeText(entry.address);
+    if (coordinates && address && !byAddress.has(address)) {
+      byAddress.set(address, coordinates);
+    }
+  }
+  if (byAddress.size === 0) {
+    return 0;
+  }
+
+  let located = 0;
+  const cursor = Hotel.find({ 'location.coordinates': { $exists: false }, address: { $exists: true } })
+    .select('address')
+    .lean()
+    .cursor();
+  for await (const hotel of cursor) {
+    if (isMissingAddress(hotel.address)) {
+      continue;
+    }
+    const coordinates = byAddress.get(normalizeText(hotel.address));
+    if (coordinates) {
+      // A page may have given the hotel coordinates since the cursor read it
+      const result = await Hotel.updateOne(
+        { _id: hotel._id, 'location.coordinates': { $exists: false } },
+        { $set: { location: toPoint(coordinates), locationSource: 'geocoder' } }
+      );
+      located += result.modifiedCount;
+    }
+  }
+
+  return located;
+}
+
+module.exports = {
+  inRange,
+  parseCoordinates,
+  toPoint,
+  fromPoint,
+  geocodeHotels
+};
@@ -0,0 +1,177 @@
+// Duplicate detection - finds hotelKeys in the Rating collection that probably
+// belong to the same physical hotel, by fuzzy name/address similarity within a country.
+
+const { Rating, Hotel } = require('./models');
+const { isMissingAddress, parseCountry } = require('./address');
+
+// Score above which a property seen on another site is linked automatically.
+// Higher than the admin candidate threshold since nobody reviews these links.
+const CROSS_SITE_MIN_SCORE = 0.8;
+
+// Words that carry no identity ('Hotel Adlon' and 'Adlon Hotel' are the same place)
+const STOP_WORDS = ['hotel', 'hotels', 'the', 'and', 'by', 'de', 'la', 'le', 'das', 'der', 'die', 'am', 'an', 'zum', 'zur'];
+
+function normalizeText(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOP_WORDS.includes(word))
+    .sort()
+    .join(' ');
+}
+
+function bigrams(text) {
+  const result = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    result.push(text.slice(i, i + 2));
+  }
+  return result;
+}
+
+// Sørensen–Dice coefficient over character bigrams, 0 (different) to 1 (identical)
+function similarity(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  if (!left || !right) {
+    return 0;
+  }
+  if (left === right) {
+    return 1;
+  }
+
+  const leftBigrams = bigrams(left);
+  const rightCounts = {};
+  bigrams(right).forEach(pair => {
+    rightCounts[pair] = (rightCounts[pair] || 0) + 1;
+  });
+
+  let overlap = 0;
+  leftBigrams.forEach(pair => {
+    if (rightCounts[pair] > 0) {
+      rightCounts[pair]--;
+      overlap++;
+    }
+  });
+
+  const total = leftBigrams.length + bigrams(right).length;
+  return total === 0 ? 0 : (2 * overlap) / total;
+}
+
+// Weighted name/address score. A missing address ('Address not available')
+// says nothing about identity, so the name alone decides.
+function hotelSimilarity(a, b) {
+  const nameScore = similarity(a.hotelName, b.hotelName);
+  if (isMissingAddress(a.hotelAddress) || isMissingAddress(b.hotelAddress)) {
+    return nameScore;
+  }
+  return 0.7 * nameScore + 0.3 * similarity(a.hotelAddress, b.hotelAddress);
+}
+
+// Country of a hotelKey group: the slug's country code when the key is a
+// Booking slug key, else parsed from the address
+function countryOf(entry) {
+  const slugMatch = entry.hotelKey.match(/^booking:([a-z]{2}):/);
+  if (slugMatch) {
+    return slugMatch[1];
+  }
+  if (entry.slug) {
+    return entry.slug.split(':')[0];
+  }
+  return parseCountry(entry.hotelAddress);
+}
+
+// List candidate duplicate pairs, best matches first
+async function findDuplicateCandidates({ country, minScore = 0.6, limit = 50 } = {}) {
+  const groups = await Rating.aggregate([
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: '$hotelKey',
+        hotelName: { $last: '$hotelName' },
+        hotelAddress: { $last: '$hotelAddress' },
+        ratings: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const hotels = await Hotel.find({ hotelKey: { $in: groups.map(g => g._id) } }).select('hotelKey slug').lean();
+  const slugs = Object.fromEntries(hotels.map(h => [h.hotelKey, h.slug]));
+
+  const entries = groups
+    .map(group => {
+      const entry = {
+        hotelKey: group._id,
+        hotelName: group.hotelName,
+        hotelAddress: group.hotelAddress,
+        ratings: group.ratings
+      };
+      entry.country = countryOf({ ...entry, slug: slugs[group._id] });
+      return entry;
+    })
+    // Keys without a known country (e.g. 'Address not available') stay in every comparison
+    .filter(entry => !country || !entry.country || entry.country === country);
+
+  const candidates = [];
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const [a, b] = [entries[i], entries[j]];
+      if (a.country && b.country && a.country !== b.country) {
+        continue;
+      }
+
+      const score = hotelSimilarity(a, b);
+      if (score >= minScore) {
+        candidates.push({
+          score: Math.round(score * 1000) / 1000,
+          country: a.country || b.country,
+          hotels: [a, b]
+        });
+      }
+    }
+  }
+
+  return candidates
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Registered hotel, within the same country, that a property seen on another
+// site most likely is. Both sides need an address: names alone are too weak
+// across sites. `exclude` narrows the candidates (e.g. hotels without an Expedia ID).
+async function findCrossSiteMatch({ name, address, country, exclude = {} }) {
+  if (!name || isMissingAddress(address) || !country) {
+    return null;
+  }
+
+  const hotels = await Hotel.find({ ...exclude, country, name: { $exists: true }, address: { $exists: true } })
+    .select('hotelKey name address')
+    .lean()
+    .exec();
+
+  let best = null;
+  hotels.forEach(hotel => {
+    if (isMissingAddress(hotel.address)) {
+      return;
+    }
+    const score = hotelSimilarity(
+      { hotelName: name, hotelAddress: address },
+      { hotelName: hotel.name, hotelAddress: hotel.address }
+    );
+    if (score >= CROSS_SITE_MIN_SCORE && (!best || score > best.score)) {
+      best = { hotelKey: hotel.hotelKey, score: Math.round(score * 1000) / 1000 };
+    }
+  });
+
+  return best;
+}
+
+module.exports = {
+  normalizeText,
+  similarity,
+  hotelSimilarity,
+  findDuplicateCandidates,
+  findCrossSiteMatch
+};
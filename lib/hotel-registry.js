@@ -0,0 +1,464 @@
+// Hotel registry - maps every key a hotel has been submitted under
+// (legacy base64 name+address keys, URL slug keys, other booking sites' IDs)
+// to one canonical key, derived from the Booking.com property ID when known.
+
+const { Rating, Hotel, HotelMerge } = require('./models');
+const { parseCountry, normalizeCountry, parseCity, cityKey } = require('./address');
+const { findCrossSiteMatch } = require('./hotel-duplicates');
+const { parseCoordinates, toPoint } = require('./geo');
+
+const NUMERIC_ID_PATTERN = /^\d+$/;
+const SLUG_PATTERN = /^[a-z]{2}:[a-z0-9-]+$/;
+
+// Site identifiers a hotel can be registered under, in canonical-key priority order.
+// Each is stored in the Hotel field of the same name.
+const IDENTIFIER_TYPES = [
+  { field: 'bookingId', site: 'booking', pattern: NUMERIC_ID_PATTERN, key: id => `booking:${id}` },
+  { field: 'slug', site: 'booking', pattern: SLUG_PATTERN, key: slug => `booking:${slug}` },
+  { field: 'expediaId', site: 'expedia', pattern: NUMERIC_ID_PATTERN, key: id => `expedia:${id}` },
+  { field: 'hotelsComId', site: 'hotelscom', pattern: NUMERIC_ID_PATTERN, key: id => `hotelscom:${id}` },
+  { field: 'airbnbId', site: 'airbnb', pattern: NUMERIC_ID_PATTERN, key: id => `airbnb:${id}` }
+];
+
+// Normalise the identifiers sent by the extension, dropping anything malformed
+function normalizeIdentifiers(identifiers) {
+  const result = {};
+  if (!identifiers || typeof identifiers !== 'object') {
+    return result;
+  }
+
+  IDENTIFIER_TYPES.forEach(type => {
+    const value = identifiers[type.field] != null ? String(identifiers[type.field]).trim().toLowerCase() : '';
+    if (type.pattern.test(value)) {
+      result[type.field] = value;
+    }
+  });
+
+  return result;
+}
+
+// Whether a key has the extension's legacy format: base64 of the page's
+// normalised 'name|address', which only has word characters and spaces
+function isLegacyHotelKey(key) {
+  if (typeof key !== 'string' || !/^[A-Za-z0-9]+$/.test(key)) {
+    return false;
+  }
+  return /^[\w\s]*\|[\w\s]*$/.test(Buffer.from(key, 'base64').toString('latin1'));
+}
+
+// Canonical key for a set of identifiers - the Booking.com property ID wins
+// over the slug, Booking over the other sites
+function canonicalKeyFor(identifiers) {
+  const type = IDENTIFIER_TYPES.find(candidate => identifiers[candidate.field]);
+  return type ? type.key(identifiers[type.field]) : null;
+}
+
+// Country code from a Booking slug ('de:adlon-kempinski'), else the page's
+// structured data, else the address
+function countryFor(slug, address, structuredCountry) {
+  return slug ? slug.split(':')[0] : normalizeCountry(structuredCountry) || parseCountry(address);
+}
+
+// Resolve any known key (canonical or alias) to the canonical hotel key.
+// Unknown keys resolve to themselves so unregistered hotels keep working.
+async function resolveHotelKey(hotelKey) {
+  const hotel = await Hotel.findOne({
+    $or: [{ hotelKey }, { aliases: hotelKey }]
+  }).select('hotelKey').lean().exec();
+
+  return hotel ? hotel.hotelKey : hotelKey;
+}
+
+// The canonical key a submission will be stored under, without registering
+// anything, for the checks that run before a rating is accepted
+async function lookupHotelKey({ hotelKey, identifiers }) {
+  const key = canonicalKeyFor(normalizeIdentifiers(identifiers)) || hotelKey;
+  if (!key) {
+    throw new Error('No hotel key or identifier to register');
+  }
+  return resolveHotelKey(key);
+}
+
+// Keys among `keys` already registered to a hotel other than `hotel`
+async function keysOfOtherHotels(hotel, keys) {
+  if (keys.length === 0) {
+    return new Set();
+  }
+  const others = await Hotel.find({
+    _id: { $ne: hotel._id },
+    $or: [{ hotelKey: { $in: keys } }, { aliases: { $in: keys } }]
+  }).select('hotelKey aliases').lean().exec();
+
+  return new Set(others.flatMap(other => [other.hotelKey, ...other.aliases]).filter(key => keys.includes(key)));
+}
+
+// Name and address for a list of canonical keys: the registry's record when
+// there is one, else the most recent rating submitted for the key
+async function describeHotels(hotelKeys) {
+  const details = {};
+
+  const hotels = await Hotel.find({ hotelKey: { $in: hotelKeys } }).select('hotelKey name address').lean().exec();
+  hotels.forEach(hotel => {
+    details[hotel.hotelKey] = { name: hotel.name, address: hotel.address };
+  });
+
+  const missing = hotelKeys.filter(key => !details[key] || !details[key].name);
+  if (missing.length > 0) {
+    const latest = await Rating.aggregate([
+      { $match: { hotelKey: { $in: missing } } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$hotelKey', name: { $first: '$hotelName' }, address: { $first: '$hotelAddress' } } }
+    ]);
+    latest.forEach(entry => {
+      details[entry._id] = { name: entry.name, address: entry.address };
+    });
+  }
+
+  return details;
+}
+
+// Move ratings stored under alias keys to the canonical key.
+// The key each rating was submitted under is preserved in originalHotelKey.
+async function mergeRatingsInto(hotelKey, aliasKeys) {
+  const keys = aliasKeys.filter(key => key && key !== hotelKey);
+  if (keys.length === 0) {
+    return 0;
+  }
+
+  const result = await Rating.updateMany(
+    { hotelKey: { $in: keys } },
+    [{ $set: { originalHotelKey: { $ifNull: ['$originalHotelKey', '$hotelKey'] }, hotelKey } }]
+  );
+
+  return result.modifiedCount;
+}
+
+// Register the identifiers seen on a hotel page and return its canonical key.
+// Any key not seen before for this hotel becomes an alias and its ratings are merged.
+// Clients can't vouch for keys, so the submitted hotelKey and legacyHotelKey
+// only count when they are the page's own site key or a well-formed legacy
+// key, and a key another hotel already holds is never taken over - merging
+// two registered hotels is an admin action (mergeHotels).
+// A property first seen on another site is linked to its existing record by
+// name and address, so every site's ratings end up under one hotel.
+// `location` is the page's { lat, lng } and `locality` its structured { city, country },
+// when the site adapter found them.
+async function registerHotel({ hotelKey, legacyHotelKey, identifiers, name, address, location, locality }) {
+  const ids = normalizeIdentifiers(identifiers);
+  const present = IDENTIFIER_TYPES.filter(type => ids[type.field]);
+
+  // Without a site identifier there is nothing canonical to register
+  if (present.length === 0) {
+    if (!hotelKey) {
+      throw new Error('No hotel key or identifier to register');
+    }
+    return resolveHotelKey(hotelKey);
+  }
+
+  const siteKeys = present.map(type => type.key(ids[type.field]));
+  const claimedKeys = [hotelKey, legacyHotelKey].filter(key => key && (siteKeys.includes(key) || isLegacyHotelKey(key)));
+  const seenKeys = [...new Set([...siteKeys, ...claimedKeys])];
+
+  const keyConditions = keys => [{ hotelKey: { $in: keys } }, { aliases: { $in: keys } }];
+
+  // The page's own identifiers say more about which hotel this is than a legacy key
+  let hotel = await Hotel.findOne({
+    $or: [...keyConditions(siteKeys), ...present.map(type => ({ [type.field]: ids[type.field] }))]
+  }).exec();
+  const legacyKeys = claimedKeys.filter(key => !siteKeys.includes(key));
+  if (!hotel && legacyKeys.length > 0) {
+    const legacyHotel = await Hotel.findOne({ $or: keyConditions(legacyKeys) }).exec();
+    // A hotel with another ID on the same site isn't this one
+    if (legacyHotel && !present.some(type => legacyHotel[type.field] && legacyHotel[type.field] !== ids[type.field])) {
+      hotel = legacyHotel;
+    }
+  }
+
+  const country = countryFor(ids.slug, address, locality && locality.country);
+
+  if (!hotel) {
+    // A site lists a property only once, so only hotels without an ID from
+    // the registering site(s) can be the same property
+    const sites = [...new Set(present.map(type => type.site))];
+    const exclude = {};
+    IDENTIFIER_TYPES.filter(type => sites.includes(type.site)).forEach(type => {
+      exclude[type.field] = { $exists: false };
+    });
+
+    const match = await findCrossSiteMatch({ name, address, country, exclude });
+    if (match) {
+      console.log(`Linked ${seenKeys.join(', ')} to ${match.hotelKey} (score ${match.score})`);
+      hotel = await Hotel.findOne({ hotelKey: match.hotelKey }).exec();
+    }
+  }
+
+  if (!hotel) {
+    hotel = new Hotel({ hotelKey: canonicalKeyFor(ids) });
+  }
+
+  present.forEach(type => {
+    if (!hotel[type.field]) {
+      hotel[type.field] = ids[type.field];
+    }
+  });
+  // Like the city and coordinates below, the name and address a hotel has are
+  // kept, so a submission can't rename or move it
+  if (name && !hotel.name) {
+    hotel.name = name;
+  }
+  if (address && !hotel.address) {
+    hotel.address = address;
+  }
+  if (country && !hotel.country) {
+    hotel.country = country;
+  }
+  // The site's structured data names the city; parsing the address is the
+  // fallback. A hotel keeps the city it has, so a submission can't move it.
+  const structuredCity = locality && typeof locality.city === 'string' ? locality.city.trim() : '';
+  const city = structuredCity || parseCity(address);
+  if (city && cityKey(city) && !hotel.cityKey) {
+    hotel.city = city;
+    hotel.cityKey = cityKey(city);
+  }
+  // The page's own map data wins over the geocoder's guess, but coordinates a
+  // page already gave are kept, so a submission can't move the hotel
+  const coordinates = parseCoordinates(location);
+  if (coordinates && (!hotel.location || hotel.locationSource !== 'page')) {
+    hotel.location = toPoint(coordinates);
+    hotel.locationSource = 'page';
+  }
+
+  const unseenKeys = seenKeys.filter(key => key !== hotel.hotelKey && !hotel.aliases.includes(key));
+  const takenKeys = await keysOfOtherHotels(hotel, unseenKeys);
+  const newAliases = unseenKeys.filter(key => !takenKeys.has(key));
+  hotel.aliases.push(...newAliases);
+
+  try {
+    await hotel.save();
+  } catch (err) {
+    // Another request registered the same hotel first - use its record
+    if (err.code === 11000) {
+      return resolveHotelKey(hotel.hotelKey);
+    }
+    throw err;
+  }
+
+  if (newAliases.length > 0) {
+    const moved = await mergeRatingsInto(hotel.hotelKey, newAliases);
+    if (moved > 0) {
+      console.log(`Merged ${moved} ratings from ${newAliases.join(', ')} into ${hotel.hotelKey}`);
+    }
+  }
+
+  return hotel.hotelKey;
+}
+
+// Migration: merge every rating still stored under a registered alias into
+// its hotel's canonical key. Safe to run repeatedly.
+async function migrateLegacyRatings() {
+  let hotels = 0;
+  let ratings = 0;
+
+  const cursor = Hotel.find({ 'aliases.0': { $exists: true } }).select('hotelKey aliases').lean().cursor();
+  for await (const hotel of cursor) {
+    const moved = await mergeRatingsInto(hotel.hotelKey, hotel.aliases);
+    if (moved > 0) {
+      hotels++;
+      ratings += moved;
+    }
+  }
+
+  return { hotels, ratings };
+}
+
+// Migration: store the country of hotels registered before it was kept,
+// so they can be matched from other sites. Safe to run repeatedly.
+async function backfillHotelCountries() {
+  let updated = 0;
+
+  const cursor = Hotel.find({ country: { $exists: false } }).select('slug address').lean().cursor();
+  for await (const hotel of cursor) {
+    const country = countryFor(hotel.slug, hotel.address);
+    if (country) {
+      await Hotel.updateOne({ _id: hotel._id }, { $set: { country } });
+      updated++;
+    }
+  }
+
+  return updated;
+}
+
+// Migration: store the city of hotels registered before it was kept, parsed
+// from their address, so they appear in leaderboards. Safe to run repeatedly.
+async function backfillHotelCities() {
+  let updated = 0;
+
+  const cursor = Hotel.find({ cityKey: { $exists: false }, address: { $exists: true } }).select('address').lean().cursor();
+  for await (const hotel of cursor) {
+    const city = parseCity(hotel.address);
+    if (city && cityKey(city)) {
+      await Hotel.updateOne({ _id: hotel._id }, { $set: { city, cityKey: cityKey(city) } });
+      updated++;
+    }
+  }
+
+  return updated;
+}
+
+// Error carrying the HTTP status the admin routes should answer with
+function registryError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Admin merge: fold a set of hotel keys (and every alias they carry) into a primary key.
+// Ratings move to the primary, the keys become its aliases and an audit record is written.
+async function mergeHotels({ primaryKey, keys, reason, performedBy, claimedBy }) {
+  if (!primaryKey || !Array.isArray(keys) || keys.length === 0) {
+    throw registryError('primaryKey and a non-empty keys array are required', 400);
+  }
+
+  const primary = await resolveHotelKey(primaryKey);
+
+  // Merge whole hotels: a key that is an alias brings its canonical hotel along
+  const sourceKeys = [];
+  for (const key of keys) {
+    const resolved = await resolveHotelKey(key);
+    if (resolved !== primary && !sourceKeys.includes(resolved)) {
+      sourceKeys.push(resolved);
+    }
+  }
+
+  if (sourceKeys.length === 0) {
+    throw registryError('All keys already resolve to the primary hotel', 400);
+  }
+
+  let primaryHotel = await Hotel.findOne({ hotelKey: primary }).exec();
+  const createdPrimary = !primaryHotel;
+  if (!primaryHotel) {
+    primaryHotel = new Hotel({ hotelKey: primary });
+  }
+
+  const absorbedHotels = await Hotel.find({ hotelKey: { $in: sourceKeys } }).lean().exec();
+  const movedKeys = [...new Set([
+    ...sourceKeys,
+    ...absorbedHotels.flatMap(hotel => hotel.aliases)
+  ])].filter(key => key !== primary);
+
+  const addedAliases = movedKeys.filter(key => !primaryHotel.aliases.includes(key));
+  primaryHotel.aliases.push(...addedAliases);
+
+  // A primary without coordinates takes those of a hotel folded into it
+  const located = absorbedHotels.find(hotel => hotel.location && hotel.location.coordinates);
+  if (located && !(primaryHotel.location && primaryHotel.location.coordinates)) {
+    primaryHotel.location = located.location;
+    primaryHotel.locationSource = located.locationSource;
+  }
+
+  // Remember exactly which ratings moved from which key so the merge can be undone
+  const groups = await Rating.aggregate([
+    { $match: { hotelKey: { $in: movedKeys } } },
+    {
+      $group: {
+        _id: '$hotelKey',
+        ratingIds: { $push: '$_id' },
+        keyedRatingIds: { $push: { $cond: [{ $ifNull: ['$originalHotelKey', false] }, '$$REMOVE', '$_id'] } }
+      }
+    }
+  ]);
+  const moves = groups.map(group => ({ fromKey: group._id, ratingIds: group.ratingIds, keyedRatingIds: group.keyedRatingIds }));
+
+  await Hotel.deleteMany({ hotelKey: { $in: sourceKeys } });
+  await primaryHotel.save();
+
+  const ratingIds = moves.flatMap(move => move.ratingIds);
+  if (ratingIds.length > 0) {
+    await Rating.updateMany(
+      { _id: { $in: ratingIds } },
+      [{ $set: { originalHotelKey: { $ifNull: ['$originalHotelKey', '$hotelKey'] }, hotelKey: primary } }]
+    );
+  }
+
+  const merge = await HotelMerge.create({
+    primaryKey: primary,
+    mergedKeys: sourceKeys,
+    moves,
+    addedAliases,
+    absorbedHotels,
+    createdPrimary,
+    reason,
+    performedBy,
+    claimedBy
+  });
+
+  console.log(`Merged ${sourceKeys.join(', ')} into ${primary} (${ratingIds.length} ratings moved)`);
+  return merge;
+}
+
+// Undo an admin merge: move its ratings back, restore the absorbed hotel records
+// and remove the aliases it added to the primary. Ratings the merge gave an
+// originalHotelKey lose it again, so a later merge records their key afresh.
+async function undoMerge(mergeId, { performedBy, claimedBy } = {}) {
+  const merge = await HotelMerge.findById(mergeId).exec();
+  if (!merge) {
+    throw registryError('Merge not found', 404);
+  }
+  if (merge.undoneAt) {
+    throw registryError('Merge has already been undone', 409);
+  }
+
+  for (const move of merge.moves) {
+    await Rating.updateMany(
+      { _id: { $in: move.keyedRatingIds }, hotelKey: merge.primaryKey },
+      { $set: { hotelKey: move.fromKey }, $unset: { originalHotelKey: 1 } }
+    );
+    await Rating.updateMany(
+      { _id: { $in: move.ratingIds }, hotelKey: merge.primaryKey },
+      { $set: { hotelKey: move.fromKey } }
+    );
+  }
+
+  await Hotel.updateOne(
+    { hotelKey: merge.primaryKey },
+    { $pull: { aliases: { $in: merge.addedAliases } } }
+  );
+  if (merge.createdPrimary) {
+    await Hotel.deleteOne({ hotelKey: merge.primaryKey, aliases: { $size: 0 } });
+  }
+
+  if (merge.absorbedHotels.length > 0) {
+    try {
+      await Hotel.insertMany(merge.absorbedHotels, { ordered: false });
+    } catch (err) {
+      // A hotel re-registered since the merge keeps its newer record
+      if (err.code !== 11000) {
+        throw err;
+      }
+    }
+  }
+
+  merge.undoneAt = new Date();
+  merge.undoneBy = performedBy;
+  merge.undoneClaimedBy = claimedBy;
+  await merge.save();
+
+  console.log(`Undid merge ${merge._id} of ${merge.mergedKeys.join(', ')} into ${merge.primaryKey}`);
+  return merge;
+}
+
+module.exports = {
+  IDENTIFIER_TYPES,
+  normalizeIdentifiers,
+  isLegacyHotelKey,
+  canonicalKeyFor,
+  resolveHotelKey,
+  lookupHotelKey,
+  describeHotels,
+  registerHotel,
+  migrateLegacyRatings,
+  backfillHotelCountries,
+  backfillHotelCities,
+  mergeHotels,
+  undoMerge
+};
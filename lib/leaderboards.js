@@ -0,0 +1,217 @@
+// Leaderboards - the best-rated hotels of a city or country for one aspect of a
+// night's sleep ('Best bed comfort', 'Quietest'), using the city and country of
+// the hotel registry's records (lib/hotel-registry.js).
+//
+// Minimum-sample rules: a hotel is only ranked with at least minSampleSize
+// (SUMMARY_MIN_SAMPLE_SIZE) ratings that count for the board, and hotels are ordered by the lower bound
+// of the Wilson interval of their share rather than the share itself, so five
+// glowing ratings don't outrank ninety good ones.
+
+const { Hotel, Rating, HIDDEN_RATING_STATUSES } = require('./models');
+const vocabulary = require('./vocabulary');
+const { MIN_SAMPLE_SIZE, wilsonInterval, multiValueAnswer } = require('./summary');
+
+const DEFAULT_LEADERBOARD_LIMIT = 10;
+const MAX_LEADERBOARD_LIMIT = 50;
+const MAX_PLACE_HOTELS = 5000; // Hotels considered per city or country
+
+// measure 'positive': share of the category's answers with a positive value,
+//                     out of the ratings that answered it
+// measure 'clear':    share of the ratings that answered the category - with issues,
+//                     or with none (noneReported) - that reported none of its issues.
+//                     Ratings that skipped the question don't count either way
+//                     (multiValueAnswer in lib/summary.js).
+const LEADERBOARDS = [
+  { id: 'bed-comfort', label: 'Best bed comfort', category: 'bedComfort', measure: 'positive' },
+  { id: 'pillow-comfort', label: 'Best pillows', category: 'pillowComfort', measure: 'positive' },
+  { id: 'duvet-comfort', label: 'Best duvets', category: 'bedcoverComfort', measure: 'positive' },
+  { id: 'fewest-light-annoyances', label: 'Fewest light annoyances', category: 'lightAnnoyances', measure: 'clear' },
+  { id: 'quietest', label: 'Quietest', category: 'noise', measure: 'clear' }
+];
+const LEADERBOARD_IDS = LEADERBOARDS.map(board => board.id);
+
+const round1 = value => Math.round(value * 10) / 10;
+
+function leaderboardError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Parse the board and limit query parameters; returns { options } or { error, field }
+function parseLeaderboardQuery(query) {
+  const options = { boards: LEADERBOARDS, limit: DEFAULT_LEADERBOARD_LIMIT };
+
+  if (query.board !== undefined) {
+    const ids = String(query.board).split(',').map(part => part.trim()).filter(Boolean);
+    const unknown = ids.filter(id => !LEADERBOARD_IDS.includes(id));
+    if (ids.length === 0 || unknown.length > 0) {
+      return { error: `Unknown board: ${unknown.join(', ') || query.board} (valid: ${LEADERBOARD_IDS.join(', ')})`, field: 'board' };
+    }
+    options.boards = LEADERBOARDS.filter(board => ids.includes(board.id));
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LEADERBOARD_LIMIT) {
+      return { error: `limit must be a positive integer (at most ${MAX_LEADERBOARD_LIMIT})`, field: 'limit' };
+    }
+    options.limit = limit;
+  }
+
+  return { options };
+}
+
+// $group counters for a board: `sample`, the ratings that count, and `hits` among them
+function boardCounters(board) {
+  const category = vocabulary.CATEGORIES.find(candidate => candidate.key === board.category);
+  const field = `$${category.key}`;
+  const sumIf = condition => ({ $sum: { $cond: [condition, 1, 0] } });
+
+  if (board.measure === 'clear') {
+    const { answered, reportedNone } = multiValueAnswer(category.key);
+    return {
+      sample: sumIf(answered),
+      hits: sumIf(reportedNone)
+    };
+  }
+
+  const positiveValues = category.values.filter(value => value.polarity === 'positive').map(value => value.value);
+  return {
+    sample: sumIf({ $ne: [{ $trim: { input: { $ifNull: [field, ''] } } }, ''] }),
+    hits: sumIf({ $in: [field, positiveValues] })
+  };
+}
+
+const counterField = (board, counter) => `${board.id.replace(/-/g, '_')}__${counter}`;
+
+// The most common city name among a city's hotels, as cityKey groups spellings
+function mostCommonCity(hotels) {
+  const counts = new Map();
+  hotels.forEach(hotel => counts.set(hotel.city, (counts.get(hotel.city) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Leaderboards for a country (ISO code) or, with cityKey, one of its cities:
+// { country, cityKey, city, minSampleSize, ratedHotels, boards: [{ id, label, rankedHotels, hotels }] }
+async function computeLeaderboards({
+  country,
+  cityKey,
+  boards = LEADERBOARDS,
+  limit = DEFAULT_LEADERBOARD_LIMIT,
+  minSampleSize = MIN_SAMPLE_SIZE
+}) {
+  const hotels = await Hotel.find({ country, ...(cityKey && { cityKey }) })
+    .select('hotelKey name address city cityKey')
+    .limit(MAX_PLACE_HOTELS)
+    .lean()
+    .exec();
+  if (hotels.length === 0) {
+    throw leaderboardError(cityKey ? 'No hotels known in this city' : 'No hotels known in this country', 404);
+  }
+
+  const group = { _id: '$hotelKey', totalRatings: { $sum: 1 } };
+  boards.forEach(board => {
+    const counters = boardCounters(board);
+    group[counterField(board, 'sample')] = counters.sample;
+    group[counterField(board, 'hits')] = counters.hits;
+  });
+  const counts = await Rating.aggregate([
+    { $match: { hotelKey: { $in: hotels.map(hotel => hotel.hotelKey) }, status: { $nin: HIDDEN_RATING_STATUSES } } },
+    { $group: group }
+  ]);
+  const hotelsByKey = new Map(hotels.map(hotel => [hotel.hotelKey, hotel]));
+
+  const rankBoard = board => {
+    const ranked = counts
+      .filter(entry => entry[counterField(board, 'sample')] >= minSampleSize)
+      .map(entry => {
+        const hotel = hotelsByKey.get(entry._id);
+        const sampleSize = entry[counterField(board, 'sample')];
+        const share = entry[counterField(board, 'hits')] / sampleSize;
+        return {
+          hotelKey: hotel.hotelKey,
+          name: hotel.name || null,
+          address: hotel.address || null,
+          city: hotel.city || null,
+          totalRatings: entry.totalRatings,
+          sampleSize,
+          percentage: round1(share * 100),
+          confidenceInterval: wilsonInterval(share, sampleSize)
+        };
+      })
+      .sort((a, b) => b.confidenceInterval.lower - a.confidenceInterval.lower ||
+        b.percentage - a.percentage ||
+        b.sampleSize - a.sampleSize ||
+        a.hotelKey.localeCompare(b.hotelKey));
+
+    return {
+      id: board.id,
+      label: board.label,
+      category: board.category,
+      measure: board.measure,
+      rankedHotels: ranked.length,
+      hotels: ranked.slice(0, limit).map((entry, index) => ({ rank: index + 1, ...entry }))
+    };
+  };
+
+  const result = { country };
+  if (cityKey) {
+    result.cityKey = cityKey;
+    result.city = mostCommonCity(hotels);
+  }
+  return {
+    ...result,
+    minSampleSize,
+    ratedHotels: counts.length,
+    boards: boards.map(rankBoard)
+  };
+}
+
+// Countries and cities with rated hotels, for browsing: each with how many
+// hotels have ratings and how many have at least minSampleSize of them
+async function listPlaces({ minSampleSize = MIN_SAMPLE_SIZE } = {}) {
+  const groups = await Rating.aggregate([
+    { $match: { status: { $nin: HIDDEN_RATING_STATUSES } } },
+    { $group: { _id: '$hotelKey', ratings: { $sum: 1 } } },
+    { $lookup: { from: Hotel.collection.name, localField: '_id', foreignField: 'hotelKey', as: 'hotel' } },
+    { $unwind: '$hotel' },
+    { $match: { 'hotel.country': { $nin: [null, ''] } } },
+    {
+      $group: {
+        _id: { country: '$hotel.country', cityKey: '$hotel.cityKey' },
+        city: { $first: '$hotel.city' },
+        ratedHotels: { $sum: 1 },
+        rankableHotels: { $sum: { $cond: [{ $gte: ['$ratings', minSampleSize] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const countries = new Map();
+  groups.forEach(group => {
+    const { country, cityKey } = group._id;
+    if (!countries.has(country)) {
+      countries.set(country, { country, ratedHotels: 0, rankableHotels: 0, cities: [] });
+    }
+    const entry = countries.get(country);
+    entry.ratedHotels += group.ratedHotels;
+    entry.rankableHotels += group.rankableHotels;
+    if (cityKey) {
+      entry.cities.push({ cityKey, city: group.city, ratedHotels: group.ratedHotels, rankableHotels: group.rankableHotels });
+    }
+  });
+
+  const byRatedHotels = (a, b) => b.rankableHotels - a.rankableHotels || b.ratedHotels - a.ratedHotels;
+  return [...countries.values()]
+    .map(entry => ({ ...entry, cities: entry.cities.sort((a, b) => byRatedHotels(a, b) || a.cityKey.localeCompare(b.cityKey)) }))
+    .sort((a, b) => byRatedHotels(a, b) || a.country.localeCompare(b.country));
+}
+
+module.exports = {
+  LEADERBOARDS,
+  LEADERBOARD_IDS,
+  MAX_LEADERBOARD_LIMIT,
+  parseLeaderboardQuery,
+  computeLeaderboards,
+  listPlaces
+};
@@ -0,0 +1,35 @@
+// Outgoing email. Sends through an HTTP email API (MAIL_API_URL, e.g.
+// https://api.resend.com/emails, with MAIL_API_KEY and MAIL_FROM, read by
+// lib/config.js); without one configured only the fact that a message wasn't
+// sent is logged - never its text, which may hold a sign-in link.
+
+const DEFAULT_FROM = 'Hotel Bedding Ratings <no-reply@hotel-ratings.app>';
+
+function createMailer({ apiUrl = null, apiKey = null, from = DEFAULT_FROM } = {}) {
+  return {
+    async sendMail({ to, subject, text }) {
+      if (!apiUrl) {
+        console.log(`Email to ${to} not sent (MAIL_API_URL not set): ${subject}`);
+        return;
+      }
+
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey || ''}`
+        },
+        body: JSON.stringify({ from, to, subject, text })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Email API responded ${response.status}: ${await response.text()}`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_FROM,
+  createMailer
+};
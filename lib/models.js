@@ -0,0 +1,213 @@
+// Mongoose models shared by the server routes and the lib modules
+
+const mongoose = require('mongoose');
+
+// Define schema and model for hotel bedding ratings ONLY
+const ratingSchema = new mongoose.Schema({
+  hotelKey: { type: String, required: true, index: true },
+  originalHotelKey: { type: String, index: true }, // Key the rating was submitted under, kept when ratings are merged
+  hotelName: String,
+  hotelAddress: String,
+  bedSize: String,
+  bedComfort: String,
+  bedcoverSize: String,
+  bedcoverComfort: String,
+  pillowSize: String,
+  pillowComfort: String,
+  lightAnnoyances: { type: [String], default: [] }, // Light annoyances array
+  noise: { type: [String], default: [] }, // Noise issues array
+  // Multi-value categories the guest said had none of the issues; an empty
+  // array beside a category not listed here means the question was skipped.
+  // Older ratings predate the field, so their empty arrays count as skipped
+  noneReported: { type: [String], default: [] },
+  // Optional stay details (lib/stay-details.js); comments are sanitised plain text
+  comment: String,
+  roomNumber: String,
+  floor: Number,
+  roomTypeId: String, // The site's room type id, e.g. Booking's room id
+  roomType: String, // Room type name as shown on the site
+  stayMonth: String, // 'YYYY-MM'
+  // Abuse prevention fields
+  fingerprint: { type: String, required: true, index: true },
+  // Keyed hash of the client IP (lib/client-ip.js), removed by the retention job.
+  // ipAddress is the plain IP of ratings from before hashing, hashed by that job.
+  ipHash: { type: String, index: true },
+  subnetHash: { type: String, index: true }, // Same, for the /24 (IPv4) or /48 (IPv6) network
+  ipAddress: { type: String, index: true, sparse: true },
+  submissionTime: { type: Date, default: Date.now, index: true },
+  // Client-generated per submission, so a retried submission is only stored once
+  idempotencyKey: { type: String, unique: true, sparse: true },
+  // Account the rating belongs to; anonymous ratings carry a claim token
+  // (stored hashed) that lets the submitter move them into an account later
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  claimTokenHash: { type: String, index: true, sparse: true },
+  editedAt: Date,
+  // Spam scoring (lib/spam.js): quarantined ratings wait for review and, like
+  // rejected ones, are left out of summaries
+  status: { type: String, enum: ['active', 'quarantined', 'rejected'], default: 'active', index: true },
+  spamScore: Number,
+  spamReasons: [{ rule: String, detail: String, weight: Number, _id: false }]
+}, { timestamps: true });
+
+// Summaries match on hotelKey and an optional submissionTime window
+ratingSchema.index({ hotelKey: 1, submissionTime: -1 });
+
+const Rating = mongoose.model('Rating', ratingSchema);
+
+// Statuses of ratings that summaries and listings leave out. Ratings stored
+// before statuses existed have none and count as active.
+const HIDDEN_RATING_STATUSES = ['quarantined', 'rejected'];
+
+// One rating submission counted against a rate limit policy (see lib/rate-limiter.js).
+// `key` is '<policy>:<identifier>'; hits are removed once their window has passed.
+const rateLimitHitSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  at: { type: Date, required: true },
+  expiresAt: { type: Date, required: true, expires: 0 } // TTL
+});
+
+rateLimitHitSchema.index({ key: 1, at: -1 });
+
+const RateLimitHit = mongoose.model('RateLimitHit', rateLimitHitSchema);
+
+// Random salt per rotation period for IP hashes. Once a salt has expired,
+// hashes made with it can no longer be linked to an IP, even with the secret.
+const ipHashSaltSchema = new mongoose.Schema({
+  period: { type: Number, required: true, unique: true },
+  salt: { type: String, required: true },
+  expiresAt: { type: Date, required: true, expires: 0 } // TTL
+});
+
+const IpHashSalt = mongoose.model('IpHashSalt', ipHashSaltSchema);
+
+// Hotel registry - one document per physical hotel under its canonical key.
+// `aliases` holds every other key the hotel has been seen under (legacy base64
+// name+address keys, slug keys from before the property ID was known, keys
+// from the other booking sites the property was linked from).
+const hotelSchema = new mongoose.Schema({
+  hotelKey: { type: String, required: true, unique: true }, // Canonical key, never changes once assigned
+  bookingId: { type: String, index: true, sparse: true }, // Booking.com b_hotel_id
+  slug: { type: String, index: true, sparse: true }, // '<cc>:<slug>' from /hotel/<cc>/<slug>
+  expediaId: { type: String, index: true, sparse: true }, // Expedia property ID (h<id>.Hotel-Information)
+  hotelsComId: { type: String, index: true, sparse: true }, // Hotels.com legacy ID (/ho<id>)
+  airbnbId: { type: String, index: true, sparse: true }, // Airbnb listing ID (/rooms/<id>)
+  name: String,
+  address: String,
+  country: { type: String, index: true }, // ISO code, for matching the property across sites
+  city: String, // As the site shows it, from its structured data or the address
+  cityKey: String, // lib/address.js cityKey(city), what leaderboards group by
+  aliases: { type: [String], default: [], index: true },
+  // GeoJSON point for the nearby search (lib/geo.js)
+  location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined } // [lng, lat]
+  },
+  locationSource: { type: String, enum: ['page', 'geocoder'] } // The site's map data, or the offline geocoder dataset
+}, { timestamps: true });
+
+hotelSchema.index({ location: '2dsphere' });
+hotelSchema.index({ country: 1, cityKey: 1 });
+
+const Hotel = mongoose.model('Hotel', hotelSchema);
+
+// Audit record of an admin merge of several hotel keys into one primary key.
+// Holds everything needed to undo it: which ratings moved from which key,
+// the aliases added to the primary and snapshots of the hotel records folded in.
+const hotelMergeSchema = new mongoose.Schema({
+  primaryKey: { type: String, required: true, index: true },
+  mergedKeys: { type: [String], required: true },
+  moves: [{
+    fromKey: { type: String, required: true },
+    ratingIds: [mongoose.Schema.Types.ObjectId],
+    keyedRatingIds: [mongoose.Schema.Types.ObjectId] // Ratings the merge gave their originalHotelKey
+  }],
+  addedAliases: { type: [String], default: [] },
+  absorbedHotels: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  createdPrimary: { type: Boolean, default: false },
+  reason: String,
+  performedBy: String, // Name of the admin token used
+  claimedBy: String, // performedBy as the request body gave it, unverified
+  undoneAt: Date,
+  undoneBy: String,
+  undoneClaimedBy: String
+}, { timestamps: true });
+
+const HotelMerge = mongoose.model('HotelMerge', hotelMergeSchema);
+
+// Banned submitters, by browser fingerprint or IP hash. IP hashes change when
+// the hash salt rotates (lib/client-ip.js), so IP bans last one salt period at most.
+const banSchema = new mongoose.Schema({
+  type: { type: String, enum: ['fingerprint', 'ipHash'], required: true },
+  value: { type: String, required: true },
+  reason: String,
+  performedBy: String,
+  claimedBy: String,
+  expiresAt: { type: Date, expires: 0 } // TTL, permanent when unset
+}, { timestamps: true });
+
+banSchema.index({ type: 1, value: 1 }, { unique: true });
+
+const Ban = mongoose.model('Ban', banSchema);
+
+// Audit log of moderation actions (lib/moderation.js), one entry per action
+const moderationActionSchema = new mongoose.Schema({
+  action: { type: String, enum: ['approve', 'reject', 'delete', 'ban', 'unban'], required: true, index: true },
+  targetType: { type: String, enum: ['rating', 'ban'], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  // What changed: previous status, the deleted rating, the ban, ratings rejected with it
+  details: mongoose.Schema.Types.Mixed,
+  reason: String,
+  performedBy: String, // Name of the admin token used
+  claimedBy: String // performedBy as the request body gave it, unverified
+}, { timestamps: true });
+
+moderationActionSchema.index({ createdAt: -1 });
+
+const ModerationAction = mongoose.model('ModerationAction', moderationActionSchema);
+
+// Optional user accounts, signed in by email magic link
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  lastLoginAt: Date
+}, { timestamps: true });
+
+const User = mongoose.model('User', userSchema);
+
+// Pending magic-link sign-in. The emailed link carries `token`, the client that
+// asked for it polls with `pollSecret`; only hashes of both are stored.
+const loginRequestSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  pollSecretHash: { type: String, required: true },
+  codeHash: { type: String, required: true }, // Confirmation code shown by the requesting device
+  failedAttempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true, expires: 0 }, // TTL: removed once expired
+  verifiedAt: Date,
+  consumedAt: Date
+}, { timestamps: true });
+
+const LoginRequest = mongoose.model('LoginRequest', loginRequestSchema);
+
+// Bearer access tokens issued at sign-in (stored hashed)
+const accessTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  expiresAt: { type: Date, required: true, expires: 0 }, // TTL: removed once expired
+  lastUsedAt: Date
+}, { timestamps: true });
+
+const AccessToken = mongoose.model('AccessToken', accessTokenSchema);
+
+module.exports = {
+  Rating,
+  HIDDEN_RATING_STATUSES,
+  RateLimitHit,
+  IpHashSalt,
+  Hotel,
+  HotelMerge,
+  Ban,
+  ModerationAction,
+  User,
+  LoginRequest,
+  AccessToken
+};
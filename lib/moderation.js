@@ -0,0 +1,218 @@
+// Rating moderation - reviewing quarantined and recent ratings, approving,
+// rejecting or deleting them, and banning submitters. Every action is written
+// to the ModerationAction audit log.
+
+const mongoose = require('mongoose');
+const { Rating, Ban, ModerationAction } = require('./models');
+
+const RATING_STATUSES = ['active', 'quarantined', 'rejected'];
+const BAN_TYPES = ['fingerprint', 'ipHash'];
+const MODERATION_ACTIONS = ['approve', 'reject', 'delete', 'ban', 'unban'];
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Network data is left out of audit snapshots, which outlive the retention period
+const SNAPSHOT_EXCLUDED_FIELDS = ['ipHash', 'subnetHash', 'ipAddress', 'claimTokenHash'];
+
+function moderationError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// performedBy is the admin the server authenticated, claimedBy who the request said it was
+async function logAction(action, targetType, targetId, { details, reason, performedBy, claimedBy }) {
+  return ModerationAction.create({ action, targetType, targetId, details, reason, performedBy, claimedBy });
+}
+
+function snapshot(rating) {
+  const data = rating.toObject();
+  SNAPSHOT_EXCLUDED_FIELDS.forEach(field => delete data[field]);
+  return data;
+}
+
+// Parse the listing filters from a query string; returns { filter, limit } or { error, field }
+function parseRatingFilters(query) {
+  const filter = {};
+
+  const status = query.status || 'quarantined';
+  if (status !== 'all') {
+    if (!RATING_STATUSES.includes(status)) {
+      return { error: `Invalid status: ${status} (valid: ${RATING_STATUSES.join(', ')}, all)`, field: 'status' };
+    }
+    // Ratings from before statuses existed count as active
+    filter.status = status === 'active' ? { $in: ['active', null] } : status;
+  }
+
+  ['hotelKey', 'fingerprint', 'ipHash', 'subnetHash'].forEach(field => {
+    if (query[field]) {
+      filter[field] = String(query[field]);
+    }
+  });
+
+  for (const param of ['since', 'until']) {
+    if (query[param] !== undefined) {
+      const date = new Date(query[param]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `Invalid ${param} date: ${query[param]}`, field: param };
+      }
+      filter.submissionTime = { ...filter.submissionTime, [param === 'since' ? '$gte' : '$lte']: date };
+    }
+  }
+
+  if (query.minScore !== undefined) {
+    const minScore = Number(query.minScore);
+    if (!Number.isFinite(minScore)) {
+      return { error: 'minScore must be a number', field: 'minScore' };
+    }
+    filter.spamScore = { $gte: minScore };
+  }
+
+  const limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_LIST_LIMIT;
+  if (Number.isNaN(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIST_LIMIT}`, field: 'limit' };
+  }
+
+  return { filter, limit };
+}
+
+// Newest first
+async function listRatings(filter, limit) {
+  return Rating.find(filter).sort({ submissionTime: -1 }).limit(limit).lean().exec();
+}
+
+async function findRating(ratingId) {
+  if (!mongoose.isValidObjectId(ratingId)) {
+    throw moderationError('Invalid rating id', 400);
+  }
+  const rating = await Rating.findById(ratingId).exec();
+  if (!rating) {
+    throw moderationError('Rating not found', 404);
+  }
+  return rating;
+}
+
+// approve -> active, reject -> rejected
+async function reviewRating(ratingId, action, { reason, performedBy, claimedBy }) {
+  const status = { approve: 'active', reject: 'rejected' }[action];
+  const rating = await findRating(ratingId);
+  const previousStatus = rating.status || 'active';
+
+  rating.status = status;
+  await rating.save();
+  await logAction(action, 'rating', rating._id, {
+    details: { hotelKey: rating.hotelKey, previousStatus, spamScore: rating.spamScore },
+    reason,
+    performedBy,
+    claimedBy
+  });
+  return rating;
+}
+
+async function deleteRating(ratingId, { reason, performedBy, claimedBy }) {
+  const rating = await findRating(ratingId);
+  await rating.deleteOne();
+  await logAction('delete', 'rating', rating._id, { details: { rating: snapshot(rating) }, reason, performedBy, claimedBy });
+  return rating;
+}
+
+async function listBans() {
+  return Ban.find().sort({ createdAt: -1 }).lean().exec();
+}
+
+// Ban a fingerprint or IP hash; with rejectRatings, its active and quarantined
+// ratings are rejected as well
+async function createBan({ type, value, reason, expiresInDays, rejectRatings, performedBy, claimedBy }) {
+  if (!BAN_TYPES.includes(type)) {
+    throw moderationError(`type must be one of: ${BAN_TYPES.join(', ')}`, 400);
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw moderationError('value must be a non-empty string', 400);
+  }
+  if (expiresInDays !== undefined && (!Number.isFinite(expiresInDays) || expiresInDays <= 0)) {
+    throw moderationError('expiresInDays must be a positive number', 400);
+  }
+
+  let ban;
+  try {
+    ban = await Ban.create({
+      type,
+      value: value.trim(),
+      reason,
+      performedBy,
+      claimedBy,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : undefined
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw moderationError(`This ${type} is already banned`, 409);
+    }
+    throw err;
+  }
+
+  let rejectedRatingIds = [];
+  if (rejectRatings) {
+    const ratings = await Rating.find({ [type]: ban.value, status: { $ne: 'rejected' } }).select('_id').lean().exec();
+    rejectedRatingIds = ratings.map(rating => rating._id);
+    await Rating.updateMany({ _id: { $in: rejectedRatingIds } }, { $set: { status: 'rejected' } });
+  }
+
+  await logAction('ban', 'ban', ban._id, {
+    details: { type, value: ban.value, expiresAt: ban.expiresAt, rejectedRatingIds },
+    reason,
+    performedBy,
+    claimedBy
+  });
+  return { ban, rejectedRatings: rejectedRatingIds.length };
+}
+
+async function removeBan(banId, { reason, performedBy, claimedBy }) {
+  if (!mongoose.isValidObjectId(banId)) {
+    throw moderationError('Invalid ban id', 400);
+  }
+  const ban = await Ban.findByIdAndDelete(banId).exec();
+  if (!ban) {
+    throw moderationError('Ban not found', 404);
+  }
+
+  await logAction('unban', 'ban', ban._id, { details: { type: ban.type, value: ban.value }, reason, performedBy, claimedBy });
+  return ban;
+}
+
+// Whether a submission comes from a banned fingerprint or IP hash
+async function isBanned({ fingerprint, ipHash }) {
+  const ban = await Ban.findOne({
+    $or: [{ type: 'fingerprint', value: fingerprint }, { type: 'ipHash', value: ipHash }],
+    $and: [{ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] }] // TTL removal isn't immediate
+  }).select('_id').lean().exec();
+  return !!ban;
+}
+
+// Newest first, optionally for one action or target
+async function listAuditLog({ action, targetId, limit = DEFAULT_LIST_LIMIT } = {}) {
+  const filter = {};
+  if (action) {
+    filter.action = action;
+  }
+  if (targetId) {
+    filter.targetId = targetId;
+  }
+  return ModerationAction.find(filter).sort({ createdAt: -1 }).limit(limit).lean().exec();
+}
+
+module.exports = {
+  RATING_STATUSES,
+  BAN_TYPES,
+  MODERATION_ACTIONS,
+  MAX_LIST_LIMIT,
+  parseRatingFilters,
+  listRatings,
+  reviewRating,
+  deleteRating,
+  listBans,
+  createBan,
+  removeBan,
+  isBanned,
+  listAuditLog
+};
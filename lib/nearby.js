@@ -0,0 +1,139 @@
+// Nearby search - rated hotels around a point (a conference centre, a station),
+// optionally ranked by how rarely guests reported noise and light annoyances.
+// Only hotels with a stored location can be found; see lib/geo.js.
+
+const { Hotel, Rating, HIDDEN_RATING_STATUSES } = require('./models');
+const { MIN_SAMPLE_SIZE, multiValueAnswer } = require('./summary');
+const { inRange, toPoint, fromPoint } = require('./geo');
+
+const DEFAULT_RADIUS_M = 1000;
+const MAX_RADIUS_M = 50000;
+const DEFAULT_NEARBY_LIMIT = 20;
+const MAX_NEARBY_LIMIT = 100;
+const MAX_NEARBY_CANDIDATES = 1000; // Hotels looked at per search, nearest first
+const NEARBY_SORTS = ['distance', 'quietest'];
+
+// Issues a nearby search reports, each as the share of the hotel's ratings
+// answering the category (issues or none) that reported any of them; 'quietest'
+// ranks by them in this order
+const DISTURBANCE_CATEGORIES = ['noise', 'lightAnnoyances'];
+
+const round1 = value => Math.round(value * 10) / 10;
+
+// Parse the nearby search's query parameters; returns { options } or { error, field }
+function parseNearbyQuery(query) {
+  const center = { lat: Number(query.lat), lng: Number(query.lng) };
+  if (!inRange(center.lat, 90)) {
+    return { error: 'lat must be a latitude between -90 and 90', field: 'lat' };
+  }
+  if (!inRange(center.lng, 180)) {
+    return { error: 'lng must be a longitude between -180 and 180', field: 'lng' };
+  }
+
+  const options = { center, radius: DEFAULT_RADIUS_M, sort: 'distance', limit: DEFAULT_NEARBY_LIMIT };
+
+  if (query.radius !== undefined) {
+    const radius = Number(query.radius);
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_M) {
+      return { error: `radius must be a number of metres between 1 and ${MAX_RADIUS_M}`, field: 'radius' };
+    }
+    options.radius = radius;
+  }
+
+  if (query.sort !== undefined) {
+    if (!NEARBY_SORTS.includes(query.sort)) {
+      return { error: `Invalid sort: ${query.sort} (valid: ${NEARBY_SORTS.join(', ')})`, field: 'sort' };
+    }
+    options.sort = query.sort;
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_NEARBY_LIMIT) {
+      return { error: `limit must be a positive integer (at most ${MAX_NEARBY_LIMIT})`, field: 'limit' };
+    }
+    options.limit = limit;
+  }
+
+  return { options };
+}
+
+// Rated hotels within options.radius metres of options.center, with the share of
+// their answers reporting noise and light annoyances. 'distance' lists the nearest
+// first; 'quietest' the fewest noise reports, then light annoyances, then distance,
+// with hotels where either category has fewer answers than the minimum sample
+// size after all the others.
+async function findNearbyHotels({ center, radius, sort, limit, minSampleSize = MIN_SAMPLE_SIZE }) {
+  const hotels = await Hotel.aggregate([
+    {
+      $geoNear: {
+        near: toPoint(center),
+        key: 'location',
+        distanceField: 'distance',
+        maxDistance: radius,
+        spherical: true
+      }
+    },
+    { $limit: MAX_NEARBY_CANDIDATES },
+    { $project: { _id: 0, hotelKey: 1, name: 1, address: 1, location: 1, distance: 1 } }
+  ]);
+
+  const counts = hotels.length === 0 ? [] : await Rating.aggregate([
+    { $match: { hotelKey: { $in: hotels.map(hotel => hotel.hotelKey) }, status: { $nin: HIDDEN_RATING_STATUSES } } },
+    {
+      $group: DISTURBANCE_CATEGORIES.reduce((group, key) => {
+        const { reportedIssues, answered } = multiValueAnswer(key);
+        return {
+          ...group,
+          [`${key}Reported`]: { $sum: { $cond: [reportedIssues, 1, 0] } },
+          [`${key}Answered`]: { $sum: { $cond: [answered, 1, 0] } }
+        };
+      }, { _id: '$hotelKey', totalRatings: { $sum: 1 } })
+    }
+  ]);
+  const countsByKey = new Map(counts.map(entry => [entry._id, entry]));
+
+  const results = hotels
+    .filter(hotel => countsByKey.has(hotel.hotelKey))
+    .map(hotel => {
+      const entry = countsByKey.get(hotel.hotelKey);
+      const result = {
+        hotelKey: hotel.hotelKey,
+        name: hotel.name || null,
+        address: hotel.address || null,
+        location: fromPoint(hotel.location),
+        distance: Math.round(hotel.distance),
+        totalRatings: entry.totalRatings,
+        insufficientData: DISTURBANCE_CATEGORIES.some(key => entry[`${key}Answered`] < minSampleSize)
+      };
+      DISTURBANCE_CATEGORIES.forEach(key => {
+        const reported = entry[`${key}Reported`];
+        const answered = entry[`${key}Answered`];
+        result[key] = { reported, answered, percentage: answered > 0 ? round1((reported / answered) * 100) : null };
+      });
+      return result;
+    });
+
+  if (sort === 'quietest') {
+    results.sort((a, b) => (a.insufficientData - b.insufficientData) ||
+      DISTURBANCE_CATEGORIES.reduce((order, key) => order || a[key].percentage - b[key].percentage, 0) ||
+      a.distance - b.distance);
+  }
+
+  return {
+    center,
+    radius,
+    sort,
+    minSampleSize,
+    hotels: results.slice(0, limit)
+  };
+}
+
+module.exports = {
+  DEFAULT_RADIUS_M,
+  MAX_RADIUS_M,
+  MAX_NEARBY_LIMIT,
+  NEARBY_SORTS,
+  parseNearbyQuery,
+  findNearbyHotels
+};
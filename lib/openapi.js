@@ -0,0 +1,153 @@
+// Versioned API router and its OpenAPI description. Routes are declared with
+// the schemas of what they accept; the schemas are validated before the route's
+// handler runs and published in the OpenAPI document served at
+// /api/v1/openapi.json, so the document always describes what the server does.
+//
+//   api.get('/ratings', { summary, tags, query: schema, responses: { 200: ... } }, handler)
+//
+// Route spec fields:
+//   summary, description, tags  documentation
+//   auth                        'optionalUser', 'user' or 'admin'
+//   params, headers, query, body  JSON schemas, validated in that order
+//   form                        true when the body is form-encoded, as an HTML form posts it
+//   responses                   { status: description | { description, schema, html } };
+//                               schema is a lib/schemas.js response schema name or a schema.
+//                               400, 401 and 500 are added where they apply.
+
+const express = require('express');
+const { validateRequest } = require('./validation');
+const { responseSchemas } = require('./schemas');
+const { version } = require('../package.json');
+
+const API_PREFIX = '/api/v1';
+
+const SECURITY = {
+  optionalUser: [{}, { userToken: [] }],
+  user: [{ userToken: [] }],
+  admin: [{ adminToken: [] }]
+};
+
+const PARAMETER_LOCATIONS = { params: 'path', headers: 'header', query: 'query' };
+
+// '/ratings/:id' -> '/ratings/{id}'
+const openApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+function schemaOf(schema) {
+  return typeof schema === 'string' ? { $ref: `#/components/schemas/${schema}` } : schema;
+}
+
+function parameters(spec) {
+  return Object.keys(PARAMETER_LOCATIONS)
+    .filter(location => spec[location])
+    .flatMap(location => {
+      const schema = spec[location];
+      return Object.entries(schema.properties).map(([name, property]) => ({
+        name,
+        in: PARAMETER_LOCATIONS[location],
+        required: location === 'params' || (schema.required || []).includes(name),
+        description: property.description,
+        schema: property
+      }));
+    });
+}
+
+function responses(spec) {
+  const result = {};
+  Object.entries(spec.responses).forEach(([status, response]) => {
+    const { description, schema, html } = typeof response === 'string' ? { description: response } : response;
+    result[status] = { description };
+    if (html) {
+      result[status].content = { 'text/html': { schema: { type: 'string' } } };
+    } else if (schema) {
+      result[status].content = { 'application/json': { schema: schemaOf(schema) } };
+    }
+  });
+
+  const error = description => ({ description, content: { 'application/json': { schema: schemaOf('Error') } } });
+  if (spec.params || spec.headers || spec.query || spec.body) {
+    result[400] = result[400] || { description: 'Invalid request', content: { 'application/json': { schema: schemaOf('ValidationError') } } };
+  }
+  if (spec.auth === 'user' || spec.auth === 'optionalUser') {
+    result[401] = result[401] || error(spec.auth === 'user' ? 'Sign-in required, or the access token is invalid' : 'Invalid or expired access token');
+  }
+  if (spec.auth === 'admin') {
+    result[401] = result[401] || error('Admin authentication required');
+  }
+  result[500] = result[500] || error('Internal server error');
+  return result;
+}
+
+function operation(spec) {
+  const result = {
+    summary: spec.summary,
+    description: spec.description,
+    tags: spec.tags,
+    security: spec.auth ? SECURITY[spec.auth] : undefined,
+    parameters: parameters(spec),
+    requestBody: spec.body
+      ? { required: true, content: { [spec.form ? 'application/x-www-form-urlencoded' : 'application/json']: { schema: spec.body } } }
+      : undefined,
+    responses: responses(spec)
+  };
+  Object.keys(result).forEach(key => result[key] === undefined && delete result[key]);
+  return result;
+}
+
+function buildDocument(operations) {
+  const paths = {};
+  operations.forEach(({ method, path, spec }) => {
+    const pathItem = paths[openApiPath(path)] = paths[openApiPath(path)] || {};
+    pathItem[method] = operation(spec);
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Hotel Bedding Ratings API',
+      version,
+      description: 'Ratings of hotel beds, bedding, light annoyances and noise, collected by the Hotel Bedding Ratings browser extension. ' +
+        `Every route is also served without the ${API_PREFIX} prefix for older extension versions.`
+    },
+    servers: [{ url: API_PREFIX }],
+    paths,
+    components: {
+      schemas: responseSchemas,
+      securitySchemes: {
+        userToken: { type: 'http', scheme: 'bearer', description: 'Access token from the magic link sign-in' },
+        adminToken: { type: 'http', scheme: 'bearer', description: 'One of the server\'s ADMIN_TOKENS (or its ADMIN_TOKEN)' }
+      }
+    }
+  };
+}
+
+// An express router for the API; mount `router` under API_PREFIX
+function createApiRouter() {
+  const router = express.Router();
+  const operations = [];
+  let document = null;
+
+  function route(method, path, spec, ...handlers) {
+    const handler = handlers.pop();
+    operations.push({ method, path, spec });
+    document = null;
+    // Authentication middleware runs first, so anonymous requests get a 401 rather than a 400
+    router[method](path, ...handlers, validateRequest(spec), handler);
+  }
+
+  return {
+    router,
+    get: (...args) => route('get', ...args),
+    post: (...args) => route('post', ...args),
+    put: (...args) => route('put', ...args),
+    delete: (...args) => route('delete', ...args),
+    openApiDocument() {
+      document = document || buildDocument(operations);
+      return document;
+    }
+  };
+}
+
+module.exports = {
+  API_PREFIX,
+  createApiRouter
+};
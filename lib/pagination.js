@@ -0,0 +1,75 @@
+// Cursor pagination for listings sorted newest first by submissionTime (ties
+// broken by _id). The cursor is an opaque token naming the last item of the
+// previous page, so pages stay stable while new ratings come in.
+
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const SORT = { submissionTime: -1, _id: -1 };
+
+function encodeCursor(item) {
+  const time = new Date(item.submissionTime).toISOString();
+  return Buffer.from(JSON.stringify([time, String(item._id)])).toString('base64url');
+}
+
+// [submissionTime, _id] from a cursor, or null when it isn't one of ours
+function decodeCursor(cursor) {
+  try {
+    const [time, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(time);
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return [date, new mongoose.Types.ObjectId(id)];
+  } catch (err) {
+    return null;
+  }
+}
+
+// Parse ?limit= and ?cursor=; returns { limit, after } or { error, field }.
+// after is the filter selecting the items past the cursor.
+function parsePageParams(query) {
+  const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`, field: 'limit' };
+  }
+
+  if (query.cursor === undefined || query.cursor === '') {
+    return { limit, after: null };
+  }
+  const position = decodeCursor(query.cursor);
+  if (!position) {
+    return { error: 'Invalid cursor', field: 'cursor' };
+  }
+  const [time, id] = position;
+  return {
+    limit,
+    after: { $or: [{ submissionTime: { $lt: time } }, { submissionTime: time, _id: { $lt: id } }] }
+  };
+}
+
+// One page of a query: fetches one item more than the limit to tell whether
+// another page follows. Resolves to { items, nextCursor } (null on the last page).
+async function findPage(model, filter, { limit, after }, select) {
+  const query = model.find(after ? { $and: [filter, after] } : filter).sort(SORT).limit(limit + 1);
+  if (select) {
+    query.select(select);
+  }
+  const found = await query.lean().exec();
+  const items = found.slice(0, limit);
+  return {
+    items,
+    nextCursor: found.length > limit ? encodeCursor(items[items.length - 1]) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parsePageParams,
+  findPage
+};
@@ -0,0 +1,38 @@
+// Rate limits for rating submissions, on top of lib/rate-limiter.js: a
+// submission is checked before anything is stored and counted once it has
+// been. A refused submission throws an error with statusCode 429 carrying the
+// policy and retryAfter, which the routes answer with a Retry-After header.
+
+const { createRateLimiter, createPolicies } = require('./rate-limiter');
+
+function rateLimitError(check) {
+  const err = new Error(check.message);
+  err.statusCode = 429;
+  err.policy = check.policy;
+  err.retryAfter = check.retryAfter; // Whole seconds
+  return err;
+}
+
+// `quotas` overrides the default quotas of lib/rate-limiter.js
+function createRateLimitService({ store = 'mongo', quotas, limiter = createRateLimiter({ store, policies: createPolicies(quotas) }) } = {}) {
+  return {
+    limiter,
+
+    // Context: { ipHash, fingerprint, hotelKey }
+    async assertAllowed(context) {
+      const check = await limiter.check(context);
+      if (!check.allowed) {
+        console.log(`Rate limit exceeded (${check.policy}): ${check.message}`);
+        throw rateLimitError(check);
+      }
+    },
+
+    async record(context) {
+      await limiter.consume(context);
+    }
+  };
+}
+
+module.exports = {
+  createRateLimitService
+};
@@ -0,0 +1,232 @@
+// Rating submission rate limits - a set of sliding-window policies checked
+// against a pluggable hit store.
+//
+// A policy counts submissions per key (IP hash, fingerprint, or either combined
+// with the hotel) within `windowMs` and allows at most `limit` of them. The store
+// only needs to record hits and return the recent ones for a set of keys, so a
+// check costs one round trip however many policies there are:
+//
+//   memory  process-local, for development and single-instance deployments
+//   mongo   RateLimitHit documents, removed by a TTL index once their window ends
+//
+// RATE_LIMIT_STORE picks the store (default mongo); the quotas below can be
+// overridden with the RATE_LIMIT_* environment variables, read by lib/config.js.
+
+const { RateLimitHit } = require('./models');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_QUOTAS = {
+  hotelCooldownDays: 7, // One rating per hotel in this many days
+  burstPerHour: 10,
+  daily: 30
+};
+
+// "week", "3 days", "2 weeks" - the cooldown as the limit messages put it
+function describeDays(days) {
+  if (days === 1) {
+    return 'day';
+  }
+  if (days === 7) {
+    return 'week';
+  }
+  return days % 7 === 0 ? `${days / 7} weeks` : `${days} days`;
+}
+
+// The policies for the given quotas; any left out take their default
+function createPolicies(quotas = {}) {
+  const { hotelCooldownDays, burstPerHour, daily } = { ...DEFAULT_QUOTAS, ...quotas };
+  const cooldown = describeDays(hotelCooldownDays);
+
+  return [
+    {
+      name: 'ip_hotel',
+      key: ({ ipHash, hotelKey }) => `${ipHash}|${hotelKey}`,
+      limit: 1,
+      windowMs: hotelCooldownDays * DAY_MS,
+      message: `Only 1 rating per ${cooldown} per IP address per hotel`
+    },
+    {
+      name: 'fingerprint_hotel',
+      key: ({ fingerprint, hotelKey }) => `${fingerprint}|${hotelKey}`,
+      limit: 1,
+      windowMs: hotelCooldownDays * DAY_MS,
+      message: `Only 1 rating per ${cooldown} per browser per hotel`
+    },
+    {
+      name: 'ip_burst',
+      key: ({ ipHash }) => ipHash,
+      limit: burstPerHour,
+      windowMs: HOUR_MS,
+      message: 'Too many ratings from this IP address in the last hour'
+    },
+    {
+      name: 'fingerprint_burst',
+      key: ({ fingerprint }) => fingerprint,
+      limit: burstPerHour,
+      windowMs: HOUR_MS,
+      message: 'Too many ratings from this browser in the last hour'
+    },
+    {
+      name: 'ip_daily',
+      key: ({ ipHash }) => ipHash,
+      limit: daily,
+      windowMs: DAY_MS,
+      message: 'Daily rating limit reached for this IP address'
+    },
+    {
+      name: 'fingerprint_daily',
+      key: ({ fingerprint }) => fingerprint,
+      limit: daily,
+      windowMs: DAY_MS,
+      message: 'Daily rating limit reached for this browser'
+    }
+  ];
+}
+
+const DEFAULT_POLICIES = createPolicies();
+
+// Hits kept in a Map of key -> { times: ascending timestamps (ms), expiresAt }.
+// Recording sweeps out keys whose last window has ended, at most once every
+// pruneIntervalMs, so keys that go idle don't accumulate in a long-running process.
+function createMemoryStore({ pruneIntervalMs = HOUR_MS } = {}) {
+  const hits = new Map();
+  let prunedAt = 0;
+
+  function prune(now) {
+    hits.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        hits.delete(key);
+      }
+    });
+    prunedAt = now;
+  }
+
+  return {
+    async recentHits(keys, since) {
+      const result = new Map();
+      keys.forEach(key => {
+        const recent = (hits.get(key) || { times: [] }).times.filter(at => at >= since);
+        result.set(key, recent);
+      });
+      return result;
+    },
+
+    async recordHits(entries, at) {
+      if (at - prunedAt >= pruneIntervalMs) {
+        prune(at);
+      }
+
+      entries.forEach(({ key, expiresAt }) => {
+        const entry = hits.get(key) || { times: [], expiresAt };
+        // Drop the key's own expired hits while we're here
+        entry.times = entry.times.filter(time => time >= at - (expiresAt - at));
+        entry.times.push(at);
+        entry.expiresAt = Math.max(entry.expiresAt, expiresAt);
+        hits.set(key, entry);
+      });
+    },
+
+    // Keys currently held
+    get size() {
+      return hits.size;
+    },
+
+    async reset() {
+      hits.clear();
+      prunedAt = 0;
+    }
+  };
+}
+
+function createMongoStore() {
+  return {
+    async recentHits(keys, since) {
+      const docs = await RateLimitHit.find({ key: { $in: keys }, at: { $gte: new Date(since) } })
+        .select('key at')
+        .sort({ at: 1 })
+        .lean()
+        .exec();
+
+      const result = new Map(keys.map(key => [key, []]));
+      docs.forEach(doc => result.get(doc.key).push(doc.at.getTime()));
+      return result;
+    },
+
+    async recordHits(entries, at) {
+      await RateLimitHit.insertMany(entries.map(({ key, expiresAt }) => ({
+        key,
+        at: new Date(at),
+        expiresAt: new Date(expiresAt)
+      })));
+    },
+
+    async reset() {
+      await RateLimitHit.deleteMany({});
+    }
+  };
+}
+
+const STORES = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+// Store keys are namespaced by policy, since several policies share a key (the IP)
+const storeKey = (policy, context) => `${policy.name}:${policy.key(context)}`;
+
+function createRateLimiter({ store = 'mongo', policies = DEFAULT_POLICIES } = {}) {
+  const hitStore = typeof store === 'string' ? STORES[store] && STORES[store]() : store;
+  if (!hitStore) {
+    throw new Error(`Unknown rate limit store: ${store} (valid: ${Object.keys(STORES).join(', ')})`);
+  }
+  const longestWindowMs = Math.max(...policies.map(policy => policy.windowMs));
+
+  return {
+    policies,
+    store: hitStore,
+
+    // { allowed: true } or { allowed: false, policy, message, retryAfter }
+    // with retryAfter in whole seconds until the policy allows another hit.
+    // Every exceeded policy is considered and the longest wait reported.
+    async check(context, now = Date.now()) {
+      const keys = policies.map(policy => storeKey(policy, context));
+      const hits = await hitStore.recentHits([...new Set(keys)], now - longestWindowMs);
+
+      let blocked = null;
+      policies.forEach((policy, index) => {
+        const inWindow = hits.get(keys[index]).filter(at => at > now - policy.windowMs);
+        if (inWindow.length < policy.limit) {
+          return;
+        }
+
+        // Free again once enough of the window's hits have aged out
+        const freedAt = inWindow[inWindow.length - policy.limit] + policy.windowMs;
+        const retryAfter = Math.max(1, Math.ceil((freedAt - now) / 1000));
+        if (!blocked || retryAfter > blocked.retryAfter) {
+          blocked = { allowed: false, policy: policy.name, message: policy.message, retryAfter };
+        }
+      });
+
+      return blocked || { allowed: true };
+    },
+
+    // Count a submission against every policy
+    async consume(context, now = Date.now()) {
+      await hitStore.recordHits(policies.map(policy => ({
+        key: storeKey(policy, context),
+        expiresAt: now + policy.windowMs
+      })), now);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_QUOTAS,
+  DEFAULT_POLICIES,
+  createPolicies,
+  createRateLimiter,
+  createMemoryStore,
+  createMongoStore
+};
@@ -0,0 +1,266 @@
+// Rating service - submitting, correcting, deleting and listing ratings. The
+// routes validate the request's shape and turn the results into responses;
+// everything in between (hotel keys, IP hashing, bans, rate limits, spam
+// scoring, ownership) happens here. Errors carry a statusCode, and a `field`
+// for invalid input.
+
+const { Rating, HIDDEN_RATING_STATUSES } = require('./models');
+const vocabulary = require('./vocabulary');
+const stayDetails = require('./stay-details');
+const hotelRegistry = require('./hotel-registry');
+const serializers = require('./serializers');
+const pagination = require('./pagination');
+const moderation = require('./moderation');
+const auth = require('./auth');
+
+const MAX_HISTORY_RATINGS = 100;
+const NO_RATING_MESSAGE = 'At least one rating field, light annoyance, or noise issue must be provided';
+
+function ratingError(message, statusCode, field) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (field) {
+    err.field = field;
+  }
+  return err;
+}
+
+// The categories and stay details of a submission, validated beyond what the
+// request schema checks
+function parseRatingContent(ratingData) {
+  if (!vocabulary.hasAnyRating(ratingData)) {
+    throw ratingError(NO_RATING_MESSAGE, 400);
+  }
+  assertConsistentNoneReported(ratingData);
+  const stay = stayDetails.parseStayDetails(ratingData);
+  if (stay.error) {
+    throw ratingError(stay.error, 400, stay.field);
+  }
+  return stay.details;
+}
+
+// A category can't have issues reported and be said to have none
+function assertConsistentNoneReported(ratingData) {
+  const contradicted = vocabulary.contradictoryNoneReported(ratingData);
+  if (contradicted) {
+    throw ratingError(`noneReported lists ${contradicted}, which has issues selected`, 400, 'noneReported');
+  }
+}
+
+// Whether a stored rating is the one this submission would store: same
+// submitter - the signed-in user, or the browser's fingerprint when anonymous -
+// and the same hotel, answers and stay details
+function isSameSubmission(stored, ratingData, details, user) {
+  const sameSubmitter = user
+    ? !!stored.userId && stored.userId.equals(user._id)
+    : stored.fingerprint === ratingData.fingerprint;
+  const list = values => (values || []).join('|');
+
+  return sameSubmitter &&
+    stored.originalHotelKey === ratingData.hotelKey &&
+    vocabulary.SINGLE_VALUE_KEYS.every(key => (stored[key] || '') === (ratingData[key] || '')) &&
+    [...vocabulary.MULTI_VALUE_KEYS, 'noneReported'].every(key => list(stored[key]) === list(ratingData[key])) &&
+    stayDetails.STAY_DETAIL_FIELDS.every(key => String(stored[key] ?? '') === String(details[key] ?? ''));
+}
+
+// The rating stored under an idempotency key, when this submission is a retry
+// of it. A key reused by another submitter or for another submission is
+// refused rather than answered with the rating stored under it.
+async function findRetriedRating(idempotencyKey, ratingData, details, user) {
+  if (!idempotencyKey) {
+    return null;
+  }
+  const stored = await Rating.findOne({ idempotencyKey }).exec();
+  if (stored && !isSameSubmission(stored, ratingData, details, user)) {
+    throw ratingError('This Idempotency-Key was already used for a different submission', 409);
+  }
+  return stored;
+}
+
+// The rating with this id, if it belongs to the user
+async function findOwnRating(ratingId, user) {
+  const rating = await Rating.findById(ratingId).exec();
+  if (!rating) {
+    throw ratingError('Rating not found', 404);
+  }
+  if (!rating.userId || !rating.userId.equals(user._id)) {
+    throw ratingError('You can only change your own ratings', 403);
+  }
+  return rating;
+}
+
+// Correct one of the user's ratings; the data replaces every rating category and stay detail
+async function updateOwnRating(ratingId, user, ratingData) {
+  const details = parseRatingContent(ratingData);
+  const rating = await findOwnRating(ratingId, user);
+
+  vocabulary.SINGLE_VALUE_KEYS.forEach(key => {
+    rating[key] = ratingData[key] || undefined;
+  });
+  vocabulary.MULTI_VALUE_KEYS.forEach(key => {
+    rating[key] = ratingData[key] || [];
+  });
+  rating.noneReported = ratingData.noneReported || [];
+  stayDetails.STAY_DETAIL_FIELDS.forEach(key => {
+    rating[key] = details[key];
+  });
+  rating.editedAt = new Date();
+
+  await rating.save();
+  return serializers.ownRating(rating);
+}
+
+async function deleteOwnRating(ratingId, user) {
+  const rating = await findOwnRating(ratingId, user);
+  await rating.deleteOne();
+}
+
+// One page of a hotel's visible ratings, newest first: { hotelKey, ratings, nextCursor }
+async function listHotelRatings(requestedKey, page) {
+  const hotelKey = await hotelRegistry.resolveHotelKey(requestedKey);
+  const { items, nextCursor } = await pagination.findPage(
+    Rating,
+    { hotelKey, status: { $nin: HIDDEN_RATING_STATUSES } },
+    page,
+    serializers.PUBLIC_RATING_FIELDS.join(' ')
+  );
+  return { hotelKey, ratings: items.map(serializers.publicRating), nextCursor };
+}
+
+// The user's ratings, newest first: { ratings, truncated } when there are more
+async function listUserRatings(user) {
+  const ratings = await Rating.find({ userId: user._id })
+    .sort({ submissionTime: -1 })
+    .limit(MAX_HISTORY_RATINGS + 1)
+    .exec();
+  return {
+    ratings: ratings.slice(0, MAX_HISTORY_RATINGS).map(serializers.ownRating),
+    truncated: ratings.length > MAX_HISTORY_RATINGS
+  };
+}
+
+function createRatingService({ rateLimits, spamScorer, ipHasher }) {
+  // Submit a rating. Resolves to { rating, duplicate, claimToken }: duplicate
+  // when a retry with the same idempotency key found the stored rating,
+  // claimToken for anonymous submissions.
+  async function submitRating(ratingData, { user, idempotencyKey, ip }) {
+    // Optional comment, room number, floor and month of stay
+    const stay = stayDetails.parseStayDetails(ratingData);
+    if (stay.error) {
+      throw ratingError(stay.error, 400, stay.field);
+    }
+
+    // Retries of a submission that was already stored get the stored rating back
+    const existing = await findRetriedRating(idempotencyKey, ratingData, stay.details, user);
+    if (existing) {
+      console.log(`Duplicate submission for idempotency key ${idempotencyKey}`);
+      return { rating: serializers.ownRating(existing), duplicate: true };
+    }
+
+    if (!vocabulary.hasAnyRating(ratingData)) {
+      throw ratingError(NO_RATING_MESSAGE, 400);
+    }
+    assertConsistentNoneReported(ratingData);
+
+    // The hotel the rating is for, as the registry knows it so far; it only
+    // registers the page's keys once the submission has passed the checks below
+    const knownHotelKey = await hotelRegistry.lookupHotelKey(ratingData);
+
+    // Only keyed hashes of the client IP and its network are used and stored
+    const ipHash = await ipHasher.hashIP(ip);
+    const subnetHash = await ipHasher.hashSubnet(ip);
+    console.log(`Rating submission from IP hash: ${ipHash.slice(0, 12)}, Fingerprint: ${ratingData.fingerprint}, Hotel: ${knownHotelKey}`);
+
+    // Banned submitters are refused outright
+    if (await moderation.isBanned({ fingerprint: ratingData.fingerprint, ipHash })) {
+      console.log(`Rejected rating from banned submitter for ${knownHotelKey}`);
+      throw ratingError('Ratings from this browser or network are not accepted', 403);
+    }
+
+    await rateLimits.assertAllowed({ ipHash, fingerprint: ratingData.fingerprint, hotelKey: knownHotelKey });
+
+    // Resolve the submitted key (and any page identifiers) to the canonical hotel key
+    const hotelKey = await hotelRegistry.registerHotel({
+      hotelKey: ratingData.hotelKey,
+      legacyHotelKey: ratingData.legacyHotelKey,
+      identifiers: ratingData.identifiers,
+      name: ratingData.hotelName,
+      address: ratingData.hotelAddress,
+      location: ratingData.hotelLocation,
+      locality: ratingData.hotelLocality
+    });
+    const rateLimitContext = { ipHash, fingerprint: ratingData.fingerprint, hotelKey };
+
+    // Suspicious submissions are stored, but quarantined until reviewed
+    const spam = await spamScorer.score({ ...ratingData, hotelKey, subnetHash });
+    if (spam.quarantine) {
+      console.log(`Rating for ${hotelKey} quarantined (score ${spam.score}): ${spam.reasons.map(reason => reason.rule).join(', ')}`);
+    }
+
+    // Anonymous ratings can be claimed into an account later with this token
+    const claimToken = user ? null : auth.createClaimToken();
+
+    const rating = new Rating({
+      hotelKey,
+      originalHotelKey: ratingData.hotelKey,
+      hotelName: ratingData.hotelName,
+      hotelAddress: ratingData.hotelAddress,
+      bedSize: ratingData.bedSize,
+      bedComfort: ratingData.bedComfort,
+      bedcoverSize: ratingData.bedcoverSize,
+      bedcoverComfort: ratingData.bedcoverComfort,
+      pillowSize: ratingData.pillowSize,
+      pillowComfort: ratingData.pillowComfort,
+      lightAnnoyances: ratingData.lightAnnoyances || [],
+      noise: ratingData.noise || [],
+      noneReported: ratingData.noneReported || [],
+      ...stay.details,
+      fingerprint: ratingData.fingerprint,
+      ipHash,
+      subnetHash,
+      status: spam.quarantine ? 'quarantined' : 'active',
+      spamScore: spam.score,
+      spamReasons: spam.reasons,
+      submissionTime: new Date(),
+      idempotencyKey,
+      userId: user ? user._id : undefined,
+      claimTokenHash: claimToken ? claimToken.hash : undefined
+    });
+
+    try {
+      await rating.save();
+    } catch (err) {
+      // A concurrent retry with the same key was stored first
+      if (err.code === 11000 && idempotencyKey) {
+        const stored = await findRetriedRating(idempotencyKey, ratingData, stay.details, user);
+        if (stored) {
+          return { rating: serializers.ownRating(stored), duplicate: true };
+        }
+      }
+      throw err;
+    }
+
+    await rateLimits.record(rateLimitContext);
+    console.log('Hotel rating saved successfully with noise and light annoyances support');
+
+    // Quarantined ratings get the same answer, so spammers can't probe the rules
+    return {
+      rating: serializers.ownRating(rating),
+      duplicate: false,
+      claimToken: claimToken ? claimToken.token : undefined
+    };
+  }
+
+  return {
+    submitRating,
+    updateOwnRating,
+    deleteOwnRating,
+    listHotelRatings,
+    listUserRatings
+  };
+}
+
+module.exports = {
+  MAX_HISTORY_RATINGS,
+  createRatingService
+};
@@ -0,0 +1,98 @@
+// Authentication middleware for the API routes: the admin tokens for /admin
+// routes, and the optional signed-in user for everything else.
+//
+// Admin tokens are named (ADMIN_TOKENS='alice:token1,bob:token2'), so the audit
+// records can say which admin acted; a plain ADMIN_TOKEN is named 'admin'.
+
+const crypto = require('crypto');
+const auth = require('./auth');
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : '';
+}
+
+// [{ name, token }] for ADMIN_TOKENS and ADMIN_TOKEN; throws on an entry
+// without a name or token, so a typo doesn't lock an admin out unnoticed
+function parseAdminTokens(namedTokens, adminToken) {
+  const tokens = (namedTokens || '').split(',').filter(entry => entry.trim()).map(entry => {
+    const separator = entry.indexOf(':');
+    const name = entry.slice(0, separator).trim();
+    const token = entry.slice(separator + 1).trim();
+    if (separator < 0 || !name || !token) {
+      throw new Error(`ADMIN_TOKENS entries must be name:token, got: ${entry.trim().slice(0, 20)}`);
+    }
+    return { name, token };
+  });
+  if (adminToken) {
+    tokens.push({ name: 'admin', token: adminToken });
+  }
+  return tokens;
+}
+
+const digest = token => crypto.createHash('sha256').update(token).digest();
+
+function createRequestAuth({ adminTokens = [] }) {
+  const admins = adminTokens.map(({ name, token }) => ({ name, digest: digest(token) }));
+
+  // Admin routes require one of the configured admin tokens as a bearer token;
+  // req.adminName is the name of the token, for the audit records
+  function requireAdmin(req, res, next) {
+    if (admins.length === 0) {
+      return res.status(503).json({ error: 'Admin API is disabled: ADMIN_TOKENS not set' });
+    }
+
+    const token = bearerToken(req);
+
+    // Compare digests so the comparison takes constant time regardless of length
+    const provided = digest(token);
+    const admin = token && admins.find(candidate => crypto.timingSafeEqual(candidate.digest, provided));
+    if (!admin) {
+      return res.status(401).json({ error: 'Admin authentication required' });
+    }
+
+    req.adminName = admin.name;
+    next();
+  }
+
+  // Signed-in user from the bearer token, if any. Accounts are optional, so a
+  // request without a token continues anonymously; a token that doesn't
+  // authenticate is rejected rather than silently ignored.
+  async function authenticateUser(req, res, next) {
+    const token = bearerToken(req);
+    if (!token) {
+      return next();
+    }
+
+    try {
+      req.user = await auth.authenticateToken(token);
+    } catch (err) {
+      console.error('Error authenticating user:', err);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    if (!req.user) {
+      return res.status(401).json({ error: 'Invalid or expired access token' });
+    }
+    next();
+  }
+
+  function requireUser(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Sign-in required' });
+    }
+    next();
+  }
+
+  return {
+    requireAdmin,
+    authenticateUser,
+    requireUser
+  };
+}
+
+module.exports = {
+  bearerToken,
+  parseAdminTokens,
+  createRequestAuth
+};
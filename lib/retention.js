@@ -0,0 +1,86 @@
+// Data retention - network data is only kept on ratings for
+// RATING_IP_RETENTION_DAYS (default 365, as stated in the privacy policy).
+// The job also hashes the plain IPs of ratings stored before IPs were hashed,
+// with the IP hasher of lib/client-ip.js it is given. It runs daily in the
+// server and on demand with `npm run retention`.
+
+const { Rating } = require('./models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = 365;
+const BATCH_SIZE = 500;
+
+// Remove IP and subnet hashes (and any plain IP) from ratings older than the retention period
+async function stripNetworkData(days = RETENTION_DAYS, now = Date.now()) {
+  const result = await Rating.updateMany(
+    {
+      submissionTime: { $lt: new Date(now - days * DAY_MS) },
+      $or: [{ ipHash: { $exists: true } }, { subnetHash: { $exists: true } }, { ipAddress: { $exists: true } }]
+    },
+    { $unset: { ipHash: '', subnetHash: '', ipAddress: '' } }
+  );
+  return result.modifiedCount;
+}
+
+// Replace plain IPs left on newer ratings with their hash. Empty or null ones
+// have nothing to hash and are just removed rather than hashed as text.
+async function hashLegacyIPs(ipHasher) {
+  await Rating.updateMany({ ipAddress: { $exists: true, $in: [null, ''] } }, { $unset: { ipAddress: '' } });
+
+  let hashed = 0;
+
+  for (;;) {
+    const ratings = await Rating.find({ ipAddress: { $type: 'string', $ne: '' } })
+      .select('ipAddress')
+      .limit(BATCH_SIZE)
+      .lean()
+      .exec();
+    if (ratings.length === 0) {
+      return hashed;
+    }
+
+    const hashes = new Map();
+    for (const rating of ratings) {
+      if (!hashes.has(rating.ipAddress)) {
+        hashes.set(rating.ipAddress, {
+          ipHash: await ipHasher.hashIP(rating.ipAddress),
+          subnetHash: await ipHasher.hashSubnet(rating.ipAddress)
+        });
+      }
+    }
+
+    await Rating.bulkWrite(ratings.map(rating => ({
+      updateOne: {
+        filter: { _id: rating._id },
+        update: { $set: hashes.get(rating.ipAddress), $unset: { ipAddress: '' } }
+      }
+    })));
+    hashed += ratings.length;
+  }
+}
+
+async function runRetention({ ipHasher, days = RETENTION_DAYS }) {
+  const stripped = await stripNetworkData(days);
+  const hashed = await hashLegacyIPs(ipHasher);
+  return { stripped, hashed };
+}
+
+// Run now and then once a day; the timer doesn't keep the process alive
+function scheduleRetention({ ipHasher, days = RETENTION_DAYS }) {
+  const run = () => runRetention({ ipHasher, days })
+    .then(({ stripped, hashed }) => {
+      console.log(`Retention: removed network data from ${stripped} ratings, hashed ${hashed} plain IPs`);
+    })
+    .catch(err => console.error('Retention job failed:', err));
+
+  run();
+  return setInterval(run, DAY_MS).unref();
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  stripNetworkData,
+  hashLegacyIPs,
+  runRetention,
+  scheduleRetention
+};
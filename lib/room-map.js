@@ -0,0 +1,96 @@
+// Room-level noise and light map - how often each noise and light issue is
+// reported per room type and per room of a hotel, so the extension can warn
+// about specific rooms in the site's room list.
+
+const { Rating, HIDDEN_RATING_STATUSES } = require('./models');
+const vocabulary = require('./vocabulary');
+
+const ROOM_MAP_CATEGORIES = ['noise', 'lightAnnoyances'];
+const MAX_ROOMS = 200; // Rooms with the most ratings, when there are more
+
+// Ratings per group with every group's reported issue lists; the counting is
+// done afterwards, since each rating can report several issues per category
+function groupStages(groupKey, nameFields) {
+  const group = { _id: groupKey, totalRatings: { $sum: 1 } };
+  // Ratings are sorted newest first, so names are the most recent ones
+  nameFields.forEach(field => {
+    group[field] = { $first: `$${field}` };
+  });
+  ROOM_MAP_CATEGORIES.forEach(key => {
+    group[key] = { $push: { $ifNull: [`$${key}`, []] } };
+  });
+
+  return [
+    { $match: { _id: { $nin: [null, ''] } } }, // $toLower turns a missing name into ''
+    { $group: group },
+    { $sort: { totalRatings: -1 } },
+    { $limit: MAX_ROOMS }
+  ];
+}
+
+// [{ value, label, count, percentage }] for the issues of one category,
+// most reported first; percentage is of the group's ratings
+function countIssues(categoryKey, reportedLists, totalRatings) {
+  const category = vocabulary.getCategory(categoryKey);
+  const counts = new Map();
+  reportedLists.forEach(reported => {
+    new Set(reported).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  });
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([value, count]) => {
+      const option = category.values.find(candidate => candidate.value === value);
+      return {
+        value,
+        label: option ? option.label : value,
+        badge: option ? option.badge : undefined,
+        count,
+        percentage: Math.round((count / totalRatings) * 1000) / 10
+      };
+    });
+}
+
+function toEntry(group, fields) {
+  const entry = {};
+  fields.forEach(field => {
+    entry[field] = group[field] === undefined ? null : group[field];
+  });
+  entry.totalRatings = group.totalRatings;
+  ROOM_MAP_CATEGORIES.forEach(key => {
+    entry[key] = countIssues(key, group[key], group.totalRatings);
+  });
+  return entry;
+}
+
+// Noise and light issues per room type (by the site's room type id, or its
+// name when the site has no ids) and per room number
+async function computeRoomMap(hotelKey) {
+  const [result] = await Rating.aggregate([
+    { $match: { hotelKey, status: { $nin: HIDDEN_RATING_STATUSES } } },
+    { $sort: { submissionTime: -1 } },
+    {
+      $facet: {
+        roomTypes: [
+          { $addFields: { _id: { $ifNull: ['$roomTypeId', { $toLower: '$roomType' }] } } },
+          ...groupStages('$_id', ['roomTypeId', 'roomType'])
+        ],
+        rooms: [
+          { $addFields: { _id: '$roomNumber' } },
+          ...groupStages('$_id', ['roomNumber', 'floor', 'roomTypeId', 'roomType'])
+        ]
+      }
+    }
+  ]);
+
+  return {
+    hotelKey,
+    roomTypes: result.roomTypes.map(group => toEntry(group, ['roomTypeId', 'roomType'])),
+    rooms: result.rooms.map(group => toEntry(group, ['roomNumber', 'floor', 'roomTypeId', 'roomType']))
+  };
+}
+
+module.exports = {
+  ROOM_MAP_CATEGORIES,
+  computeRoomMap
+};
@@ -0,0 +1,201 @@
+// Account routes: magic-link sign-in, the signed-in user's ratings, and
+// claiming anonymous ratings into the account
+
+const express = require('express');
+const { requestSchemas: schemas } = require('../schemas');
+const auth = require('../auth');
+const { bearerToken } = require('../request-auth');
+const { MAX_HISTORY_RATINGS } = require('../rating-service');
+const { sendError } = require('./errors');
+
+// Pages of the emailed sign-in link, which opens in a browser rather than the extension
+function signInPage(title, body) {
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><title>${title}</title>` +
+    '<meta name="viewport" content="width=device-width, initial-scale=1.0">' +
+    '<style>body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;max-width:420px;margin:40px auto;padding:0 20px;color:#333}' +
+    'input{font-size:20px;letter-spacing:2px;padding:6px;width:12em;text-transform:uppercase}button{font-size:16px;padding:6px 14px;margin-left:6px}</style>' +
+    `</head><body><h2>${title}</h2>${body}</body></html>`;
+}
+
+const failedSignInPage = message => signInPage('Sign-in failed', `<p>${message}. Please request a new link from the extension.</p>`);
+
+function confirmSignInPage(token, error) {
+  return signInPage('Confirm sign-in', `
+    ${error ? `<p style="color:#721c24">${error}.</p>` : ''}
+    <p>Enter the code the Hotel Bedding Ratings extension shows on the device where you asked to sign in.</p>
+    <p>If you didn't ask to sign in, close this page.</p>
+    <form method="post" action="verify">
+      <input type="hidden" name="token" value="${String(token).replace(/[^A-Za-z0-9_-]/g, '')}">
+      <input name="code" autocomplete="off" autofocus required placeholder="XXXX-XXXX" maxlength="20">
+      <button type="submit">Sign in</button>
+    </form>`);
+}
+
+function registerAccountRoutes(api, { ratings, requestAuth, mailer, config }) {
+  const { authenticateUser, requireUser } = requestAuth;
+
+  // GET /me/ratings - The signed-in user's ratings, newest first (`truncated` when there are more)
+  api.get('/me/ratings', {
+    summary: "The signed-in user's ratings, newest first",
+    tags: ['Account'],
+    auth: 'user',
+    responses: {
+      200: {
+        description: `Up to ${MAX_HISTORY_RATINGS} ratings; truncated when there are more`,
+        schema: {
+          type: 'object',
+          properties: {
+            user: { type: 'object', properties: { id: { type: 'string' }, email: { type: 'string' } } },
+            ratings: { type: 'array', items: { $ref: '#/components/schemas/OwnRating' } },
+            truncated: { type: 'boolean' }
+          }
+        }
+      }
+    }
+  }, authenticateUser, requireUser, async (req, res) => {
+    try {
+      const { ratings: userRatings, truncated } = await ratings.listUserRatings(req.user);
+      res.json({
+        user: { id: req.user._id, email: req.user.email },
+        ratings: userRatings,
+        truncated
+      });
+    } catch (err) {
+      sendError(res, err, 'fetching user ratings');
+    }
+  });
+
+  // POST /me/ratings/claim - Move anonymous ratings into the account
+  // Body: { claimTokens: [...] } as returned when the ratings were submitted
+  api.post('/me/ratings/claim', {
+    summary: 'Move anonymous ratings into the account',
+    tags: ['Account'],
+    auth: 'user',
+    body: schemas.claimBody,
+    responses: { 200: 'How many ratings were claimed' }
+  }, authenticateUser, requireUser, async (req, res) => {
+    try {
+      const claimed = await auth.claimRatings(req.user._id, req.body.claimTokens);
+      res.json({ message: `${claimed} rating${claimed === 1 ? '' : 's'} claimed`, claimed });
+    } catch (err) {
+      sendError(res, err, 'claiming ratings');
+    }
+  });
+
+  // POST /auth/magic-link - Email a sign-in link. Body: { email }
+  // Returns { requestId, pollSecret, confirmationCode, expiresAt }: the extension shows
+  // the code for the user to enter on the link's page, and polls the token route below
+  api.post('/auth/magic-link', {
+    summary: 'Email a sign-in link',
+    tags: ['Account'],
+    body: schemas.magicLinkBody,
+    responses: {
+      202: 'Link sent; show the confirmationCode and poll the token route with the returned requestId and pollSecret',
+      429: { description: 'Too many pending sign-in requests for this address', schema: 'Error' },
+      503: { description: 'Sign-in is disabled: the server has no PUBLIC_URL', schema: 'Error' }
+    }
+  }, async (req, res) => {
+    try {
+      const request = await auth.requestMagicLink(req.body.email, { baseUrl: config.publicUrl, mailer });
+      res.status(202).json({ message: 'Sign-in link sent', ...request });
+    } catch (err) {
+      sendError(res, err, 'sending sign-in link');
+    }
+  });
+
+  // GET /auth/verify?token=... - Target of the emailed link: a page asking for the
+  // confirmation code. Opening the link changes nothing, so link scanners can't sign in.
+  api.get('/auth/verify', {
+    summary: 'Target of the emailed sign-in link',
+    tags: ['Account'],
+    query: schemas.verifyQuery,
+    responses: {
+      200: { description: 'A form for the confirmation code', html: true },
+      404: { description: 'Unknown link', html: true },
+      410: { description: 'The link was used or has expired', html: true }
+    }
+  }, async (req, res) => {
+    try {
+      await auth.findPendingLink(req.query.token);
+      res.send(confirmSignInPage(req.query.token));
+    } catch (err) {
+      if (err.statusCode) {
+        return res.status(err.statusCode).send(failedSignInPage(err.message));
+      }
+      console.error('Error opening sign-in link:', err);
+      res.status(500).send(signInPage('Sign-in failed', '<p>Something went wrong. Please try again.</p>'));
+    }
+  });
+
+  // POST /auth/verify - The confirmation form. Body: { token, code }, form-encoded
+  api.post('/auth/verify', {
+    summary: 'Confirm an emailed sign-in link with the code the extension shows',
+    tags: ['Account'],
+    body: schemas.verifyBody,
+    form: true,
+    responses: {
+      200: { description: 'Signed in', html: true },
+      400: { description: 'Wrong code; the form again', html: true },
+      404: { description: 'Unknown link', html: true },
+      410: { description: 'The link was used, has expired or had too many wrong codes', html: true }
+    }
+  }, express.urlencoded({ extended: false }), async (req, res) => {
+    try {
+      await auth.verifyMagicLink(req.body.token, req.body.code);
+      res.send(signInPage('Signed in', '<p>You are signed in to Hotel Bedding Ratings. You can close this tab and return to the extension.</p>'));
+    } catch (err) {
+      if (err.statusCode === 400) {
+        return res.status(400).send(confirmSignInPage(req.body.token, err.message));
+      }
+      if (err.statusCode) {
+        return res.status(err.statusCode).send(failedSignInPage(err.message));
+      }
+      console.error('Error verifying sign-in link:', err);
+      res.status(500).send(signInPage('Sign-in failed', '<p>Something went wrong. Please try again.</p>'));
+    }
+  });
+
+  // POST /auth/magic-link/:id/token - Poll a sign-in request. Body: { pollSecret }
+  // 202 while the link hasn't been confirmed, then { token, expiresAt, user } once
+  api.post('/auth/magic-link/:id/token', {
+    summary: 'Poll a sign-in request',
+    tags: ['Account'],
+    params: schemas.idParams,
+    body: schemas.pollBody,
+    responses: {
+      200: "The access token, once the link's been confirmed",
+      202: 'The link has not been confirmed yet',
+      404: { description: 'Sign-in request not found', schema: 'Error' },
+      410: { description: 'The request was used or has expired', schema: 'Error' }
+    }
+  }, async (req, res) => {
+    try {
+      const result = await auth.pollMagicLink(req.params.id, req.body.pollSecret);
+      if (result.status === 'pending') {
+        return res.status(202).json({ status: 'pending' });
+      }
+      res.json(result);
+    } catch (err) {
+      sendError(res, err, 'polling sign-in request');
+    }
+  });
+
+  // POST /auth/logout - Revoke the bearer token
+  api.post('/auth/logout', {
+    summary: 'Revoke the bearer token',
+    tags: ['Account'],
+    auth: 'user',
+    responses: { 204: 'Signed out' }
+  }, authenticateUser, requireUser, async (req, res) => {
+    try {
+      await auth.revokeToken(bearerToken(req));
+      res.status(204).end();
+    } catch (err) {
+      sendError(res, err, 'signing out');
+    }
+  });
+}
+
+module.exports = {
+  registerAccountRoutes
+};
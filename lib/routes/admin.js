@@ -0,0 +1,283 @@
+// Admin routes: duplicate hotels and merges, rating moderation, bans and the
+// moderation audit log. All of them require the admin token.
+
+const { HotelMerge } = require('../models');
+const { requestSchemas: schemas } = require('../schemas');
+const { badRequest } = require('../validation');
+const hotelRegistry = require('../hotel-registry');
+const hotelDuplicates = require('../hotel-duplicates');
+const { parseSummaryOptions } = require('../summary');
+const summaries = require('../summary-service');
+const serializers = require('../serializers');
+const moderation = require('../moderation');
+const { sendError } = require('./errors');
+
+// Who performed an admin action: the name of the admin token the request was
+// made with. A performedBy in the body is only what the caller says, and is
+// recorded as claimedBy next to it.
+function actorOf(req) {
+  return { performedBy: req.adminName, claimedBy: (req.body && req.body.performedBy) || undefined };
+}
+
+function registerAdminRoutes(api, { requestAuth, config }) {
+  const { requireAdmin } = requestAuth;
+
+  // GET /admin/hotels/duplicates?country=de&minScore=0.6&limit=50 - Candidate duplicate hotel keys
+  api.get('/admin/hotels/duplicates', {
+    summary: 'Candidate duplicate hotel keys',
+    tags: ['Admin'],
+    auth: 'admin',
+    query: schemas.duplicatesQuery,
+    responses: { 200: 'Candidate pairs, most similar first' }
+  }, requireAdmin, async (req, res) => {
+    const minScore = req.query.minScore !== undefined ? Number(req.query.minScore) : 0.6;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+
+    if (minScore < 0 || minScore > 1) {
+      return badRequest(res, 'query', 'minScore must be a number between 0 and 1', 'minScore');
+    }
+
+    try {
+      const candidates = await hotelDuplicates.findDuplicateCandidates({
+        country: req.query.country ? String(req.query.country).toLowerCase() : undefined,
+        minScore,
+        limit
+      });
+      res.json({ candidates });
+    } catch (err) {
+      sendError(res, err, 'finding duplicate hotels');
+    }
+  });
+
+  // POST /admin/hotels/merge - Merge a set of hotel keys into a primary key
+  api.post('/admin/hotels/merge', {
+    summary: 'Merge a set of hotel keys into a primary key',
+    tags: ['Admin'],
+    auth: 'admin',
+    body: schemas.mergeBody,
+    responses: { 201: 'The recorded merge' }
+  }, requireAdmin, async (req, res) => {
+    const { primaryKey, keys, reason } = req.body || {};
+
+    try {
+      const merge = await hotelRegistry.mergeHotels({
+        primaryKey,
+        keys,
+        reason,
+        ...actorOf(req)
+      });
+      res.status(201).json({ message: 'Hotels merged successfully', merge });
+    } catch (err) {
+      sendError(res, err, 'merging hotels');
+    }
+  });
+
+  // GET /admin/hotels/merges - Merge audit log, newest first
+  api.get('/admin/hotels/merges', {
+    summary: 'Merge audit log, newest first',
+    tags: ['Admin'],
+    auth: 'admin',
+    query: schemas.mergesQuery,
+    responses: { 200: 'Up to 100 merges' }
+  }, requireAdmin, async (req, res) => {
+    try {
+      const filter = req.query.primaryKey ? { primaryKey: String(req.query.primaryKey) } : {};
+      const merges = await HotelMerge.find(filter).select('-moves').sort({ createdAt: -1 }).limit(100).exec();
+      res.json({ merges });
+    } catch (err) {
+      sendError(res, err, 'fetching hotel merges');
+    }
+  });
+
+  // POST /admin/hotels/merges/:id/undo - Undo a merge
+  api.post('/admin/hotels/merges/:id/undo', {
+    summary: 'Undo a merge',
+    tags: ['Admin'],
+    auth: 'admin',
+    params: schemas.idParams,
+    body: schemas.moderationNote,
+    responses: { 200: 'The undone merge', 404: { description: 'Merge not found', schema: 'Error' } }
+  }, requireAdmin, async (req, res) => {
+    try {
+      const merge = await hotelRegistry.undoMerge(req.params.id, actorOf(req));
+      res.json({ message: 'Merge undone successfully', merge });
+    } catch (err) {
+      sendError(res, err, 'undoing hotel merge');
+    }
+  });
+
+  // GET /admin/ratings?status=quarantined&hotelKey=...&fingerprint=...&ipHash=...&since=...&until=...&minScore=...&limit=50
+  // Ratings for review, newest first, with the fields public listings leave out.
+  // status is quarantined (default), active, rejected or all.
+  api.get('/admin/ratings', {
+    summary: 'Ratings for review, newest first',
+    description: 'With the fields public listings leave out. status defaults to quarantined.',
+    tags: ['Admin'],
+    auth: 'admin',
+    query: schemas.moderationQuery,
+    responses: { 200: 'The matching ratings' }
+  }, requireAdmin, async (req, res) => {
+    const { filter, limit, error, field } = moderation.parseRatingFilters(req.query);
+    if (error) {
+      return badRequest(res, 'query', error, field);
+    }
+
+    try {
+      const ratings = await moderation.listRatings(filter, limit);
+      res.json({ ratings: ratings.map(serializers.adminRating) });
+    } catch (err) {
+      sendError(res, err, 'listing ratings for moderation');
+    }
+  });
+
+  // GET /admin/ratings/summary/:hotelKey - A hotel's summary as the public one,
+  // where ?include=quarantined also counts ratings held for spam review
+  api.get('/admin/ratings/summary/:hotelKey', {
+    summary: "A hotel's rating summary, optionally counting quarantined ratings",
+    tags: ['Admin'],
+    auth: 'admin',
+    params: schemas.hotelKeyParams,
+    query: schemas.adminSummaryQuery,
+    responses: { 200: 'Percentages per category and value; with groupBy, the overall summary and one per group' }
+  }, requireAdmin, async (req, res) => {
+    const { options, error, field } = parseSummaryOptions(req.query, { admin: true });
+    if (error) {
+      return badRequest(res, 'query', error, field);
+    }
+
+    try {
+      res.json(await summaries.hotelSummary(req.params.hotelKey, { ...options, minSampleSize: config.minSampleSize }));
+    } catch (err) {
+      sendError(res, err, 'calculating rating summary');
+    }
+  });
+
+  // POST /admin/ratings/:id/approve and /reject - Publish or reject a rating
+  ['approve', 'reject'].forEach(action => {
+    api.post(`/admin/ratings/:id/${action}`, {
+      summary: action === 'approve' ? 'Publish a rating' : 'Reject a rating',
+      tags: ['Admin'],
+      auth: 'admin',
+      params: schemas.idParams,
+      body: schemas.moderationNote,
+      responses: { 200: 'The reviewed rating', 404: { description: 'Rating not found', schema: 'Error' } }
+    }, requireAdmin, async (req, res) => {
+      const { reason } = req.body || {};
+
+      try {
+        const rating = await moderation.reviewRating(req.params.id, action, { reason, ...actorOf(req) });
+        res.json({ message: `Rating ${action === 'approve' ? 'approved' : 'rejected'}`, rating: serializers.adminRating(rating) });
+      } catch (err) {
+        sendError(res, err, `during rating ${action}`);
+      }
+    });
+  });
+
+  // DELETE /admin/ratings/:id - Delete a rating for good; the audit log keeps a copy
+  api.delete('/admin/ratings/:id', {
+    summary: 'Delete a rating for good; the audit log keeps a copy',
+    tags: ['Admin'],
+    auth: 'admin',
+    params: schemas.idParams,
+    body: schemas.moderationNote,
+    responses: { 204: 'Deleted', 404: { description: 'Rating not found', schema: 'Error' } }
+  }, requireAdmin, async (req, res) => {
+    const { reason } = req.body || {};
+
+    try {
+      await moderation.deleteRating(req.params.id, { reason, ...actorOf(req) });
+      res.status(204).end();
+    } catch (err) {
+      sendError(res, err, 'deleting rating');
+    }
+  });
+
+  // GET /admin/bans - Active bans, newest first
+  api.get('/admin/bans', {
+    summary: 'Active bans, newest first',
+    tags: ['Admin'],
+    auth: 'admin',
+    responses: { 200: 'The bans' }
+  }, requireAdmin, async (req, res) => {
+    try {
+      const bans = await moderation.listBans();
+      res.json({ bans });
+    } catch (err) {
+      sendError(res, err, 'listing bans');
+    }
+  });
+
+  // POST /admin/bans - Ban a fingerprint or IP hash:
+  // { type: 'fingerprint' | 'ipHash', value, reason, expiresInDays, rejectRatings }
+  api.post('/admin/bans', {
+    summary: 'Ban a fingerprint or IP hash',
+    tags: ['Admin'],
+    auth: 'admin',
+    body: schemas.banBody,
+    responses: { 201: 'The ban, and how many ratings were rejected', 409: { description: 'Already banned', schema: 'Error' } }
+  }, requireAdmin, async (req, res) => {
+    const { type, value, reason, expiresInDays, rejectRatings } = req.body || {};
+
+    try {
+      const result = await moderation.createBan({
+        type,
+        value,
+        reason,
+        expiresInDays,
+        rejectRatings: rejectRatings === true,
+        ...actorOf(req)
+      });
+      res.status(201).json({ message: 'Ban created', ...result });
+    } catch (err) {
+      sendError(res, err, 'creating ban');
+    }
+  });
+
+  // DELETE /admin/bans/:id - Lift a ban
+  api.delete('/admin/bans/:id', {
+    summary: 'Lift a ban',
+    tags: ['Admin'],
+    auth: 'admin',
+    params: schemas.idParams,
+    body: schemas.moderationNote,
+    responses: { 204: 'Lifted', 404: { description: 'Ban not found', schema: 'Error' } }
+  }, requireAdmin, async (req, res) => {
+    const { reason } = req.body || {};
+
+    try {
+      await moderation.removeBan(req.params.id, { reason, ...actorOf(req) });
+      res.status(204).end();
+    } catch (err) {
+      sendError(res, err, 'removing ban');
+    }
+  });
+
+  // GET /admin/audit-log?action=ban&targetId=...&limit=50 - Moderation actions, newest first
+  api.get('/admin/audit-log', {
+    summary: 'Moderation actions, newest first',
+    tags: ['Admin'],
+    auth: 'admin',
+    query: schemas.auditLogQuery,
+    responses: { 200: 'The actions' }
+  }, requireAdmin, async (req, res) => {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+    if (limit > moderation.MAX_LIST_LIMIT) {
+      return badRequest(res, 'query', `limit must be between 1 and ${moderation.MAX_LIST_LIMIT}`, 'limit');
+    }
+
+    try {
+      const actions = await moderation.listAuditLog({
+        action: req.query.action ? String(req.query.action) : undefined,
+        targetId: req.query.targetId,
+        limit
+      });
+      res.json({ actions });
+    } catch (err) {
+      sendError(res, err, 'fetching audit log');
+    }
+  });
+}
+
+module.exports = {
+  registerAdminRoutes
+};
@@ -0,0 +1,28 @@
+// Responses for errors thrown by the services and libraries: their statusCode
+// and message, or a logged 500 for anything unexpected.
+
+const { badRequest } = require('../validation');
+
+function sendError(res, err, action) {
+  if (err.statusCode === 400) {
+    return badRequest(res, 'body', err.message, err.field);
+  }
+  if (err.statusCode === 429 && err.policy) {
+    res.set('Retry-After', String(err.retryAfter));
+    return res.status(429).json({
+      error: 'Rate limit exceeded',
+      message: err.message,
+      policy: err.policy,
+      retryAfter: err.retryAfter // Seconds, as in the Retry-After header
+    });
+  }
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error(`Error ${action}:`, err);
+  res.status(500).json({ error: 'Internal server error' });
+}
+
+module.exports = {
+  sendError
+};
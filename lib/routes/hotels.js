@@ -0,0 +1,72 @@
+// Vocabulary, hotel registration and nearby search routes
+
+const { requestSchemas: schemas } = require('../schemas');
+const { badRequest } = require('../validation');
+const vocabulary = require('../vocabulary');
+const stayDetails = require('../stay-details');
+const hotelRegistry = require('../hotel-registry');
+const nearby = require('../nearby');
+const { sendError } = require('./errors');
+
+function registerHotelRoutes(api, { config }) {
+  // GET /vocabulary - Rating categories, allowed values, labels and polarity
+  api.get('/vocabulary', {
+    summary: 'Rating categories, allowed values, labels and polarity, and the stay detail limits',
+    tags: ['Vocabulary'],
+    responses: { 200: 'The vocabulary' }
+  }, (req, res) => {
+    res.json({ ...vocabulary.getVocabulary(), stayDetails: stayDetails.describeLimits() });
+  });
+
+  // POST /hotels - Register the identifiers seen on a hotel page, returns the canonical hotelKey
+  api.post('/hotels', {
+    summary: 'Register the identifiers seen on a hotel page',
+    tags: ['Hotels'],
+    body: schemas.hotelRegistration,
+    responses: { 200: { description: 'The canonical hotel key', schema: { type: 'object', properties: { hotelKey: { type: 'string' } } } } }
+  }, async (req, res) => {
+    const hotelData = req.body;
+
+    try {
+      const hotelKey = await hotelRegistry.registerHotel({
+        hotelKey: hotelData.hotelKey,
+        legacyHotelKey: hotelData.legacyHotelKey,
+        identifiers: hotelData.identifiers,
+        name: hotelData.hotelName,
+        address: hotelData.hotelAddress,
+        location: hotelData.hotelLocation,
+        locality: hotelData.hotelLocality
+      });
+      res.json({ hotelKey });
+    } catch (err) {
+      sendError(res, err, 'registering hotel');
+    }
+  });
+
+  // GET /hotels/nearby?lat=...&lng=...&radius=1000&sort=distance|quietest&limit=20 - Rated hotels
+  // within radius metres of a point. sort=quietest ranks them by the share of ratings reporting
+  // noise, then light annoyances; hotels under the minimum sample size come last.
+  api.get('/hotels/nearby', {
+    summary: 'Rated hotels near a point, nearest or quietest first',
+    description: 'sort=quietest ranks hotels by the share of their ratings reporting noise, then light annoyances. ' +
+      'Hotels with fewer ratings than minSampleSize come after all the others. Only hotels with known coordinates are found.',
+    tags: ['Hotels'],
+    query: schemas.nearbyQuery,
+    responses: { 200: 'The hotels found, with their distance in metres and noise and light annoyance shares' }
+  }, async (req, res) => {
+    const { options, error, field } = nearby.parseNearbyQuery(req.query);
+    if (error) {
+      return badRequest(res, 'query', error, field);
+    }
+
+    try {
+      res.json(await nearby.findNearbyHotels({ ...options, minSampleSize: config.minSampleSize }));
+    } catch (err) {
+      sendError(res, err, 'searching nearby hotels');
+    }
+  });
+}
+
+module.exports = {
+  registerHotelRoutes
+};
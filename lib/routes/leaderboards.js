@@ -0,0 +1,64 @@
+// City and country leaderboards: the best-rated hotels of a place for bed
+// comfort, pillows, duvets, light annoyances and noise
+
+const { requestSchemas: schemas } = require('../schemas');
+const { badRequest } = require('../validation');
+const leaderboards = require('../leaderboards');
+const { sendError } = require('./errors');
+
+function registerLeaderboardRoutes(api, { config }) {
+  // GET /leaderboards - The boards there are, and the countries and cities with rated hotels
+  api.get('/leaderboards', {
+    summary: 'The leaderboards, and the countries and cities they can be shown for',
+    tags: ['Leaderboards'],
+    responses: { 200: 'The boards, the minimum sample size and every country with its cities' }
+  }, async (req, res) => {
+    try {
+      res.json({
+        boards: leaderboards.LEADERBOARDS,
+        minSampleSize: config.minSampleSize,
+        countries: await leaderboards.listPlaces({ minSampleSize: config.minSampleSize })
+      });
+    } catch (err) {
+      sendError(res, err, 'listing leaderboard places');
+    }
+  });
+
+  // GET /leaderboards/:country[/:city]?board=quietest,bed-comfort&limit=10 - Each board's
+  // best hotels in a country (ISO code) or one of its cities (city key, e.g. 'new-york').
+  // Hotels with fewer ratings for a board than minSampleSize aren't ranked on it.
+  const spec = place => ({
+    summary: `The best-rated hotels of a ${place} on each leaderboard`,
+    description: 'Hotels are ranked by the lower bound of the 95% Wilson interval of their share, so a few glowing ' +
+      'ratings don\'t outrank many good ones. Hotels with fewer ratings for a board than minSampleSize aren\'t ranked on it.',
+    tags: ['Leaderboards'],
+    params: schemas.leaderboardParams,
+    query: schemas.leaderboardQuery,
+    responses: { 200: 'One ranking per board', 404: `No hotels are known in this ${place}` }
+  });
+
+  const showLeaderboards = async (req, res) => {
+    const { options, error, field } = leaderboards.parseLeaderboardQuery(req.query);
+    if (error) {
+      return badRequest(res, 'query', error, field);
+    }
+
+    try {
+      res.json(await leaderboards.computeLeaderboards({
+        country: req.params.country.toLowerCase(),
+        cityKey: req.params.city,
+        ...options,
+        minSampleSize: config.minSampleSize
+      }));
+    } catch (err) {
+      sendError(res, err, 'computing leaderboards');
+    }
+  };
+
+  api.get('/leaderboards/:country', spec('country'), showLeaderboards);
+  api.get('/leaderboards/:country/:city', spec('city'), showLeaderboards);
+}
+
+module.exports = {
+  registerLeaderboardRoutes
+};
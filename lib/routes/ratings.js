@@ -0,0 +1,136 @@
+// Rating routes: listing a hotel's ratings, submitting, correcting and deleting them
+
+const { requestSchemas: schemas } = require('../schemas');
+const { badRequest } = require('../validation');
+const pagination = require('../pagination');
+const clientIP = require('../client-ip');
+const { sendError } = require('./errors');
+
+function registerRatingRoutes(api, { ratings, requestAuth }) {
+  const { authenticateUser, requireUser } = requestAuth;
+
+  // GET /ratings?hotelKey=...&limit=20&cursor=... - A hotel's ratings, newest first, public fields only.
+  // Pass the returned nextCursor to get the next page; it is null on the last one.
+  api.get('/ratings', {
+    summary: "A hotel's ratings, newest first",
+    tags: ['Ratings'],
+    query: schemas.ratingsQuery,
+    responses: {
+      200: {
+        description: 'One page of ratings; nextCursor is null on the last page',
+        schema: {
+          type: 'object',
+          properties: {
+            hotelKey: { type: 'string' },
+            ratings: { type: 'array', items: { $ref: '#/components/schemas/Rating' } },
+            nextCursor: { type: ['string', 'null'] }
+          }
+        }
+      }
+    }
+  }, async (req, res) => {
+    const page = pagination.parsePageParams(req.query);
+    if (page.error) {
+      return badRequest(res, 'query', page.error, page.field);
+    }
+
+    try {
+      res.json(await ratings.listHotelRatings(req.query.hotelKey, page));
+    } catch (err) {
+      sendError(res, err, 'fetching ratings');
+    }
+  });
+
+  // POST /ratings - Submit hotel bedding rating with light annoyances and noise
+  // Signed-in submissions belong to the account; anonymous ones get a claimToken back
+  api.post('/ratings', {
+    summary: 'Submit a rating',
+    description: 'Signed-in submissions belong to the account; anonymous ones get a claimToken back. ' +
+      'A retry with the Idempotency-Key of a stored submission gets that rating back with a 200; ' +
+      'the same key with another body or from another submitter is refused with a 409.',
+    tags: ['Ratings'],
+    auth: 'optionalUser',
+    headers: schemas.submissionHeaders,
+    body: schemas.ratingSubmission,
+    responses: {
+      200: 'The rating stored earlier under the same Idempotency-Key',
+      201: {
+        description: 'The stored rating, and a claimToken for anonymous submissions',
+        schema: {
+          type: 'object',
+          properties: { message: { type: 'string' }, rating: { $ref: '#/components/schemas/OwnRating' }, claimToken: { type: 'string' } }
+        }
+      },
+      403: { description: 'Ratings from this browser or network are not accepted', schema: 'Error' },
+      409: { description: 'The Idempotency-Key was already used for a different submission', schema: 'Error' },
+      429: { description: 'Rate limit exceeded; see the Retry-After header', schema: 'RateLimitError' }
+    }
+  }, authenticateUser, async (req, res) => {
+    console.log('Received POST /ratings body:', req.body);
+
+    try {
+      const { rating, duplicate, claimToken } = await ratings.submitRating(req.body, {
+        user: req.user,
+        idempotencyKey: req.get('Idempotency-Key'),
+        ip: clientIP.getClientIP(req)
+      });
+
+      if (duplicate) {
+        return res.status(200).json({ message: 'Rating already submitted', rating, duplicate: true });
+      }
+      const response = { message: 'Rating submitted successfully', rating };
+      if (claimToken) {
+        response.claimToken = claimToken;
+      }
+      res.status(201).json(response);
+    } catch (err) {
+      sendError(res, err, 'saving rating');
+    }
+  });
+
+  // PUT /ratings/:id - Correct one of your own ratings; the body replaces every rating category and stay detail
+  api.put('/ratings/:id', {
+    summary: 'Correct one of your own ratings',
+    description: 'The body replaces every rating category and stay detail.',
+    tags: ['Ratings'],
+    auth: 'user',
+    params: schemas.idParams,
+    body: schemas.ratingUpdate,
+    responses: {
+      200: { description: 'The updated rating', schema: { type: 'object', properties: { message: { type: 'string' }, rating: { $ref: '#/components/schemas/OwnRating' } } } },
+      403: { description: 'Not your rating', schema: 'Error' },
+      404: { description: 'Rating not found', schema: 'Error' }
+    }
+  }, authenticateUser, requireUser, async (req, res) => {
+    try {
+      const rating = await ratings.updateOwnRating(req.params.id, req.user, req.body);
+      res.json({ message: 'Rating updated successfully', rating });
+    } catch (err) {
+      sendError(res, err, 'updating rating');
+    }
+  });
+
+  // DELETE /ratings/:id - Delete one of your own ratings
+  api.delete('/ratings/:id', {
+    summary: 'Delete one of your own ratings',
+    tags: ['Ratings'],
+    auth: 'user',
+    params: schemas.idParams,
+    responses: {
+      204: 'Deleted',
+      403: { description: 'Not your rating', schema: 'Error' },
+      404: { description: 'Rating not found', schema: 'Error' }
+    }
+  }, authenticateUser, requireUser, async (req, res) => {
+    try {
+      await ratings.deleteOwnRating(req.params.id, req.user);
+      res.status(204).end();
+    } catch (err) {
+      sendError(res, err, 'deleting rating');
+    }
+  });
+}
+
+module.exports = {
+  registerRatingRoutes
+};
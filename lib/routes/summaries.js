@@ -0,0 +1,92 @@
+// Summary routes: one hotel's summary and room map, comparisons, and the
+// compact summaries shown on search results
+
+const { requestSchemas: schemas, MAX_COMPARE_HOTELS, MAX_BATCH_HOTELS } = require('../schemas');
+const { badRequest } = require('../validation');
+const { parseSummaryOptions } = require('../summary');
+const summaries = require('../summary-service');
+const { sendError } = require('./errors');
+
+function registerSummaryRoutes(api, { config }) {
+  // GET /ratings/summary/:hotelKey - Get rating summary with percentages
+  // Optional: ?since=&until= (ISO dates) limit the time window,
+  // ?halfLifeDays=N weights each rating by 0.5^(age / N) so recent ratings count more,
+  // ?top=N|all adds a `top` list beside `top2`, ?include=distribution adds every value's share,
+  // ?include=comments adds the latest comments,
+  // ?groupBy=floor|roomNumber|roomTypeId|stayMonth adds a summary per floor, room, room type or month of stay
+  api.get('/ratings/summary/:hotelKey', {
+    summary: "A hotel's rating summary",
+    tags: ['Summaries'],
+    params: schemas.hotelKeyParams,
+    query: schemas.summaryQuery,
+    responses: { 200: 'Percentages per category and value; with groupBy, the overall summary and one per group' }
+  }, async (req, res) => {
+    const { options, error, field } = parseSummaryOptions(req.query);
+    if (error) {
+      return badRequest(res, 'query', error, field);
+    }
+
+    try {
+      res.json(await summaries.hotelSummary(req.params.hotelKey, { ...options, minSampleSize: config.minSampleSize }));
+    } catch (err) {
+      sendError(res, err, 'calculating rating summary');
+    }
+  });
+
+  // GET /ratings/rooms/:hotelKey - Noise and light issues reported per room type and per room
+  api.get('/ratings/rooms/:hotelKey', {
+    summary: 'Noise and light issues reported per room type and per room',
+    tags: ['Summaries'],
+    params: schemas.hotelKeyParams,
+    responses: { 200: 'The room map' }
+  }, async (req, res) => {
+    try {
+      res.json(await summaries.hotelRoomMap(req.params.hotelKey));
+    } catch (err) {
+      sendError(res, err, 'computing room map');
+    }
+  });
+
+  // POST /ratings/compare - Side-by-side summaries for several hotels
+  // Body: { hotelKeys: [...] }; accepts the same query parameters as the summary route
+  api.post('/ratings/compare', {
+    summary: `Side-by-side summaries for up to ${MAX_COMPARE_HOTELS} hotels`,
+    tags: ['Summaries'],
+    query: schemas.summaryQuery,
+    body: schemas.compareBody,
+    responses: { 200: 'One summary per requested hotel, in request order' }
+  }, async (req, res) => {
+    const { options, error, field } = parseSummaryOptions(req.query);
+    if (error) {
+      return badRequest(res, 'query', error, field);
+    }
+    if (options.groupBy) {
+      return badRequest(res, 'query', 'groupBy is only supported for single hotel summaries', 'groupBy');
+    }
+
+    try {
+      res.json(await summaries.compareHotels(req.body.hotelKeys, { ...options, minSampleSize: config.minSampleSize }));
+    } catch (err) {
+      sendError(res, err, 'comparing hotels');
+    }
+  });
+
+  // POST /ratings/summaries - Compact summaries with badges for a batch of hotels (search results)
+  // Body: { hotelKeys: [...] }
+  api.post('/ratings/summaries', {
+    summary: `Compact summaries with badges for a batch of up to ${MAX_BATCH_HOTELS} hotels`,
+    tags: ['Summaries'],
+    body: schemas.batchBody,
+    responses: { 200: 'One summary per requested hotel, in request order' }
+  }, async (req, res) => {
+    try {
+      res.json({ summaries: await summaries.batchSummaries(req.body.hotelKeys, { minSampleSize: config.minSampleSize }) });
+    } catch (err) {
+      sendError(res, err, 'fetching batch summaries');
+    }
+  });
+}
+
+module.exports = {
+  registerSummaryRoutes
+};
@@ -0,0 +1,426 @@
+// JSON schemas for request bodies, query strings, path parameters and headers.
+// The API validates every request against them before a route handler runs
+// (see lib/validation.js), and the OpenAPI document is built from the same
+// schemas, so the published contract is the one the server enforces.
+//
+// Schemas check shape: types, allowed values and formats. Rules that need the
+// data itself (since before until, a stay month in the past, a comment's length
+// once sanitised) stay with the code that parses the values.
+//
+// A `description` on a string schema with a pattern is also the error message
+// when the pattern doesn't match ("must be <description>").
+
+const vocabulary = require('./vocabulary');
+const { INCLUDE_OPTIONS, ADMIN_INCLUDE_OPTIONS, GROUP_BY_FIELDS } = require('./summary');
+const { RATING_STATUSES, BAN_TYPES, MODERATION_ACTIONS, MAX_LIST_LIMIT } = require('./moderation');
+const { MAX_PAGE_SIZE } = require('./pagination');
+const { NEARBY_SORTS, MAX_RADIUS_M, MAX_NEARBY_LIMIT } = require('./nearby');
+const { LEADERBOARD_IDS, MAX_LEADERBOARD_LIMIT } = require('./leaderboards');
+const { COMMENT_MAX_LENGTH, ROOM_TYPE_MAX_LENGTH, MIN_FLOOR, MAX_FLOOR } = require('./stay-details');
+
+const MAX_COMPARE_HOTELS = 10;
+const MAX_BATCH_HOTELS = 50; // One page of search results
+
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const positiveInteger = { type: 'string', pattern: '^[1-9][0-9]*$', description: 'a positive integer' };
+const number = { type: 'string', pattern: '^-?([0-9]+\\.?[0-9]*|\\.[0-9]+)$', description: 'a number' };
+const date = { type: 'string', minLength: 1, description: 'an ISO 8601 date or date-time' };
+const objectId = { type: 'string', pattern: '^[0-9a-fA-F]{24}$', description: 'a 24-character hex id' };
+
+const hotelKey = { type: 'string', minLength: 1, maxLength: 300 };
+
+const hotelKeys = max => ({
+  type: 'array',
+  minItems: 1,
+  maxItems: max,
+  items: { type: 'string', pattern: '\\S', description: 'a non-empty hotel key' }
+});
+
+// The summary routes' query; admin summaries accept more include options
+const summaryQuery = includeOptions => ({
+  type: 'object',
+  properties: {
+    since: date,
+    until: date,
+    halfLifeDays: { ...number, description: 'a positive number of days' },
+    top: { type: 'string', pattern: '^([1-9][0-9]*|all)$', description: "a positive integer or 'all'" },
+    include: {
+      type: 'string',
+      pattern: `^\\s*(${includeOptions.join('|')})(\\s*,\\s*(${includeOptions.join('|')}))*\\s*$`,
+      description: `a comma-separated list of: ${includeOptions.join(', ')}`
+    },
+    groupBy: { type: 'string', enum: GROUP_BY_FIELDS }
+  }
+});
+
+// Single-value categories take one of their values, or '' / null when left
+// unrated; multi-value categories an array of their values
+function categoryProperties() {
+  const properties = {};
+  vocabulary.CATEGORIES.forEach(category => {
+    const values = category.values.map(option => option.value);
+    properties[category.key] = category.multiple
+      ? { type: ['array', 'null'], items: { type: 'string', enum: values }, uniqueItems: true, description: category.label }
+      : { type: ['string', 'null'], enum: ['', ...values, null], description: category.label };
+  });
+  return properties;
+}
+
+// Stay details, with lib/stay-details.js's limits; sanitising, normalising and
+// the checks that depend on the current date are done there
+const stayProperties = {
+  comment: nullable({ type: 'string', maxLength: COMMENT_MAX_LENGTH }),
+  roomNumber: {
+    type: ['string', 'number', 'null'],
+    pattern: '^\\s*([A-Za-z0-9][A-Za-z0-9 ./-]{0,9})?\\s*$',
+    description: 'up to 10 letters, digits, spaces, dots, dashes or slashes'
+  },
+  floor: {
+    type: ['integer', 'string', 'null'],
+    minimum: MIN_FLOOR,
+    maximum: MAX_FLOOR,
+    pattern: '^\\s*(-?[0-9]+)?\\s*$',
+    description: 'a whole number'
+  },
+  roomTypeId: {
+    type: ['string', 'number', 'null'],
+    pattern: '^([A-Za-z0-9_.:-]{1,64})?$',
+    description: 'up to 64 letters, digits, dots, colons, dashes or underscores'
+  },
+  roomType: nullable({ type: 'string', maxLength: ROOM_TYPE_MAX_LENGTH }),
+  stayMonth: nullable({ type: 'string', pattern: '^(\\d{4}-(0[1-9]|1[0-2]))?$', description: 'a month in YYYY-MM format' })
+};
+
+// Identifiers seen on the hotel page, as sent by the extension's site adapters
+const hotelIdentity = {
+  hotelKey,
+  legacyHotelKey: nullable({ type: 'string', maxLength: 300 }),
+  identifiers: { type: ['object', 'null'] },
+  hotelName: nullable({ type: 'string', maxLength: 300 }),
+  hotelAddress: nullable({ type: 'string', maxLength: 500 }),
+  hotelLocation: {
+    type: ['object', 'null'],
+    properties: {
+      lat: { type: 'number', minimum: -90, maximum: 90 },
+      lng: { type: 'number', minimum: -180, maximum: 180 }
+    },
+    required: ['lat', 'lng'],
+    description: "Coordinates from the page's map data"
+  },
+  hotelLocality: {
+    type: ['object', 'null'],
+    properties: {
+      city: nullable({ type: 'string', maxLength: 100 }),
+      country: nullable({ type: 'string', maxLength: 100 })
+    },
+    description: "City and country from the page's structured data"
+  }
+};
+
+const moderationNote = {
+  type: 'object',
+  properties: {
+    reason: nullable({ type: 'string', maxLength: 500 }),
+    performedBy: nullable({ type: 'string', maxLength: 100 })
+  }
+};
+
+const idParams = {
+  type: 'object',
+  properties: { id: objectId },
+  required: ['id']
+};
+
+const hotelKeyParams = {
+  type: 'object',
+  properties: { hotelKey },
+  required: ['hotelKey']
+};
+
+// Multi-value categories answered with none of their issues
+const noneReported = {
+  type: ['array', 'null'],
+  items: { type: 'string', enum: vocabulary.MULTI_VALUE_KEYS },
+  uniqueItems: true,
+  description: 'Multi-value categories the guest had none of the issues of'
+};
+
+const ratingBody = {
+  type: 'object',
+  properties: { ...categoryProperties(), noneReported, ...stayProperties }
+};
+
+const requestSchemas = {
+  hotelRegistration: {
+    type: 'object',
+    properties: hotelIdentity,
+    anyOf: [{ required: ['hotelKey'] }, { required: ['identifiers'] }]
+  },
+
+  ratingSubmission: {
+    type: 'object',
+    properties: {
+      ...hotelIdentity,
+      fingerprint: { type: 'string', minLength: 1, maxLength: 200, description: 'Browser fingerprint used for abuse prevention' },
+      ...ratingBody.properties
+    },
+    required: ['hotelKey', 'fingerprint']
+  },
+
+  ratingUpdate: ratingBody,
+
+  submissionHeaders: {
+    type: 'object',
+    properties: {
+      'Idempotency-Key': {
+        type: 'string',
+        pattern: '^[A-Za-z0-9_-]{8,128}$',
+        description: '8-128 letters, digits, dashes or underscores'
+      }
+    }
+  },
+
+  ratingsQuery: {
+    type: 'object',
+    properties: {
+      hotelKey,
+      limit: { ...positiveInteger, description: `a positive integer (at most ${MAX_PAGE_SIZE})` },
+      cursor: { type: 'string', description: 'The nextCursor of the previous page' }
+    },
+    required: ['hotelKey']
+  },
+
+  summaryQuery: summaryQuery(INCLUDE_OPTIONS),
+
+  adminSummaryQuery: summaryQuery(ADMIN_INCLUDE_OPTIONS),
+
+  nearbyQuery: {
+    type: 'object',
+    properties: {
+      lat: { ...number, description: 'a latitude' },
+      lng: { ...number, description: 'a longitude' },
+      radius: { ...number, description: `a number of metres (at most ${MAX_RADIUS_M})` },
+      sort: { type: 'string', enum: NEARBY_SORTS },
+      limit: { ...positiveInteger, description: `a positive integer (at most ${MAX_NEARBY_LIMIT})` }
+    },
+    required: ['lat', 'lng']
+  },
+
+  leaderboardQuery: {
+    type: 'object',
+    properties: {
+      board: {
+        type: 'string',
+        pattern: `^\\s*(${LEADERBOARD_IDS.join('|')})(\\s*,\\s*(${LEADERBOARD_IDS.join('|')}))*\\s*$`,
+        description: `a comma-separated list of: ${LEADERBOARD_IDS.join(', ')}`
+      },
+      limit: { ...positiveInteger, description: `a positive integer (at most ${MAX_LEADERBOARD_LIMIT})` }
+    }
+  },
+
+  leaderboardParams: {
+    type: 'object',
+    properties: {
+      country: { type: 'string', pattern: '^[A-Za-z]{2}$', description: 'a two-letter country code' },
+      city: { type: 'string', pattern: '^[\\p{Ll}\\p{Lo}\\p{N}]+(-[\\p{Ll}\\p{Lo}\\p{N}]+)*$', description: "a city key such as 'new-york'" }
+    },
+    required: ['country']
+  },
+
+  compareBody: {
+    type: 'object',
+    properties: { hotelKeys: hotelKeys(MAX_COMPARE_HOTELS) },
+    required: ['hotelKeys']
+  },
+
+  batchBody: {
+    type: 'object',
+    properties: { hotelKeys: hotelKeys(MAX_BATCH_HOTELS) },
+    required: ['hotelKeys']
+  },
+
+  claimBody: {
+    type: 'object',
+    properties: {
+      claimTokens: { type: 'array', minItems: 1, maxItems: 500, items: nonEmptyString }
+    },
+    required: ['claimTokens']
+  },
+
+  magicLinkBody: {
+    type: 'object',
+    properties: {
+      email: { type: 'string', pattern: '^\\s*[^\\s@]+@[^\\s@]+\\.[^\\s@]+\\s*$', maxLength: 320, description: 'a valid email address' }
+    },
+    required: ['email']
+  },
+
+  pollBody: {
+    type: 'object',
+    properties: { pollSecret: nonEmptyString },
+    required: ['pollSecret']
+  },
+
+  verifyQuery: {
+    type: 'object',
+    properties: { token: nonEmptyString },
+    required: ['token']
+  },
+
+  verifyBody: {
+    type: 'object',
+    properties: {
+      token: nonEmptyString,
+      code: { type: 'string', maxLength: 20, description: 'The confirmation code the extension shows' }
+    },
+    required: ['token', 'code']
+  },
+
+  duplicatesQuery: {
+    type: 'object',
+    properties: {
+      country: { type: 'string', minLength: 1, description: 'Country code, e.g. de' },
+      minScore: { ...number, description: 'a number between 0 and 1' },
+      limit: positiveInteger
+    }
+  },
+
+  mergeBody: {
+    type: 'object',
+    properties: {
+      primaryKey: hotelKey,
+      keys: { type: 'array', minItems: 1, items: hotelKey },
+      reason: nullable({ type: 'string', maxLength: 500 }),
+      performedBy: nullable({ type: 'string', maxLength: 100 })
+    },
+    required: ['primaryKey', 'keys']
+  },
+
+  mergesQuery: {
+    type: 'object',
+    properties: { primaryKey: hotelKey }
+  },
+
+  moderationNote,
+
+  moderationQuery: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: [...RATING_STATUSES, 'all'] },
+      hotelKey,
+      fingerprint: nonEmptyString,
+      ipHash: nonEmptyString,
+      subnetHash: nonEmptyString,
+      since: date,
+      until: date,
+      minScore: number,
+      limit: { ...positiveInteger, description: `a positive integer (at most ${MAX_LIST_LIMIT})` }
+    }
+  },
+
+  banBody: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: BAN_TYPES },
+      value: { ...nonEmptyString, maxLength: 200 },
+      reason: nullable({ type: 'string', maxLength: 500 }),
+      expiresInDays: nullable({ type: 'number', exclusiveMinimum: 0 }),
+      rejectRatings: { type: 'boolean' },
+      performedBy: nullable({ type: 'string', maxLength: 100 })
+    },
+    required: ['type', 'value']
+  },
+
+  auditLogQuery: {
+    type: 'object',
+    properties: {
+      action: { type: 'string', enum: MODERATION_ACTIONS },
+      targetId: objectId,
+      limit: { ...positiveInteger, description: `a positive integer (at most ${MAX_LIST_LIMIT})` }
+    }
+  },
+
+  idParams,
+  hotelKeyParams
+};
+
+// Response shapes referenced from the OpenAPI document
+const responseSchemas = {
+  Error: {
+    type: 'object',
+    properties: { error: { type: 'string' } },
+    required: ['error']
+  },
+
+  ValidationError: {
+    type: 'object',
+    description: 'Every failing field of the request, with `error` joining their messages',
+    properties: {
+      error: { type: 'string' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            location: { type: 'string', enum: ['body', 'query', 'params', 'headers'] },
+            field: { type: 'string', description: "Path of the field, e.g. 'noise[1]'; absent for errors about the request as a whole" },
+            message: { type: 'string' }
+          },
+          required: ['location', 'message']
+        }
+      }
+    },
+    required: ['error', 'errors']
+  },
+
+  RateLimitError: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' },
+      policy: { type: 'string' },
+      retryAfter: { type: 'integer', description: 'Seconds, as in the Retry-After header' }
+    }
+  },
+
+  Rating: {
+    type: 'object',
+    description: 'A rating as anyone may see it',
+    properties: {
+      _id: { type: 'string' },
+      hotelKey: { type: 'string' },
+      hotelName: { type: 'string' },
+      hotelAddress: { type: 'string' },
+      ...categoryProperties(),
+      noneReported: { type: 'array', items: { type: 'string' } },
+      comment: { type: 'string' },
+      roomNumber: { type: 'string' },
+      floor: { type: 'integer' },
+      roomTypeId: { type: 'string' },
+      roomType: { type: 'string' },
+      stayMonth: { type: 'string' },
+      submissionTime: { type: 'string', format: 'date-time' },
+      editedAt: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+responseSchemas.OwnRating = {
+  type: 'object',
+  description: 'A rating as its submitter sees it: the public fields plus account and edit data',
+  properties: {
+    ...responseSchemas.Rating.properties,
+    originalHotelKey: { type: 'string' },
+    userId: { type: 'string' },
+    idempotencyKey: { type: 'string' }
+  }
+};
+
+module.exports = {
+  MAX_COMPARE_HOTELS,
+  MAX_BATCH_HOTELS,
+  requestSchemas,
+  responseSchemas
+};
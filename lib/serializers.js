@@ -0,0 +1,67 @@
+// Response serializers for ratings. Every route that returns ratings goes
+// through one of these, so what leaves the server is an explicit list of
+// fields rather than whatever the document happens to hold:
+//
+//   publicRating  anyone: the hotel, the answers and the stay details
+//   ownRating     the rating's submitter: public fields plus account and edit data
+//   adminRating   moderators: everything but the claim token hash, including the
+//                 fingerprint, IP hashes and spam scoring
+
+const vocabulary = require('./vocabulary');
+const { STAY_DETAIL_FIELDS } = require('./stay-details');
+
+const PUBLIC_RATING_FIELDS = [
+  '_id',
+  'hotelKey',
+  'hotelName',
+  'hotelAddress',
+  ...vocabulary.CATEGORIES.map(category => category.key),
+  'noneReported',
+  ...STAY_DETAIL_FIELDS,
+  'submissionTime',
+  'editedAt'
+];
+
+const OWN_RATING_FIELDS = [...PUBLIC_RATING_FIELDS, 'originalHotelKey', 'userId', 'idempotencyKey'];
+
+// Never returned, not even to admins
+const SECRET_RATING_FIELDS = ['claimTokenHash', '__v'];
+
+// Fields that must never appear in a public or own response
+const PRIVATE_RATING_FIELDS = ['fingerprint', 'ipHash', 'subnetHash', 'ipAddress', 'status', 'spamScore', 'spamReasons', ...SECRET_RATING_FIELDS];
+
+const plain = rating => (typeof rating.toObject === 'function' ? rating.toObject() : rating);
+
+function pick(rating, fields) {
+  const source = plain(rating);
+  const result = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined) {
+      result[field] = source[field];
+    }
+  });
+  return result;
+}
+
+function publicRating(rating) {
+  return pick(rating, PUBLIC_RATING_FIELDS);
+}
+
+function ownRating(rating) {
+  return pick(rating, OWN_RATING_FIELDS);
+}
+
+function adminRating(rating) {
+  const result = { ...plain(rating) };
+  SECRET_RATING_FIELDS.forEach(field => delete result[field]);
+  return result;
+}
+
+module.exports = {
+  PUBLIC_RATING_FIELDS,
+  OWN_RATING_FIELDS,
+  PRIVATE_RATING_FIELDS,
+  publicRating,
+  ownRating,
+  adminRating
+};
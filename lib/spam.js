@@ -0,0 +1,176 @@
+// Spam scoring for incoming ratings. Each rule looks at the submission and the
+// recent activity around it (the hotel's ratings, the submitting network's
+// ratings) and, when it fires, adds its weight to the spam score. A score at
+// or above the quarantine threshold puts the rating in quarantine, where it
+// waits for review and is left out of summaries.
+//
+// Rules are configured with SPAM_RULES, a JSON object of per-rule overrides
+// ('{"hotelBurst": {"threshold": 8}, "fallbackFingerprint": {"enabled": false}}'),
+// and the threshold with SPAM_QUARANTINE_THRESHOLD; lib/config.js reads both.
+
+const { Rating } = require('./models');
+const vocabulary = require('./vocabulary');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_RECENT_RATINGS = 1000; // Per query, enough for any threshold worth setting
+
+const DEFAULT_THRESHOLD = 1;
+
+const DEFAULT_RULES = {
+  // Many ratings for one hotel in a short time
+  hotelBurst: { enabled: true, weight: 0.5, threshold: 5, windowMs: HOUR_MS },
+  // Several recent ratings of the hotel giving exactly the same answers
+  identicalAnswers: { enabled: true, weight: 0.5, threshold: 3, windowMs: 7 * DAY_MS },
+  // One network rating many different hotels
+  subnetSpread: { enabled: true, weight: 0.6, threshold: 10, windowMs: DAY_MS },
+  // One network rating the same hotel from several browsers (rotated fingerprints)
+  fingerprintRotation: { enabled: true, weight: 1, threshold: 3, windowMs: 7 * DAY_MS },
+  // The extension's fallback when the canvas fingerprint fails - or a forged one
+  fallbackFingerprint: { enabled: true, weight: 0.4 }
+};
+
+// Answers as a comparable string; ratings with the same signature said the same thing
+function answerSignature(rating) {
+  return vocabulary.CATEGORIES.map(category => {
+    const value = rating[category.key];
+    if (category.multiple) {
+      return Array.isArray(value) ? [...value].sort().join('+') : '';
+    }
+    return typeof value === 'string' ? value : '';
+  }).join('|');
+}
+
+const within = (ratings, windowMs, now) => ratings.filter(rating => new Date(rating.submissionTime).getTime() > now - windowMs);
+
+// Each rule returns a detail string when it fires, null otherwise. The
+// candidate is counted along with the stored ratings.
+const RULES = {
+  hotelBurst(candidate, recent, config, now) {
+    const count = within(recent.hotelRatings, config.windowMs, now).length + 1;
+    return count >= config.threshold
+      ? `${count} ratings for this hotel within ${Math.round(config.windowMs / MINUTE_MS)} minutes`
+      : null;
+  },
+
+  identicalAnswers(candidate, recent, config, now) {
+    const signature = answerSignature(candidate);
+    const count = within(recent.hotelRatings, config.windowMs, now)
+      .filter(rating => answerSignature(rating) === signature).length + 1;
+    return count >= config.threshold
+      ? `${count} ratings for this hotel with identical answers`
+      : null;
+  },
+
+  subnetSpread(candidate, recent, config, now) {
+    if (!candidate.subnetHash) {
+      return null;
+    }
+    const hotels = new Set(within(recent.subnetRatings, config.windowMs, now).map(rating => rating.hotelKey));
+    hotels.add(candidate.hotelKey);
+    return hotels.size >= config.threshold
+      ? `${hotels.size} hotels rated from one network within ${Math.round(config.windowMs / HOUR_MS)} hours`
+      : null;
+  },
+
+  fingerprintRotation(candidate, recent, config, now) {
+    if (!candidate.subnetHash) {
+      return null;
+    }
+    const fingerprints = new Set(within(recent.hotelRatings, config.windowMs, now)
+      .filter(rating => rating.subnetHash === candidate.subnetHash)
+      .map(rating => rating.fingerprint));
+    fingerprints.add(candidate.fingerprint);
+    return fingerprints.size >= config.threshold
+      ? `${fingerprints.size} browsers rating this hotel from one network`
+      : null;
+  },
+
+  fallbackFingerprint(candidate) {
+    return /^fallback_/.test(candidate.fingerprint || '') ? 'Fallback fingerprint' : null;
+  }
+};
+
+// Defaults with the overrides of a SPAM_RULES value applied
+function parseSpamRules(json) {
+  const overrides = json ? JSON.parse(json) : {};
+  const unknown = Object.keys(overrides).filter(name => !RULES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown spam rule in SPAM_RULES: ${unknown.join(', ')} (valid: ${Object.keys(RULES).join(', ')})`);
+  }
+
+  const rules = {};
+  Object.keys(DEFAULT_RULES).forEach(name => {
+    rules[name] = { ...DEFAULT_RULES[name], ...overrides[name] };
+  });
+  return rules;
+}
+
+function createSpamScorer({
+  rules = parseSpamRules(),
+  threshold = DEFAULT_THRESHOLD
+} = {}) {
+  const enabled = Object.keys(rules).filter(name => rules[name].enabled !== false);
+  const windowOf = names => Math.max(0, ...names.filter(name => enabled.includes(name)).map(name => rules[name].windowMs || 0));
+  const hotelWindowMs = windowOf(['hotelBurst', 'identicalAnswers', 'fingerprintRotation']);
+  const subnetWindowMs = windowOf(['subnetSpread']);
+
+  // Score a candidate against already-loaded activity:
+  // { hotelRatings: [...], subnetRatings: [...] }, each with submissionTime
+  function evaluate(candidate, recent, now = Date.now()) {
+    const reasons = [];
+    enabled.forEach(name => {
+      const detail = RULES[name](candidate, recent, rules[name], now);
+      if (detail) {
+        reasons.push({ rule: name, detail, weight: rules[name].weight });
+      }
+    });
+
+    const score = Math.round(reasons.reduce((sum, reason) => sum + reason.weight, 0) * 100) / 100;
+    return { score, reasons, quarantine: score >= threshold };
+  }
+
+  // Activity the rules need: the hotel's and the network's recent ratings
+  async function loadRecentActivity(candidate, now) {
+    const recentSince = windowMs => new Date(now - windowMs);
+    const [hotelRatings, subnetRatings] = await Promise.all([
+      hotelWindowMs > 0
+        ? Rating.find({ hotelKey: candidate.hotelKey, submissionTime: { $gt: recentSince(hotelWindowMs) } })
+          .select(['fingerprint', 'subnetHash', 'submissionTime', ...vocabulary.CATEGORIES.map(category => category.key)].join(' '))
+          .sort({ submissionTime: -1 })
+          .limit(MAX_RECENT_RATINGS)
+          .lean()
+          .exec()
+        : [],
+      subnetWindowMs > 0 && candidate.subnetHash
+        ? Rating.find({ subnetHash: candidate.subnetHash, submissionTime: { $gt: recentSince(subnetWindowMs) } })
+          .select('hotelKey submissionTime')
+          .sort({ submissionTime: -1 })
+          .limit(MAX_RECENT_RATINGS)
+          .lean()
+          .exec()
+        : []
+    ]);
+    return { hotelRatings, subnetRatings };
+  }
+
+  return {
+    rules,
+    threshold,
+    evaluate,
+
+    // candidate: { hotelKey, fingerprint, subnetHash, <category answers> }
+    async score(candidate, now = Date.now()) {
+      return evaluate(candidate, await loadRecentActivity(candidate, now), now);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  DEFAULT_THRESHOLD,
+  answerSignature,
+  parseSpamRules,
+  createSpamScorer
+};
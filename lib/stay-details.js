@@ -0,0 +1,135 @@
+// Stay details - the optional free-text comment, room number, floor, room type
+// and stay month a rating can carry besides its categories. Noise in particular
+// depends on where and when the guest stayed, so summaries can be grouped by
+// them. The room type is the site's own: its id (Booking's room id) and name.
+//
+// Comments are stored as plain text: markup, control characters and invisible
+// formatting characters are stripped, whitespace is normalised, and clients
+// escape them when rendering.
+
+const COMMENT_MAX_LENGTH = 500;
+const ROOM_NUMBER_PATTERN = /^[A-Z0-9][A-Z0-9 ./-]{0,9}$/; // '412', '12B', 'A-3.05'
+const MIN_FLOOR = -5;
+const MAX_FLOOR = 200;
+const STAY_MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+const EARLIEST_STAY_YEAR = 2000;
+const ROOM_TYPE_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+const ROOM_TYPE_MAX_LENGTH = 120;
+
+const STAY_DETAIL_FIELDS = ['comment', 'roomNumber', 'floor', 'roomTypeId', 'roomType', 'stayMonth'];
+
+// Control characters (except tab and newline), zero-width and bidirectional
+// formatting characters
+const INVISIBLE_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+// HTML tags ('<b>', '</a>', '<img src=...>'); angle brackets that don't form
+// one ('< 40 dB') are ordinary text and stay
+const HTML_TAG = /<\/?[a-z][^>]*>/gi;
+
+function sanitizeComment(text) {
+  return text
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(HTML_TAG, '')
+    .replace(INVISIBLE_CHARACTERS, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// 'YYYY-MM' of a date, in UTC
+const monthOf = date => date.toISOString().slice(0, 7);
+
+// Validate and normalise the stay details of a submission. Returns { details }
+// holding only the fields that were given, or an error object shaped like the
+// API's 400 responses.
+function parseStayDetails(data, now = new Date()) {
+  const details = {};
+
+  if (!isBlank(data.comment)) {
+    if (typeof data.comment !== 'string') {
+      return { error: 'comment must be a string', field: 'comment' };
+    }
+    const comment = sanitizeComment(data.comment);
+    if (comment.length > COMMENT_MAX_LENGTH) {
+      return { error: `comment must be at most ${COMMENT_MAX_LENGTH} characters`, field: 'comment' };
+    }
+    if (comment) {
+      details.comment = comment;
+    }
+  }
+
+  if (!isBlank(data.roomNumber)) {
+    const roomNumber = typeof data.roomNumber === 'number' ? String(data.roomNumber) : data.roomNumber;
+    if (typeof roomNumber !== 'string' || !ROOM_NUMBER_PATTERN.test(roomNumber.trim().toUpperCase())) {
+      return { error: 'roomNumber must be up to 10 letters, digits, spaces, dots, dashes or slashes', field: 'roomNumber' };
+    }
+    details.roomNumber = roomNumber.trim().toUpperCase();
+  }
+
+  if (!isBlank(data.floor)) {
+    const floor = Number(data.floor);
+    if (!Number.isInteger(floor) || floor < MIN_FLOOR || floor > MAX_FLOOR) {
+      return { error: `floor must be a whole number between ${MIN_FLOOR} and ${MAX_FLOOR}`, field: 'floor' };
+    }
+    details.floor = floor;
+  }
+
+  if (!isBlank(data.roomTypeId)) {
+    const roomTypeId = typeof data.roomTypeId === 'number' ? String(data.roomTypeId) : data.roomTypeId;
+    if (typeof roomTypeId !== 'string' || !ROOM_TYPE_ID_PATTERN.test(roomTypeId)) {
+      return { error: 'roomTypeId must be up to 64 letters, digits, dots, colons, dashes or underscores', field: 'roomTypeId' };
+    }
+    details.roomTypeId = roomTypeId;
+  }
+
+  if (!isBlank(data.roomType)) {
+    if (typeof data.roomType !== 'string') {
+      return { error: 'roomType must be a string', field: 'roomType' };
+    }
+    const roomType = sanitizeComment(data.roomType).replace(/\s+/g, ' ');
+    if (roomType.length > ROOM_TYPE_MAX_LENGTH) {
+      return { error: `roomType must be at most ${ROOM_TYPE_MAX_LENGTH} characters`, field: 'roomType' };
+    }
+    if (roomType) {
+      details.roomType = roomType;
+    }
+  }
+
+  if (!isBlank(data.stayMonth)) {
+    const match = typeof data.stayMonth === 'string' && STAY_MONTH_PATTERN.exec(data.stayMonth);
+    if (!match) {
+      return { error: 'stayMonth must be a month in YYYY-MM format', field: 'stayMonth' };
+    }
+    if (Number(match[1]) < EARLIEST_STAY_YEAR || data.stayMonth > monthOf(now)) {
+      return { error: `stayMonth must be between ${EARLIEST_STAY_YEAR}-01 and the current month`, field: 'stayMonth' };
+    }
+    details.stayMonth = data.stayMonth;
+  }
+
+  return { details };
+}
+
+// Limits served with the vocabulary, so the extension's form matches them
+function describeLimits() {
+  return {
+    fields: STAY_DETAIL_FIELDS,
+    commentMaxLength: COMMENT_MAX_LENGTH,
+    minFloor: MIN_FLOOR,
+    maxFloor: MAX_FLOOR
+  };
+}
+
+module.exports = {
+  STAY_DETAIL_FIELDS,
+  COMMENT_MAX_LENGTH,
+  ROOM_TYPE_MAX_LENGTH,
+  MIN_FLOOR,
+  MAX_FLOOR,
+  sanitizeComment,
+  parseStayDetails,
+  describeLimits
+};
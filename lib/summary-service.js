@@ -0,0 +1,52 @@
+// Summary service - the summaries the API serves, for the hotel keys clients
+// ask about. Legacy and alias keys are answered with the canonical hotel's
+// ratings; the maths lives in lib/summary.js, lib/badges.js and lib/room-map.js.
+
+const hotelRegistry = require('./hotel-registry');
+const summary = require('./summary');
+const badges = require('./badges');
+const roomMap = require('./room-map');
+
+const resolveAll = hotelKeys => Promise.all(hotelKeys.map(key => hotelRegistry.resolveHotelKey(key)));
+
+// Summary of one hotel; with options.groupBy, the overall summary and one per group
+async function hotelSummary(requestedKey, options) {
+  const hotelKey = await hotelRegistry.resolveHotelKey(requestedKey);
+  console.log(`Fetching rating summary for hotel: ${hotelKey}`);
+
+  const result = options.groupBy
+    ? await summary.computeGroupedSummary(hotelKey, options)
+    : await summary.computeSummary(hotelKey, options);
+
+  console.log(`Rating summary calculated for ${hotelKey}:`, result);
+  return result;
+}
+
+// Side-by-side summaries; each column says which requested key it answers
+async function compareHotels(requestedKeys, options) {
+  const comparison = await summary.compareHotels(await resolveAll(requestedKeys), options);
+  comparison.hotels.forEach((hotel, index) => {
+    hotel.requestedKey = requestedKeys[index];
+  });
+  return comparison;
+}
+
+// Compact summaries with badges, in request order
+async function batchSummaries(requestedKeys, options) {
+  const summaries = await badges.summarizeBatch(await resolveAll(requestedKeys), options);
+  summaries.forEach((entry, index) => {
+    entry.requestedKey = requestedKeys[index];
+  });
+  return summaries;
+}
+
+async function hotelRoomMap(requestedKey) {
+  return roomMap.computeRoomMap(await hotelRegistry.resolveHotelKey(requestedKey));
+}
+
+module.exports = {
+  hotelSummary,
+  compareHotels,
+  batchSummaries,
+  hotelRoomMap
+};
@@ -0,0 +1,435 @@
+// Rating summaries - percentages, decay weighting and trends per category,
+// computed in a single MongoDB aggregation instead of loading every rating.
+
+const { Rating, HIDDEN_RATING_STATUSES } = require('./models');
+const vocabulary = require('./vocabulary');
+const { describeHotels } = require('./hotel-registry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TREND_RECENT_MONTHS = 6; // Trends compare the last 6 months with the period before
+const TREND_MIN_RATINGS = 3; // Per period, below this no trend is reported
+const TREND_THRESHOLD = 10; // Percentage-point change in negative ratings that counts as a trend
+const INCLUDE_OPTIONS = ['distribution', 'comments']; // Optional extras for ?include=
+const ADMIN_INCLUDE_OPTIONS = [...INCLUDE_OPTIONS, 'quarantined']; // Admin summaries may also count ratings held for review
+const GROUP_BY_FIELDS = ['floor', 'roomNumber', 'roomTypeId', 'stayMonth']; // Stay details summaries can be grouped by
+const MAX_GROUPS = 50; // The groups with the most ratings, when there are more
+const MAX_SUMMARY_COMMENTS = 5; // Most recent comments with ?include=comments
+const WILSON_Z = 1.96; // 95% confidence
+
+// Categories answered by fewer ratings than this are flagged insufficientData;
+// the server passes SUMMARY_MIN_SAMPLE_SIZE as options.minSampleSize instead
+const MIN_SAMPLE_SIZE = 5;
+
+// Parse the summary's time window, decay, top-N, include and groupBy query parameters;
+// returns { options } or { error, field }. Only admin summaries accept include=quarantined.
+function parseSummaryOptions(query, { admin = false } = {}) {
+  const includeOptions = admin ? ADMIN_INCLUDE_OPTIONS : INCLUDE_OPTIONS;
+  const options = {};
+
+  for (const param of ['since', 'until']) {
+    if (query[param] !== undefined) {
+      const date = new Date(query[param]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `Invalid ${param} date: ${query[param]}`, field: param };
+      }
+      options[param] = date;
+    }
+  }
+
+  if (options.since && options.until && options.since > options.until) {
+    return { error: 'since must be before until', field: 'since' };
+  }
+
+  if (query.top !== undefined) {
+    if (query.top === 'all') {
+      options.top = 'all';
+    } else {
+      const top = Number(query.top);
+      if (!Number.isInteger(top) || top < 1) {
+        return { error: "top must be a positive integer or 'all'", field: 'top' };
+      }
+      options.top = top;
+    }
+  }
+
+  if (query.include !== undefined) {
+    const include = String(query.include).split(',').map(part => part.trim()).filter(Boolean);
+    const unknown = include.filter(part => !includeOptions.includes(part));
+    if (unknown.length > 0) {
+      return { error: `Unknown include option: ${unknown.join(', ')} (valid: ${includeOptions.join(', ')})`, field: 'include' };
+    }
+    options.distribution = include.includes('distribution');
+    options.includeQuarantined = include.includes('quarantined');
+    options.comments = include.includes('comments');
+  }
+
+  if (query.groupBy !== undefined) {
+    if (!GROUP_BY_FIELDS.includes(query.groupBy)) {
+      return { error: `Invalid groupBy: ${query.groupBy} (valid: ${GROUP_BY_FIELDS.join(', ')})`, field: 'groupBy' };
+    }
+    options.groupBy = query.groupBy;
+  }
+
+  if (query.halfLifeDays !== undefined) {
+    const halfLifeDays = Number(query.halfLifeDays);
+    if (!Number.isFinite(halfLifeDays) || halfLifeDays <= 0) {
+      return { error: 'halfLifeDays must be a positive number', field: 'halfLifeDays' };
+    }
+    options.halfLifeDays = halfLifeDays;
+  }
+
+  return { options };
+}
+
+const round1 = value => Math.round(value * 10) / 10;
+const round2 = value => Math.round(value * 100) / 100;
+
+// Wilson score interval for a proportion p observed over n ratings, in percent
+function wilsonInterval(p, n) {
+  if (n === 0) {
+    return { lower: 0, upper: 100 };
+  }
+  const z2 = WILSON_Z * WILSON_Z;
+  const centre = p + z2 / (2 * n);
+  const margin = WILSON_Z * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n));
+  const denominator = 1 + z2 / n;
+  return {
+    lower: round1(Math.max(0, (centre - margin) / denominator) * 100),
+    upper: round1(Math.min(1, (centre + margin) / denominator) * 100)
+  };
+}
+
+// Facet output field for one of a category's counters (no dots allowed in $group keys)
+const counterField = (category, counter) => `${category.key}__${counter}`;
+
+// What a rating says about a multi-value category (light annoyances, noise), as
+// aggregation expressions: issues when its array has entries, none when
+// noneReported lists the category, and nothing - a skipped question - otherwise.
+// Summaries, badges, nearby search and the leaderboards all measure "clear"
+// with these, out of the ratings that answered. Ratings stored before the form
+// offered "none" can't be told apart from skipped ones, so they only count
+// towards a category when they reported issues.
+function multiValueAnswer(key) {
+  const reportedIssues = { $gt: [{ $size: { $ifNull: [`$${key}`, []] } }, 0] };
+  const reportedNone = { $and: [{ $in: [key, { $ifNull: ['$noneReported', []] }] }, { $not: [reportedIssues] }] };
+  return { reportedIssues, reportedNone, answered: { $or: [reportedIssues, reportedNone] } };
+}
+
+// Generic category handler: how a category's answers are detected and counted.
+// Single-value categories are answered by a non-empty string; multi-value ones
+// (light annoyances, noise) by issues or "none" (multiValueAnswer), and only
+// the entries of the issue arrays are unwound as values.
+function categoryExpressions(category) {
+  const field = `$${category.key}`;
+
+  if (category.multiple) {
+    const { reportedIssues, reportedNone, answered } = multiValueAnswer(category.key);
+    return {
+      answered,
+      withValues: reportedIssues,
+      reportedNone,
+      valueStages: [{ $match: { $expr: reportedIssues } }, { $unwind: field }],
+      // Trend: ratings reporting any issue among the ratings of the period that answered
+      trendCounted: answered,
+      trendNegative: reportedIssues
+    };
+  }
+
+  const answered = { $ne: [{ $trim: { input: { $ifNull: [field, ''] } } }, ''] };
+  const negativeValues = category.values.filter(v => v.polarity === 'negative').map(v => v.value);
+  return {
+    answered,
+    withValues: answered,
+    valueStages: [{ $match: { $expr: answered } }],
+    // Trend: negative answers among the ratings that answered the category
+    trendCounted: answered,
+    trendNegative: { $and: [answered, { $in: [field, negativeValues] }] }
+  };
+}
+
+// Build the aggregation: one facet of value counts per category plus one
+// facet of per-category totals and trend counters
+function buildSummaryPipeline(match, { halfLifeDays, reference, recentStart }) {
+  const sumIf = (condition, value = 1) => ({ $sum: { $cond: [condition, value, 0] } });
+  const recent = '$recent';
+  const previous = { $not: ['$recent'] };
+
+  const totals = { _id: null, totalRatings: { $sum: 1 } };
+  const facets = {};
+
+  vocabulary.CATEGORIES.forEach(category => {
+    const expressions = categoryExpressions(category);
+
+    facets[category.key] = [
+      ...expressions.valueStages,
+      {
+        $group: {
+          _id: `$${category.key}`,
+          count: { $sum: 1 },
+          weight: { $sum: '$weight' }
+        }
+      }
+    ];
+
+    totals[counterField(category, 'total')] = sumIf(expressions.withValues);
+    totals[counterField(category, 'weight')] = sumIf(expressions.withValues, '$weight');
+    if (category.multiple) {
+      totals[counterField(category, 'answered')] = sumIf(expressions.answered);
+      totals[counterField(category, 'reportedNone')] = sumIf(expressions.reportedNone);
+    }
+    totals[counterField(category, 'recentTotal')] = sumIf({ $and: [recent, expressions.trendCounted] });
+    totals[counterField(category, 'recentNegative')] = sumIf({ $and: [recent, expressions.trendNegative] });
+    totals[counterField(category, 'previousTotal')] = sumIf({ $and: [previous, expressions.trendCounted] });
+    totals[counterField(category, 'previousNegative')] = sumIf({ $and: [previous, expressions.trendNegative] });
+  });
+
+  facets.totals = [{ $group: totals }];
+
+  const projection = { recent: { $gte: ['$time', recentStart] } };
+  // Weight halves every halfLifeDays before the reference date
+  projection.weight = halfLifeDays
+    ? {
+      $pow: [0.5, {
+        $divide: [{ $max: [0, { $subtract: [reference, '$time'] }] }, halfLifeDays * DAY_MS]
+      }]
+    }
+    : { $literal: 1 };
+  vocabulary.CATEGORIES.forEach(category => {
+    projection[category.key] = 1;
+  });
+  projection.noneReported = 1;
+
+  return [
+    { $match: match },
+    { $addFields: { time: { $ifNull: ['$submissionTime', '$createdAt'] } } },
+    { $project: projection },
+    { $facet: facets }
+  ];
+}
+
+// Trend from the recent/previous counters of a category
+function trendFromCounts(recentTotal, recentNegative, previousTotal, previousNegative) {
+  const toPeriod = (total, negative) => ({
+    total,
+    negativePercentage: total > 0 ? round1((negative / total) * 100) : null
+  });
+  const trend = {
+    direction: null,
+    recent: toPeriod(recentTotal, recentNegative),
+    previous: toPeriod(previousTotal, previousNegative)
+  };
+
+  if (recentTotal < TREND_MIN_RATINGS || previousTotal < TREND_MIN_RATINGS) {
+    return trend;
+  }
+
+  const change = trend.recent.negativePercentage - trend.previous.negativePercentage;
+  if (change <= -TREND_THRESHOLD) {
+    trend.direction = 'improving';
+  } else if (change >= TREND_THRESHOLD) {
+    trend.direction = 'worsening';
+  } else {
+    trend.direction = 'stable';
+  }
+  return trend;
+}
+
+// Ratings a summary counts: the hotel's within the time window, plus any
+// options.match conditions (a group of a grouped summary).
+// Quarantined ratings only count with options.includeQuarantined, rejected ones never
+function summaryMatch(hotelKey, options) {
+  const hiddenStatuses = options.includeQuarantined
+    ? HIDDEN_RATING_STATUSES.filter(status => status !== 'quarantined')
+    : HIDDEN_RATING_STATUSES;
+  const match = { ...options.match, hotelKey, status: { $nin: hiddenStatuses } };
+  if (options.since || options.until) {
+    match.submissionTime = {};
+    if (options.since) match.submissionTime.$gte = options.since;
+    if (options.until) match.submissionTime.$lte = options.until;
+  }
+  return match;
+}
+
+// Most recent comments among the summarised ratings, with where and when the guest stayed
+async function recentComments(match) {
+  return Rating.find({ ...match, comment: { $nin: [null, ''] } })
+    .select('-_id comment roomNumber floor roomTypeId roomType stayMonth submissionTime')
+    .sort({ submissionTime: -1 })
+    .limit(MAX_SUMMARY_COMMENTS)
+    .lean()
+    .exec();
+}
+
+// Compute the summary for a (canonical) hotel key
+async function computeSummary(hotelKey, options = {}) {
+  const match = summaryMatch(hotelKey, options);
+  const minSampleSize = options.minSampleSize || MIN_SAMPLE_SIZE;
+
+  // Weights and trends are relative to the end of the window
+  const reference = options.until || new Date();
+  const recentStart = new Date(reference);
+  recentStart.setMonth(recentStart.getMonth() - TREND_RECENT_MONTHS);
+
+  const [result] = await Rating.aggregate(buildSummaryPipeline(match, {
+    halfLifeDays: options.halfLifeDays,
+    reference,
+    recentStart
+  }));
+
+  const totals = result.totals[0];
+  if (!totals) {
+    return {
+      hotelKey,
+      totalRatings: 0,
+      message: 'No ratings found for this hotel'
+    };
+  }
+
+  const weighted = !!options.halfLifeDays;
+  const summary = {
+    hotelKey,
+    totalRatings: totals.totalRatings,
+    minSampleSize
+  };
+  if (options.since || options.until) {
+    summary.window = { since: options.since || null, until: options.until || null };
+  }
+  if (weighted) {
+    summary.halfLifeDays = options.halfLifeDays;
+  }
+  if (options.comments) {
+    summary.comments = await recentComments(match);
+  }
+
+  vocabulary.CATEGORIES.forEach(category => {
+    const counter = name => totals[counterField(category, name)];
+    const totalWeight = counter('weight');
+
+    // The interval uses the raw number of ratings as sample size, also when decay-weighted
+    const toItem = (rating, count, weight) => {
+      const share = totalWeight > 0 ? weight / totalWeight : 0;
+      return {
+        rating,
+        count,
+        ...(weighted && { weightedCount: round2(weight) }),
+        percentage: round1(share * 100),
+        confidenceInterval: wilsonInterval(share, counter('total'))
+      };
+    };
+
+    // Sort by (weighted) count
+    const ranked = result[category.key]
+      .sort((a, b) => b.weight - a.weight || b.count - a.count || String(a._id).localeCompare(String(b._id)))
+      .map(group => toItem(group._id, group.count, group.weight));
+
+    // Multi-value categories: total counts the ratings reporting issues and
+    // answered those that reported issues or none (multiValueAnswer)
+    const answered = category.multiple ? counter('answered') : counter('total');
+    summary[category.key] = {
+      total: counter('total'),
+      ...(category.multiple && { answered, reportedNone: counter('reportedNone') }),
+      ...(weighted && counter('total') > 0 && { weightedTotal: round2(totalWeight) }),
+      insufficientData: answered < minSampleSize,
+      top2: ranked.slice(0, 2)
+    };
+
+    if (options.top) {
+      summary[category.key].top = options.top === 'all' ? ranked : ranked.slice(0, options.top);
+    }
+
+    // Every allowed value in vocabulary order, unchosen ones at 0%,
+    // followed by any stored value the vocabulary no longer lists
+    if (options.distribution) {
+      const allowed = category.values.map(v => v.value);
+      summary[category.key].distribution = [
+        ...allowed.map(value => ranked.find(item => item.rating === value) || toItem(value, 0, 0)),
+        ...ranked.filter(item => !allowed.includes(item.rating))
+      ];
+    }
+
+    summary[category.key].trend = trendFromCounts(
+      counter('recentTotal'),
+      counter('recentNegative'),
+      counter('previousTotal'),
+      counter('previousNegative')
+    );
+  });
+
+  return summary;
+}
+
+// Summary of the hotel plus one summary per value of a stay detail
+// (options.groupBy), in value order: floors bottom to top, months oldest first.
+// Ratings without the detail only count in the overall summary.
+async function computeGroupedSummary(hotelKey, options) {
+  const field = options.groupBy;
+  const [overall, counts] = await Promise.all([
+    computeSummary(hotelKey, options),
+    Rating.aggregate([
+      { $match: summaryMatch(hotelKey, options) },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const grouped = counts.filter(group => group._id !== null && group._id !== undefined && group._id !== '');
+  const kept = grouped
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_GROUPS)
+    .sort((a, b) => (a._id < b._id ? -1 : a._id > b._id ? 1 : 0));
+
+  const groups = await Promise.all(kept.map(async group => {
+    const summary = await computeSummary(hotelKey, { ...options, match: { [field]: group._id } });
+    delete summary.hotelKey;
+    return { [field]: group._id, ...summary };
+  }));
+
+  return {
+    ...overall,
+    groupBy: field,
+    groups,
+    ungroupedRatings: overall.totalRatings - grouped.reduce((sum, group) => sum + group.count, 0),
+    ...(grouped.length > kept.length && { groupsTruncated: true })
+  };
+}
+
+// Side-by-side summaries: one entry per hotel and, per category, the hotels'
+// category summaries aligned in the order the keys were given
+async function compareHotels(hotelKeys, options = {}) {
+  const [summaries, details] = await Promise.all([
+    Promise.all(hotelKeys.map(hotelKey => computeSummary(hotelKey, options))),
+    describeHotels(hotelKeys)
+  ]);
+
+  return {
+    minSampleSize: options.minSampleSize || MIN_SAMPLE_SIZE,
+    hotels: summaries.map(summary => ({
+      hotelKey: summary.hotelKey,
+      name: details[summary.hotelKey] ? details[summary.hotelKey].name : null,
+      address: details[summary.hotelKey] ? details[summary.hotelKey].address : null,
+      totalRatings: summary.totalRatings
+    })),
+    categories: vocabulary.CATEGORIES.map(category => ({
+      key: category.key,
+      label: category.label,
+      hotels: summaries.map(summary => ({
+        hotelKey: summary.hotelKey,
+        ...(summary[category.key] || { total: 0, insufficientData: true, top2: [] })
+      }))
+    }))
+  };
+}
+
+module.exports = {
+  MIN_SAMPLE_SIZE,
+  INCLUDE_OPTIONS,
+  ADMIN_INCLUDE_OPTIONS,
+  GROUP_BY_FIELDS,
+  parseSummaryOptions,
+  wilsonInterval,
+  multiValueAnswer,
+  buildSummaryPipeline,
+  trendFromCounts,
+  computeSummary,
+  computeGroupedSummary,
+  compareHotels
+};
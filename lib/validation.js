@@ -0,0 +1,154 @@
+// Request validation against the JSON schemas in lib/schemas.js. Every 400
+// the API sends for a bad request has the same shape, listing every failing
+// field rather than stopping at the first:
+//
+//   { error: 'fingerprint is required; bedComfort must be one of: ...',
+//     errors: [{ location: 'body', field: 'fingerprint', message: 'fingerprint is required' },
+//              { location: 'body', field: 'bedComfort', message: 'bedComfort must be one of: ...' }] }
+//
+// `error` joins the messages, so clients that only show `error` keep working.
+// Errors about the request as a whole have no field.
+
+const Ajv = require('ajv');
+
+const LOCATIONS = ['params', 'headers', 'query', 'body'];
+
+const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
+const compiled = new WeakMap();
+
+function compile(schema) {
+  if (!compiled.has(schema)) {
+    compiled.set(schema, ajv.compile(schema));
+  }
+  return compiled.get(schema);
+}
+
+// '/noise/1' -> 'noise[1]', '/identifiers/booking' -> 'identifiers.booking'
+function fieldPath(instancePath, property) {
+  const parts = instancePath.split('/').slice(1).map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (property !== undefined) {
+    parts.push(property);
+  }
+  return parts.reduce((path, part) => (
+    /^\d+$/.test(part) ? `${path}[${part}]` : path ? `${path}.${part}` : part
+  ), '');
+}
+
+function describeError(error) {
+  switch (error.keyword) {
+    case 'required':
+      return { field: fieldPath(error.instancePath, error.params.missingProperty), message: 'is required' };
+    case 'enum':
+      return {
+        field: fieldPath(error.instancePath),
+        message: `must be one of: ${error.params.allowedValues.filter(value => value !== null && value !== '').join(', ')}`
+      };
+    case 'pattern':
+      return {
+        field: fieldPath(error.instancePath),
+        message: error.parentSchema.description ? `must be ${error.parentSchema.description}` : error.message
+      };
+    case 'type': {
+      const types = String(error.params.type).split(',').filter(type => type !== 'null');
+      return { field: fieldPath(error.instancePath), message: `must be ${types.map(type => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`).join(' or ')}` };
+    }
+    case 'minLength':
+      return {
+        field: fieldPath(error.instancePath),
+        message: error.params.limit === 1 ? 'must not be empty' : `must be at least ${error.params.limit} characters`
+      };
+    case 'maxLength':
+      return { field: fieldPath(error.instancePath), message: `must be at most ${error.params.limit} characters` };
+    case 'minimum':
+      return { field: fieldPath(error.instancePath), message: `must be at least ${error.params.limit}` };
+    case 'maximum':
+      return { field: fieldPath(error.instancePath), message: `must be at most ${error.params.limit}` };
+    case 'minItems':
+      return { field: fieldPath(error.instancePath), message: `must have at least ${error.params.limit} item${error.params.limit === 1 ? '' : 's'}` };
+    case 'maxItems':
+      return { field: fieldPath(error.instancePath), message: `must have at most ${error.params.limit} items` };
+    case 'uniqueItems':
+      return { field: fieldPath(error.instancePath), message: 'must not list a value twice' };
+    case 'anyOf':
+      // Alternative required fields, e.g. hotelKey or identifiers
+      if (error.schema.every(branch => Object.keys(branch).length === 1 && branch.required)) {
+        return {
+          field: fieldPath(error.instancePath),
+          message: `${error.schema.map(branch => branch.required.join(' and ')).join(' or ')} is required`
+        };
+      }
+      return { field: fieldPath(error.instancePath), message: error.message };
+    default:
+      return { field: fieldPath(error.instancePath), message: error.message };
+  }
+}
+
+// [{ field, message }] for data that doesn't match the schema, [] when it does
+function validateAgainst(schema, data) {
+  const validate = compile(schema);
+  if (validate(data)) {
+    return [];
+  }
+
+  const seen = new Set();
+  return validate.errors
+    .filter(error => !error.schemaPath.includes('/anyOf/')) // Reported by the anyOf itself
+    .map(describeError)
+    .filter(error => {
+      const key = `${error.field}\n${error.message}`;
+      return !seen.has(key) && seen.add(key);
+    })
+    .map(({ field, message }) => (field ? { field, message: `${field} ${message}` } : { message }));
+}
+
+function sendErrors(res, errors) {
+  return res.status(400).json({
+    error: errors.map(error => error.message).join('; '),
+    errors
+  });
+}
+
+// Send a 400 for one failing field, or the request as a whole when field is
+// omitted, for the checks that schemas can't express
+function badRequest(res, location, message, field) {
+  return sendErrors(res, [field ? { location, field, message } : { location, message }]);
+}
+
+// Middleware validating the parts of the request named in `schemas`
+// ({ params, headers, query, body }); sends one 400 listing every failing field
+function validateRequest(schemas) {
+  const locations = LOCATIONS.filter(location => schemas[location]);
+
+  return (req, res, next) => {
+    const errors = [];
+    locations.forEach(location => {
+      const schema = schemas[location];
+      // Requests without a JSON body are validated, and handled, as an empty one
+      if (location === 'body' && req.body === undefined) {
+        req.body = {};
+      }
+
+      let data = req[location];
+      if (location === 'headers') {
+        data = {};
+        Object.keys(schema.properties).forEach(name => {
+          if (req.get(name) !== undefined) {
+            data[name] = req.get(name);
+          }
+        });
+      }
+      validateAgainst(schema, data).forEach(error => errors.push({ location, ...error }));
+    });
+
+    if (errors.length > 0) {
+      return sendErrors(res, errors);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  validateAgainst,
+  validateRequest,
+  badRequest
+};
@@ -0,0 +1,172 @@
+// Rating vocabulary - the single definition of every rating category,
+// its allowed values, display labels and positive/negative polarity.
+// The server validates submissions against it (see lib/schemas.js) and serves it at GET /vocabulary
+// so the extension can build its forms and summaries from the same source.
+
+// Form sections, in display order
+const SECTIONS = [
+  { id: 'beds', label: '🛏️ Beds' },
+  { id: 'bedcover', label: '🛏️ Bed Cover' },
+  { id: 'pillows', label: '🛏️ Pillows' },
+  { id: 'lightAnnoyances', label: '💡 Light Annoyances' },
+  { id: 'noise', label: '🔊 Noise' }
+];
+
+// Rating categories. `multiple` categories are stored as arrays (choose all that apply),
+// the others as a single value. `badge` is the short tag shown on search results when
+// a value stands out; `clearBadge` when a multi-value category's issues are rarely reported.
+// `noneLabel` is the form's choice for having none of a multi-value category's issues,
+// which a rating records in noneReported so it can be told apart from a skipped question.
+const CATEGORIES = [
+  {
+    key: 'bedSize',
+    section: 'beds',
+    label: '🛏️ Bed Size',
+    fieldLabel: 'Size',
+    multiple: false,
+    values: [
+      { value: 'as-described', label: 'As described', polarity: 'positive' },
+      { value: 'not-as-described', label: 'Not as described', polarity: 'negative', badge: 'bed not as described' }
+    ]
+  },
+  {
+    key: 'bedComfort',
+    section: 'beds',
+    label: '🛏️ Bed Comfort',
+    fieldLabel: 'Comfort',
+    multiple: false,
+    values: [
+      { value: 'too-soft', label: 'Too soft', polarity: 'negative', badge: 'very soft bed' },
+      { value: 'soft', label: 'Soft', polarity: 'neutral', badge: 'soft bed' },
+      { value: 'medium', label: 'Medium', polarity: 'positive', badge: 'medium-firm bed' },
+      { value: 'hard', label: 'Hard', polarity: 'neutral', badge: 'firm bed' },
+      { value: 'too-hard', label: 'Too hard', polarity: 'negative', badge: 'very hard bed' }
+    ]
+  },
+  {
+    key: 'bedcoverSize',
+    section: 'bedcover',
+    label: '🛌 Bed Cover Size',
+    fieldLabel: 'Size',
+    multiple: false,
+    values: [
+      { value: 'big-enough', label: 'Big enough', polarity: 'positive' },
+      { value: 'not-big-enough', label: 'Not big enough', polarity: 'negative', badge: 'small duvet' }
+    ]
+  },
+  {
+    key: 'bedcoverComfort',
+    section: 'bedcover',
+    label: '🛌 Bed Cover Comfort',
+    fieldLabel: 'Comfort',
+    multiple: false,
+    values: [
+      { value: 'too-cold', label: 'Too cold', polarity: 'negative', badge: 'cold duvet' },
+      { value: 'too-hot', label: 'Too hot', polarity: 'negative', badge: 'hot duvet' },
+      { value: 'synthetic-heat', label: 'Synthetic heat', polarity: 'neutral', badge: 'synthetic duvet' },
+      { value: 'just-right', label: 'Just right', polarity: 'positive', badge: 'comfy duvet' }
+    ]
+  },
+  {
+    key: 'pillowSize',
+    section: 'pillows',
+    label: '🪶 Pillow Size',
+    fieldLabel: 'Size',
+    multiple: false,
+    values: [
+      { value: 'too-low', label: 'Too low', polarity: 'negative', badge: 'flat pillows' },
+      { value: 'too-high', label: 'Too high', polarity: 'negative', badge: 'high pillows' },
+      { value: 'nicely-judged', label: 'Nicely judged', polarity: 'positive' }
+    ]
+  },
+  {
+    key: 'pillowComfort',
+    section: 'pillows',
+    label: '🪶 Pillow Comfort',
+    fieldLabel: 'Comfort',
+    multiple: false,
+    values: [
+      { value: 'too-soft', label: 'Too soft', polarity: 'negative', badge: 'soft pillows' },
+      { value: 'too-hard', label: 'Too hard', polarity: 'negative', badge: 'hard pillows' },
+      { value: 'nicely-judged', label: 'Nicely judged', polarity: 'positive', badge: 'good pillows' }
+    ]
+  },
+  {
+    key: 'lightAnnoyances',
+    section: 'lightAnnoyances',
+    label: '💡 Light Annoyances',
+    fieldLabel: 'Choose all that apply',
+    multiple: true,
+    clearBadge: 'dark room',
+    noneLabel: 'None, the room was dark',
+    values: [
+      { value: 'ac-panel', label: 'AC panel', polarity: 'negative', badge: 'AC panel light' },
+      { value: 'telephone', label: 'Telephone', polarity: 'negative', badge: 'phone light' },
+      { value: 'tv-dot', label: 'TV dot', polarity: 'negative', badge: 'TV standby light' },
+      { value: 'corridor-light', label: 'Corridor light', polarity: 'negative', badge: 'corridor light' },
+      { value: 'curtain-window', label: 'Curtain/window', polarity: 'negative', badge: 'light through curtains' },
+      { value: 'smoke-alarm', label: 'Smoke alarm', polarity: 'negative', badge: 'smoke alarm light' }
+    ]
+  },
+  {
+    key: 'noise',
+    section: 'noise',
+    label: '🔊 Noise',
+    fieldLabel: 'Choose all that apply',
+    multiple: true,
+    clearBadge: 'quiet',
+    noneLabel: 'None, the room was quiet',
+    values: [
+      { value: 'street', label: 'Street', polarity: 'negative', badge: 'street noise' },
+      { value: 'through-walls', label: 'Through walls', polarity: 'negative', badge: 'thin walls' },
+      { value: 'through-ceiling-floors', label: 'Through ceiling/floors', polarity: 'negative', badge: 'noisy floors' },
+      { value: 'corridor', label: 'Corridor', polarity: 'negative', badge: 'corridor noise' },
+      { value: 'courtyard', label: 'Courtyard', polarity: 'negative', badge: 'courtyard noise' },
+      { value: 'parking', label: 'Parking', polarity: 'negative', badge: 'parking noise' },
+      { value: 'air-traffic', label: 'Air traffic', polarity: 'negative', badge: 'air traffic noise' }
+    ]
+  }
+];
+
+const SINGLE_VALUE_KEYS = CATEGORIES.filter(c => !c.multiple).map(c => c.key);
+const MULTI_VALUE_KEYS = CATEGORIES.filter(c => c.multiple).map(c => c.key);
+
+function getCategory(key) {
+  return CATEGORIES.find(c => c.key === key) || null;
+}
+
+function getAllowedValues(key) {
+  const category = getCategory(key);
+  return category ? category.values.map(v => v.value) : [];
+}
+
+// Whether a rating carries at least one rated category; saying a multi-value
+// category had none of its issues counts
+function hasAnyRating(ratingData) {
+  const hasSingle = SINGLE_VALUE_KEYS.some(key => typeof ratingData[key] === 'string' && ratingData[key] !== '');
+  const hasMultiple = MULTI_VALUE_KEYS.some(key => Array.isArray(ratingData[key]) && ratingData[key].length > 0);
+  const hasNone = Array.isArray(ratingData.noneReported) && ratingData.noneReported.length > 0;
+  return hasSingle || hasMultiple || hasNone;
+}
+
+// The first category a rating both reports issues for and says had none, or null
+function contradictoryNoneReported(ratingData) {
+  return (ratingData.noneReported || []).find(key => Array.isArray(ratingData[key]) && ratingData[key].length > 0) || null;
+}
+
+// Public representation served at GET /vocabulary
+function getVocabulary() {
+  return { sections: SECTIONS, categories: CATEGORIES };
+}
+
+module.exports = {
+  SECTIONS,
+  CATEGORIES,
+  SINGLE_VALUE_KEYS,
+  MULTI_VALUE_KEYS,
+  getCategory,
+  getAllowedValues,
+  hasAnyRating,
+  contradictoryNoneReported,
+  getVocabulary
+};
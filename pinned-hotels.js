@@ -0,0 +1,47 @@
+// Pinned hotels for the comparison page, kept in chrome.storage.local.
+// Shared by the popup (pin/unpin) and compare.html.
+
+const PinnedHotels = {
+  STORAGE_KEY: 'pinnedHotels',
+  MAX_PINNED: 6,
+
+  async list() {
+    const stored = await chrome.storage.local.get(this.STORAGE_KEY);
+    return stored[this.STORAGE_KEY] || [];
+  },
+
+  async save(hotels) {
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: hotels });
+  },
+
+  async isPinned(hotelKey) {
+    const hotels = await this.list();
+    return hotels.some(hotel => hotel.hotelKey === hotelKey);
+  },
+
+  // Returns false when the list is already full
+  async pin(hotelInfo) {
+    const hotels = await this.list();
+    if (hotels.some(hotel => hotel.hotelKey === hotelInfo.hotelKey)) {
+      return true;
+    }
+    if (hotels.length >= this.MAX_PINNED) {
+      return false;
+    }
+
+    hotels.push({
+      hotelKey: hotelInfo.hotelKey,
+      name: hotelInfo.name,
+      address: hotelInfo.address,
+      url: hotelInfo.url,
+      pinnedAt: new Date().toISOString()
+    });
+    await this.save(hotels);
+    return true;
+  },
+
+  async unpin(hotelKey) {
+    const hotels = await this.list();
+    await this.save(hotels.filter(hotel => hotel.hotelKey !== hotelKey));
+  }
+};
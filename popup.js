@@ -5,49 +5,37 @@ document.addEventListener('DOMContentLoaded', async () => {
   const submitBtn = document.getElementById('submitBtn');
   const statusMessage = document.getElementById('statusMessage');
   const loadingMessage = document.getElementById('loadingMessage');
+  const ratingCategoriesContainer = document.getElementById('ratingCategories');
+  RatingForm.linkNoneChoices(ratingCategoriesContainer);
+  const pinHotelBtn = document.getElementById('pinHotelBtn');
+  const openCompareBtn = document.getElementById('openCompareBtn');
+  const openHistoryBtn = document.getElementById('openHistoryBtn');
+  const openAccountBtn = document.getElementById('openAccountBtn');
+  const openLeaderboardsBtn = document.getElementById('openLeaderboardsBtn');
+
+  const API_BASE = 'https://hotel-ratings-backend.onrender.com/api/v1';
 
   let currentHotelInfo = null;
   let retryCount = 0;
   const maxRetries = 3;
   let browserFingerprint = null;
+  let ratingVocabulary = null;
+  let display = null; // RatingDisplay helpers, created once the vocabulary is loaded
 
-  // Generate browser fingerprint for abuse prevention
-  function generateFingerprint() {
-    try {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      ctx.textBaseline = 'top';
-      ctx.font = '14px Arial';
-      ctx.fillText('Browser fingerprint', 2, 2);
-      
-      const fingerprint = [
-        navigator.userAgent,
-        navigator.language,
-        screen.width + 'x' + screen.height,
-        new Date().getTimezoneOffset(),
-        canvas.toDataURL(),
-        navigator.hardwareConcurrency || 'unknown',
-        navigator.deviceMemory || 'unknown'
-      ].join('|');
-      
-      // Create a simple hash
-      let hash = 0;
-      for (let i = 0; i < fingerprint.length; i++) {
-        const char = fingerprint.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32-bit integer
-      }
-      
-      return Math.abs(hash).toString(36);
-    } catch (error) {
-      console.warn('Hotel Bedding Ratings Popup: Error generating fingerprint:', error);
-      // Fallback fingerprint
-      return 'fallback_' + Date.now().toString(36);
-    }
-  }
+  openHistoryBtn.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  openAccountBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('account.html') });
+  });
+
+  openLeaderboardsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('leaderboards.html') });
+  });
 
   // Initialize fingerprint
-  browserFingerprint = generateFingerprint();
+  browserFingerprint = RatingForm.generateFingerprint();
   console.log('Hotel Bedding Ratings Popup: Browser fingerprint generated:', browserFingerprint);
 
   // Function to display status messages
@@ -64,12 +52,23 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
-  // Function to validate URL
-  function isValidBookingUrl(url) {
+  // Load rating categories, values and labels from the server vocabulary
+  async function loadVocabulary() {
+    ratingVocabulary = await RatingForm.loadVocabulary(API_BASE);
+    display = RatingDisplay.create(ratingVocabulary);
+    console.log('Hotel Bedding Ratings Popup: Vocabulary loaded:', ratingVocabulary);
+  }
+
+  // Build the rating form sections from the vocabulary, with the page's room types once known
+  function buildRatingSections() {
+    const roomTypes = currentHotelInfo && currentHotelInfo.roomTypes ? currentHotelInfo.roomTypes : [];
+    ratingCategoriesContainer.innerHTML = RatingForm.buildSectionsHTML(ratingVocabulary, roomTypes);
+  }
+
+  // Function to validate URL - any hotel page a site adapter recognises
+  function isSupportedHotelUrl(url) {
     if (!url) return false;
-    return url.includes('booking.com/hotel/') || 
-           url.includes('booking.com/Share-') ||
-           (url.includes('booking.com') && url.includes('hotel'));
+    return SiteAdapters.adapters.some(adapter => adapter.isHotelPage(url));
   }
 
   // Function to get hotel info with retry logic
@@ -85,11 +84,11 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       console.log('Hotel Bedding Ratings Popup: Current tab URL:', tab.url);
 
-      if (!isValidBookingUrl(tab.url)) {
+      if (!isSupportedHotelUrl(tab.url)) {
         loadingMessage.innerHTML = `
           <div style="text-align: center; color: #666;">
-            <p><strong>⚠️ Not on a Booking.com hotel page</strong></p>
-            <p>Please navigate to a hotel page on Booking.com to use this extension.</p>
+            <p><strong>⚠️ Not on a supported hotel page</strong></p>
+            <p>Please navigate to a hotel page on ${SiteAdapters.siteNames().join(', ')} to use this extension.</p>
             <p style="font-size: 12px; margin-top: 10px;">
               Current page: ${tab.url.length > 50 ? tab.url.substring(0, 50) + '...' : tab.url}
             </p>
@@ -109,17 +108,24 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (response && response.success && response.hotelInfo) {
         currentHotelInfo = response.hotelInfo;
         console.log('Hotel Bedding Ratings Popup: Hotel info received:', currentHotelInfo);
+
+        // Swap in the canonical key the server knows this hotel by
+        await registerHotel();
         
         // Populate form fields
         document.getElementById('hotelName').value = currentHotelInfo.name || 'Unknown Hotel';
         document.getElementById('hotelAddress').value = currentHotelInfo.address || 'Address not found';
         document.getElementById('hotelKey').value = currentHotelInfo.hotelKey || '';
+        if (currentHotelInfo.roomTypes && currentHotelInfo.roomTypes.length > 0) {
+          buildRatingSections();
+        }
         
         loadingMessage.style.display = 'none';
         form.style.display = 'block';
         
         // Load existing ratings summary
         await loadRatingSummary();
+        await updatePinButtons();
         
         return true;
       } else {
@@ -165,6 +171,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  // Register the page's identifiers with the hotel registry and adopt its canonical key
+  async function registerHotel() {
+    const hotelKey = await RatingForm.registerHotel(API_BASE, currentHotelInfo);
+    if (hotelKey) {
+      currentHotelInfo.hotelKey = hotelKey;
+      document.getElementById('hotelKey').value = hotelKey;
+    }
+  }
+
   // Function to load and display rating summary
   async function loadRatingSummary() {
     try {
@@ -172,15 +187,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
       }
 
-      const API_BASE = 'https://hotel-ratings-backend.onrender.com';
-      const response = await fetch(`${API_BASE}/ratings/summary/${currentHotelInfo.hotelKey}`);
-      
-      if (!response.ok) {
-        console.warn('Hotel Bedding Ratings Popup: Could not load rating summary');
+      const summary = await RatingForm.fetchSummary(API_BASE, currentHotelInfo.hotelKey);
+      if (!summary) {
         return;
       }
-
-      const summary = await response.json();
       console.log('Hotel Bedding Ratings Popup: Rating summary:', summary);
 
       // Find or create summary section
@@ -192,113 +202,59 @@ document.addEventListener('DOMContentLoaded', async () => {
         form.insertBefore(summarySection, form.firstChild);
       }
 
-      if (summary.totalRatings === 0) {
-        summarySection.innerHTML = `
-          <div class="no-ratings-popup">
-            <p><strong>No ratings yet</strong></p>
-            <p>Be the first to rate this hotel's bedding!</p>
-          </div>
-        `;
-        return;
-      }
-
-      // Build summary HTML
-      let summaryHTML = `
-        <div class="current-ratings">
-          <h4>Current Ratings (${summary.totalRatings} total)</h4>
-      `;
-
-      const categories = [
-        { key: 'bedSize', label: '🛏️ Bed Size' },
-        { key: 'bedComfort', label: '🛏️ Bed Comfort' },
-        { key: 'bedcoverSize', label: '🛌 Bed Cover Size' },
-        { key: 'bedcoverComfort', label: '🛌 Bed Cover Comfort' },
-        { key: 'pillowSize', label: '🪶 Pillow Size' },
-        { key: 'pillowComfort', label: '🪶 Pillow Comfort' },
-        { key: 'lightAnnoyances', label: '💡 Light Annoyances' },
-        { key: 'noise', label: '🔊 Noise' }
-      ];
-
-      categories.forEach(category => {
-        const data = summary[category.key];
-        if (data && data.total > 0 && data.top2.length > 0) {
-          summaryHTML += `<div class="category-summary-popup">
-            <strong>${category.label}:</strong><br>
-          `;
-          
-          data.top2.forEach((rating, index) => {
-            const percentage = rating.percentage;
-            const count = rating.count;
-            const ratingText = formatRatingText(rating.rating);
-            const colorClass = getRatingClass(rating.rating);
-            
-            summaryHTML += `<span class="rating-item-popup ${colorClass}">
-              ${percentage}% ${ratingText} (${count})${index === 0 && data.top2.length > 1 ? ', ' : ''}
-            </span>`;
-          });
-          
-          summaryHTML += `</div>`;
-        }
-      });
-
-      summaryHTML += '</div>';
-      summarySection.innerHTML = summaryHTML;
+      summarySection.innerHTML = RatingForm.buildSummaryHTML(ratingVocabulary, display, summary);
 
     } catch (error) {
       console.error('Hotel Bedding Ratings Popup: Error loading rating summary:', error);
     }
   }
 
-  // Helper functions for rating display
-  function formatRatingText(rating) {
-    const ratingMap = {
-      'as-described': 'as described',
-      'not-as-described': 'not as described',
-      'too-soft': 'too soft',
-      'soft': 'soft',
-      'medium': 'medium',
-      'hard': 'hard',
-      'too-hard': 'too hard',
-      'big-enough': 'big enough',
-      'not-big-enough': 'not big enough',
-      'too-hot': 'too hot',
-      'synthetic-heat': 'synthetic heat',
-      'natural-heat': 'natural heat',
-      'just-right': 'just right',
-      'too-cold': 'too cold',
-      'too-low': 'too low',
-      'nicely-judged': 'nicely judged',
-      'too-high': 'too high',
-      'ac-panel': 'AC panel',
-      'telephone': 'telephone',
-      'tv-dot': 'TV dot',
-      'corridor-light': 'corridor light',
-      'curtain-window': 'curtain/window',
-      'smoke-alarm': 'smoke alarm',
-      'street': 'street',
-      'through-walls': 'through walls',
-      'through-ceiling-floors': 'through ceiling/floors',
-      'corridor': 'corridor',
-      'courtyard': 'courtyard',
-      'parking': 'parking',
-      'air-traffic': 'air traffic'
-    };
-    return ratingMap[rating] || rating;
+  // Pin/compare buttons reflect the pinned list in chrome.storage
+  async function updatePinButtons() {
+    const pinned = await PinnedHotels.list();
+    const isPinned = !!currentHotelInfo && pinned.some(hotel => hotel.hotelKey === currentHotelInfo.hotelKey);
+
+    pinHotelBtn.textContent = isPinned ? '📌 Unpin' : '📌 Pin for comparison';
+    openCompareBtn.textContent = `⚖️ Compare pinned (${pinned.length})`;
+    openCompareBtn.disabled = pinned.length < 2;
   }
 
-  function getRatingClass(rating) {
-    const positiveRatings = ['as-described', 'medium', 'big-enough', 'natural-heat', 'nicely-judged', 'just-right'];
-    const negativeRatings = ['not-as-described', 'too-soft', 'too-hard', 'not-big-enough', 'too-hot', 'too-cold', 'too-low', 'too-high', 'ac-panel', 'telephone', 'tv-dot', 'corridor-light', 'curtain-window', 'smoke-alarm', 'street', 'through-walls', 'through-ceiling-floors', 'corridor', 'courtyard', 'parking', 'air-traffic'];
-    
-    if (positiveRatings.includes(rating)) {
-      return 'positive-rating';
-    } else if (negativeRatings.includes(rating)) {
-      return 'negative-rating';
-    }
-    return 'neutral-rating';
+  function setupComparisonPins() {
+    pinHotelBtn.addEventListener('click', async () => {
+      if (!currentHotelInfo || !currentHotelInfo.hotelKey) {
+        return;
+      }
+
+      if (await PinnedHotels.isPinned(currentHotelInfo.hotelKey)) {
+        await PinnedHotels.unpin(currentHotelInfo.hotelKey);
+      } else if (!await PinnedHotels.pin(currentHotelInfo)) {
+        displayStatus(`📌 You can compare up to ${PinnedHotels.MAX_PINNED} hotels. Unpin one on the comparison page first.`, 'warning');
+      }
+      await updatePinButtons();
+    });
+
+    openCompareBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('compare.html') });
+    });
+  }
+
+  // Load the vocabulary before anything that renders rating categories
+  try {
+    await loadVocabulary();
+    buildRatingSections();
+  } catch (error) {
+    console.error('Hotel Bedding Ratings Popup: Error loading vocabulary:', error);
+    loadingMessage.innerHTML = `
+      <div style="text-align: center; color: #dc3545;">
+        <p><strong>⚠️ Cannot connect to the rating server</strong></p>
+        <p style="font-size: 12px;">Please check your internet connection and reopen the extension.</p>
+      </div>
+    `;
+    return;
   }
 
   // Initialize hotel info loading
+  setupComparisonPins();
   await getHotelInfoWithRetry();
 
   // Handle form submission
@@ -325,76 +281,30 @@ document.addEventListener('DOMContentLoaded', async () => {
         throw new Error('Browser fingerprint could not be generated. Please try again.');
       }
 
-      // Collect light annoyances data
-      const lightAnnoyancesCheckboxes = document.querySelectorAll('input[name="lightAnnoyances"]:checked');
-      const lightAnnoyances = Array.from(lightAnnoyancesCheckboxes).map(checkbox => checkbox.value);
-
-      // Collect noise data
-      const noiseCheckboxes = document.querySelectorAll('input[name="noise"]:checked');
-      const noise = Array.from(noiseCheckboxes).map(checkbox => checkbox.value);
-
-      // Collect form data
-      const ratingData = {
-        hotelKey: currentHotelInfo.hotelKey,
-        hotelName: currentHotelInfo.name,
-        hotelAddress: currentHotelInfo.address,
-        bedSize: document.getElementById('bedSize').value.trim(),
-        bedComfort: document.getElementById('bedComfort').value.trim(),
-        bedcoverSize: document.getElementById('bedcoverSize').value.trim(),
-        bedcoverComfort: document.getElementById('bedcoverComfort').value.trim(),
-        pillowSize: document.getElementById('pillowSize').value.trim(),
-        pillowComfort: document.getElementById('pillowComfort').value.trim(),
-        lightAnnoyances: lightAnnoyances, // Add new light annoyances array
-        noise: noise, // Add new noise array
-        fingerprint: browserFingerprint, // Add fingerprint for rate limiting
-        timestamp: new Date().toISOString()
-      };
-
+      const ratingData = RatingForm.collectRatingData(form, ratingVocabulary, currentHotelInfo, browserFingerprint);
       console.log('Hotel Bedding Ratings Popup: Rating data:', ratingData);
 
       // Validate that at least one rating field is selected
-      const ratingFields = ['bedSize', 'bedComfort', 'bedcoverSize', 'bedcoverComfort', 'pillowSize', 'pillowComfort'];
-      const hasAtLeastOneRating = ratingFields.some(field => ratingData[field] && ratingData[field] !== '') || lightAnnoyances.length > 0 || noise.length > 0;
-
-      if (!hasAtLeastOneRating) {
+      if (!RatingForm.hasAnyRating(ratingVocabulary, ratingData)) {
         throw new Error('Please select at least one bedding rating, light annoyance, or noise issue before submitting.');
       }
 
-      // Submit to backend - using Render deployment
-      const API_BASE = 'https://hotel-ratings-backend.onrender.com';
-      console.log('Hotel Bedding Ratings Popup: Submitting to:', `${API_BASE}/ratings`);
-      
-      const response = await fetch(`${API_BASE}/ratings`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify(ratingData)
-      });
-
-      console.log('Hotel Bedding Ratings Popup: Response status:', response.status);
-
-      if (!response.ok) {
-        let errorMessage = `Server error (${response.status})`;
-        try {
-          const errorBody = await response.json();
-          
-          // Handle rate limiting specifically
-          if (response.status === 429) {
-            const rateLimitMessage = errorBody.message || 'Rate limit exceeded';
-            displayStatus(`⏰ <strong>Rate Limit Reached</strong><br>${rateLimitMessage}<br><small>You can submit another rating next week.</small>`, 'warning');
-            return;
-          }
-          
-          errorMessage = errorBody.error || errorMessage;
-        } catch (e) {
-          errorMessage = `${errorMessage}: ${response.statusText}`;
-        }
-        throw new Error(errorMessage);
+      console.log('Hotel Bedding Ratings Popup: Submitting rating through the background worker');
+      const { result, rateLimited, retryAfter, queued } = await RatingForm.submitRating(ratingData, currentHotelInfo.url);
+
+      // Handle rate limiting specifically
+      if (rateLimited) {
+        displayStatus(`⏰ <strong>Rate Limit Reached</strong><br>${escapeHTML(rateLimited)}<br><small>You can submit another rating ${RatingForm.formatRetryAfter(retryAfter)}.</small>`, 'warning');
+        return;
+      }
+
+      // Server unreachable: the background worker keeps retrying
+      if (queued) {
+        displayStatus("📡 <strong>Rating saved</strong><br>The rating server can't be reached right now. Your rating will be sent automatically and you'll be notified when it's delivered.", 'warning');
+        form.reset();
+        return;
       }
 
-      const result = await response.json();
       console.log('Hotel Bedding Ratings Popup: Success response:', result);
 
       // Show success message
@@ -408,17 +318,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     } catch (error) {
       console.error('Hotel Bedding Ratings Popup: Submission error:', error);
-      
-      let errorMessage = error.message;
-      
-      // Handle specific error types
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        errorMessage = 'Cannot connect to the rating server. Please check your internet connection and try again.';
-      } else if (error.message.includes('CORS')) {
-        errorMessage = 'Server connection blocked. Please check CORS settings on the backend.';
-      }
-      
-      displayStatus(`❌ ${errorMessage}`, 'error');
+      displayStatus(`❌ ${escapeHTML(error.message)}`, 'error');
     } finally {
       // Re-enable submit button
       submitBtn.disabled = false;
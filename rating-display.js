@@ -0,0 +1,84 @@
+// Shared display helpers for rating summaries (popup and comparison page).
+// Labels, polarity colours, trend arrows and distribution bars all come from
+// the server vocabulary (GET /vocabulary).
+
+const RatingDisplay = {
+  create(vocabulary) {
+    function findVocabularyValue(categoryKey, rating) {
+      const category = vocabulary.categories.find(c => c.key === categoryKey);
+      return category ? category.values.find(v => v.value === rating) : null;
+    }
+
+    function formatRatingText(categoryKey, rating) {
+      const option = findVocabularyValue(categoryKey, rating);
+      return option ? option.label : rating;
+    }
+
+    function getRatingClass(categoryKey, rating) {
+      const option = findVocabularyValue(categoryKey, rating);
+      if (option && option.polarity === 'positive') {
+        return 'positive-rating';
+      } else if (option && option.polarity === 'negative') {
+        return 'negative-rating';
+      }
+      return 'neutral-rating';
+    }
+
+    // Compact stacked bar of a category's breakdown, shaded by polarity.
+    // Multi-value categories can add up to more than 100%, so segments are
+    // sized relative to each other and the exact share is in the tooltip.
+    function formatDistributionBar(category, breakdown) {
+      const shades = {
+        'positive-rating': ['#28a745', '#5cb85c', '#8fd19e'],
+        'negative-rating': ['#dc3545', '#e4606d', '#ec8c95', '#f1a1a8', '#f5c2c7', '#f8d7da', '#fbe5e7'],
+        'neutral-rating': ['#6c757d', '#adb5bd', '#ced4da']
+      };
+      const used = { 'positive-rating': 0, 'negative-rating': 0, 'neutral-rating': 0 };
+      const totalPercentage = breakdown.reduce((sum, rating) => sum + rating.percentage, 0);
+      if (totalPercentage === 0) {
+        return '';
+      }
+
+      const segments = breakdown.map(rating => {
+        const colorClass = getRatingClass(category.key, rating.rating);
+        const palette = shades[colorClass];
+        const color = palette[used[colorClass]++ % palette.length];
+        const width = (rating.percentage / totalPercentage) * 100;
+        return `<span class="distribution-segment" style="width: ${width}%; background: ${color};" title="${formatRatingText(category.key, rating.rating)}: ${rating.percentage}%"></span>`;
+      });
+
+      return `<div class="distribution-bar">${segments.join('')}</div>`;
+    }
+
+    // Trend arrow comparing the last 6 months with the period before
+    function formatTrend(trend) {
+      if (!trend || !trend.direction) {
+        return '';
+      }
+      const trends = {
+        improving: { arrow: '↑', title: 'Improving over the last 6 months' },
+        worsening: { arrow: '↓', title: 'Worsening over the last 6 months' },
+        stable: { arrow: '→', title: 'Stable over the last 6 months' }
+      };
+      const { arrow, title } = trends[trend.direction];
+      return ` <span class="trend-indicator trend-${trend.direction}" title="${title}">${arrow}</span>`;
+    }
+
+    // One '50% Medium (3)' item, with the confidence interval as tooltip
+    function formatRatingItem(categoryKey, rating, separator = '') {
+      const interval = rating.confidenceInterval;
+      const intervalTitle = interval ? `95% confidence: ${interval.lower}–${interval.upper}%` : '';
+      return `<span class="rating-item-popup ${getRatingClass(categoryKey, rating.rating)}" title="${intervalTitle}">
+        ${rating.percentage}% ${formatRatingText(categoryKey, rating.rating)} (${rating.count})${separator}
+      </span>`;
+    }
+
+    return {
+      formatRatingText,
+      getRatingClass,
+      formatDistributionBar,
+      formatTrend,
+      formatRatingItem
+    };
+  }
+};
@@ -0,0 +1,423 @@
+// Shared rating form logic (popup and in-page panel): building the form from
+// the server vocabulary, collecting and submitting a rating, and rendering the
+// current summary. Everything works on a root element, so the same code runs
+// against the popup document and the panel's shadow root.
+
+const RatingForm = {
+  // Optional fields besides the rating categories (see lib/stay-details.js)
+  STAY_DETAIL_FIELDS: ['roomTypeId', 'roomType', 'roomNumber', 'floor', 'stayMonth', 'comment'],
+
+  // Browser fingerprint for abuse prevention
+  generateFingerprint() {
+    try {
+      const canvas = document.createElement('canvas');
+      const ctx = canvas.getContext('2d');
+      ctx.textBaseline = 'top';
+      ctx.font = '14px Arial';
+      ctx.fillText('Browser fingerprint', 2, 2);
+
+      const fingerprint = [
+        navigator.userAgent,
+        navigator.language,
+        screen.width + 'x' + screen.height,
+        new Date().getTimezoneOffset(),
+        canvas.toDataURL(),
+        navigator.hardwareConcurrency || 'unknown',
+        navigator.deviceMemory || 'unknown'
+      ].join('|');
+
+      // Create a simple hash
+      let hash = 0;
+      for (let i = 0; i < fingerprint.length; i++) {
+        const char = fingerprint.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash; // Convert to 32-bit integer
+      }
+
+      return Math.abs(hash).toString(36);
+    } catch (error) {
+      console.warn('Hotel Bedding Ratings: Error generating fingerprint:', error);
+      // Fallback fingerprint
+      return 'fallback_' + Date.now().toString(36);
+    }
+  },
+
+  // Rating categories, values and labels from the server vocabulary
+  async loadVocabulary(apiBase) {
+    const response = await fetch(`${apiBase}/vocabulary`);
+    if (!response.ok) {
+      throw new Error(`Could not load rating vocabulary (${response.status})`);
+    }
+    return response.json();
+  },
+
+  // Form sections for every vocabulary category, grouped by section, then the
+  // stay details with a room type choice when the page listed roomTypes
+  buildSectionsHTML(vocabulary, roomTypes = []) {
+    let sectionsHTML = '';
+
+    vocabulary.sections.forEach(section => {
+      const categories = vocabulary.categories.filter(category => category.section === section.id);
+      if (categories.length === 0) {
+        return;
+      }
+
+      sectionsHTML += `<div class="form-section">
+        <h3>${section.label}</h3>
+      `;
+
+      categories.forEach(category => {
+        if (category.multiple) {
+          // Ticking "none" tells having no issues apart from skipping the question
+          const noneChoice = category.noneLabel
+            ? `<label class="checkbox-label none-label"><input type="checkbox" name="noneReported" value="${category.key}"> ${category.noneLabel}</label>`
+            : '';
+          sectionsHTML += `<div class="form-row">
+            <label>${category.fieldLabel}:</label>
+            <div class="checkbox-group">
+              ${category.values.map(option => `<label class="checkbox-label"><input type="checkbox" name="${category.key}" value="${option.value}"> ${option.label}</label>`).join('')}
+              ${noneChoice}
+            </div>
+          </div>`;
+        } else {
+          sectionsHTML += `<div class="form-row">
+            <label for="${category.key}">${category.fieldLabel}:</label>
+            <select id="${category.key}" name="${category.key}">
+              <option value="">Select...</option>
+              ${category.values.map(option => `<option value="${option.value}">${option.label}</option>`).join('')}
+            </select>
+          </div>`;
+        }
+      });
+
+      sectionsHTML += '</div>';
+    });
+
+    return sectionsHTML + this.buildStayDetailsHTML(vocabulary, roomTypes);
+  },
+
+  // Keep a category's "none" choice and its issues exclusive in the form under
+  // container; once per container, as it listens for changes of any form built in it
+  linkNoneChoices(container) {
+    container.addEventListener('change', event => {
+      const input = event.target;
+      if (input.type !== 'checkbox' || !input.checked) {
+        return;
+      }
+      const selector = input.name === 'noneReported'
+        ? `input[name="${CSS.escape(input.value)}"]:checked`
+        : `input[name="noneReported"][value="${CSS.escape(input.name)}"]:checked`;
+      container.querySelectorAll(selector).forEach(other => {
+        other.checked = false;
+      });
+    });
+  },
+
+  // Optional room type, room, floor, month of stay and comment, with the
+  // server's limits (vocabulary.stayDetails); left out when the server doesn't
+  // accept them. roomTypes: [{ roomTypeId, name }] from the site's room list.
+  buildStayDetailsHTML(vocabulary, roomTypes = []) {
+    const limits = vocabulary.stayDetails;
+    if (!limits) {
+      return '';
+    }
+
+    const currentMonth = new Date().toISOString().slice(0, 7);
+    const roomTypeRow = roomTypes.length > 0 && limits.fields.includes('roomTypeId')
+      ? `<div class="form-row">
+        <label for="roomTypeId">Room type:</label>
+        <select id="roomTypeId" name="roomTypeId">
+          <option value="">Select...</option>
+          ${roomTypes.map(roomType => `<option value="${escapeHTML(roomType.roomTypeId)}" data-name="${escapeHTML(roomType.name)}">${escapeHTML(roomType.name)}</option>`).join('')}
+        </select>
+      </div>`
+      : '';
+
+    return `<div class="form-section stay-details">
+      <h3>📝 Your Stay (optional)</h3>
+      ${roomTypeRow}
+      <div class="form-row">
+        <label for="roomNumber">Room:</label>
+        <input type="text" id="roomNumber" name="roomNumber" maxlength="10" placeholder="e.g. 412">
+      </div>
+      <div class="form-row">
+        <label for="floor">Floor:</label>
+        <input type="number" id="floor" name="floor" min="${limits.minFloor}" max="${limits.maxFloor}" step="1" placeholder="e.g. 4">
+      </div>
+      <div class="form-row">
+        <label for="stayMonth">Stayed in:</label>
+        <input type="month" id="stayMonth" name="stayMonth" min="2000-01" max="${currentMonth}">
+      </div>
+      <div class="form-row comment-row">
+        <label for="comment">Comment:</label>
+        <textarea id="comment" name="comment" rows="3" maxlength="${limits.commentMaxLength}" placeholder="e.g. Room faces the tram depot, pillows replaced on request"></textarea>
+      </div>
+    </div>`;
+  },
+
+  // "Double Room · Room 412 · Floor 4 · March 2026" for a rating's stay details ('' when none)
+  formatStayDetails(details) {
+    const parts = [];
+    if (details.roomType) {
+      parts.push(details.roomType);
+    }
+    if (details.roomNumber) {
+      parts.push(`Room ${details.roomNumber}`);
+    }
+    if (details.floor !== undefined && details.floor !== null) {
+      parts.push(`Floor ${details.floor}`);
+    }
+    if (details.stayMonth) {
+      const [year, month] = details.stayMonth.split('-').map(Number);
+      parts.push(new Date(year, month - 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' }));
+    }
+    return parts.join(' · ');
+  },
+
+  // Pre-fill the stay detail fields under root from a stored rating
+  fillStayDetails(root, rating) {
+    this.STAY_DETAIL_FIELDS.filter(field => field !== 'roomType').forEach(field => {
+      const input = root.querySelector(`[name="${field}"]`);
+      if (input) {
+        input.value = rating[field] !== undefined && rating[field] !== null ? rating[field] : '';
+      }
+    });
+  },
+
+  // Register the page's identifiers with the hotel registry.
+  // Returns the canonical hotelKey, or null when the server could not be reached.
+  async registerHotel(apiBase, hotelInfo) {
+    try {
+      const response = await fetch(`${apiBase}/hotels`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({
+          hotelKey: hotelInfo.hotelKey,
+          legacyHotelKey: hotelInfo.legacyHotelKey,
+          identifiers: hotelInfo.identifiers,
+          hotelName: hotelInfo.name,
+          hotelAddress: hotelInfo.address,
+          hotelLocation: hotelInfo.location,
+          hotelLocality: hotelInfo.locality
+        })
+      });
+
+      if (!response.ok) {
+        console.warn('Hotel Bedding Ratings: Could not register hotel');
+        return null;
+      }
+
+      const result = await response.json();
+      return result.hotelKey || null;
+    } catch (error) {
+      console.warn('Hotel Bedding Ratings: Error registering hotel:', error);
+      return null;
+    }
+  },
+
+  // Noise and light issues per room type and room (GET /ratings/rooms), or null when unavailable
+  async fetchRoomMap(apiBase, hotelKey) {
+    const response = await fetch(`${apiBase}/ratings/rooms/${encodeURIComponent(hotelKey)}`);
+    if (!response.ok) {
+      console.warn('Hotel Bedding Ratings: Could not load room map');
+      return null;
+    }
+    return response.json();
+  },
+
+  // Summary with the full distribution and latest comments, or null when it could not be loaded
+  async fetchSummary(apiBase, hotelKey) {
+    const response = await fetch(`${apiBase}/ratings/summary/${encodeURIComponent(hotelKey)}?include=distribution,comments`);
+    if (!response.ok) {
+      console.warn('Hotel Bedding Ratings: Could not load rating summary');
+      return null;
+    }
+    return response.json();
+  },
+
+  buildSummaryHTML(vocabulary, display, summary) {
+    if (summary.totalRatings === 0) {
+      return `
+        <div class="no-ratings-popup">
+          <p><strong>No ratings yet</strong></p>
+          <p>Be the first to rate this hotel's bedding!</p>
+        </div>
+      `;
+    }
+
+    let summaryHTML = `
+      <div class="current-ratings">
+        <h4>Current Ratings (${summary.totalRatings} total)</h4>
+    `;
+
+    vocabulary.categories.forEach(category => {
+      const data = summary[category.key];
+      if (data && data.total > 0 && data.top2.length > 0) {
+        // Too few ratings to present as fact: grey the category out and say so
+        const lowConfidence = data.insufficientData;
+        summaryHTML += `<div class="category-summary-popup${lowConfidence ? ' low-confidence' : ''}">
+          <strong>${category.label}:</strong>${display.formatTrend(data.trend)}
+          ${lowConfidence ? `<span class="sample-note">based on ${data.total} rating${data.total === 1 ? '' : 's'}</span>` : ''}<br>
+        `;
+
+        // Full breakdown when the server sent the distribution, top 2 otherwise
+        const breakdown = data.distribution ? data.distribution.filter(rating => rating.count > 0) : data.top2;
+        summaryHTML += display.formatDistributionBar(category, breakdown);
+
+        breakdown.forEach((rating, index) => {
+          summaryHTML += display.formatRatingItem(category.key, rating, index < breakdown.length - 1 ? ', ' : '');
+        });
+
+        summaryHTML += '</div>';
+      }
+    });
+
+    if (summary.comments && summary.comments.length > 0) {
+      summaryHTML += `<div class="category-summary-popup comments-summary">
+        <strong>💬 Recent comments:</strong>
+        ${summary.comments.map(comment => {
+          const stay = this.formatStayDetails(comment);
+          return `<blockquote class="rating-comment">${escapeHTML(comment.comment)}${stay ? `<cite>${escapeHTML(stay)}</cite>` : ''}</blockquote>`;
+        }).join('')}
+      </div>`;
+    }
+
+    return summaryHTML + '</div>';
+  },
+
+  // Rating payload from the form under root: checkbox groups as arrays, selects
+  // as single values, the categories answered with "none", plus the stay details
+  // that were filled in
+  collectRatingData(root, vocabulary, hotelInfo, fingerprint) {
+    const ratingData = {
+      hotelKey: hotelInfo.hotelKey,
+      legacyHotelKey: hotelInfo.legacyHotelKey,
+      identifiers: hotelInfo.identifiers,
+      hotelName: hotelInfo.name,
+      hotelAddress: hotelInfo.address,
+      hotelLocation: hotelInfo.location,
+      hotelLocality: hotelInfo.locality,
+      fingerprint, // For rate limiting
+      timestamp: new Date().toISOString()
+    };
+
+    vocabulary.categories.forEach(category => {
+      if (category.multiple) {
+        const checkboxes = root.querySelectorAll(`input[name="${category.key}"]:checked`);
+        ratingData[category.key] = Array.from(checkboxes).map(checkbox => checkbox.value);
+      } else {
+        ratingData[category.key] = root.querySelector(`select[name="${category.key}"]`).value.trim();
+      }
+    });
+    ratingData.noneReported = Array.from(root.querySelectorAll('input[name="noneReported"]:checked'))
+      .map(checkbox => checkbox.value)
+      .filter(key => ratingData[key] && ratingData[key].length === 0);
+
+    this.STAY_DETAIL_FIELDS.filter(field => field !== 'roomType').forEach(field => {
+      const input = root.querySelector(`[name="${field}"]`);
+      const value = input ? input.value.trim() : '';
+      if (value !== '') {
+        ratingData[field] = field === 'floor' ? Number(value) : value;
+      }
+    });
+    // The room type's name goes along with its id
+    const roomTypeSelect = root.querySelector('select[name="roomTypeId"]');
+    if (roomTypeSelect && roomTypeSelect.value) {
+      ratingData.roomType = roomTypeSelect.selectedOptions[0].dataset.name;
+    }
+
+    return ratingData;
+  },
+
+  hasAnyRating(vocabulary, ratingData) {
+    return ratingData.noneReported.length > 0 || vocabulary.categories.some(category => (
+      category.multiple ? ratingData[category.key].length > 0 : ratingData[category.key] !== ''
+    ));
+  },
+
+  // Hand the rating to the background worker (background.js), which sends it
+  // now or queues it for retry and records it in the rating history under
+  // pageUrl. Resolves to { result }, { rateLimited: message, retryAfter } or { queued: true };
+  // throws an Error with a user-facing message otherwise.
+  async submitRating(ratingData, pageUrl) {
+    const response = await chrome.runtime.sendMessage({
+      action: 'submitRating',
+      ratingData,
+      pageUrl,
+      idempotencyKey: crypto.randomUUID()
+    });
+
+    if (!response) {
+      throw new Error('The extension did not respond. Please try again.');
+    }
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    return response;
+  },
+
+  // "in 3 days" / "in 45 minutes" for a Retry-After in seconds
+  formatRetryAfter(seconds) {
+    if (!seconds) {
+      return 'later';
+    }
+    const units = [['day', 86400], ['hour', 3600], ['minute', 60]];
+    const [unit, size] = units.find(([, unitSeconds]) => seconds >= unitSeconds) || ['minute', 60];
+    const count = Math.ceil(seconds / size);
+    return `in ${count} ${unit}${count === 1 ? '' : 's'}`;
+  },
+
+  // POST the rating once. Resolves to { result } or { rateLimited: message, retryAfter };
+  // throws an Error with a user-facing message otherwise, carrying the response
+  // `status` and flagged `retryable` when the server was unreachable or failed
+  // rather than rejecting the rating. authHeaders signs the request in.
+  async postRating(apiBase, ratingData, idempotencyKey, authHeaders = {}) {
+    const retryableError = message => Object.assign(new Error(message), { retryable: true });
+
+    let response;
+    try {
+      response = await fetch(`${apiBase}/ratings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'Idempotency-Key': idempotencyKey,
+          ...authHeaders
+        },
+        body: JSON.stringify(ratingData)
+      });
+    } catch (error) {
+      if (error.message.includes('CORS')) {
+        throw new Error('Server connection blocked. Please check CORS settings on the backend.');
+      }
+      throw retryableError('Cannot connect to the rating server. Please check your internet connection and try again.');
+    }
+
+    console.log('Hotel Bedding Ratings: Response status:', response.status);
+
+    if (!response.ok) {
+      let errorMessage = `Server error (${response.status})`;
+      try {
+        const errorBody = await response.json();
+
+        // Rate limiting is reported, not thrown
+        if (response.status === 429) {
+          const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || errorBody.retryAfter;
+          return { rateLimited: errorBody.message || 'Rate limit exceeded', retryAfter };
+        }
+
+        errorMessage = errorBody.error || errorMessage;
+      } catch (e) {
+        errorMessage = `${errorMessage}: ${response.statusText}`;
+      }
+      const error = response.status >= 500 || response.status === 408 ? retryableError(errorMessage) : new Error(errorMessage);
+      error.status = response.status;
+      throw error;
+    }
+
+    return { result: await response.json() };
+  }
+};
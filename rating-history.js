@@ -0,0 +1,136 @@
+// Ratings submitted from this browser, kept in chrome.storage.local for the
+// history page. The background worker records each submission; history.html
+// merges in the account's ratings from the server when signed in.
+//
+// Entry: { idempotencyKey, ratingId, hotelKey, hotelName, hotelAddress, url,
+//          ratings: { <category>: value },
+//          stay: { roomTypeId, roomType, roomNumber, floor, stayMonth, comment },
+//          status, submittedAt, editedAt, synced }
+// status is 'submitted', 'queued' (waiting in the offline queue) or 'failed'.
+
+const RatingHistory = {
+  STORAGE_KEY: 'ratingHistory',
+  MAX_ENTRIES: 500,
+
+  STAY_FIELDS: ['roomTypeId', 'roomType', 'roomNumber', 'floor', 'stayMonth', 'comment'],
+
+  // Fields of a rating payload that aren't rating categories
+  NON_CATEGORY_FIELDS: ['hotelKey', 'legacyHotelKey', 'identifiers', 'hotelName', 'hotelAddress', 'fingerprint', 'timestamp'],
+
+  // Newest first
+  async list() {
+    const stored = await chrome.storage.local.get(this.STORAGE_KEY);
+    return stored[this.STORAGE_KEY] || [];
+  },
+
+  // Sorts newest first and keeps the most recent MAX_ENTRIES; returns what was stored
+  async save(entries) {
+    const kept = entries
+      .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt))
+      .slice(0, this.MAX_ENTRIES);
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: kept });
+    return kept;
+  },
+
+  // Category values of a rating payload or a server rating
+  categoryValues(rating, categoryKeys) {
+    const keys = categoryKeys || Object.keys(rating)
+      .filter(key => !this.NON_CATEGORY_FIELDS.includes(key) && !this.STAY_FIELDS.includes(key));
+    const values = {};
+    keys.forEach(key => {
+      if (rating[key] !== undefined && rating[key] !== null) {
+        values[key] = rating[key];
+      }
+    });
+    return values;
+  },
+
+  // Stay details of a rating payload or a server rating
+  stayDetails(rating) {
+    const stay = {};
+    this.STAY_FIELDS.forEach(field => {
+      if (rating[field] !== undefined && rating[field] !== null && rating[field] !== '') {
+        stay[field] = rating[field];
+      }
+    });
+    return stay;
+  },
+
+  // Add or update the entry for a submission (keyed by its idempotency key)
+  async record(idempotencyKey, ratingData, { status, pageUrl, rating }) {
+    const entries = await this.list();
+    const existing = entries.find(entry => entry.idempotencyKey === idempotencyKey);
+    const entry = existing || {
+      idempotencyKey,
+      hotelKey: ratingData.hotelKey,
+      hotelName: ratingData.hotelName,
+      hotelAddress: ratingData.hotelAddress,
+      ratings: this.categoryValues(ratingData),
+      stay: this.stayDetails(ratingData),
+      submittedAt: new Date().toISOString()
+    };
+
+    entry.status = status;
+    if (pageUrl) {
+      entry.url = pageUrl;
+    }
+    if (rating) {
+      entry.ratingId = rating._id;
+      entry.hotelKey = rating.hotelKey; // Canonical key from the registry
+      entry.submittedAt = rating.submissionTime || entry.submittedAt;
+    }
+
+    await this.save(existing ? entries : [entry, ...entries]);
+  },
+
+  async updateStatus(idempotencyKey, status, rating) {
+    const entries = await this.list();
+    const entry = entries.find(candidate => candidate.idempotencyKey === idempotencyKey);
+    if (!entry) {
+      return;
+    }
+
+    entry.status = status;
+    if (rating) {
+      entry.ratingId = rating._id;
+      entry.hotelKey = rating.hotelKey;
+    }
+    await this.save(entries);
+  },
+
+  // Merge the signed-in account's ratings (GET /me/ratings). Server values win,
+  // since they may have been edited; ratings deleted from the account are
+  // dropped unless the server list was truncated.
+  async mergeServerRatings(serverRatings, categoryKeys, complete) {
+    const entries = await this.list();
+    const serverIds = new Set(serverRatings.map(rating => rating._id));
+
+    serverRatings.forEach(rating => {
+      let entry = entries.find(candidate => candidate.ratingId === rating._id);
+      if (!entry) {
+        entry = { ratingId: rating._id };
+        entries.push(entry);
+      }
+
+      Object.assign(entry, {
+        hotelKey: rating.hotelKey,
+        hotelName: rating.hotelName,
+        hotelAddress: rating.hotelAddress,
+        ratings: this.categoryValues(rating, categoryKeys),
+        stay: this.stayDetails(rating),
+        status: 'submitted',
+        submittedAt: rating.submissionTime,
+        editedAt: rating.editedAt,
+        synced: true
+      });
+    });
+
+    return this.save(complete
+      ? entries.filter(entry => !entry.synced || serverIds.has(entry.ratingId))
+      : entries);
+  },
+
+  async clear() {
+    await chrome.storage.local.remove(this.STORAGE_KEY);
+  }
+};
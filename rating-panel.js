@@ -0,0 +1,229 @@
+// In-page rating panel for hotel pages: the current summary and the full
+// rating form, rendered in a shadow root so the site's styles don't leak in.
+// Form building and submission are shared with the popup through RatingForm.
+// On sites whose adapter finds the room list, each room type also gets the
+// noise and light issues reported for it.
+
+class RatingPanel {
+  constructor(hotelInfo, apiBase, adapter = null) {
+    this.hotelInfo = hotelInfo;
+    this.apiBase = apiBase;
+    this.adapter = adapter;
+    this.vocabulary = null;
+    this.display = null;
+    this.loaded = false;
+    this.fingerprint = RatingForm.generateFingerprint();
+
+    this.COLLAPSED_STORAGE_KEY = 'ratingPanelCollapsed';
+  }
+
+  // Attach the panel to container (the site adapter's mount point)
+  async mount(container = document.body) {
+    const existing = document.getElementById('hotel-bedding-ratings-container');
+    if (existing) {
+      existing.remove();
+    }
+
+    this.host = document.createElement('div');
+    this.host.id = 'hotel-bedding-ratings-container';
+    this.root = this.host.attachShadow({ mode: 'open' });
+
+    this.root.innerHTML = `
+      <link rel="stylesheet" href="${chrome.runtime.getURL('rating-panel.css')}">
+      <div class="panel">
+        <button type="button" class="panel-header" aria-expanded="true">
+          <span>🛏️ Hotel Bedding Ratings</span>
+          <span class="toggle-icon">▾</span>
+        </button>
+        <div class="panel-body">
+          <p class="hotel-name"></p>
+          <div class="rating-summary-section">
+            <div class="loading">Loading ratings...</div>
+          </div>
+          <form class="rating-form" style="display: none;">
+            <div class="rating-categories"></div>
+            <button type="submit" class="submit-btn">Submit Rating</button>
+          </form>
+          <div class="status-message"></div>
+          <div class="copyright-notice">
+            <small>© All rights reserved Alex Christophe 2025</small>
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.panel = this.root.querySelector('.panel');
+    this.header = this.root.querySelector('.panel-header');
+    this.form = this.root.querySelector('.rating-form');
+    this.submitBtn = this.root.querySelector('.submit-btn');
+    this.summarySection = this.root.querySelector('.rating-summary-section');
+    this.statusMessage = this.root.querySelector('.status-message');
+    this.root.querySelector('.hotel-name').textContent = this.hotelInfo.name;
+
+    this.header.addEventListener('click', () => this.setCollapsed(!this.panel.classList.contains('collapsed'), true));
+    this.form.addEventListener('submit', event => this.handleSubmit(event));
+    RatingForm.linkNoneChoices(this.form);
+
+    container.appendChild(this.host);
+
+    // Restore the collapsed state from the last page
+    const stored = await chrome.storage.local.get(this.COLLAPSED_STORAGE_KEY);
+    await this.setCollapsed(!!stored[this.COLLAPSED_STORAGE_KEY], false);
+
+    console.log('🏨 Hotel Bedding Ratings: Rating panel created');
+  }
+
+  // Nothing is fetched until the panel is first opened
+  async setCollapsed(collapsed, remember) {
+    this.panel.classList.toggle('collapsed', collapsed);
+    this.header.setAttribute('aria-expanded', String(!collapsed));
+
+    if (remember) {
+      await chrome.storage.local.set({ [this.COLLAPSED_STORAGE_KEY]: collapsed });
+    }
+    if (!collapsed && !this.loaded) {
+      this.loaded = true;
+      await this.load();
+    }
+  }
+
+  async load() {
+    try {
+      this.vocabulary = await RatingForm.loadVocabulary(this.apiBase);
+      this.display = RatingDisplay.create(this.vocabulary);
+      this.root.querySelector('.rating-categories').innerHTML = RatingForm.buildSectionsHTML(this.vocabulary, this.hotelInfo.roomTypes);
+
+      // Swap in the canonical key the server knows this hotel by
+      const hotelKey = await RatingForm.registerHotel(this.apiBase, this.hotelInfo);
+      if (hotelKey) {
+        this.hotelInfo.hotelKey = hotelKey;
+      }
+
+      this.form.style.display = 'block';
+      await this.loadSummary();
+      await this.annotateRoomTypes();
+    } catch (error) {
+      console.error('🏨 Hotel Bedding Ratings: Error loading rating panel:', error);
+      this.loaded = false; // Try again next time the panel is opened
+      this.summarySection.innerHTML = `
+        <div class="no-ratings-popup">
+          <p><strong>⚠️ Cannot connect to the rating server</strong></p>
+          <p>Please check your internet connection and reopen the panel.</p>
+        </div>
+      `;
+    }
+  }
+
+  async loadSummary() {
+    try {
+      const summary = await RatingForm.fetchSummary(this.apiBase, this.hotelInfo.hotelKey);
+      if (summary) {
+        this.summarySection.innerHTML = RatingForm.buildSummaryHTML(this.vocabulary, this.display, summary);
+      }
+    } catch (error) {
+      console.error('🏨 Hotel Bedding Ratings: Error loading rating summary:', error);
+    }
+  }
+
+  // Warnings under each room type of the site's room list:
+  // 'street noise reported in 3 of 4 ratings for this room type'
+  async annotateRoomTypes() {
+    if (!this.adapter || !this.adapter.findRoomTypes) {
+      return;
+    }
+
+    try {
+      const roomTypes = this.adapter.findRoomTypes();
+      if (roomTypes.length === 0) {
+        return;
+      }
+      const roomMap = await RatingForm.fetchRoomMap(this.apiBase, this.hotelInfo.hotelKey);
+      if (!roomMap) {
+        return;
+      }
+
+      roomTypes.forEach(({ roomTypeId, element }) => {
+        const entry = roomMap.roomTypes.find(candidate => candidate.roomTypeId === roomTypeId);
+        element.querySelectorAll('.bedding-room-notes').forEach(existing => existing.remove());
+        if (entry) {
+          element.appendChild(this.buildRoomNotes(entry));
+        }
+      });
+    } catch (error) {
+      console.error('🏨 Hotel Bedding Ratings: Error annotating room types:', error);
+    }
+  }
+
+  buildRoomNotes(entry) {
+    const ofRatings = count => `${count} of ${entry.totalRatings} rating${entry.totalRatings === 1 ? '' : 's'} for this room type`;
+    const issues = [...entry.noise, ...entry.lightAnnoyances].sort((a, b) => b.count - a.count);
+
+    const notes = document.createElement('div');
+    notes.className = 'bedding-room-notes';
+    notes.title = 'Hotel Bedding Ratings';
+
+    if (issues.length === 0) {
+      const note = document.createElement('span');
+      note.className = 'bedding-badge positive-rating';
+      note.textContent = `🛏️ No noise or light issues in ${entry.totalRatings} rating${entry.totalRatings === 1 ? '' : 's'}`;
+      notes.appendChild(note);
+      return notes;
+    }
+
+    issues.forEach(issue => {
+      const note = document.createElement('span');
+      note.className = 'bedding-badge negative-rating';
+      note.textContent = `⚠️ ${issue.badge || issue.label.toLowerCase()} reported in ${ofRatings(issue.count)}`;
+      notes.appendChild(note);
+    });
+    return notes;
+  }
+
+  displayStatus(message, type) {
+    this.statusMessage.innerHTML = message;
+    this.statusMessage.className = `status-message ${type}`;
+    this.statusMessage.style.display = 'block';
+
+    if (type === 'success') {
+      setTimeout(() => {
+        this.statusMessage.style.display = 'none';
+      }, 5000);
+    }
+  }
+
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    this.statusMessage.style.display = 'none';
+    this.submitBtn.disabled = true;
+    this.submitBtn.textContent = 'Submitting...';
+
+    try {
+      const ratingData = RatingForm.collectRatingData(this.form, this.vocabulary, this.hotelInfo, this.fingerprint);
+      if (!RatingForm.hasAnyRating(this.vocabulary, ratingData)) {
+        throw new Error('Please select at least one bedding rating, light annoyance, or noise issue before submitting.');
+      }
+
+      const { rateLimited, retryAfter, queued } = await RatingForm.submitRating(ratingData, this.hotelInfo.url);
+      if (rateLimited) {
+        this.displayStatus(`⏰ <strong>Rate Limit Reached</strong><br>${escapeHTML(rateLimited)}<br><small>You can submit another rating ${RatingForm.formatRetryAfter(retryAfter)}.</small>`, 'warning');
+        return;
+      }
+      if (queued) {
+        this.displayStatus("📡 <strong>Rating saved</strong><br>The rating server can't be reached right now. Your rating will be sent automatically and you'll be notified when it's delivered.", 'warning');
+        this.form.reset();
+        return;
+      }
+
+      this.displayStatus('✅ <strong>Rating submitted successfully!</strong><br>Thank you for your feedback.', 'success');
+      this.form.reset();
+      setTimeout(() => this.loadSummary(), 1000);
+    } catch (error) {
+      console.error('🏨 Hotel Bedding Ratings: Submission error:', error);
+      this.displayStatus(`❌ ${escapeHTML(error.message)}`, 'error');
+    } finally {
+      this.submitBtn.disabled = false;
+      this.submitBtn.textContent = 'Submit Rating';
+    }
+  }
+}
@@ -0,0 +1,112 @@
+// Benchmark the summary aggregation against the previous approach of loading
+// every rating with Rating.find() and counting in JavaScript.
+// Seeds a local in-memory MongoDB with 100k ratings for one hotel.
+// Usage: npm run benchmark:summary [-- <ratingCount>]
+
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const mongoose = require('mongoose');
+const { Rating } = require('../lib/models');
+const vocabulary = require('../lib/vocabulary');
+const summaryService = require('../lib/summary');
+
+const RATING_COUNT = parseInt(process.argv[2], 10) || 100000;
+const HOTEL_KEY = 'booking:benchmark';
+const BATCH_SIZE = 5000;
+const RUNS = 5;
+
+function pick(values) {
+  return values[Math.floor(Math.random() * values.length)];
+}
+
+// A random rating: each category answered about two thirds of the time
+function randomRating(now) {
+  const rating = {
+    hotelKey: HOTEL_KEY,
+    hotelName: 'Benchmark Hotel',
+    fingerprint: Math.random().toString(36).slice(2),
+    ipAddress: '127.0.0.1',
+    submissionTime: new Date(now - Math.random() * 3 * 365 * 24 * 60 * 60 * 1000)
+  };
+
+  vocabulary.CATEGORIES.forEach(category => {
+    const values = category.values.map(v => v.value);
+    if (category.multiple) {
+      rating[category.key] = values.filter(() => Math.random() < 0.15);
+    } else {
+      rating[category.key] = Math.random() < 0.66 ? pick(values) : '';
+    }
+  });
+
+  return rating;
+}
+
+// The summary as computed before the aggregation pipeline (counts only)
+async function legacySummary(hotelKey) {
+  const ratings = await Rating.find({ hotelKey }).exec();
+  const summary = { hotelKey, totalRatings: ratings.length };
+
+  vocabulary.CATEGORIES.forEach(category => {
+    const answered = category.multiple
+      ? ratings.filter(r => r[category.key] && r[category.key].length > 0)
+      : ratings.filter(r => r[category.key] && r[category.key].trim() !== '');
+
+    const counts = {};
+    answered.forEach(rating => {
+      const values = category.multiple ? rating[category.key] : [rating[category.key]];
+      values.forEach(value => {
+        counts[value] = (counts[value] || 0) + 1;
+      });
+    });
+
+    summary[category.key] = {
+      total: answered.length,
+      top2: Object.entries(counts)
+        .map(([rating, count]) => ({ rating, count, percentage: Math.round((count / answered.length) * 100 * 10) / 10 }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 2)
+    };
+  });
+
+  return summary;
+}
+
+async function time(label, fn) {
+  const durations = [];
+  for (let i = 0; i < RUNS; i++) {
+    const start = process.hrtime.bigint();
+    await fn();
+    durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  const average = durations.reduce((sum, d) => sum + d, 0) / durations.length;
+  console.log(`${label.padEnd(24)} avg ${average.toFixed(1)} ms  (min ${Math.min(...durations).toFixed(1)} ms, ${RUNS} runs)`);
+  return average;
+}
+
+async function main() {
+  const mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+  await Rating.init();
+
+  console.log(`Seeding ${RATING_COUNT} ratings...`);
+  const now = Date.now();
+  for (let seeded = 0; seeded < RATING_COUNT; seeded += BATCH_SIZE) {
+    const batch = [];
+    for (let i = 0; i < Math.min(BATCH_SIZE, RATING_COUNT - seeded); i++) {
+      batch.push(randomRating(now));
+    }
+    await Rating.collection.insertMany(batch);
+  }
+
+  const legacy = await time('find + JS counting', () => legacySummary(HOTEL_KEY));
+  const aggregated = await time('aggregation pipeline', () => summaryService.computeSummary(HOTEL_KEY));
+  await time('aggregation + decay', () => summaryService.computeSummary(HOTEL_KEY, { halfLifeDays: 180 }));
+  console.log(`Aggregation speed-up: ${(legacy / aggregated).toFixed(1)}x`);
+
+  await mongoose.disconnect();
+  await mongod.stop();
+}
+
+main().catch(err => {
+  console.error('Summary benchmark failed:', err);
+  process.exit(1);
+});
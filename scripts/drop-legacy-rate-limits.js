@@ -0,0 +1,33 @@
+// Drop the RateLimit collection used before lib/rate-limiter.js. Its rows were
+// never expired; the rate limiter's own hits are removed by a TTL index.
+// Usage: npm run migrate:rate-limits
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+
+async function main() {
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    console.error('Error: MONGODB_URI environment variable not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri);
+  console.log('Connected to MongoDB Atlas');
+
+  const collections = await mongoose.connection.db.listCollections({ name: 'ratelimits' }).toArray();
+  if (collections.length === 0) {
+    console.log('No legacy ratelimits collection found');
+  } else {
+    await mongoose.connection.db.dropCollection('ratelimits');
+    console.log('Dropped the legacy ratelimits collection');
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('Rate limit migration failed:', err);
+  process.exit(1);
+});
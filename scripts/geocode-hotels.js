@@ -0,0 +1,64 @@
+// Give hotels without coordinates a location from an offline geocoder dataset,
+// so they show up in the nearby search before anyone reopens their page (see lib/geo.js).
+// The dataset is JSON Lines, one geocoded address per line: {"address": "...", "lat": 52.5, "lng": 13.4}
+// Usage: npm run geocode:hotels -- --dataset=addresses.jsonl
+
+require('dotenv').config();
+
+const fs = require('fs');
+const readline = require('readline');
+const mongoose = require('mongoose');
+const geo = require('../lib/geo');
+
+async function readDataset(path) {
+  const entries = [];
+  let skipped = 0;
+
+  const lines = readline.createInterface({ input: fs.createReadStream(path), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      skipped++;
+    }
+  }
+
+  if (skipped > 0) {
+    console.warn(`Skipped ${skipped} lines that aren't valid JSON`);
+  }
+  return entries;
+}
+
+async function main() {
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    console.error('Error: MONGODB_URI environment variable not set');
+    process.exit(1);
+  }
+
+  const datasetArg = process.argv.find(arg => arg.startsWith('--dataset='));
+  const dataset = datasetArg ? datasetArg.slice('--dataset='.length) : '';
+  if (!dataset || !fs.existsSync(dataset)) {
+    console.error('Error: --dataset must name an existing JSON Lines file');
+    process.exit(1);
+  }
+
+  const entries = await readDataset(dataset);
+  console.log(`Read ${entries.length} geocoded addresses from ${dataset}`);
+
+  await mongoose.connect(mongoUri);
+  console.log('Connected to MongoDB Atlas');
+
+  const located = await geo.geocodeHotels(entries);
+  console.log(`Stored coordinates for ${located} hotels`);
+
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('Geocoding hotels failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+// Merge ratings stored under legacy base64 hotel keys into their canonical
+// Booking.com property keys, using the mappings collected in the hotel registry,
+// and store the country and city of older hotel records for cross-site matching
+// and leaderboards.
+// Usage: npm run migrate:hotel-keys
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const hotelRegistry = require('../lib/hotel-registry');
+
+async function main() {
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    console.error('Error: MONGODB_URI environment variable not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri);
+  console.log('Connected to MongoDB Atlas');
+
+  const result = await hotelRegistry.migrateLegacyRatings();
+  console.log(`Migration complete: merged ${result.ratings} ratings across ${result.hotels} hotels`);
+
+  const countries = await hotelRegistry.backfillHotelCountries();
+  console.log(`Stored the country of ${countries} hotels`);
+
+  const cities = await hotelRegistry.backfillHotelCities();
+  console.log(`Stored the city of ${cities} hotels`);
+
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('Hotel key migration failed:', err);
+  process.exit(1);
+});
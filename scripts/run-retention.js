@@ -0,0 +1,39 @@
+// Remove network data from ratings past the retention period and hash any
+// plain IPs left from before IP hashing (see lib/retention.js).
+// Usage: npm run retention [-- --days=365]
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { loadConfig } = require('../lib/config');
+const { createIPHasher } = require('../lib/client-ip');
+const retention = require('../lib/retention');
+
+async function main() {
+  const config = loadConfig();
+  if (!config.mongoUri) {
+    console.error('Error: MONGODB_URI environment variable not set');
+    process.exit(1);
+  }
+
+  const daysArg = process.argv.find(arg => arg.startsWith('--days='));
+  const days = daysArg ? parseInt(daysArg.slice('--days='.length), 10) : config.retentionDays;
+  if (!Number.isInteger(days) || days < 1) {
+    console.error('Error: --days must be a positive integer');
+    process.exit(1);
+  }
+
+  await mongoose.connect(config.mongoUri);
+  console.log('Connected to MongoDB Atlas');
+
+  const ipHasher = createIPHasher({ secret: config.ipHashSecret, saltRotationDays: config.ipSaltRotationDays });
+  const { stripped, hashed } = await retention.runRetention({ ipHasher, days });
+  console.log(`Removed network data from ${stripped} ratings older than ${days} days, hashed ${hashed} plain IPs`);
+
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('Retention job failed:', err);
+  process.exit(1);
+});
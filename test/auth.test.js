@@ -0,0 +1,92 @@
+// Magic-link sign-in: the emailed link only signs in with the code the requesting device shows
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { LoginRequest } = require('../lib/models');
+const { startDatabase, stopDatabase, clearDatabase, buildApp } = require('./helpers');
+
+const PUBLIC_URL = 'https://ratings.example.com/api/v1';
+
+describe('magic-link sign-in', () => {
+  let app;
+  const sent = [];
+  const mailer = { async sendMail(message) { sent.push(message); } };
+
+  before(async () => {
+    await startDatabase();
+    app = buildApp({ PUBLIC_URL }, { mailer });
+  });
+  after(stopDatabase);
+  beforeEach(clearDatabase);
+
+  // Request a link and read it from the email the app handed to the mailer
+  async function requestLink(email = 'guest@example.com') {
+    const res = await request(app).post('/api/v1/auth/magic-link').set('Host', 'attacker.example').send({ email });
+
+    assert.equal(res.status, 202);
+    const mail = sent.pop();
+    assert.equal(mail.to, email);
+    const link = mail.text.match(/(\S+\/auth\/verify\?token=)(\S+)/);
+    return { ...res.body, link: link[1] + link[2], token: link[2] };
+  }
+
+  const poll = ({ requestId, pollSecret }) => request(app).post(`/api/v1/auth/magic-link/${requestId}/token`).send({ pollSecret });
+  const confirm = (token, code) => request(app).post('/api/v1/auth/verify').type('form').send({ token, code });
+
+  it('points links at the configured public URL, never the Host header', async () => {
+    const { link, confirmationCode } = await requestLink();
+    assert.ok(link.startsWith(`${PUBLIC_URL}/auth/verify?token=`));
+    assert.match(confirmationCode, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+  });
+
+  it('logs that an email was not sent without a mail API, but not the link', async () => {
+    const log = mock.method(console, 'log', () => {});
+    const res = await request(buildApp({ PUBLIC_URL })).post('/api/v1/auth/magic-link').send({ email: 'guest@example.com' });
+    const logged = log.mock.calls.map(call => String(call.arguments[0])).join('\n');
+    log.mock.restore();
+
+    assert.equal(res.status, 202);
+    assert.match(logged, /Email to guest@example\.com not sent/);
+    assert.doesNotMatch(logged, /token=/);
+  });
+
+  it('is disabled without a public URL', async () => {
+    const res = await request(buildApp()).post('/api/v1/auth/magic-link').send({ email: 'guest@example.com' });
+    assert.equal(res.status, 503);
+  });
+
+  it('signs nobody in when the link is merely opened', async () => {
+    const sent = await requestLink();
+
+    const page = await request(app).get(`/api/v1/auth/verify?token=${sent.token}`);
+    assert.equal(page.status, 200);
+    assert.match(page.text, /<form method="post"/);
+    assert.equal((await poll(sent)).status, 202);
+  });
+
+  it('signs in once the code is entered, and only once', async () => {
+    const sent = await requestLink();
+
+    const confirmed = await confirm(sent.token, sent.confirmationCode.toLowerCase().replace('-', ' '));
+    assert.equal(confirmed.status, 200);
+    assert.equal((await confirm(sent.token, sent.confirmationCode)).status, 410);
+
+    const [first, second] = await Promise.all([poll(sent), poll(sent)]);
+    assert.deepEqual([first.status, second.status].sort(), [200, 410]);
+    assert.equal([first, second].find(res => res.status === 200).body.user.email, 'guest@example.com');
+  });
+
+  it('stops accepting codes after too many wrong ones', async () => {
+    const sent = await requestLink();
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      assert.equal((await confirm(sent.token, 'AAAA-AAAA')).status, 400);
+    }
+    assert.equal((await confirm(sent.token, 'AAAA-AAAA')).status, 410);
+    assert.equal((await confirm(sent.token, sent.confirmationCode)).status, 410);
+
+    const stored = await LoginRequest.findById(sent.requestId).lean();
+    assert.equal(stored.verifiedAt, undefined);
+  });
+});
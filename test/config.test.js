@@ -0,0 +1,53 @@
+// Server configuration: every setting is read from the env object given to
+// loadConfig, so modules never look at process.env themselves
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig } = require('../lib/config');
+const { DEFAULT_FROM } = require('../lib/mailer');
+
+describe('server configuration', () => {
+  it('falls back to the defaults', () => {
+    const config = loadConfig({});
+    assert.equal(config.trustProxy, false);
+    assert.equal(config.ipHashSecret, null);
+    assert.equal(config.minSampleSize, 5);
+    assert.equal(config.retentionDays, 365);
+    assert.deepEqual(config.rateLimits, { hotelCooldownDays: 7, burstPerHour: 10, daily: 30 });
+    assert.equal(config.spamThreshold, 1);
+    assert.deepEqual(config.mail, { apiUrl: null, apiKey: null, from: DEFAULT_FROM });
+  });
+
+  it('reads the overrides', () => {
+    const config = loadConfig({
+      RENDER: 'true',
+      SUMMARY_MIN_SAMPLE_SIZE: '10',
+      RATE_LIMIT_HOTEL_COOLDOWN_DAYS: '3',
+      SPAM_RULES: '{"hotelBurst": {"threshold": 8}}',
+      SPAM_QUARANTINE_THRESHOLD: '1.5',
+      MAIL_API_URL: 'https://api.resend.com/emails',
+      MAIL_FROM: 'Ratings <ratings@example.com>'
+    });
+    assert.equal(config.trustProxy, 1);
+    assert.equal(config.minSampleSize, 10);
+    assert.equal(config.rateLimits.hotelCooldownDays, 3);
+    assert.equal(config.spamRules.hotelBurst.threshold, 8);
+    assert.equal(config.spamThreshold, 1.5);
+    assert.equal(config.mail.apiUrl, 'https://api.resend.com/emails');
+    assert.equal(config.mail.from, 'Ratings <ratings@example.com>');
+  });
+
+  it('names the admin tokens', () => {
+    assert.deepEqual(loadConfig({ ADMIN_TOKENS: 'alice:token-a, bob:token-b', ADMIN_TOKEN: 'token-c' }).adminTokens, [
+      { name: 'alice', token: 'token-a' },
+      { name: 'bob', token: 'token-b' },
+      { name: 'admin', token: 'token-c' }
+    ]);
+    assert.deepEqual(loadConfig({}).adminTokens, []);
+    assert.throws(() => loadConfig({ ADMIN_TOKENS: 'token-without-name' }), /ADMIN_TOKENS entries must be name:token/);
+  });
+
+  it('refuses unknown spam rules', () => {
+    assert.throws(() => loadConfig({ SPAM_RULES: '{"hotelBrust": {}}' }), /Unknown spam rule in SPAM_RULES: hotelBrust/);
+  });
+});
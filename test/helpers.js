@@ -0,0 +1,91 @@
+// Shared setup for the integration tests: an in-memory MongoDB per test file,
+// an app built by createApp against it, and a few fixtures.
+//
+// mongodb-memory-server downloads a mongod binary from fastdl.mongodb.org on
+// first use. Where that host can't be reached (offline machines, locked-down CI)
+// point it at an installed mongod instead, and the database suites run against that:
+//
+//   MONGOMS_SYSTEM_BINARY=/usr/bin/mongod npm test
+//
+// Any recent mongod works; mongodb-memory-server warns of a possible version
+// conflict when it isn't the version it would have downloaded, which
+// MONGOMS_VERSION=<its version> silences. Without a binary the database suites
+// are cancelled in their `before` hooks and only the unit tests run.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { createApp } = require('../lib/app');
+const { loadConfig } = require('../lib/config');
+const { User, AccessToken } = require('../lib/models');
+const auth = require('../lib/auth');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+let mongoServer = null;
+
+// Start MongoDB and connect mongoose; indexes are built before the tests run
+// so unique keys (idempotency keys, hotel keys) behave as in production
+async function startDatabase() {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+}
+
+async function stopDatabase() {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+    mongoServer = null;
+  }
+}
+
+async function clearDatabase() {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+// An app on the test database; `env` is read like process.env by loadConfig,
+// `options` go to createApp as they are (a mailer, say)
+function buildApp(env = {}, options = {}) {
+  return createApp({
+    db: mongoose.connection,
+    config: loadConfig({ ADMIN_TOKEN, IP_HASH_SECRET: 'test-ip-hash-secret', ...env }),
+    ...options
+  });
+}
+
+// A signed-in user and the bearer token to send as Authorization
+async function createUser(email = `guest-${crypto.randomUUID()}@example.com`) {
+  const user = await User.create({ email });
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AccessToken.create({
+    tokenHash: auth.hashToken(token),
+    userId: user._id,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  return { user, token, authorization: `Bearer ${token}` };
+}
+
+// A valid rating submission; each call rates a different hotel unless told otherwise
+function ratingBody(overrides = {}) {
+  return {
+    hotelKey: `booking:test-hotel-${crypto.randomUUID()}`,
+    hotelName: 'Test Hotel',
+    fingerprint: `fp_${crypto.randomUUID()}`,
+    bedComfort: 'medium',
+    pillowComfort: 'nicely-judged',
+    noise: ['street'],
+    ...overrides
+  };
+}
+
+module.exports = {
+  ADMIN_TOKEN,
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  buildApp,
+  createUser,
+  ratingBody
+};
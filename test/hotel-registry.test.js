@@ -0,0 +1,138 @@
+// Hotel registration: which submitted keys the registry trusts
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { Hotel, Rating } = require('../lib/models');
+const { isLegacyHotelKey } = require('../lib/hotel-registry');
+const { ADMIN_TOKEN, startDatabase, stopDatabase, clearDatabase, buildApp } = require('./helpers');
+
+// The key the extension derived from a page's name and address before site identifiers
+function legacyKey(name, address) {
+  const normalize = text => text.toLowerCase().replace(/[^\w\s]/g, '').trim();
+  return Buffer.from(`${normalize(name)}|${normalize(address)}`).toString('base64').replace(/[/+=]/g, '');
+}
+
+describe('legacy hotel keys', () => {
+  it('are base64 of a name and address', () => {
+    assert.equal(isLegacyHotelKey(legacyKey('Hotel Adlon Kempinski', 'Unter den Linden 77, 10117 Berlin')), true);
+  });
+
+  it('are never site keys or other text', () => {
+    assert.equal(isLegacyHotelKey('booking:123'), false);
+    assert.equal(isLegacyHotelKey('expedia:456'), false);
+    assert.equal(isLegacyHotelKey(Buffer.from('no separator').toString('base64').replace(/=/g, '')), false);
+    assert.equal(isLegacyHotelKey(''), false);
+  });
+});
+
+describe('hotel registration', () => {
+  let app;
+
+  before(async () => {
+    await startDatabase();
+    app = buildApp();
+  });
+  after(stopDatabase);
+  beforeEach(clearDatabase);
+
+  const register = body => request(app).post('/api/v1/hotels').send(body);
+  const storeRating = (hotelKey, fingerprint) => Rating.create({ hotelKey, fingerprint, bedComfort: 'medium' });
+
+  it('merges the ratings of a well-formed legacy key', async () => {
+    const legacy = legacyKey('Hotel One', 'Main Street 1, Berlin');
+    await storeRating(legacy, 'fp_legacy');
+
+    const res = await register({ identifiers: { bookingId: '101' }, legacyHotelKey: legacy, hotelName: 'Hotel One' });
+    assert.equal(res.body.hotelKey, 'booking:101');
+    assert.equal(await Rating.countDocuments({ hotelKey: 'booking:101' }), 1);
+  });
+
+  it("won't take another hotel's ratings through a submitted key", async () => {
+    await register({ identifiers: { bookingId: '101' }, hotelName: 'Hotel One' });
+    await storeRating('booking:101', 'fp_victim');
+    await storeRating('booking:999', 'fp_unregistered');
+
+    await register({ identifiers: { bookingId: '202' }, legacyHotelKey: 'booking:101' });
+    await register({ identifiers: { bookingId: '202' }, hotelKey: 'booking:999' });
+
+    const hotel = await Hotel.findOne({ hotelKey: 'booking:202' }).lean();
+    assert.deepEqual(hotel.aliases, []);
+    assert.equal(await Rating.countDocuments({ hotelKey: 'booking:101' }), 1);
+    assert.equal(await Rating.countDocuments({ hotelKey: 'booking:999' }), 1);
+  });
+
+  it("won't take over a legacy key another hotel holds", async () => {
+    const legacy = legacyKey('Hotel One', 'Main Street 1, Berlin');
+    await register({ identifiers: { bookingId: '101' }, legacyHotelKey: legacy });
+    await storeRating('booking:101', 'fp_victim');
+
+    const res = await register({ identifiers: { bookingId: '202' }, legacyHotelKey: legacy });
+    assert.equal(res.body.hotelKey, 'booking:202');
+
+    const hotels = await Hotel.find({}).sort({ hotelKey: 1 }).lean();
+    assert.deepEqual(hotels.map(hotel => [hotel.hotelKey, hotel.aliases]), [['booking:101', [legacy]], ['booking:202', []]]);
+  });
+
+  it('keeps the name and address a hotel already has', async () => {
+    await register({ identifiers: { bookingId: '101' }, hotelName: 'Hotel One' });
+    await register({ identifiers: { bookingId: '101' }, hotelName: 'Hotel Renamed', hotelAddress: 'Main Street 1, Berlin' });
+    await register({ identifiers: { bookingId: '101' }, hotelAddress: 'Elsewhere 9, Hamburg' });
+
+    const hotel = await Hotel.findOne({ hotelKey: 'booking:101' }).lean();
+    assert.deepEqual([hotel.name, hotel.address], ['Hotel One', 'Main Street 1, Berlin']);
+  });
+
+  it('registers the hotel only once a rating passes the checks', async () => {
+    const legacy = legacyKey('Hotel One', 'Main Street 1, Berlin');
+    const res = await request(app).post('/api/v1/ratings').send({
+      hotelKey: 'booking:101',
+      identifiers: { bookingId: '101' },
+      legacyHotelKey: legacy,
+      fingerprint: 'fp_empty'
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(await Hotel.countDocuments({}), 0);
+  });
+
+  it('gives merged ratings their own key back when a merge is undone', async () => {
+    const legacy = legacyKey('Hotel One', 'Main Street 1, Berlin');
+    const rating = await Rating.create({ hotelKey: legacy, fingerprint: 'fp_legacy', bedComfort: 'medium' });
+    const admin = (path, body) => request(app).post(path).set('Authorization', `Bearer ${ADMIN_TOKEN}`).send(body);
+
+    const first = await admin('/api/v1/admin/hotels/merge', { primaryKey: 'booking:101', keys: [legacy] });
+    assert.equal((await Rating.findById(rating._id).lean()).originalHotelKey, legacy);
+    await admin(`/api/v1/admin/hotels/merges/${first.body.merge._id}/undo`, {});
+
+    let restored = await Rating.findById(rating._id).lean();
+    assert.equal(restored.hotelKey, legacy);
+    assert.equal(restored.originalHotelKey, undefined);
+
+    const second = await admin('/api/v1/admin/hotels/merge', { primaryKey: 'booking:202', keys: [legacy] });
+    await admin(`/api/v1/admin/hotels/merges/${second.body.merge._id}/undo`, {});
+    restored = await Rating.findById(rating._id).lean();
+    assert.deepEqual([restored.hotelKey, restored.originalHotelKey], [legacy, undefined]);
+  });
+
+  it('keeps the key a rating was submitted under through a merge and its undo', async () => {
+    const rating = await Rating.create({ hotelKey: 'booking:101', originalHotelKey: 'booking:101', fingerprint: 'fp_one', bedComfort: 'medium' });
+    const admin = (path, body) => request(app).post(path).set('Authorization', `Bearer ${ADMIN_TOKEN}`).send(body);
+
+    const merge = await admin('/api/v1/admin/hotels/merge', { primaryKey: 'booking:202', keys: ['booking:101'] });
+    await admin(`/api/v1/admin/hotels/merges/${merge.body.merge._id}/undo`, {});
+
+    const restored = await Rating.findById(rating._id).lean();
+    assert.deepEqual([restored.hotelKey, restored.originalHotelKey], ['booking:101', 'booking:101']);
+  });
+
+  it('records the admin token a merge was made with, and the body\'s performedBy only as a claim', async () => {
+    const res = await request(app)
+      .post('/api/v1/admin/hotels/merge')
+      .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+      .send({ primaryKey: 'booking:202', keys: ['booking:101'], performedBy: 'someone-else' });
+
+    assert.equal(res.status, 201);
+    assert.deepEqual([res.body.merge.performedBy, res.body.merge.claimedBy], ['admin', 'someone-else']);
+  });
+});
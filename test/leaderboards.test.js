@@ -0,0 +1,192 @@
+// Hotel cities and the city and country leaderboards
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { Hotel, Rating } = require('../lib/models');
+const { parseCity, cityKey, normalizeCountry } = require('../lib/address');
+const { parseLeaderboardQuery } = require('../lib/leaderboards');
+const { startDatabase, stopDatabase, clearDatabase, buildApp, ratingBody } = require('./helpers');
+
+describe('city parsing', () => {
+  it('finds the city before the country, without postal codes', () => {
+    assert.equal(parseCity('Unter den Linden 77, Mitte, 10117 Berlin, Germany'), 'Berlin');
+    assert.equal(parseCity('Rue de Rivoli 12, 75004 Paris, France'), 'Paris');
+    assert.equal(parseCity('1 Hyde Park Corner, London W1J 7JZ, United Kingdom'), 'London');
+    assert.equal(parseCity('Damrak 1, 1012 AB Amsterdam, Netherlands'), 'Amsterdam');
+    assert.equal(parseCity('Via Veneto 1, 00187 Roma RM, Italy'), 'Roma');
+    assert.equal(parseCity('Rua dos Fanqueiros 1, 1100-053 Lisbon, Portugal'), 'Lisbon');
+  });
+
+  it('skips state codes and gives up at the street', () => {
+    assert.equal(parseCity('350 5th Ave, New York, NY 10118, United States'), 'New York');
+    assert.equal(parseCity('Hauptstraße 5, Germany'), null);
+    assert.equal(parseCity(''), null);
+  });
+
+  it('keys cities without accents, case or punctuation', () => {
+    assert.equal(cityKey('Frankfurt am Main'), 'frankfurt-am-main');
+    assert.equal(cityKey('São Paulo'), 'sao-paulo');
+    assert.equal(cityKey(' - '), null);
+  });
+
+  it('reads countries from structured data as codes or names', () => {
+    assert.equal(normalizeCountry('DE'), 'de');
+    assert.equal(normalizeCountry('UK'), 'gb');
+    assert.equal(normalizeCountry('Germany'), 'de');
+    assert.equal(normalizeCountry('Atlantis'), null);
+  });
+});
+
+describe('leaderboard query parsing', () => {
+  it('shows every board, ten hotels each, by default', () => {
+    const { options } = parseLeaderboardQuery({});
+    assert.equal(options.boards.length, 5);
+    assert.equal(options.limit, 10);
+  });
+
+  it('picks boards by id', () => {
+    const { options } = parseLeaderboardQuery({ board: 'quietest, bed-comfort' });
+    assert.deepEqual(options.boards.map(board => board.id), ['bed-comfort', 'quietest']);
+    assert.equal(parseLeaderboardQuery({ board: 'loudest' }).field, 'board');
+    assert.equal(parseLeaderboardQuery({ limit: '51' }).field, 'limit');
+  });
+});
+
+describe('leaderboards', () => {
+  let app;
+
+  before(async () => {
+    await startDatabase();
+    app = buildApp();
+  });
+  after(stopDatabase);
+  beforeEach(clearDatabase);
+
+  const registerHotel = (bookingId, address, locality) => request(app)
+    .post('/api/v1/hotels')
+    .send({ identifiers: { bookingId }, hotelName: `Hotel ${bookingId}`, hotelAddress: address, hotelLocality: locality });
+
+  let stored = 0;
+  // `good` ratings with a medium bed and no noise, the rest with a soft bed and street noise;
+  // none of them reported light annoyances
+  const storeRatings = (hotelKey, total, good) => Rating.insertMany(Array.from({ length: total }, (_, index) => {
+    stored += 1;
+    return {
+      hotelKey,
+      fingerprint: `fp_${stored}`,
+      bedComfort: index < good ? 'medium' : 'too-soft',
+      noise: index < good ? [] : ['street'],
+      lightAnnoyances: [],
+      noneReported: index < good ? ['noise', 'lightAnnoyances'] : ['lightAnnoyances']
+    };
+  }));
+
+  async function seedHotels() {
+    await registerHotel('101', 'Unter den Linden 77, 10117 Berlin, Germany');
+    await registerHotel('102', 'Friedrichstraße 1, 10117 Berlin, Germany');
+    await registerHotel('103', 'Kurfürstendamm 9, 10719 Berlin, Germany');
+    await registerHotel('104', 'Marienplatz 1, 80331 München, Germany');
+
+    await storeRatings('booking:101', 40, 36); // 90% of many ratings
+    await storeRatings('booking:102', 5, 5); // 100% of few ratings
+    await storeRatings('booking:103', 4, 4); // Too few ratings to rank
+    await storeRatings('booking:104', 10, 5);
+  }
+
+  it('stores the city from the address, or from the page when it has one', async () => {
+    await registerHotel('101', 'Unter den Linden 77, 10117 Berlin, Germany');
+    await registerHotel('102', 'Address not available', { city: 'Köln', country: 'Germany' });
+
+    const hotels = await Hotel.find({}).sort({ hotelKey: 1 }).lean();
+    assert.deepEqual(hotels.map(hotel => [hotel.hotelKey, hotel.city, hotel.cityKey, hotel.country]), [
+      ['booking:101', 'Berlin', 'berlin', 'de'],
+      ['booking:102', 'Köln', 'koln', 'de']
+    ]);
+  });
+
+  it('keeps the city a hotel has when a later registration names another', async () => {
+    await registerHotel('101', 'Unter den Linden 77, 10117 Berlin, Germany');
+    await registerHotel('101', 'Unter den Linden 77, 10117 Berlin, Germany', { city: 'Köln', country: 'Germany' });
+
+    const hotel = await Hotel.findOne({ hotelKey: 'booking:101' }).lean();
+    assert.deepEqual([hotel.city, hotel.cityKey], ['Berlin', 'berlin']);
+  });
+
+  it('ranks a city by the lower bound of the share, leaving out small samples', async () => {
+    await seedHotels();
+
+    const res = await request(app).get('/api/v1/leaderboards/DE/berlin?board=bed-comfort');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.city, 'Berlin');
+    assert.equal(res.body.ratedHotels, 3);
+
+    const [board] = res.body.boards;
+    assert.equal(board.id, 'bed-comfort');
+    assert.equal(board.rankedHotels, 2);
+    assert.deepEqual(
+      board.hotels.map(hotel => [hotel.rank, hotel.hotelKey, hotel.percentage, hotel.sampleSize]),
+      [[1, 'booking:101', 90, 40], [2, 'booking:102', 100, 5]]
+    );
+  });
+
+  it('ranks a whole country', async () => {
+    await seedHotels();
+
+    const res = await request(app).get('/api/v1/leaderboards/de?board=quietest&limit=2');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.boards[0].rankedHotels, 3);
+    assert.deepEqual(res.body.boards[0].hotels.map(hotel => hotel.hotelKey), ['booking:101', 'booking:102']);
+  });
+
+  it('leaves ratings that skipped a question out of its board', async () => {
+    await registerHotel('101', 'Unter den Linden 77, 10117 Berlin, Germany');
+    await storeRatings('booking:101', 3, 3);
+    await Rating.insertMany(Array.from({ length: 4 }, (_, index) => ({
+      hotelKey: 'booking:101',
+      fingerprint: `fp_skipped_${index}`,
+      bedComfort: 'medium'
+    })));
+
+    const res = await request(app).get('/api/v1/leaderboards/de/berlin?board=quietest,bed-comfort');
+    const boards = Object.fromEntries(res.body.boards.map(board => [board.id, board]));
+    assert.equal(boards['bed-comfort'].hotels[0].sampleSize, 7);
+    assert.equal(boards.quietest.rankedHotels, 0);
+  });
+
+  it('stores a "none" answer, but not beside issues of the same category', async () => {
+    const rate = body => request(app).post('/api/v1/ratings').send(ratingBody({ bedComfort: '', pillowComfort: '', noise: [], ...body }));
+
+    const quiet = await rate({ noneReported: ['noise'] });
+    assert.equal(quiet.status, 201);
+    assert.deepEqual(quiet.body.rating.noneReported, ['noise']);
+
+    const contradictory = await rate({ noise: ['street'], noneReported: ['noise'] });
+    assert.equal(contradictory.status, 400);
+    assert.equal(contradictory.body.errors[0].field, 'noneReported');
+  });
+
+  it('answers 404 for a place without hotels', async () => {
+    await seedHotels();
+
+    const res = await request(app).get('/api/v1/leaderboards/fr/paris');
+    assert.equal(res.status, 404);
+  });
+
+  it('lists countries and cities with how many hotels are ranked', async () => {
+    await seedHotels();
+
+    const res = await request(app).get('/api/v1/leaderboards');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.minSampleSize, 5);
+    assert.deepEqual(res.body.countries, [{
+      country: 'de',
+      ratedHotels: 4,
+      rankableHotels: 3,
+      cities: [
+        { cityKey: 'berlin', city: 'Berlin', ratedHotels: 3, rankableHotels: 2 },
+        { cityKey: 'munchen', city: 'München', ratedHotels: 1, rankableHotels: 1 }
+      ]
+    }]);
+  });
+});
@@ -0,0 +1,180 @@
+// Hotel coordinates and the nearby search
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { Hotel, Rating } = require('../lib/models');
+const geo = require('../lib/geo');
+const { parseNearbyQuery } = require('../lib/nearby');
+const { startDatabase, stopDatabase, clearDatabase, buildApp } = require('./helpers');
+
+// Paris, Place du Châtelet; 0.0009° of latitude is about 100 m
+const CENTER = { lat: 48.8575, lng: 2.3470 };
+const north = metres => ({ lat: CENTER.lat + (metres / 100) * 0.0009, lng: CENTER.lng });
+
+describe('nearby query parsing', () => {
+  it('defaults to the nearest hotels within 1 km', () => {
+    assert.deepEqual(parseNearbyQuery({ lat: '48.8575', lng: '2.347' }), {
+      options: { center: { lat: 48.8575, lng: 2.347 }, radius: 1000, sort: 'distance', limit: 20 }
+    });
+  });
+
+  it('rejects coordinates out of range', () => {
+    assert.deepEqual(parseNearbyQuery({ lat: '91', lng: '0' }), { error: 'lat must be a latitude between -90 and 90', field: 'lat' });
+    assert.deepEqual(parseNearbyQuery({ lat: '0', lng: '-181' }), { error: 'lng must be a longitude between -180 and 180', field: 'lng' });
+  });
+
+  it('limits the radius and the page size', () => {
+    assert.equal(parseNearbyQuery({ lat: '0', lng: '0', radius: '60000' }).field, 'radius');
+    assert.equal(parseNearbyQuery({ lat: '0', lng: '0', limit: '101' }).field, 'limit');
+    assert.equal(parseNearbyQuery({ lat: '0', lng: '0', sort: 'loudest' }).field, 'sort');
+  });
+});
+
+describe('hotel coordinates', () => {
+  it('accept valid latitude and longitude only', () => {
+    assert.deepEqual(geo.parseCoordinates({ lat: '48.85', lng: 2.35 }), { lat: 48.85, lng: 2.35 });
+    assert.equal(geo.parseCoordinates({ lat: 48.85 }), null);
+    assert.equal(geo.parseCoordinates({ lat: 120, lng: 2 }), null);
+    assert.equal(geo.parseCoordinates({ lat: 0, lng: 0 }), null);
+    assert.equal(geo.parseCoordinates({ lat: null, lng: 2.35 }), null);
+    assert.equal(geo.parseCoordinates({ lat: '', lng: 2.35 }), null);
+    assert.equal(geo.parseCoordinates({ lat: true, lng: 2.35 }), null);
+  });
+
+  it('are stored as GeoJSON points, longitude first', () => {
+    assert.deepEqual(geo.toPoint({ lat: 48.85, lng: 2.35 }), { type: 'Point', coordinates: [2.35, 48.85] });
+    assert.deepEqual(geo.fromPoint({ type: 'Point', coordinates: [2.35, 48.85] }), { lat: 48.85, lng: 2.35 });
+  });
+});
+
+describe('nearby search', () => {
+  let app;
+
+  before(async () => {
+    await startDatabase();
+    app = buildApp();
+  });
+  after(stopDatabase);
+  beforeEach(clearDatabase);
+
+  const registerHotel = (bookingId, location, address) => request(app)
+    .post('/api/v1/hotels')
+    .send({ identifiers: { bookingId }, hotelName: `Hotel ${bookingId}`, hotelAddress: address, hotelLocation: location });
+
+  let stored = 0;
+  const storeRatings = (hotelKey, total, noisy, lit = 0) => Rating.insertMany(Array.from({ length: total }, (_, index) => {
+    stored += 1;
+    return {
+      hotelKey,
+      fingerprint: `fp_${stored}`,
+      bedComfort: 'medium',
+      noise: index < noisy ? ['street'] : [],
+      lightAnnoyances: index < lit ? ['corridor-light'] : [],
+      noneReported: [...(index < noisy ? [] : ['noise']), ...(index < lit ? [] : ['lightAnnoyances'])]
+    };
+  }));
+
+  async function seedHotels() {
+    await registerHotel('101', north(200));
+    await registerHotel('102', north(600));
+    await registerHotel('103', north(3000));
+    await registerHotel('104', north(100));
+    await registerHotel('105', north(300));
+
+    await storeRatings('booking:101', 5, 3); // 60% noise
+    await storeRatings('booking:102', 5, 1, 1); // 20% noise
+    await storeRatings('booking:103', 5, 0); // Outside the radius
+    await storeRatings('booking:105', 2, 0); // Too few ratings to rank
+    // booking:104 has no ratings
+  }
+
+  it('stores the coordinates sent with a registration', async () => {
+    const res = await registerHotel('101', north(200));
+    assert.equal(res.body.hotelKey, 'booking:101');
+
+    const hotel = await Hotel.findOne({ hotelKey: 'booking:101' }).lean();
+    assert.deepEqual(hotel.location, geo.toPoint(north(200)));
+    assert.equal(hotel.locationSource, 'page');
+  });
+
+  it('keeps the first page coordinates, but replaces the geocoder\'s', async () => {
+    await registerHotel('101', north(200));
+    await registerHotel('101', north(5000));
+    await Hotel.create({ hotelKey: 'booking:102', bookingId: '102', location: geo.toPoint(north(900)), locationSource: 'geocoder' });
+    await registerHotel('102', north(600));
+
+    const hotels = await Hotel.find({}).sort({ hotelKey: 1 }).lean();
+    assert.deepEqual(hotels.map(hotel => [hotel.hotelKey, geo.fromPoint(hotel.location), hotel.locationSource]), [
+      ['booking:101', north(200), 'page'],
+      ['booking:102', north(600), 'page']
+    ]);
+  });
+
+  it('lists rated hotels within the radius, nearest first', async () => {
+    await seedHotels();
+
+    const res = await request(app).get(`/api/v1/hotels/nearby?lat=${CENTER.lat}&lng=${CENTER.lng}&radius=1000`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.hotels.map(hotel => hotel.hotelKey), ['booking:101', 'booking:105', 'booking:102']);
+
+    const [nearest] = res.body.hotels;
+    assert.ok(Math.abs(nearest.distance - 200) < 5);
+    assert.deepEqual(nearest.location, north(200));
+    assert.deepEqual(nearest.noise, { reported: 3, answered: 5, percentage: 60 });
+    assert.deepEqual(nearest.lightAnnoyances, { reported: 0, answered: 5, percentage: 0 });
+  });
+
+  it('measures the shares against the ratings that answered', async () => {
+    await registerHotel('101', north(200));
+    await storeRatings('booking:101', 5, 1);
+    // Skipped questions, and older ratings from before "none" could be reported
+    await Rating.insertMany([1, 2, 3].map(index => ({ hotelKey: 'booking:101', fingerprint: `fp_skipped_${index}`, bedComfort: 'soft' })));
+
+    const res = await request(app).get(`/api/v1/hotels/nearby?lat=${CENTER.lat}&lng=${CENTER.lng}`);
+    const [hotel] = res.body.hotels;
+    assert.equal(hotel.totalRatings, 8);
+    assert.deepEqual(hotel.noise, { reported: 1, answered: 5, percentage: 20 });
+    assert.equal(hotel.insufficientData, false);
+  });
+
+  it('ranks the quietest hotels first, those with too few ratings last', async () => {
+    await seedHotels();
+
+    const res = await request(app).get(`/api/v1/hotels/nearby?lat=${CENTER.lat}&lng=${CENTER.lng}&sort=quietest`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.hotels.map(hotel => [hotel.hotelKey, hotel.noise.percentage, hotel.insufficientData]),
+      [['booking:102', 20, false], ['booking:101', 60, false], ['booking:105', 0, true]]
+    );
+  });
+
+  it('leaves out quarantined ratings', async () => {
+    await registerHotel('101', north(200));
+    await Rating.create({ hotelKey: 'booking:101', fingerprint: 'fp_spam', noise: ['street'], status: 'quarantined' });
+
+    const res = await request(app).get(`/api/v1/hotels/nearby?lat=${CENTER.lat}&lng=${CENTER.lng}`);
+    assert.deepEqual(res.body.hotels, []);
+  });
+
+  it('locates hotels from a geocoder dataset without overwriting page coordinates', async () => {
+    await registerHotel('201', undefined, 'Rue de Rivoli 12, 75004 Paris, France');
+    await registerHotel('202', north(100), 'Quai de Gesvres 4, 75004 Paris, France');
+    await registerHotel('203', undefined, 'Place des Vosges 1, 75004 Paris, France');
+
+    const located = await geo.geocodeHotels([
+      { address: 'rue de rivoli 12, 75004 paris, france', ...north(400) },
+      { address: 'Quai de Gesvres 4, 75004 Paris, France', ...north(900) },
+      { address: 'Place des Vosges 1, 75004 Paris, France', lat: null, lng: CENTER.lng },
+      { address: 'Place des Vosges 1, 75004 Paris, France', lat: '', lng: CENTER.lng }
+    ]);
+    assert.equal(located, 1);
+
+    const hotels = await Hotel.find({}).sort({ hotelKey: 1 }).lean();
+    assert.deepEqual(hotels.map(hotel => [hotel.hotelKey, geo.fromPoint(hotel.location), hotel.locationSource]), [
+      ['booking:201', north(400), 'geocoder'],
+      ['booking:202', north(100), 'page'],
+      ['booking:203', null, undefined]
+    ]);
+  });
+});
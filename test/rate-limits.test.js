@@ -0,0 +1,156 @@
+// Rate limits on rating submissions, through the API and on the limiter itself
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { Rating } = require('../lib/models');
+const { createPolicies, createRateLimiter, createMemoryStore } = require('../lib/rate-limiter');
+const { startDatabase, stopDatabase, clearDatabase, buildApp, ratingBody } = require('./helpers');
+
+describe('rating submission rate limits', () => {
+  let app;
+
+  before(async () => {
+    await startDatabase();
+    app = buildApp();
+  });
+  after(stopDatabase);
+  beforeEach(clearDatabase);
+
+  it('allows one rating per IP address per hotel', async () => {
+    const first = await request(app).post('/api/v1/ratings').send(ratingBody({ hotelKey: 'booking:limited-hotel' }));
+    assert.equal(first.status, 201);
+
+    const second = await request(app).post('/api/v1/ratings').send(ratingBody({ hotelKey: 'booking:limited-hotel' }));
+    assert.equal(second.status, 429);
+    assert.equal(second.body.error, 'Rate limit exceeded');
+    assert.equal(second.body.policy, 'ip_hotel');
+    assert.equal(second.headers['retry-after'], String(second.body.retryAfter));
+    assert.ok(second.body.retryAfter > 6 * 24 * 60 * 60 && second.body.retryAfter <= 7 * 24 * 60 * 60);
+
+    assert.equal(await Rating.countDocuments({ hotelKey: 'booking:limited-hotel' }), 1);
+  });
+
+  it('still accepts ratings of other hotels', async () => {
+    const fingerprint = 'fp_frequent_traveller';
+    for (const hotelKey of ['booking:hotel-a', 'booking:hotel-b', 'booking:hotel-c']) {
+      const res = await request(app).post('/api/v1/ratings').send(ratingBody({ hotelKey, fingerprint }));
+      assert.equal(res.status, 201);
+    }
+  });
+
+  it('limits bursts from one address', async () => {
+    for (let index = 0; index < 10; index++) {
+      const res = await request(app).post('/api/v1/ratings').send(ratingBody());
+      assert.equal(res.status, 201);
+    }
+
+    const res = await request(app).post('/api/v1/ratings').send(ratingBody());
+    assert.equal(res.status, 429);
+    assert.equal(res.body.policy, 'ip_burst');
+    assert.ok(Number(res.headers['retry-after']) <= 60 * 60);
+  });
+
+  it('does not count retries of a stored submission', async () => {
+    const body = ratingBody();
+    const first = await request(app).post('/api/v1/ratings').set('Idempotency-Key', 'retry-test-0001').send(body);
+    const retry = await request(app).post('/api/v1/ratings').set('Idempotency-Key', 'retry-test-0001').send(body);
+
+    assert.equal(first.status, 201);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.duplicate, true);
+    assert.equal(retry.body.rating._id, first.body.rating._id);
+    assert.equal(await Rating.countDocuments({ hotelKey: body.hotelKey }), 1);
+  });
+
+  it('refuses a stored submission\'s key on another submission', async () => {
+    const body = ratingBody();
+    await request(app).post('/api/v1/ratings').set('Idempotency-Key', 'retry-test-0002').send(body);
+
+    const otherBody = await request(app).post('/api/v1/ratings').set('Idempotency-Key', 'retry-test-0002').send({ ...body, bedComfort: 'hard' });
+    const otherBrowser = await request(app).post('/api/v1/ratings').set('Idempotency-Key', 'retry-test-0002').send({ ...body, fingerprint: 'fp_other' });
+
+    assert.equal(otherBody.status, 409);
+    assert.equal(otherBrowser.status, 409);
+    assert.equal(otherBrowser.body.rating, undefined);
+    assert.equal(await Rating.countDocuments({ hotelKey: body.hotelKey }), 1);
+  });
+});
+
+describe('rate limiter', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+  const policies = [
+    { name: 'per_hotel', key: ({ ipHash, hotelKey }) => `${ipHash}|${hotelKey}`, limit: 1, windowMs: 24 * HOUR_MS, message: 'One per hotel' },
+    { name: 'burst', key: ({ ipHash }) => ipHash, limit: 3, windowMs: HOUR_MS, message: 'Too many' }
+  ];
+  const context = hotelKey => ({ ipHash: 'ip-1', fingerprint: 'fp-1', hotelKey });
+  const now = Date.parse('2026-06-15T12:00:00Z');
+
+  it('reports the policy and when it allows another hit', async () => {
+    const limiter = createRateLimiter({ store: 'memory', policies });
+    await limiter.consume(context('a'), now);
+
+    assert.deepEqual(await limiter.check(context('a'), now + HOUR_MS), {
+      allowed: false,
+      policy: 'per_hotel',
+      message: 'One per hotel',
+      retryAfter: 23 * 60 * 60
+    });
+    assert.deepEqual(await limiter.check(context('a'), now + 24 * HOUR_MS + 1), { allowed: true });
+  });
+
+  it('frees a sliding window as its oldest hits age out', async () => {
+    const limiter = createRateLimiter({ store: 'memory', policies });
+    await limiter.consume(context('a'), now);
+    await limiter.consume(context('b'), now + 10 * 60 * 1000);
+    await limiter.consume(context('c'), now + 20 * 60 * 1000);
+
+    const blocked = await limiter.check(context('d'), now + 30 * 60 * 1000);
+    assert.equal(blocked.policy, 'burst');
+    assert.equal(blocked.retryAfter, 30 * 60);
+    assert.deepEqual(await limiter.check(context('d'), now + HOUR_MS + 1), { allowed: true });
+  });
+
+  it('reports the longest wait when several policies are exceeded', async () => {
+    const limiter = createRateLimiter({ store: 'memory', policies });
+    await limiter.consume(context('a'), now);
+    await limiter.consume(context('b'), now);
+    await limiter.consume(context('a'), now);
+
+    const blocked = await limiter.check(context('a'), now);
+    assert.equal(blocked.policy, 'per_hotel');
+    assert.equal(blocked.retryAfter, 24 * 60 * 60);
+  });
+
+  it('words the hotel cooldown after the configured period', () => {
+    const message = days => createPolicies({ hotelCooldownDays: days }).find(policy => policy.name === 'ip_hotel').message;
+    assert.equal(message(7), 'Only 1 rating per week per IP address per hotel');
+    assert.equal(message(1), 'Only 1 rating per day per IP address per hotel');
+    assert.equal(message(3), 'Only 1 rating per 3 days per IP address per hotel');
+    assert.equal(message(14), 'Only 1 rating per 2 weeks per IP address per hotel');
+  });
+
+  it('prunes idle keys from the memory store once their windows end', async () => {
+    const store = createMemoryStore({ pruneIntervalMs: HOUR_MS });
+    const limiter = createRateLimiter({ store, policies });
+    await limiter.consume(context('a'), now);
+    await limiter.consume({ ...context('b'), ipHash: 'ip-2' }, now);
+    assert.equal(store.size, 4);
+
+    await limiter.consume(context('c'), now + 2 * HOUR_MS);
+    assert.equal(store.size, 4);
+
+    await limiter.consume(context('d'), now + 25 * HOUR_MS);
+    assert.deepEqual(await limiter.check(context('c'), now + 25 * HOUR_MS), {
+      allowed: false,
+      policy: 'per_hotel',
+      message: 'One per hotel',
+      retryAfter: HOUR_MS / 1000
+    });
+    assert.equal(store.size, 3);
+  });
+
+  it('rejects unknown stores', () => {
+    assert.throws(() => createRateLimiter({ store: 'redis' }), /Unknown rate limit store: redis/);
+  });
+});
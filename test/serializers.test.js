@@ -0,0 +1,165 @@
+// Contract: no response meant for the public or for a rating's submitter ever
+// carries a field from serializers.PRIVATE_RATING_FIELDS, whatever the route
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const serializers = require('../lib/serializers');
+const pagination = require('../lib/pagination');
+const { Rating } = require('../lib/models');
+const { ADMIN_TOKEN, startDatabase, stopDatabase, clearDatabase, buildApp, createUser, ratingBody } = require('./helpers');
+
+function assertNoPrivateFields(rating, where) {
+  const leaked = serializers.PRIVATE_RATING_FIELDS.filter(field => Object.prototype.hasOwnProperty.call(rating, field));
+  assert.deepEqual(leaked, [], `${where} exposes ${leaked.join(', ')}`);
+}
+
+// A stored rating with every field set, as the moderation tools see it
+const fullRating = () => new Rating({
+  hotelKey: 'booking:contract-hotel',
+  originalHotelKey: 'booking:contract-hotel-old',
+  hotelName: 'Contract Hotel',
+  bedComfort: 'medium',
+  noise: ['street'],
+  comment: 'Quiet at night',
+  floor: 3,
+  fingerprint: 'fp_secret',
+  ipHash: 'ip-hash',
+  subnetHash: 'subnet-hash',
+  ipAddress: '203.0.113.7',
+  status: 'quarantined',
+  spamScore: 1,
+  spamReasons: [{ rule: 'hotelBurst', detail: '5 ratings', weight: 1 }],
+  idempotencyKey: 'contract-key-0001',
+  claimTokenHash: 'claim-hash',
+  editedAt: new Date()
+});
+
+describe('rating serializers', () => {
+  it('keep private fields out of public and own ratings', () => {
+    const rating = fullRating();
+
+    assertNoPrivateFields(serializers.publicRating(rating), 'publicRating');
+    assertNoPrivateFields(serializers.ownRating(rating), 'ownRating');
+    assertNoPrivateFields(serializers.publicRating(rating.toObject()), 'publicRating of a lean document');
+  });
+
+  it('keep account data out of public ratings', () => {
+    const rating = serializers.publicRating(fullRating());
+
+    assert.equal(rating.idempotencyKey, undefined);
+    assert.equal(rating.originalHotelKey, undefined);
+    assert.equal(rating.comment, 'Quiet at night');
+  });
+
+  it('give admins everything but secrets', () => {
+    const rating = serializers.adminRating(fullRating());
+
+    assert.equal(rating.fingerprint, 'fp_secret');
+    assert.equal(rating.spamScore, 1);
+    assert.equal(rating.claimTokenHash, undefined);
+  });
+});
+
+describe('listing cursors', () => {
+  const item = { submissionTime: new Date('2026-05-01T10:00:00Z'), _id: '665f1c2b9d3e4a0012345678' };
+
+  it('name the last item of a page', () => {
+    const [time, id] = pagination.decodeCursor(pagination.encodeCursor(item));
+    assert.equal(time.toISOString(), '2026-05-01T10:00:00.000Z');
+    assert.equal(String(id), item._id);
+  });
+
+  it('select only the items past the cursor', () => {
+    const { limit, after } = pagination.parsePageParams({ limit: '5', cursor: pagination.encodeCursor(item) });
+    assert.equal(limit, 5);
+    assert.deepEqual(after.$or[0], { submissionTime: { $lt: item.submissionTime } });
+    assert.equal(String(after.$or[1]._id.$lt), item._id);
+  });
+
+  it('reject tampered cursors and out-of-range limits', () => {
+    assert.equal(pagination.decodeCursor('not-a-cursor'), null);
+    assert.equal(pagination.decodeCursor(Buffer.from('["yesterday","123"]').toString('base64url')), null);
+    assert.match(pagination.parsePageParams({ cursor: 'not-a-cursor' }).error, /Invalid cursor/);
+    assert.match(pagination.parsePageParams({ limit: String(pagination.MAX_PAGE_SIZE + 1) }).error, /limit/);
+    assert.deepEqual(pagination.parsePageParams({}), { limit: pagination.DEFAULT_PAGE_SIZE, after: null });
+  });
+});
+
+describe('rating responses', () => {
+  let app;
+
+  before(async () => {
+    await startDatabase();
+    app = buildApp();
+  });
+  after(stopDatabase);
+  beforeEach(clearDatabase);
+
+  it('hold no private fields in an anonymous submission, its retry and the public listing', async () => {
+    const body = ratingBody({ hotelKey: 'booking:contract-hotel' });
+    const submitted = await request(app).post('/api/v1/ratings').set('Idempotency-Key', 'contract-test-0001').send(body);
+    const retried = await request(app).post('/api/v1/ratings').set('Idempotency-Key', 'contract-test-0001').send(body);
+    const listed = await request(app).get('/api/v1/ratings?hotelKey=booking:contract-hotel');
+
+    assert.equal(submitted.status, 201);
+    assert.ok(submitted.body.claimToken);
+    assertNoPrivateFields(submitted.body.rating, 'POST /ratings');
+    assertNoPrivateFields(retried.body.rating, 'POST /ratings retry');
+
+    assert.equal(listed.status, 200);
+    assert.equal(listed.body.ratings.length, 1);
+    listed.body.ratings.forEach(rating => assertNoPrivateFields(rating, 'GET /ratings'));
+  });
+
+  it('hold no private fields in a signed-in user\'s submissions, corrections and history', async () => {
+    const { user, authorization } = await createUser();
+
+    const submitted = await request(app).post('/api/v1/ratings').set('Authorization', authorization).send(ratingBody());
+    assert.equal(submitted.status, 201);
+    assert.equal(submitted.body.claimToken, undefined);
+    assert.equal(submitted.body.rating.userId, String(user._id));
+    assertNoPrivateFields(submitted.body.rating, 'signed-in POST /ratings');
+
+    const updated = await request(app)
+      .put(`/api/v1/ratings/${submitted.body.rating._id}`)
+      .set('Authorization', authorization)
+      .send({ bedComfort: 'hard', floor: 4 });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.rating.bedComfort, 'hard');
+    assertNoPrivateFields(updated.body.rating, 'PUT /ratings/:id');
+
+    const history = await request(app).get('/api/v1/me/ratings').set('Authorization', authorization);
+    assert.equal(history.status, 200);
+    assert.equal(history.body.ratings.length, 1);
+    history.body.ratings.forEach(rating => assertNoPrivateFields(rating, 'GET /me/ratings'));
+  });
+
+  it('hold no private fields in claimed ratings', async () => {
+    const anonymous = await request(app).post('/api/v1/ratings').send(ratingBody());
+    const { authorization } = await createUser();
+
+    const claimed = await request(app)
+      .post('/api/v1/me/ratings/claim')
+      .set('Authorization', authorization)
+      .send({ claimTokens: [anonymous.body.claimToken] });
+    assert.equal(claimed.body.claimed, 1);
+
+    const history = await request(app).get('/api/v1/me/ratings').set('Authorization', authorization);
+    assert.deepEqual(history.body.ratings.map(rating => rating._id), [anonymous.body.rating._id]);
+    history.body.ratings.forEach(rating => assertNoPrivateFields(rating, 'GET /me/ratings after claiming'));
+  });
+
+  it('keep quarantined ratings out of the public listing', async () => {
+    await Rating.create(fullRating().toObject());
+
+    const listed = await request(app).get('/api/v1/ratings?hotelKey=booking:contract-hotel');
+    assert.deepEqual(listed.body.ratings, []);
+
+    const review = await request(app).get('/api/v1/admin/ratings').set('Authorization', `Bearer ${ADMIN_TOKEN}`);
+    assert.equal(review.status, 200);
+    assert.equal(review.body.ratings.length, 1);
+    assert.equal(review.body.ratings[0].fingerprint, 'fp_secret');
+    assert.equal(review.body.ratings[0].claimTokenHash, undefined);
+  });
+});
@@ -0,0 +1,158 @@
+// Spam rules against synthetic attacks. evaluate() scores a candidate against
+// activity passed in, so these run without a database.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSpamScorer, parseSpamRules, DEFAULT_RULES } = require('../lib/spam');
+
+const NOW = Date.parse('2026-06-15T12:00:00Z');
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const HOTEL = 'booking:attacked-hotel';
+const ATTACKER_NETWORK = 'subnet-attacker';
+
+let counter = 0;
+// A stored rating `minutesAgo` before NOW, from its own browser and network unless told otherwise
+function rating(minutesAgo, overrides = {}) {
+  counter += 1;
+  return {
+    hotelKey: HOTEL,
+    fingerprint: `fp_guest_${counter}`,
+    subnetHash: `subnet-guest-${counter}`,
+    submissionTime: new Date(NOW - minutesAgo * MINUTE_MS),
+    bedComfort: ['soft', 'medium', 'hard'][counter % 3],
+    pillowComfort: 'nicely-judged',
+    noise: counter % 2 ? ['street'] : [],
+    ...overrides
+  };
+}
+
+const candidate = overrides => rating(0, overrides);
+const rulesFired = result => result.reasons.map(reason => reason.rule).sort();
+
+const scorer = createSpamScorer({ rules: parseSpamRules(''), threshold: 1 });
+
+describe('spam scoring', () => {
+  it('lets an ordinary rating through', () => {
+    const recent = {
+      hotelRatings: [rating(3 * DAY_MS / MINUTE_MS), rating(20 * DAY_MS / MINUTE_MS)],
+      subnetRatings: []
+    };
+    const result = scorer.evaluate(candidate(), recent, NOW);
+
+    assert.deepEqual(result, { score: 0, reasons: [], quarantine: false });
+  });
+
+  it('flags a burst of ratings for one hotel without quarantining it alone', () => {
+    const recent = { hotelRatings: [5, 10, 20, 40].map(minutes => rating(minutes)), subnetRatings: [] };
+    const result = scorer.evaluate(candidate(), recent, NOW);
+
+    assert.deepEqual(rulesFired(result), ['hotelBurst']);
+    assert.equal(result.score, 0.5);
+    assert.equal(result.quarantine, false);
+  });
+
+  it('ignores ratings outside the burst window', () => {
+    const recent = { hotelRatings: [70, 90, 120, 180].map(minutes => rating(minutes)), subnetRatings: [] };
+
+    assert.deepEqual(rulesFired(scorer.evaluate(candidate(), recent, NOW)), []);
+  });
+
+  it('quarantines a burst of identical answers', () => {
+    const answers = { bedComfort: 'too-hard', pillowComfort: 'too-low', noise: ['through-walls', 'street'] };
+    const recent = {
+      hotelRatings: [2, 4, 6, 8].map(minutes => rating(minutes, { ...answers, noise: ['street', 'through-walls'] })),
+      subnetRatings: []
+    };
+    const result = scorer.evaluate(candidate(answers), recent, NOW);
+
+    assert.deepEqual(rulesFired(result), ['hotelBurst', 'identicalAnswers']);
+    assert.equal(result.score, 1);
+    assert.equal(result.quarantine, true);
+  });
+
+  it('quarantines one network rating a hotel from rotated fingerprints', () => {
+    const recent = {
+      hotelRatings: [60, 2 * 24 * 60].map(minutes => rating(minutes, { subnetHash: ATTACKER_NETWORK })),
+      subnetRatings: []
+    };
+    const result = scorer.evaluate(candidate({ subnetHash: ATTACKER_NETWORK }), recent, NOW);
+
+    assert.deepEqual(rulesFired(result), ['fingerprintRotation']);
+    assert.equal(result.quarantine, true);
+    assert.match(result.reasons[0].detail, /^3 browsers/);
+  });
+
+  it('does not count one browser re-rating as rotation', () => {
+    const recent = {
+      hotelRatings: [60, 120].map(minutes => rating(minutes, { subnetHash: ATTACKER_NETWORK, fingerprint: 'fp_same' })),
+      subnetRatings: []
+    };
+
+    assert.deepEqual(rulesFired(scorer.evaluate(candidate({ subnetHash: ATTACKER_NETWORK, fingerprint: 'fp_same' }), recent, NOW)), []);
+  });
+
+  it('flags one network rating many hotels', () => {
+    const subnetRatings = Array.from({ length: 9 }, (_, index) => ({
+      hotelKey: `booking:hotel-${index}`,
+      submissionTime: new Date(NOW - (index + 1) * 30 * MINUTE_MS)
+    }));
+    const result = scorer.evaluate(candidate({ subnetHash: ATTACKER_NETWORK }), { hotelRatings: [], subnetRatings }, NOW);
+
+    assert.deepEqual(rulesFired(result), ['subnetSpread']);
+    assert.equal(result.score, 0.6);
+    assert.equal(result.quarantine, false);
+  });
+
+  it('quarantines a fallback fingerprint spreading ratings from one network', () => {
+    const subnetRatings = Array.from({ length: 12 }, (_, index) => ({
+      hotelKey: `booking:hotel-${index}`,
+      submissionTime: new Date(NOW - (index + 1) * 10 * MINUTE_MS)
+    }));
+    const attack = candidate({ subnetHash: ATTACKER_NETWORK, fingerprint: 'fallback_1234' });
+    const result = scorer.evaluate(attack, { hotelRatings: [], subnetRatings }, NOW);
+
+    assert.deepEqual(rulesFired(result), ['fallbackFingerprint', 'subnetSpread']);
+    assert.equal(result.score, 1);
+    assert.equal(result.quarantine, true);
+  });
+
+  it('skips network rules without a subnet hash', () => {
+    const recent = {
+      hotelRatings: [60, 120].map(minutes => rating(minutes, { subnetHash: undefined })),
+      subnetRatings: []
+    };
+
+    assert.deepEqual(rulesFired(scorer.evaluate(candidate({ subnetHash: undefined }), recent, NOW)), []);
+  });
+});
+
+describe('spam rule configuration', () => {
+  it('applies SPAM_RULES overrides over the defaults', () => {
+    const rules = parseSpamRules('{"hotelBurst": {"threshold": 8}, "fallbackFingerprint": {"enabled": false}}');
+
+    assert.equal(rules.hotelBurst.threshold, 8);
+    assert.equal(rules.hotelBurst.weight, DEFAULT_RULES.hotelBurst.weight);
+    assert.equal(rules.fallbackFingerprint.enabled, false);
+  });
+
+  it('rejects unknown rules', () => {
+    assert.throws(() => parseSpamRules('{"hotelBrust": {}}'), /Unknown spam rule in SPAM_RULES: hotelBrust/);
+  });
+
+  it('leaves disabled rules and a raised threshold out of the verdict', () => {
+    const lenient = createSpamScorer({
+      rules: parseSpamRules('{"fallbackFingerprint": {"enabled": false}}'),
+      threshold: 2
+    });
+    const recent = {
+      hotelRatings: [60, 120].map(minutes => rating(minutes, { subnetHash: ATTACKER_NETWORK })),
+      subnetRatings: []
+    };
+    const result = lenient.evaluate(candidate({ subnetHash: ATTACKER_NETWORK, fingerprint: 'fallback_1' }), recent, NOW);
+
+    assert.deepEqual(rulesFired(result), ['fingerprintRotation']);
+    assert.equal(result.quarantine, false);
+  });
+});
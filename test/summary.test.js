@@ -0,0 +1,190 @@
+// Summary maths on ratings stored directly, so spam scoring and rate limits
+// don't get in the way of the fixtures
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { Rating } = require('../lib/models');
+const { wilsonInterval, MIN_SAMPLE_SIZE } = require('../lib/summary');
+const { ADMIN_TOKEN, startDatabase, stopDatabase, clearDatabase, buildApp } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOTEL = 'booking:summary-hotel';
+
+let stored = 0;
+function storeRatings(ratings) {
+  return Rating.insertMany(ratings.map(rating => {
+    stored += 1;
+    return { hotelKey: HOTEL, fingerprint: `fp_${stored}`, submissionTime: new Date(), ...rating };
+  }));
+}
+
+const summaryOf = (app, query = '') => request(app).get(`/api/v1/ratings/summary/${HOTEL}${query}`);
+
+describe('rating summary', () => {
+  let app;
+
+  before(async () => {
+    await startDatabase();
+    app = buildApp();
+  });
+  after(stopDatabase);
+  beforeEach(clearDatabase);
+
+  it('reports when a hotel has no ratings', async () => {
+    const res = await summaryOf(app);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { hotelKey: HOTEL, totalRatings: 0, message: 'No ratings found for this hotel' });
+  });
+
+  it('computes shares, confidence intervals and sample size per category', async () => {
+    await storeRatings([
+      { bedComfort: 'medium', noise: ['street'] },
+      { bedComfort: 'medium', noise: ['street', 'corridor'] },
+      { bedComfort: 'medium', pillowComfort: 'too-low' },
+      { bedComfort: 'hard', pillowComfort: 'nicely-judged' },
+      { bedComfort: 'too-soft', noneReported: ['noise'] }
+    ]);
+
+    const res = await summaryOf(app);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.totalRatings, 5);
+    assert.equal(res.body.minSampleSize, MIN_SAMPLE_SIZE);
+
+    const { bedComfort, pillowComfort, noise } = res.body;
+    assert.equal(bedComfort.total, 5);
+    assert.equal(bedComfort.insufficientData, false);
+    assert.deepEqual(bedComfort.top2, [
+      { rating: 'medium', count: 3, percentage: 60, confidenceInterval: wilsonInterval(0.6, 5) },
+      { rating: 'hard', count: 1, percentage: 20, confidenceInterval: wilsonInterval(0.2, 5) }
+    ]);
+
+    assert.equal(pillowComfort.total, 2);
+    assert.equal(pillowComfort.insufficientData, true);
+
+    // Multi-value categories: shares of the ratings that reported any issue,
+    // sample size from those that answered with issues or none
+    assert.equal(noise.total, 2);
+    assert.equal(noise.answered, 3);
+    assert.equal(noise.reportedNone, 1);
+    assert.equal(noise.insufficientData, true);
+    assert.deepEqual(noise.top2.map(item => [item.rating, item.count, item.percentage]), [
+      ['street', 2, 100],
+      ['corridor', 1, 50]
+    ]);
+  });
+
+  it('lists every allowed value with include=distribution', async () => {
+    await storeRatings([{ bedComfort: 'medium' }, { bedComfort: 'soft' }]);
+
+    const res = await summaryOf(app, '?include=distribution');
+    assert.deepEqual(
+      res.body.bedComfort.distribution.map(item => [item.rating, item.percentage]),
+      [['too-soft', 0], ['soft', 50], ['medium', 50], ['hard', 0], ['too-hard', 0]]
+    );
+  });
+
+  it('leaves out quarantined ratings unless an admin asks, and rejected ones always', async () => {
+    await storeRatings([
+      { bedComfort: 'medium' },
+      { bedComfort: 'too-hard', status: 'quarantined' },
+      { bedComfort: 'too-hard', status: 'rejected' }
+    ]);
+
+    const visible = await summaryOf(app);
+    assert.equal(visible.body.totalRatings, 1);
+    assert.deepEqual(visible.body.bedComfort.top2.map(item => item.rating), ['medium']);
+
+    const publicRequest = await summaryOf(app, '?include=quarantined');
+    assert.equal(publicRequest.status, 400);
+    const anonymous = await request(app).get(`/api/v1/admin/ratings/summary/${HOTEL}?include=quarantined`);
+    assert.equal(anonymous.status, 401);
+
+    const withQuarantined = await request(app)
+      .get(`/api/v1/admin/ratings/summary/${HOTEL}?include=quarantined`)
+      .set('Authorization', `Bearer ${ADMIN_TOKEN}`);
+    assert.equal(withQuarantined.body.totalRatings, 2);
+    assert.deepEqual(withQuarantined.body.bedComfort.top2.map(item => [item.rating, item.percentage]), [
+      ['medium', 50],
+      ['too-hard', 50]
+    ]);
+  });
+
+  it('weights older ratings down with halfLifeDays', async () => {
+    await storeRatings([
+      { bedComfort: 'medium' },
+      { bedComfort: 'hard', submissionTime: new Date(Date.now() - 30 * DAY_MS) }
+    ]);
+
+    const res = await summaryOf(app, '?halfLifeDays=30');
+    assert.equal(res.body.halfLifeDays, 30);
+    assert.equal(res.body.bedComfort.weightedTotal, 1.5);
+    assert.deepEqual(res.body.bedComfort.top2.map(item => [item.rating, item.count, item.weightedCount, item.percentage]), [
+      ['medium', 1, 1, 66.7],
+      ['hard', 1, 0.5, 33.3]
+    ]);
+    // The interval still uses the number of ratings as its sample size
+    assert.deepEqual(res.body.bedComfort.top2[0].confidenceInterval, wilsonInterval(1 / 1.5, 2));
+  });
+
+  it('limits the summary to a time window', async () => {
+    await storeRatings([
+      { bedComfort: 'medium', submissionTime: new Date('2026-03-10T00:00:00Z') },
+      { bedComfort: 'hard', submissionTime: new Date('2026-05-10T00:00:00Z') }
+    ]);
+
+    const res = await summaryOf(app, '?since=2026-04-01&until=2026-06-01');
+    assert.equal(res.body.totalRatings, 1);
+    assert.deepEqual(res.body.bedComfort.top2.map(item => item.rating), ['hard']);
+    assert.ok(res.body.window.since && res.body.window.until);
+  });
+
+  it('groups summaries by floor', async () => {
+    await storeRatings([
+      { bedComfort: 'medium', floor: 2 },
+      { bedComfort: 'hard', floor: 2 },
+      { bedComfort: 'soft', floor: 5 },
+      { bedComfort: 'soft' }
+    ]);
+
+    const res = await summaryOf(app, '?groupBy=floor');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.totalRatings, 4);
+    assert.equal(res.body.groupBy, 'floor');
+    assert.deepEqual(res.body.groups.map(group => [group.floor, group.totalRatings]), [[2, 2], [5, 1]]);
+    assert.equal(res.body.ungroupedRatings, 1);
+  });
+
+  it('compares hotels side by side in request order', async () => {
+    await storeRatings([{ bedComfort: 'medium' }]);
+
+    const res = await request(app)
+      .post('/api/v1/ratings/compare')
+      .send({ hotelKeys: ['booking:unrated-hotel', HOTEL] });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.hotels.map(hotel => [hotel.requestedKey, hotel.totalRatings]), [
+      ['booking:unrated-hotel', 0],
+      [HOTEL, 1]
+    ]);
+  });
+});
+
+describe('wilsonInterval', () => {
+  it('is the full range without ratings', () => {
+    assert.deepEqual(wilsonInterval(0, 0), { lower: 0, upper: 100 });
+  });
+
+  it('narrows as the sample grows', () => {
+    const small = wilsonInterval(0.5, 4);
+    const large = wilsonInterval(0.5, 400);
+
+    assert.ok(small.lower < large.lower && small.upper > large.upper);
+    assert.ok(large.lower < 50 && large.upper > 50);
+  });
+
+  it('stays within 0-100% at the extremes', () => {
+    assert.equal(wilsonInterval(0, 10).lower, 0);
+    assert.equal(wilsonInterval(1, 10).upper, 100);
+  });
+});
@@ -0,0 +1,138 @@
+// Request validation and the generated OpenAPI document. Invalid requests are
+// rejected before any database access, so the app here runs on an unconnected
+// mongoose connection.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { createApp } = require('../lib/app');
+const { loadConfig } = require('../lib/config');
+const { requestSchemas } = require('../lib/schemas');
+const { parseStayDetails } = require('../lib/stay-details');
+
+const app = createApp({ db: mongoose.connection, config: loadConfig({ ADMIN_TOKEN: 'test-admin-token', IP_HASH_SECRET: 'test-ip-hash-secret' }) });
+
+const fields = body => body.errors.map(error => error.field);
+
+describe('request validation', () => {
+  it('lists every invalid field of a rating submission', async () => {
+    const res = await request(app)
+      .post('/api/v1/ratings')
+      .send({ hotelKey: 'booking:test', bedComfort: 'squishy', noise: ['street', 42] });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(fields(res.body), ['fingerprint', 'bedComfort', 'noise[1]', 'noise[1]']);
+    assert.ok(res.body.errors.every(error => error.location === 'body'));
+    assert.equal(res.body.error, res.body.errors.map(error => error.message).join('; '));
+    assert.match(res.body.error, /bedComfort must be one of: too-soft, soft, medium, hard, too-hard/);
+  });
+
+  it('holds stay details to the limits the rating service enforces', async () => {
+    const res = await request(app)
+      .post('/api/v1/ratings')
+      .send({ hotelKey: 'booking:test', fingerprint: 'fp_test', bedComfort: 'medium', comment: 'x'.repeat(501), roomType: 'x'.repeat(121) });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(fields(res.body), ['comment', 'roomType']);
+  });
+
+  it('only takes multi-value categories as "none" answers', async () => {
+    const res = await request(app)
+      .post('/api/v1/ratings')
+      .send({ hotelKey: 'booking:test', fingerprint: 'fp_test', noneReported: ['noise', 'bedComfort'] });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(fields(res.body), ['noneReported[1]']);
+  });
+
+  it('answers the unversioned path like /api/v1', async () => {
+    const [versioned, legacy] = await Promise.all([
+      request(app).post('/api/v1/ratings').send({}),
+      request(app).post('/ratings').send({})
+    ]);
+
+    assert.equal(legacy.status, 400);
+    assert.deepEqual(legacy.body, versioned.body);
+    assert.deepEqual(fields(legacy.body), ['hotelKey', 'fingerprint']);
+  });
+
+  it('rejects malformed JSON with the same error shape', async () => {
+    const res = await request(app)
+      .post('/api/v1/ratings')
+      .set('Content-Type', 'application/json')
+      .send('{"hotelKey":');
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body, {
+      error: 'Request body is not valid JSON',
+      errors: [{ location: 'body', message: 'Request body is not valid JSON' }]
+    });
+  });
+
+  it('validates headers', async () => {
+    const res = await request(app)
+      .post('/api/v1/ratings')
+      .set('Idempotency-Key', 'not valid!')
+      .send({ hotelKey: 'booking:test', fingerprint: 'fp_test', bedComfort: 'medium' });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map(error => [error.location, error.field]), [['headers', 'Idempotency-Key']]);
+  });
+
+  it('validates query parameters', async () => {
+    const res = await request(app).get('/api/v1/ratings/summary/booking:test?top=0&include=everything');
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(fields(res.body), ['top', 'include']);
+    assert.ok(res.body.errors.every(error => error.location === 'query'));
+  });
+
+  it('limits the number of hotels compared', async () => {
+    const hotelKeys = Array.from({ length: 11 }, (_, index) => `booking:hotel-${index}`);
+    const res = await request(app).post('/api/v1/ratings/compare').send({ hotelKeys });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'hotelKeys must have at most 10 items');
+  });
+
+  it('checks authentication before validating the body', async () => {
+    const [update, admin] = await Promise.all([
+      request(app).put('/api/v1/ratings/not-an-id').send({}),
+      request(app).get('/api/v1/admin/ratings')
+    ]);
+
+    assert.equal(update.status, 401);
+    assert.equal(admin.status, 401);
+  });
+
+  it('reports an unavailable database on /health', async () => {
+    const res = await request(app).get('/api/v1/health');
+
+    assert.equal(res.status, 503);
+    assert.deepEqual(res.body, { status: 'unavailable', database: 'disconnected' });
+  });
+});
+
+describe('stay details', () => {
+  it('strip HTML tags from comments but keep other angle brackets', () => {
+    assert.equal(parseStayDetails({ comment: 'noise < 40 dB most nights > 2am' }).details.comment, 'noise < 40 dB most nights > 2am');
+    assert.equal(parseStayDetails({ comment: 'Quiet <b>room</b><script src="x.js"></script>' }).details.comment, 'Quiet room');
+  });
+});
+
+describe('OpenAPI document', () => {
+  it('describes the versioned API from the route schemas', async () => {
+    const res = await request(app).get('/api/v1/openapi.json');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.openapi, '3.1.0');
+    assert.deepEqual(res.body.servers, [{ url: '/api/v1' }]);
+
+    const submit = res.body.paths['/ratings'].post;
+    assert.deepEqual(submit.requestBody.content['application/json'].schema, requestSchemas.ratingSubmission);
+    assert.ok(submit.responses['400'] && submit.responses['429']);
+    assert.ok(res.body.paths['/ratings/summary/{hotelKey}'].get);
+    assert.ok(res.body.components.securitySchemes.adminToken);
+  });
+});